@@ -32,6 +32,15 @@ const envSchema = Joi.object({
   
   USE_MOCK_MICROSURVEY: Joi.boolean().default(true),
   ENABLE_WEBHOOKS: Joi.boolean().default(true),
+  WEBHOOKS_ALLOW_INSECURE_URLS: Joi.boolean().default(false),
+  
+  LEMONSQUEEZY_WEBHOOK_SECRET: Joi.string().optional(),
+  LEMONSQUEEZY_API_KEY: Joi.string().optional(),
+  LEMONSQUEEZY_STORE_ID: Joi.string().optional(),
+  QUOTA_SURVEYS_ENFORCEMENT: Joi.string().valid('block', 'warn').default('block'),
+  QUOTA_RESPONSES_ENFORCEMENT: Joi.string().valid('block', 'warn').default('block'),
+  
+  EXPORT_DOWNLOAD_TTL_SECONDS: Joi.number().min(60).default(900),
   
   QUEUE_CONCURRENCY: Joi.number().default(5),
   QUEUE_PREFIX: Joi.string().default('dashboard'),
@@ -99,6 +108,11 @@ if (env.NODE_ENV === 'production') {
     process.exit(1);
   }
   
+  if (env.WEBHOOKS_ALLOW_INSECURE_URLS) {
+    console.error('❌ FATAL: WEBHOOKS_ALLOW_INSECURE_URLS cannot be enabled in production!');
+    process.exit(1);
+  }
+  
   if (env.CORS_ORIGINS === '*') {
     console.error('❌ FATAL: CORS_ORIGINS cannot be * in production!');
     process.exit(1);
@@ -158,6 +172,25 @@ export const config = {
     enableWebhooks: env.ENABLE_WEBHOOKS,
   },
   
+  webhooks: {
+    // Development only: allow http:// and local/private endpoint URLs
+    allowInsecureUrls: env.WEBHOOKS_ALLOW_INSECURE_URLS,
+  },
+  
+  billing: {
+    lemonSqueezyWebhookSecret: env.LEMONSQUEEZY_WEBHOOK_SECRET,
+    lemonSqueezyApiKey: env.LEMONSQUEEZY_API_KEY,
+    lemonSqueezyStoreId: env.LEMONSQUEEZY_STORE_ID,
+    quotaEnforcement: {
+      survey: env.QUOTA_SURVEYS_ENFORCEMENT,
+      response: env.QUOTA_RESPONSES_ENFORCEMENT,
+    },
+  },
+  
+  exports: {
+    downloadTtlSeconds: env.EXPORT_DOWNLOAD_TTL_SECONDS,
+  },
+  
   queue: {
     concurrency: env.QUEUE_CONCURRENCY,
     prefix: env.QUEUE_PREFIX,
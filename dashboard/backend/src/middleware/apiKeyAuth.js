@@ -0,0 +1,38 @@
+// ============================================
+// FILE: backend/src/middleware/apiKeyAuth.js
+// x-api-key authentication for the /api/v1 public API
+// ============================================
+import apiKeyService from '../services/apiKeyService.js';
+import { ApiError } from '../utils/ApiError.js';
+
+/**
+ * Resolve the tenant from the x-api-key header and attach it as req.apiKey
+ */
+export async function apiKeyRequired(req, res, next) {
+  try {
+    const apiKey = req.get('x-api-key');
+
+    if (!apiKey) {
+      throw ApiError.unauthorized('No API key provided');
+    }
+
+    req.apiKey = await apiKeyService.verifyApiKey(apiKey, { ip: req.ip });
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a scope on the authenticated key. Use after apiKeyRequired.
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey?.scopes?.includes(scope)) {
+      return next(ApiError.forbidden(`This API key is missing the ${scope} scope`));
+    }
+    next();
+  };
+}
+
+export default apiKeyRequired;
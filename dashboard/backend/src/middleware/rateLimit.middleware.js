@@ -149,3 +149,43 @@ export const uploadRateLimiter = rateLimit({
     return `upload:${req.ip}:${userId}`;
   },
 });
+
+/**
+ * Rate limiter for public survey submissions
+ * Keyed per survey and IP so one busy survey can't starve another
+ */
+export const submissionRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  store: getStore(),
+  message: {
+    success: false,
+    message: 'Too many submissions, please try again later',
+    error: {
+      code: 'SUBMISSION_RATE_LIMIT_EXCEEDED',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `submit:${req.params.surveyKey}:${req.ip}`,
+});
+
+/**
+ * Per-key rate limiter for the /api/v1 public API.
+ * Must run after apiKeyRequired; the limit comes from the key itself.
+ */
+export const apiKeyUsageRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  store: getStore(),
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please try again later',
+    error: {
+      code: 'API_KEY_USAGE_RATE_LIMIT_EXCEEDED',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `apikey:${req.apiKey.keyId}`,
+});
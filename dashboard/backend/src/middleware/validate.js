@@ -1,6 +1,6 @@
-export function validate(schema) {
+export function validate(schema, property = "body") {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body, {
+    const { error, value } = schema.validate(req[property], {
       abortEarly: false,
       stripUnknown: true,
     });
@@ -18,7 +18,7 @@ export function validate(schema) {
       });
     }
 
-    req.body = value;
+    req[property] = value;
     next();
   };
 }
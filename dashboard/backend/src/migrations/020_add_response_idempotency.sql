@@ -0,0 +1,21 @@
+-- ============================================
+-- FILE: backend/src/migrations/020_add_response_idempotency.sql
+-- One stored response per survey session (widget submissions)
+-- ============================================
+
+-- Retries from the embed widget reuse the same session id, so a session
+-- may only ever produce a single response row per survey.
+
+-- Retries stored before this guard existed: keep the session's first response
+DELETE FROM survey_responses r
+USING survey_responses earlier
+WHERE r.session_id IS NOT NULL
+  AND earlier.survey_id = r.survey_id
+  AND earlier.session_id = r.session_id
+  AND (earlier.created_at, earlier.id) < (r.created_at, r.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_survey_responses_survey_session_unique
+  ON survey_responses(survey_id, session_id)
+  WHERE session_id IS NOT NULL;
+
+COMMENT ON INDEX idx_survey_responses_survey_session_unique IS 'Idempotency guard for public response submissions';
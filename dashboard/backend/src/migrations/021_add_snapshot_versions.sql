@@ -0,0 +1,40 @@
+-- ============================================
+-- FILE: backend/src/migrations/021_add_snapshot_versions.sql
+-- Sequential snapshot versions and response → snapshot tagging
+-- ============================================
+
+-- Per-survey version number (1, 2, 3, ...) assigned at publish time
+ALTER TABLE survey_snapshots ADD COLUMN IF NOT EXISTS version INTEGER;
+
+UPDATE survey_snapshots ss
+SET version = numbered.version
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY survey_id ORDER BY created_at, id) AS version
+  FROM survey_snapshots
+) numbered
+WHERE ss.id = numbered.id AND ss.version IS NULL;
+
+ALTER TABLE survey_snapshots ALTER COLUMN version SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_survey_snapshots_survey_version
+  ON survey_snapshots(survey_id, version);
+
+-- Which published version a response answered. The version is copied onto
+-- the response so it survives snapshot cleanup.
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS snapshot_id UUID REFERENCES survey_snapshots(id) ON DELETE SET NULL;
+
+ALTER TABLE survey_responses ADD COLUMN IF NOT EXISTS snapshot_version INTEGER;
+
+UPDATE survey_responses sr
+SET snapshot_id = ss.id, snapshot_version = ss.version
+FROM survey_snapshots ss
+WHERE sr.snapshot_id IS NULL
+  AND ss.survey_id = sr.survey_id
+  AND ss.id::text = sr.response_data->'metadata'->>'snapshotId';
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_snapshot_version
+  ON survey_responses(survey_id, snapshot_version);
+
+COMMENT ON COLUMN survey_snapshots.version IS 'Sequential version per survey, assigned when the snapshot is published';
+COMMENT ON COLUMN survey_responses.snapshot_version IS 'Snapshot version the respondent answered';
@@ -0,0 +1,48 @@
+-- ============================================
+-- FILE: backend/src/migrations/022_create_tenant_members.sql
+-- Team members, roles and email invitations per tenant
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS tenant_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (tenant_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_members_user_id ON tenant_members(user_id);
+
+-- Existing tenant owners become owner members
+INSERT INTO tenant_members (tenant_id, user_id, role)
+SELECT id, owner_id, 'owner'
+FROM tenants
+WHERE owner_id IS NOT NULL
+ON CONFLICT (tenant_id, user_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS tenant_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_invitations_tenant_id ON tenant_invitations(tenant_id);
+
+-- Only one open invitation per email and tenant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_invitations_pending_email
+  ON tenant_invitations(tenant_id, LOWER(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+COMMENT ON TABLE tenant_members IS 'Users with access to a tenant and their role';
+COMMENT ON TABLE tenant_invitations IS 'Email invitations to join a tenant (token stored as SHA-256 hash)';
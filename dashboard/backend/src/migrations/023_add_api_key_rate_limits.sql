@@ -0,0 +1,15 @@
+-- ============================================
+-- FILE: backend/src/migrations/023_add_api_key_rate_limits.sql
+-- Per-key rate limits for the /api/v1 public API
+-- ============================================
+
+ALTER TABLE tenant_api_keys
+  ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER NOT NULL DEFAULT 60
+  CHECK (rate_limit_per_minute > 0);
+
+-- Exports can be requested by an API key instead of a user
+ALTER TABLE export_jobs
+  ADD COLUMN IF NOT EXISTS requested_by_api_key_id UUID REFERENCES tenant_api_keys(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN tenant_api_keys.rate_limit_per_minute IS 'Requests per minute allowed for this key on /api/v1';
+COMMENT ON COLUMN export_jobs.requested_by_api_key_id IS 'API key that requested the export (NULL for dashboard users)';
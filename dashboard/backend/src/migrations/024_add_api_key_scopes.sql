@@ -0,0 +1,25 @@
+-- ============================================
+-- FILE: backend/src/migrations/024_add_api_key_scopes.sql
+-- Scopes, expiry, IP allowlists and rotation for tenant API keys
+-- ============================================
+
+-- Keys that predate scopes keep full access so existing integrations continue to work
+ALTER TABLE tenant_api_keys
+  ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL
+  DEFAULT ARRAY['surveys:read', 'surveys:write', 'responses:read', 'exports:create'];
+
+ALTER TABLE tenant_api_keys ALTER COLUMN scopes DROP DEFAULT;
+
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- Empty/NULL allowlist = any address
+ALTER TABLE tenant_api_keys ADD COLUMN IF NOT EXISTS allowed_ips CIDR[];
+
+-- Set on the old key when it is rotated; the old key stays valid until expires_at
+ALTER TABLE tenant_api_keys
+  ADD COLUMN IF NOT EXISTS replaced_by_id UUID REFERENCES tenant_api_keys(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN tenant_api_keys.scopes IS 'Permissions granted to the key, e.g. surveys:read';
+COMMENT ON COLUMN tenant_api_keys.expires_at IS 'Key stops working after this time (NULL = never)';
+COMMENT ON COLUMN tenant_api_keys.allowed_ips IS 'Client addresses/CIDR ranges allowed to use the key';
+COMMENT ON COLUMN tenant_api_keys.replaced_by_id IS 'Key that replaced this one during rotation';
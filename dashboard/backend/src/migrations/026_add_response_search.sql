@@ -0,0 +1,30 @@
+-- ============================================
+-- FILE: backend/src/migrations/026_add_response_search.sql
+-- Indexes for browsing, filtering and searching stored responses
+-- ============================================
+
+-- String answers; choice and rating answers are matched with the answers filter
+-- (036 narrows this to free-text answers once choice answers became option ids)
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS answers_tsv TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector(
+      'simple',
+      jsonb_path_query_array(response_data, '$.answers[*].answer ? (@.type() == "string")')
+    )
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_answers_tsv
+  ON survey_responses USING GIN (answers_tsv);
+
+-- "Answer to question X equals Y" filters use JSONB containment
+CREATE INDEX IF NOT EXISTS idx_survey_responses_answers
+  ON survey_responses USING GIN ((response_data -> 'answers') jsonb_path_ops);
+
+-- Cursor pagination within a survey, newest first
+CREATE INDEX IF NOT EXISTS idx_survey_responses_survey_created
+  ON survey_responses(survey_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_survey_country
+  ON survey_responses(survey_id, country_code);
+
+COMMENT ON COLUMN survey_responses.answers_tsv IS 'Full-text index of text answers';
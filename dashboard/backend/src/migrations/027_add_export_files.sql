@@ -0,0 +1,14 @@
+-- ============================================
+-- FILE: backend/src/migrations/027_add_export_files.sql
+-- Exports generated by the dashboard's own export worker
+-- ============================================
+ALTER TABLE export_jobs
+  ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS file_key VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS file_size BIGINT,
+  ADD COLUMN IF NOT EXISTS row_count INTEGER,
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+COMMENT ON TABLE export_jobs IS 'Survey response exports and their generated files';
+COMMENT ON COLUMN export_jobs.options IS 'Export request options: dateRange, includeMetadata';
+COMMENT ON COLUMN export_jobs.file_key IS 'Storage key of the generated file (local path or S3 key); served only through signed links';
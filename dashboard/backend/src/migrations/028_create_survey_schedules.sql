@@ -0,0 +1,52 @@
+-- ============================================
+-- FILE: backend/src/migrations/028_create_survey_schedules.sql
+-- Recurring per-survey exports and metric digests, with run history
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS survey_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survey_id UUID NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('export', 'digest')),
+  cron_expression VARCHAR(100) NOT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  recipients TEXT[] NOT NULL,
+  -- Only used by export schedules
+  format VARCHAR(10) NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'json', 'xlsx')),
+  -- Only cover responses received since the last successful run
+  incremental BOOLEAN NOT NULL DEFAULT TRUE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_survey_schedules_survey_id ON survey_schedules(survey_id);
+CREATE INDEX IF NOT EXISTS idx_survey_schedules_due ON survey_schedules(next_run_at) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS survey_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_id UUID NOT NULL REFERENCES survey_schedules(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (triggered_by IN ('schedule', 'manual')),
+  -- Responses covered by this run; window_start is NULL for a full export
+  window_start TIMESTAMP,
+  window_end TIMESTAMP NOT NULL,
+  export_job_id UUID REFERENCES export_jobs(id) ON DELETE SET NULL,
+  response_count INTEGER,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_survey_schedule_runs_schedule ON survey_schedule_runs(schedule_id, created_at DESC);
+
+COMMENT ON TABLE survey_schedules IS 'Recurring exports and digests emailed to a list of recipients';
+COMMENT ON TABLE survey_schedule_runs IS 'One row per execution of a survey schedule';
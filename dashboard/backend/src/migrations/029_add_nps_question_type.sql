@@ -0,0 +1,14 @@
+-- ============================================
+-- FILE: backend/src/migrations/029_add_nps_question_type.sql
+-- Allow yes_no and nps questions
+-- ============================================
+
+-- The constraint from 004 kept its name when question_type was renamed to type in 018
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_type_check;
+
+ALTER TABLE questions
+  ADD CONSTRAINT questions_type_check
+  CHECK (type IN ('multiple_choice', 'text', 'rating', 'yes_no', 'nps'));
+
+COMMENT ON COLUMN questions.type IS 'Type: multiple_choice, text, rating, yes_no or nps (0-10 Net Promoter Score)';
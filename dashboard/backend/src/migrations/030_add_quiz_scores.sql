@@ -0,0 +1,15 @@
+-- ============================================
+-- FILE: backend/src/migrations/030_add_quiz_scores.sql
+-- Scores of quiz submissions
+-- ============================================
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS score INTEGER,
+  ADD COLUMN IF NOT EXISTS max_score INTEGER,
+  ADD COLUMN IF NOT EXISTS passed BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_quiz
+  ON survey_responses(survey_id) WHERE score IS NOT NULL;
+
+COMMENT ON COLUMN survey_responses.score IS 'Quiz points earned (NULL for non-quiz surveys); per-question results are in response_data.quiz';
+COMMENT ON COLUMN survey_responses.max_score IS 'Quiz points available on the respondent''s path';
+COMMENT ON COLUMN survey_responses.passed IS 'Whether the score met config.quiz.passThreshold (NULL without a threshold)';
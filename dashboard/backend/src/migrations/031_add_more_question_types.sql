@@ -0,0 +1,15 @@
+-- ============================================
+-- FILE: backend/src/migrations/031_add_more_question_types.sql
+-- Allow checkbox, dropdown, ranking, matrix, date, email and number questions
+-- ============================================
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_type_check;
+
+ALTER TABLE questions
+  ADD CONSTRAINT questions_type_check
+  CHECK (type IN (
+    'multiple_choice', 'text', 'rating', 'yes_no', 'nps',
+    'checkbox', 'dropdown', 'ranking', 'matrix', 'date', 'email', 'number'
+  ));
+
+COMMENT ON COLUMN questions.type IS 'Type: multiple_choice, text, rating, yes_no, nps, checkbox, dropdown, ranking, matrix (rows in meta.rows, columns in meta.options), date, email or number';
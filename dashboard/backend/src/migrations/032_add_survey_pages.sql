@@ -0,0 +1,10 @@
+-- ============================================
+-- FILE: backend/src/migrations/032_add_survey_pages.sql
+-- Multi-page surveys: page definitions per survey
+-- ============================================
+
+-- [{ key, title, description, conditional: { showIf, jumps } }]
+-- Questions join a page through questions.meta.page (the page key)
+ALTER TABLE surveys ADD COLUMN IF NOT EXISTS pages JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN surveys.pages IS 'Ordered page (section) definitions; empty shows one question per screen';
@@ -0,0 +1,34 @@
+-- ============================================
+-- FILE: backend/src/migrations/033_add_survey_availability.sql
+-- Open/close windows and response caps for published surveys
+-- ============================================
+
+-- scheduled: published but opens_at not reached yet
+-- closed: published but closes_at passed or max_responses reached
+ALTER TABLE surveys DROP CONSTRAINT IF EXISTS surveys_status_check;
+
+ALTER TABLE surveys
+  ADD CONSTRAINT surveys_status_check
+  CHECK (status IN ('draft', 'scheduled', 'published', 'closed', 'archived'));
+
+ALTER TABLE surveys
+  ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS max_responses INTEGER CHECK (max_responses > 0),
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_reason VARCHAR(20)
+    CHECK (closed_reason IN ('closes_at', 'max_responses'));
+
+ALTER TABLE surveys
+  ADD CONSTRAINT surveys_window_check CHECK (opens_at IS NULL OR closes_at IS NULL OR closes_at > opens_at);
+
+-- Polled every minute by the schedule worker
+CREATE INDEX IF NOT EXISTS idx_surveys_opens_at ON surveys(opens_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_surveys_open_with_limits ON surveys(closes_at)
+  WHERE status = 'published' AND (closes_at IS NOT NULL OR max_responses IS NOT NULL);
+
+COMMENT ON COLUMN surveys.opens_at IS 'Responses are accepted from this instant; NULL opens on publish';
+COMMENT ON COLUMN surveys.closes_at IS 'Responses are rejected from this instant; NULL never closes';
+COMMENT ON COLUMN surveys.max_responses IS 'Close after this many responses; NULL for no cap';
+COMMENT ON COLUMN surveys.timezone IS 'IANA time zone the window was entered in, for display and notifications';
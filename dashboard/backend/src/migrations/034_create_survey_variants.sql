@@ -0,0 +1,39 @@
+-- ============================================
+-- FILE: backend/src/migrations/034_create_survey_variants.sql
+-- A/B test variants of a survey, served under the survey's key
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS survey_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survey_id UUID NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+  key VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  -- Relative share of new sessions; 0 stops assigning the variant
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight BETWEEN 0 AND 1000),
+  -- { title, description, theme, questions: { [questionId]: { text } }, questionOrder: [questionId] }
+  overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (survey_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_survey_variants_survey_id ON survey_variants(survey_id);
+
+-- The variant a session was assigned (on its survey_view) and answered
+ALTER TABLE survey_events
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES survey_variants(id) ON DELETE SET NULL;
+
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES survey_variants(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_survey_events_variant
+  ON survey_events(variant_id, event_type) WHERE variant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_survey_events_session_variant
+  ON survey_events(survey_id, session_id) WHERE variant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_survey_responses_variant
+  ON survey_responses(variant_id) WHERE variant_id IS NOT NULL;
+
+COMMENT ON TABLE survey_variants IS 'Variants of a published survey (wording, question order, theme) assigned per session by weight';
+COMMENT ON COLUMN survey_events.variant_id IS 'A/B variant shown to the session';
+COMMENT ON COLUMN survey_responses.variant_id IS 'A/B variant the response was given to';
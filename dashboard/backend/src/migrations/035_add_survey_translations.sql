@@ -0,0 +1,21 @@
+-- ============================================
+-- FILE: backend/src/migrations/035_add_survey_translations.sql
+-- Multi-language surveys: translations per locale and the response locale
+-- ============================================
+
+-- BCP 47 tag of the language the survey is written in
+ALTER TABLE surveys ADD COLUMN IF NOT EXISTS default_locale VARCHAR(35) NOT NULL DEFAULT 'en';
+
+-- { [locale]: { title, description, thankYouMessage, passMessage, failMessage,
+--               questions: { [questionId]: { text, options: { [option]: label }, rows: { [row]: label } } } } }
+-- Options and rows are keyed by their default-locale text, which answers store
+ALTER TABLE surveys ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE survey_responses ADD COLUMN IF NOT EXISTS locale VARCHAR(35);
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_locale
+  ON survey_responses(survey_id, locale) WHERE locale IS NOT NULL;
+
+COMMENT ON COLUMN surveys.default_locale IS 'Locale of the survey''s own texts; answers are stored in this locale''s option texts';
+COMMENT ON COLUMN surveys.translations IS 'Translated survey, question, option and thank-you texts by locale';
+COMMENT ON COLUMN survey_responses.locale IS 'Locale the survey was answered in';
@@ -0,0 +1,37 @@
+-- ============================================
+-- FILE: backend/src/migrations/036_restrict_response_search.sql
+-- Full-text search over free-text answers only
+-- ============================================
+
+-- Choice answers are stored as option ids, which the generated column
+-- indexed along with text answers; only the snapshot knows which is which.
+-- The column is now written on insert from text and email answers.
+ALTER TABLE survey_responses DROP COLUMN IF EXISTS answers_tsv;
+
+ALTER TABLE survey_responses ADD COLUMN answers_tsv TSVECTOR;
+
+UPDATE survey_responses sr
+SET answers_tsv = to_tsvector('simple', COALESCE((
+  SELECT string_agg(answer->>'answer', ' ')
+  FROM jsonb_array_elements(sr.response_data->'answers') AS answer
+  JOIN jsonb_array_elements(ss.snapshot->'questions') AS question
+    ON question->>'id' = answer->>'questionId'
+  WHERE question->>'type' IN ('text', 'email')
+    AND jsonb_typeof(answer->'answer') = 'string'
+), ''))
+FROM survey_snapshots ss
+WHERE ss.id = sr.snapshot_id;
+
+-- Responses without a snapshot predate option ids; their string answers
+-- are texts, so they keep the previous index
+UPDATE survey_responses
+SET answers_tsv = to_tsvector(
+  'simple',
+  jsonb_path_query_array(response_data, '$.answers[*].answer ? (@.type() == "string")')
+)
+WHERE answers_tsv IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_survey_responses_answers_tsv
+  ON survey_responses USING GIN (answers_tsv);
+
+COMMENT ON COLUMN survey_responses.answers_tsv IS 'Full-text index of text and email answers, written on insert';
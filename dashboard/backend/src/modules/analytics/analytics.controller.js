@@ -81,6 +81,36 @@ class AnalyticsController {
     ApiResponse.success(res, 200, 'Chart data retrieved', chartData);
   });
 
+  /**
+   * GET /api/analytics/surveys/:id/quiz
+   * Get quiz scores and per-question difficulty
+   */
+  getQuizAnalytics = asyncHandler(async (req, res) => {
+    const quiz = await analyticsService.getQuizAnalytics(req.params.id, req.user.userId);
+
+    ApiResponse.success(res, 200, 'Quiz analytics retrieved', quiz);
+  });
+
+  /**
+   * GET /api/analytics/surveys/:id/order-bias
+   * Answer and selection rates by presented position for shuffled surveys
+   */
+  getOrderBias = asyncHandler(async (req, res) => {
+    const orderBias = await analyticsService.getOrderBiasAnalytics(req.params.id, req.user.userId);
+
+    ApiResponse.success(res, 200, 'Order bias retrieved', orderBias);
+  });
+
+  /**
+   * GET /api/analytics/surveys/:id/variants
+   * A/B variant comparison with significance tests
+   */
+  getVariantComparison = asyncHandler(async (req, res) => {
+    const comparison = await analyticsService.getVariantComparison(req.params.id, req.user.userId);
+
+    ApiResponse.success(res, 200, 'Variant comparison retrieved', comparison);
+  });
+
   /**
    * GET /api/analytics/surveys/:id/export
    * Export analytics data
@@ -21,6 +21,15 @@ router.get('/surveys/:id/summary', analyticsController.getSurveySummary);
 // Question-level analytics
 router.get('/surveys/:id/questions', analyticsController.getQuestionAnalytics);
 
+// Quiz scores and question difficulty
+router.get('/surveys/:id/quiz', analyticsController.getQuizAnalytics);
+
+// Answer rates by presented position when questions or options are shuffled
+router.get('/surveys/:id/order-bias', analyticsController.getOrderBias);
+
+// A/B variant completion rates and answer distributions
+router.get('/surveys/:id/variants', analyticsController.getVariantComparison);
+
 // Chart data for visualizations
 router.get('/surveys/:id/overview-chart', analyticsController.getOverviewChart);
 
@@ -6,7 +6,29 @@ import { v4 as uuidv4 } from 'uuid';
 import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
 import microSurveyClient from '../../services/microSurveyClient.js';
+import membersService from '../tenants/members.service.js';
 import { logger } from '../../lib/logger.js';
+import { calculateNps, npsSegment, NPS_MIN, NPS_MAX } from '../../utils/nps.js';
+import { chiSquareTest } from '../../utils/statistics.js';
+import translationService from '../../services/translationService.js';
+import { optionId, optionText } from '../../utils/options.js';
+
+// Scores given to one question, one row per response
+const NPS_SCORES_SQL = `
+  SELECT r.created_at, (a->>'answer')::int AS score
+  FROM survey_responses r
+  CROSS JOIN LATERAL jsonb_array_elements(r.response_data->'answers') a
+  WHERE r.survey_id = $1
+    AND a->>'questionId' = $2
+    AND jsonb_typeof(a->'answer') = 'number'`;
+
+// Questions whose answers are compared across A/B variants
+const VARIANT_COMPARED_TYPES = ['multiple_choice', 'checkbox', 'dropdown', 'rating', 'nps'];
+
+const NPS_SEGMENT_COUNTS_SQL = `
+  COUNT(*) FILTER (WHERE score >= 9) AS promoters,
+  COUNT(*) FILTER (WHERE score BETWEEN 7 AND 8) AS passives,
+  COUNT(*) FILTER (WHERE score <= 6) AS detractors`;
 
 class AnalyticsService {
   /**
@@ -57,9 +79,11 @@ class AnalyticsService {
     }
 
     // Fetch from Micro-Survey and local DB
-    const [microSurveyData, localEvents] = await Promise.all([
+    const [microSurveyData, localEvents, nps, quiz] = await Promise.all([
       this.fetchMicroSurveyAnalytics(surveyId),
       this.fetchLocalEvents(surveyId),
+      this.getNps(surveyId),
+      this.getQuizStats(surveyId),
     ]);
 
     // Aggregate data
@@ -83,6 +107,12 @@ class AnalyticsService {
       
       // Time series (last 30 days)
       timeline: await this.getTimeline(surveyId, 30),
+
+      // Score and segment breakdown; null unless the survey asks an NPS question
+      nps,
+
+      // Average score and pass rate; null unless the survey is a quiz
+      quiz,
     };
 
     // Cache results
@@ -92,7 +122,8 @@ class AnalyticsService {
   }
 
   /**
-   * Get question-level analytics
+   * Get question-level analytics. Answers given in any language count
+   * towards the same option, and responses are broken down by locale.
    */
   async getQuestionAnalytics(surveyId, userId) {
     await this.verifySurveyAccess(surveyId, userId);
@@ -117,13 +148,11 @@ class AnalyticsService {
     const responsesData = await microSurveyClient.getResults(
       survey.rows[0].microsurvey_id
     );
+    const allResponses = translationService.canonicalizeResponses(snapshot, responsesData.responses || []);
 
     // Aggregate question-level stats
     const questionStats = questions.map(question => {
-      const responses = this.filterResponsesByQuestion(
-        responsesData.responses || [],
-        question.id
-      );
+      const responses = this.filterResponsesByQuestion(allResponses, question.id);
 
       return {
         questionId: question.id,
@@ -138,6 +167,7 @@ class AnalyticsService {
       surveyId,
       totalQuestions: questions.length,
       questions: questionStats,
+      locales: await this.getLocaleBreakdown(surveyId),
     };
   }
 
@@ -155,14 +185,230 @@ class AnalyticsService {
     // Conversion funnel
     const funnelData = await this.getFunnelData(surveyId);
 
+    const npsTrend = await this.getNpsTrend(surveyId, days, granularity);
+
     return {
       surveyId,
       timeSeries: timeSeriesData,
       funnel: funnelData,
+      npsTrend,
       generatedAt: new Date().toISOString(),
     };
   }
 
+  /**
+   * Quiz scores and per-question difficulty
+   */
+  async getQuizAnalytics(surveyId, userId) {
+    await this.verifySurveyAccess(surveyId, userId);
+
+    const stats = await this.getQuizStats(surveyId);
+    if (!stats) {
+      throw ApiError.badRequest('Survey is not a quiz');
+    }
+
+    return {
+      surveyId,
+      ...stats,
+      questions: await this.getQuestionDifficulty(surveyId),
+    };
+  }
+
+  /**
+   * Order bias for surveys with shuffled questions or options
+   */
+  async getOrderBiasAnalytics(surveyId, userId) {
+    await this.verifySurveyAccess(surveyId, userId);
+
+    return { surveyId, ...await this.getOrderBias(surveyId) };
+  }
+
+  /**
+   * From the presented order recorded on responses: how often each shuffled
+   * option was picked (ranked first, for ranking questions) per display
+   * position, and how often questions were answered per position.
+   * Uses the most recent responses only.
+   */
+  async getOrderBias(surveyId, limit = 10000) {
+    const [questionsResult, responsesResult] = await Promise.all([
+      db.query(
+        `SELECT ss.snapshot->'questions' AS questions
+         FROM surveys s
+         JOIN survey_snapshots ss ON ss.id = s.published_snapshot_id
+         WHERE s.id = $1`,
+        [surveyId]
+      ),
+      db.query(
+        `SELECT response_data->'presentedOrder' AS presented_order, response_data->'answers' AS answers
+         FROM survey_responses
+         WHERE survey_id = $1 AND response_data ? 'presentedOrder'
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [surveyId, limit]
+      ),
+    ]);
+
+    const questionsById = new Map((questionsResult.rows[0]?.questions || []).map(q => [q.id, q]));
+    const questionPositions = [];
+    const optionPositions = new Map();
+    const bump = (list, idx, field, by = 1) => {
+      list[idx] = list[idx] || { position: idx + 1, shown: 0, [field]: 0 };
+      list[idx].shown += 1;
+      list[idx][field] += by;
+    };
+
+    for (const row of responsesResult.rows) {
+      const order = row.presented_order || {};
+      const answers = new Map((row.answers || []).map(a => [a.questionId, a.answer]));
+
+      (order.questions || []).forEach((questionId, idx) => {
+        bump(questionPositions, idx, 'answered', answers.has(questionId) ? 1 : 0);
+      });
+
+      for (const [questionId, options] of Object.entries(order.options || {})) {
+        const answer = answers.get(questionId);
+        const ranking = questionsById.get(questionId)?.type === 'ranking';
+        const picked = (option) => {
+          if (answer === undefined) return false;
+          if (ranking) return Array.isArray(answer) && answer[0] === option;
+          return Array.isArray(answer) ? answer.includes(option) : answer === option;
+        };
+
+        if (!optionPositions.has(questionId)) optionPositions.set(questionId, []);
+        options.forEach((option, idx) => bump(optionPositions.get(questionId), idx, 'selected', picked(option) ? 1 : 0));
+      }
+    }
+
+    const rate = (count, shown) => (shown > 0 ? Math.round((count / shown) * 1000) / 10 : 0);
+
+    return {
+      responses: responsesResult.rows.length,
+      questions: questionPositions.filter(Boolean).map(p => ({ ...p, answerRate: rate(p.answered, p.shown) })),
+      options: [...optionPositions.entries()].map(([questionId, positions]) => ({
+        questionId,
+        questionText: questionsById.get(questionId)?.text || null,
+        questionType: questionsById.get(questionId)?.type || null,
+        positions: positions.filter(Boolean).map(p => ({ ...p, selectionRate: rate(p.selected, p.shown) })),
+      })),
+    };
+  }
+
+  /**
+   * A/B test results: completion rate (responses per assigned session) and
+   * answer distributions per variant, each with a chi-square test of
+   * whether they differ across variants. Checkbox answers are not
+   * independent of each other, so their distributions come without a test.
+   */
+  async getVariantComparison(surveyId, userId) {
+    await this.verifySurveyAccess(surveyId, userId);
+
+    const [variantsResult, questionsResult, answersResult] = await Promise.all([
+      db.query(
+        `SELECT v.id, v.key, v.name, v.weight,
+          (SELECT COUNT(*) FROM survey_events e
+           WHERE e.variant_id = v.id AND e.event_type = 'survey_view') AS views,
+          (SELECT COUNT(*) FROM survey_responses r WHERE r.variant_id = v.id) AS completions
+         FROM survey_variants v
+         WHERE v.survey_id = $1
+         ORDER BY v.created_at, v.key`,
+        [surveyId]
+      ),
+      db.query(
+        `SELECT ss.snapshot->'questions' AS questions
+         FROM surveys s
+         JOIN survey_snapshots ss ON ss.id = s.published_snapshot_id
+         WHERE s.id = $1`,
+        [surveyId]
+      ),
+      db.query(
+        `SELECT r.variant_id, a->>'questionId' AS question_id, a->'answer' AS answer, COUNT(*) AS count
+         FROM survey_responses r
+         CROSS JOIN LATERAL jsonb_array_elements(r.response_data->'answers') a
+         WHERE r.survey_id = $1 AND r.variant_id IS NOT NULL
+         GROUP BY r.variant_id, a->>'questionId', a->'answer'`,
+        [surveyId]
+      ),
+    ]);
+
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+    const variants = variantsResult.rows.map(v => {
+      const views = parseInt(v.views, 10);
+      const completions = parseInt(v.completions, 10);
+      return {
+        id: v.id,
+        key: v.key,
+        name: v.name,
+        weight: v.weight,
+        views,
+        completions,
+        completionRate: rate(completions, views),
+      };
+    });
+
+    // question id -> variant id -> { respondents, counts: { answer: count } }
+    const tallies = new Map();
+    for (const row of answersResult.rows) {
+      if (!tallies.has(row.question_id)) tallies.set(row.question_id, new Map());
+      const byVariant = tallies.get(row.question_id);
+      if (!byVariant.has(row.variant_id)) byVariant.set(row.variant_id, { respondents: 0, counts: {} });
+
+      const tally = byVariant.get(row.variant_id);
+      const count = parseInt(row.count, 10);
+      tally.respondents += count;
+      for (const value of Array.isArray(row.answer) ? row.answer : [row.answer]) {
+        tally.counts[String(value)] = (tally.counts[String(value)] || 0) + count;
+      }
+    }
+
+    const questions = (questionsResult.rows[0]?.questions || [])
+      .filter(q => VARIANT_COMPARED_TYPES.includes(q.type))
+      .map(q => {
+        const byVariant = tallies.get(q.id) || new Map();
+        const seen = new Set([...byVariant.values()].flatMap(tally => Object.keys(tally.counts)));
+        const labels = new Map((q.options || [])
+          .filter(opt => optionText(opt))
+          .map(opt => [String(optionId(opt)), optionText(opt)]));
+        const options = [...labels.keys()];
+        // Choice answers in option order, scales in numeric order
+        const answers = ['rating', 'nps'].includes(q.type)
+          ? [...seen].sort((a, b) => Number(a) - Number(b))
+          : [...options.filter(opt => seen.has(opt)), ...[...seen].filter(value => !labels.has(value))];
+
+        const rows = variants.map(v => {
+          const tally = byVariant.get(v.id) || { respondents: 0, counts: {} };
+          return {
+            variantId: v.id,
+            key: v.key,
+            respondents: tally.respondents,
+            distribution: answers.map(answer => ({
+              answer,
+              label: labels.get(answer) ?? answer,
+              count: tally.counts[answer] || 0,
+              percentage: rate(tally.counts[answer] || 0, tally.respondents),
+            })),
+          };
+        });
+
+        return {
+          questionId: q.id,
+          questionText: q.text,
+          questionType: q.type,
+          variants: rows,
+          test: q.type === 'checkbox'
+            ? null
+            : chiSquareTest(rows.map(row => row.distribution.map(entry => entry.count))),
+        };
+      });
+
+    return {
+      surveyId,
+      variants,
+      completionTest: chiSquareTest(variants.map(v => [v.completions, Math.max(v.views - v.completions, 0)])),
+      questions,
+    };
+  }
+
   /**
    * Export analytics data
    */
@@ -189,17 +435,19 @@ class AnalyticsService {
   // HELPER METHODS
   // ============================================
 
-  async verifySurveyAccess(surveyId, userId) {
+  async verifySurveyAccess(surveyId, userId, minRole = 'viewer') {
     const result = await db.query(
-      `SELECT s.id FROM surveys s
-       JOIN tenants t ON s.tenant_id = t.id
-       WHERE s.id = $1 AND t.owner_id = $2`,
+      `SELECT s.id, tm.role FROM surveys s
+       JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $2
+       WHERE s.id = $1`,
       [surveyId, userId]
     );
 
     if (result.rows.length === 0) {
       throw ApiError.forbidden('Survey not found or access denied');
     }
+
+    membersService.assertRole(result.rows[0].role, minRole);
   }
 
   async fetchMicroSurveyAnalytics(surveyId) {
@@ -317,6 +565,174 @@ class AnalyticsService {
     ];
   }
 
+  /**
+   * Responses per answering locale; responses from before translations
+   * existed have none
+   */
+  async getLocaleBreakdown(surveyId) {
+    const result = await db.query(
+      `SELECT locale, COUNT(*) AS count
+       FROM survey_responses
+       WHERE survey_id = $1 AND locale IS NOT NULL
+       GROUP BY locale
+       ORDER BY count DESC, locale`,
+      [surveyId]
+    );
+
+    const total = result.rows.reduce((sum, row) => sum + parseInt(row.count, 10), 0);
+
+    return result.rows.map(row => ({
+      locale: row.locale,
+      count: parseInt(row.count, 10),
+      percentage: Math.round((parseInt(row.count, 10) / total) * 1000) / 10,
+    }));
+  }
+
+  /**
+   * The survey's NPS question from the published snapshot. A survey
+   * with several is scored on the first one.
+   */
+  async getNpsQuestion(surveyId) {
+    const result = await db.query(
+      `SELECT ss.snapshot->'questions' AS questions
+       FROM surveys s
+       JOIN survey_snapshots ss ON ss.id = s.published_snapshot_id
+       WHERE s.id = $1`,
+      [surveyId]
+    );
+
+    return (result.rows[0]?.questions || []).find(q => q.type === 'nps') || null;
+  }
+
+  /**
+   * NPS over all stored responses, or null when there is no NPS question
+   */
+  async getNps(surveyId) {
+    const question = await this.getNpsQuestion(surveyId);
+    if (!question) return null;
+
+    const result = await db.query(
+      `SELECT ${NPS_SEGMENT_COUNTS_SQL} FROM (${NPS_SCORES_SQL}) scores`,
+      [surveyId, question.id]
+    );
+
+    return {
+      questionId: question.id,
+      questionText: question.text,
+      ...calculateNps(this.parseSegmentCounts(result.rows[0])),
+    };
+  }
+
+  /**
+   * NPS per period, for the periods that have answers
+   */
+  async getNpsTrend(surveyId, days = 30, granularity = 'day') {
+    const question = await this.getNpsQuestion(surveyId);
+    if (!question) return null;
+
+    const dateFormat = granularity === 'hour' ? 'YYYY-MM-DD HH24:00:00' : 'YYYY-MM-DD';
+
+    const result = await db.query(
+      `SELECT TO_CHAR(DATE_TRUNC($4, created_at), $5) AS period, ${NPS_SEGMENT_COUNTS_SQL}
+       FROM (${NPS_SCORES_SQL}) scores
+       WHERE created_at >= NOW() - INTERVAL '1 day' * $3
+       GROUP BY period
+       ORDER BY period ASC`,
+      [surveyId, question.id, days, granularity, dateFormat]
+    );
+
+    return result.rows.map(row => ({
+      date: row.period,
+      ...calculateNps(this.parseSegmentCounts(row)),
+    }));
+  }
+
+  parseSegmentCounts(row = {}) {
+    return {
+      promoters: parseInt(row.promoters || 0),
+      passives: parseInt(row.passives || 0),
+      detractors: parseInt(row.detractors || 0),
+    };
+  }
+
+  async getQuizStats(surveyId) {
+    const result = await db.query(
+      `SELECT
+        COUNT(r.id) AS responses,
+        AVG(r.score) AS average_score,
+        AVG(r.score::numeric / NULLIF(r.max_score, 0)) * 100 AS average_percentage,
+        COUNT(r.id) FILTER (WHERE r.passed) AS passed,
+        COUNT(r.id) FILTER (WHERE r.passed IS NOT NULL) AS graded
+      FROM surveys s
+      LEFT JOIN survey_responses r ON r.survey_id = s.id AND r.score IS NOT NULL
+      WHERE s.id = $1 AND s.survey_type = 'quiz'
+      GROUP BY s.id`,
+      [surveyId]
+    );
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    const round = (value) => (value === null ? null : Math.round(parseFloat(value) * 10) / 10);
+    const graded = parseInt(row.graded || 0);
+
+    return {
+      responses: parseInt(row.responses || 0),
+      averageScore: round(row.average_score),
+      averagePercentage: round(row.average_percentage),
+      passRate: graded > 0 ? round((parseInt(row.passed) / graded) * 100) : null,
+    };
+  }
+
+  /**
+   * Percent of respondents shown each scored question who got it right,
+   * in published order (questions dropped since then come last)
+   */
+  async getQuestionDifficulty(surveyId) {
+    const [questionsResult, statsResult] = await Promise.all([
+      db.query(
+        `SELECT ss.snapshot->'questions' AS questions
+         FROM surveys s
+         JOIN survey_snapshots ss ON ss.id = s.published_snapshot_id
+         WHERE s.id = $1`,
+        [surveyId]
+      ),
+      db.query(
+        `SELECT q->>'questionId' AS question_id,
+          COUNT(*) AS attempts,
+          COUNT(*) FILTER (WHERE (q->>'correct')::boolean) AS correct,
+          AVG((q->>'points')::numeric) AS average_points,
+          MAX((q->>'maxPoints')::numeric) AS max_points
+        FROM survey_responses r
+        CROSS JOIN LATERAL jsonb_array_elements(r.response_data->'quiz'->'questions') q
+        WHERE r.survey_id = $1 AND r.score IS NOT NULL
+        GROUP BY question_id`,
+        [surveyId]
+      ),
+    ]);
+
+    const order = (questionsResult.rows[0]?.questions || []).map(q => q.id);
+    const textById = new Map((questionsResult.rows[0]?.questions || []).map(q => [q.id, q.text]));
+    const position = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+
+    return statsResult.rows
+      .map(row => {
+        const attempts = parseInt(row.attempts);
+        const correct = parseInt(row.correct);
+
+        return {
+          questionId: row.question_id,
+          questionText: textById.get(row.question_id) || null,
+          attempts,
+          correct,
+          percentCorrect: attempts > 0 ? Math.round((correct / attempts) * 1000) / 10 : 0,
+          averagePoints: Math.round(parseFloat(row.average_points) * 100) / 100,
+          maxPoints: parseFloat(row.max_points),
+        };
+      })
+      .sort((a, b) => position(a.questionId) - position(b.questionId));
+  }
+
   calculateCompletionRate(starts, completions) {
     if (starts === 0) return 0;
     return ((completions / starts) * 100).toFixed(2);
@@ -359,47 +775,123 @@ class AnalyticsService {
   aggregateQuestionResponses(question, responses) {
     switch (question.type) {
       case 'multiple_choice':
+      case 'checkbox':
+      case 'dropdown':
         return this.aggregateMultipleChoice(question, responses);
+      case 'ranking':
+        return this.aggregateRanking(question, responses);
+      case 'matrix':
+        return this.aggregateMatrix(question, responses);
       case 'rating':
         return this.aggregateRating(question, responses);
       case 'text':
         return this.aggregateText(responses);
       case 'yes_no':
         return this.aggregateYesNo(responses);
+      case 'nps':
+        return this.aggregateNps(question, responses);
+      case 'date':
+        return this.aggregateDate(question, responses);
+      case 'email':
+        return this.aggregateEmail(question, responses);
+      case 'number':
+        return this.aggregateNumber(question, responses);
       default:
         return {};
     }
   }
 
+  answersFor(question, responses) {
+    return responses
+      .map(r => r.answers?.find(a => a.questionId === question.id)?.answer)
+      .filter(a => a !== undefined && a !== null && a !== '');
+  }
+
   aggregateMultipleChoice(question, responses) {
     const optionCounts = {};
-    const options = question.options || [];
-    
+    const labels = new Map((question.options || []).map(opt => [optionId(opt), optionText(opt)]));
+
     // Initialize counts
-    options.forEach(opt => {
-      const optText = typeof opt === 'string' ? opt : opt.text;
-      optionCounts[optText] = 0;
-    });
+    for (const id of labels.keys()) {
+      optionCounts[id] = 0;
+    }
 
-    // Count responses
-    responses.forEach(response => {
-      const answer = response.answers?.find(a => a.questionId === question.id);
-      if (answer && answer.answer) {
-        optionCounts[answer.answer] = (optionCounts[answer.answer] || 0) + 1;
-      }
+    // Count responses; multi-select answers count once per selected option
+    this.answersFor(question, responses).forEach(answer => {
+      (Array.isArray(answer) ? answer : [answer]).forEach(selection => {
+        optionCounts[selection] = (optionCounts[selection] || 0) + 1;
+      });
     });
 
     const total = responses.length;
     
     return {
-      optionBreakdown: Object.entries(optionCounts).map(([option, count]) => ({
-        option,
+      optionBreakdown: Object.entries(optionCounts).map(([id, count]) => ({
+        optionId: id,
+        option: labels.get(id) ?? id,
         count,
         percentage: total > 0 ? ((count / total) * 100).toFixed(2) : 0,
       })),
     };
   }
 
+  // Average position per option (1 = ranked first), best first
+  aggregateRanking(question, responses) {
+    const rankings = this.answersFor(question, responses).filter(Array.isArray);
+    const stats = new Map((question.options || []).map(opt => [
+      optionId(opt),
+      { label: optionText(opt), rankSum: 0, ranked: 0, firstChoice: 0 },
+    ]));
+
+    rankings.forEach(ranking => {
+      ranking.forEach((option, index) => {
+        const entry = stats.get(option);
+        if (!entry) return;
+        entry.rankSum += index + 1;
+        entry.ranked++;
+        if (index === 0) entry.firstChoice++;
+      });
+    });
+
+    return {
+      ranking: [...stats.entries()]
+        .map(([id, { label, rankSum, ranked, firstChoice }]) => ({
+          optionId: id,
+          option: label,
+          averageRank: ranked > 0 ? parseFloat((rankSum / ranked).toFixed(2)) : null,
+          firstChoice,
+        }))
+        .sort((a, b) => (a.averageRank ?? Infinity) - (b.averageRank ?? Infinity)),
+    };
+  }
+
+  // Column counts per row; options are the columns
+  aggregateMatrix(question, responses) {
+    const answers = this.answersFor(question, responses).filter(a => typeof a === 'object' && !Array.isArray(a));
+    const columns = question.options || [];
+
+    return {
+      matrix: (question.rows || []).map(row => {
+        const picks = answers.map(a => a[optionId(row)]).filter(Boolean);
+
+        return {
+          rowId: optionId(row),
+          row: optionText(row),
+          total: picks.length,
+          columns: columns.map(column => {
+            const count = picks.filter(p => p === optionId(column)).length;
+            return {
+              columnId: optionId(column),
+              column: optionText(column),
+              count,
+              percentage: picks.length > 0 ? ((count / picks.length) * 100).toFixed(2) : 0,
+            };
+          }),
+        };
+      }),
+    };
+  }
+
   aggregateRating(question, responses) {
     const ratings = responses
       .map(r => r.answers?.find(a => a.questionId === question.id)?.answer)
@@ -457,6 +949,86 @@ class AnalyticsService {
     };
   }
 
+  aggregateNps(question, responses) {
+    const scores = responses
+      .map(r => r.answers?.find(a => a.questionId === question.id)?.answer)
+      .filter(a => npsSegment(a) !== null);
+
+    const counts = { promoters: 0, passives: 0, detractors: 0 };
+    const distribution = new Array(NPS_MAX - NPS_MIN + 1).fill(0);
+
+    scores.forEach(score => {
+      distribution[score - NPS_MIN]++;
+      counts[`${npsSegment(score)}s`]++;
+    });
+
+    return {
+      nps: calculateNps(counts),
+      distribution: distribution.map((count, i) => ({
+        rating: NPS_MIN + i,
+        count,
+        percentage: scores.length > 0 ? ((count / scores.length) * 100).toFixed(2) : 0,
+      })),
+    };
+  }
+
+  aggregateDate(question, responses) {
+    const dates = this.answersFor(question, responses).filter(a => typeof a === 'string').sort();
+    const byMonth = {};
+
+    dates.forEach(date => {
+      const month = date.slice(0, 7);
+      byMonth[month] = (byMonth[month] || 0) + 1;
+    });
+
+    return {
+      earliest: dates[0] || null,
+      latest: dates[dates.length - 1] || null,
+      byMonth: Object.entries(byMonth).map(([month, count]) => ({ month, count })),
+    };
+  }
+
+  // Domains only: individual addresses are personal data and stay out of analytics
+  aggregateEmail(question, responses) {
+    const emails = this.answersFor(question, responses).filter(a => typeof a === 'string');
+    const domains = {};
+
+    emails.forEach(email => {
+      const domain = email.split('@').pop().toLowerCase();
+      domains[domain] = (domains[domain] || 0) + 1;
+    });
+
+    return {
+      totalCount: emails.length,
+      topDomains: Object.entries(domains)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([domain, count]) => ({ domain, count })),
+    };
+  }
+
+  aggregateNumber(question, responses) {
+    const numbers = this.answersFor(question, responses)
+      .filter(a => typeof a === 'number')
+      .sort((a, b) => a - b);
+
+    if (numbers.length === 0) {
+      return { min: null, max: null, average: 0, median: null };
+    }
+
+    const middle = Math.floor(numbers.length / 2);
+    const median = numbers.length % 2 === 0
+      ? (numbers[middle - 1] + numbers[middle]) / 2
+      : numbers[middle];
+
+    return {
+      min: numbers[0],
+      max: numbers[numbers.length - 1],
+      average: parseFloat((numbers.reduce((sum, n) => sum + n, 0) / numbers.length).toFixed(2)),
+      median,
+    };
+  }
+
   // ============================================
   // CACHING
   // ============================================
@@ -504,6 +1076,17 @@ class AnalyticsService {
     lines.push(`Starts,${summary.starts}`);
     lines.push(`Completions,${summary.completions}`);
     lines.push(`Completion Rate,${summary.completionRate}%`);
+    if (summary.nps) {
+      lines.push(`NPS,${summary.nps.score ?? ''}`);
+      lines.push(`Promoters,${summary.nps.promoters.count},${summary.nps.promoters.percentage}%`);
+      lines.push(`Passives,${summary.nps.passives.count},${summary.nps.passives.percentage}%`);
+      lines.push(`Detractors,${summary.nps.detractors.count},${summary.nps.detractors.percentage}%`);
+    }
+    if (summary.quiz) {
+      lines.push(`Average Score,${summary.quiz.averageScore ?? ''}`);
+      lines.push(`Average Percentage,${summary.quiz.averagePercentage ?? ''}%`);
+      lines.push(`Pass Rate,${summary.quiz.passRate ?? ''}%`);
+    }
     lines.push('');
 
     // Questions section
@@ -520,6 +1103,22 @@ class AnalyticsService {
           lines.push(`"${opt.option}",${opt.count},${opt.percentage}%`);
         });
       }
+
+      if (q.ranking) {
+        lines.push('Option,Average Rank,First Choice');
+        q.ranking.forEach(opt => {
+          lines.push(`"${opt.option}",${opt.averageRank ?? ''},${opt.firstChoice}`);
+        });
+      }
+
+      if (q.matrix) {
+        lines.push('Row,Column,Count,Percentage');
+        q.matrix.forEach(row => {
+          row.columns.forEach(col => {
+            lines.push(`"${row.row}","${col.column}",${col.count},${col.percentage}%`);
+          });
+        });
+      }
     });
 
     return lines.join('\n');
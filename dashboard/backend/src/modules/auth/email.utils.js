@@ -116,6 +116,209 @@ class EmailService {
     throw new Error('Email provider not configured for production');
   }
 
+  /**
+   * Send team invitation email
+   * @param {string} email - Invited email address
+   * @param {string} tenantName - Tenant the user is invited to
+   * @param {string} inviterName - Name of the inviting member
+   * @param {string} role - Role granted on acceptance
+   * @param {string} invitationToken - Invitation token
+   */
+  async sendTeamInvitation(email, tenantName, inviterName, role, invitationToken) {
+    const acceptUrl = `${this.frontendUrl}/invitations/accept?token=${invitationToken}`;
+
+    if (config.nodeEnv === 'development' || config.nodeEnv === 'test') {
+      logger.info('📧 [STUB] Team invitation', {
+        to: email,
+        tenantName,
+        role,
+        acceptUrl,
+      });
+
+      console.log('\n' + '='.repeat(70));
+      console.log('📧 TEAM INVITATION (DEVELOPMENT MODE)');
+      console.log('='.repeat(70));
+      console.log(`To: ${email}`);
+      console.log(`Subject: You've been invited to join ${tenantName}`);
+      console.log('');
+      console.log(`${inviterName || 'A teammate'} invited you to join ${tenantName} as ${role}.`);
+      console.log('');
+      console.log('Accept the invitation here:');
+      console.log('');
+      console.log(`  ${acceptUrl}`);
+      console.log('');
+      console.log('This link will expire in 7 days.');
+      console.log('='.repeat(70) + '\n');
+
+      return { success: true, messageId: 'stub_' + Date.now() };
+    }
+
+    throw new Error('Email provider not configured for production');
+  }
+
+  /**
+   * Send a scheduled export's download link
+   * @param {string[]} recipients - Recipient emails
+   * @param {Object} details - surveyTitle, scheduleName, format, responseCount, downloadUrl, windowStart, windowEnd
+   */
+  async sendScheduledExport(recipients, details) {
+    const subject = `${details.scheduleName}: ${details.surveyTitle} export`;
+
+    if (config.nodeEnv === 'development' || config.nodeEnv === 'test') {
+      logger.info('📧 [STUB] Scheduled export', {
+        to: recipients,
+        subject,
+        responseCount: details.responseCount,
+      });
+
+      console.log('\n' + '='.repeat(70));
+      console.log('📧 SCHEDULED EXPORT (DEVELOPMENT MODE)');
+      console.log('='.repeat(70));
+      console.log(`To: ${recipients.join(', ')}`);
+      console.log(`Subject: ${subject}`);
+      console.log('');
+      console.log(`${details.responseCount} responses ${this.describeWindow(details.windowStart, details.windowEnd)}.`);
+      console.log(`Download the ${details.format.toUpperCase()} file:`);
+      console.log('');
+      console.log(`  ${details.downloadUrl}`);
+      console.log('');
+      console.log('This link will expire in 7 days.');
+      console.log('='.repeat(70) + '\n');
+
+      return { success: true, messageId: 'stub_' + Date.now() };
+    }
+
+    throw new Error('Email provider not configured for production');
+  }
+
+  /**
+   * Send a digest of survey metrics
+   * @param {string[]} recipients - Recipient emails
+   * @param {Object} details - surveyTitle, scheduleName, windowStart, windowEnd, digest
+   */
+  async sendScheduleDigest(recipients, details) {
+    const subject = `${details.scheduleName}: ${details.surveyTitle} digest`;
+    const { digest } = details;
+
+    if (config.nodeEnv === 'development' || config.nodeEnv === 'test') {
+      logger.info('📧 [STUB] Schedule digest', {
+        to: recipients,
+        subject,
+        newResponses: digest.newResponses,
+      });
+
+      console.log('\n' + '='.repeat(70));
+      console.log('📧 SURVEY DIGEST (DEVELOPMENT MODE)');
+      console.log('='.repeat(70));
+      console.log(`To: ${recipients.join(', ')}`);
+      console.log(`Subject: ${subject}`);
+      console.log('');
+      console.log(`New responses ${this.describeWindow(details.windowStart, details.windowEnd)}: ${digest.newResponses}`);
+      console.log(`Total responses: ${digest.totalResponses}`);
+      for (const question of digest.questions) {
+        console.log('');
+        console.log(`  ${question.text} (${question.answered} answers)`);
+        if (question.average !== null) {
+          console.log(`    Average: ${question.average}`);
+        }
+        for (const top of question.topAnswers) {
+          console.log(`    ${top.answer}: ${top.count}`);
+        }
+      }
+      console.log('='.repeat(70) + '\n');
+
+      return { success: true, messageId: 'stub_' + Date.now() };
+    }
+
+    throw new Error('Email provider not configured for production');
+  }
+
+  /**
+   * Tell the schedule owner a run failed
+   * @param {string[]} recipients - Recipient emails
+   * @param {Object} details - surveyTitle, scheduleName, error, paused, schedulesUrl
+   */
+  async sendScheduleFailure(recipients, details) {
+    const subject = `Scheduled ${details.scheduleName} failed`;
+
+    if (config.nodeEnv === 'development' || config.nodeEnv === 'test') {
+      logger.info('📧 [STUB] Schedule failure', {
+        to: recipients,
+        subject,
+        paused: details.paused,
+      });
+
+      console.log('\n' + '='.repeat(70));
+      console.log('📧 SCHEDULE FAILURE (DEVELOPMENT MODE)');
+      console.log('='.repeat(70));
+      console.log(`To: ${recipients.join(', ')}`);
+      console.log(`Subject: ${subject}`);
+      console.log('');
+      console.log(`The schedule "${details.scheduleName}" for ${details.surveyTitle} failed:`);
+      console.log(`  ${details.error}`);
+      if (details.paused) {
+        console.log('');
+        console.log('It failed several times in a row and has been paused.');
+      }
+      console.log('');
+      console.log(`  ${details.schedulesUrl}`);
+      console.log('='.repeat(70) + '\n');
+
+      return { success: true, messageId: 'stub_' + Date.now() };
+    }
+
+    throw new Error('Email provider not configured for production');
+  }
+
+  /**
+   * Tell tenant owners a scheduled survey opened or closed
+   * @param {string[]} recipients - Recipient emails
+   * @param {Object} details - surveyTitle, event ('opened' | 'closed'), reason, maxResponses, at, surveyUrl
+   */
+  async sendSurveyAvailability(recipients, details) {
+    const subject = `${details.surveyTitle} is now ${details.event === 'opened' ? 'open' : 'closed'}`;
+
+    if (config.nodeEnv === 'development' || config.nodeEnv === 'test') {
+      logger.info('📧 [STUB] Survey availability', {
+        to: recipients,
+        subject,
+        reason: details.reason,
+      });
+
+      console.log('\n' + '='.repeat(70));
+      console.log('📧 SURVEY AVAILABILITY (DEVELOPMENT MODE)');
+      console.log('='.repeat(70));
+      console.log(`To: ${recipients.join(', ')}`);
+      console.log(`Subject: ${subject}`);
+      console.log('');
+      if (details.event === 'opened') {
+        console.log(`${details.surveyTitle} started accepting responses at ${details.at}.`);
+      } else if (details.reason === 'max_responses') {
+        console.log(`${details.surveyTitle} reached its limit of ${details.maxResponses} responses and closed at ${details.at}.`);
+      } else {
+        console.log(`${details.surveyTitle} reached its closing time and stopped accepting responses at ${details.at}.`);
+      }
+      console.log('');
+      console.log(`  ${details.surveyUrl}`);
+      console.log('='.repeat(70) + '\n');
+
+      return { success: true, messageId: 'stub_' + Date.now() };
+    }
+
+    throw new Error('Email provider not configured for production');
+  }
+
+  /**
+   * "since <date>" / "up to <date>" for digest and export emails
+   * @private
+   */
+  describeWindow(windowStart, windowEnd) {
+    const format = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+    return windowStart
+      ? `between ${format(windowStart)} and ${format(windowEnd)} UTC`
+      : `up to ${format(windowEnd)} UTC`;
+  }
+
   /**
    * HTML template for password reset email
    * @private
@@ -165,4 +368,8 @@ export async function sendWelcome(email, name) {
   return emailService.sendWelcome(email, name);
 }
 
+export async function sendTeamInvitation(email, tenantName, inviterName, role, invitationToken) {
+  return emailService.sendTeamInvitation(email, tenantName, inviterName, role, invitationToken);
+}
+
 export default emailService;
@@ -14,6 +14,9 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Analytics look back 1-36 months, 12 by default
+const parseMonths = (value) => Math.min(Math.max(parseInt(value, 10) || 12, 1), 36);
+
 class AdminBillingController {
   // Plans
   createPlan = asyncHandler(async (req, res) => {
@@ -68,6 +71,30 @@ class AdminBillingController {
     const failed = await adminBillingService.getFailedPayments();
     ApiResponse.success(res, 200, 'Failed payments retrieved', { failed });
   });
+
+  getCohortRetention = asyncHandler(async (req, res) => {
+    const cohorts = await adminBillingService.getCohortRetention({ months: parseMonths(req.query.months) });
+    ApiResponse.success(res, 200, 'Cohort retention retrieved', { cohorts });
+  });
+
+  getNetRevenueRetention = asyncHandler(async (req, res) => {
+    const nrr = await adminBillingService.getNetRevenueRetention({ months: parseMonths(req.query.months) });
+    ApiResponse.success(res, 200, 'Net revenue retention retrieved', nrr);
+  });
+
+  getRevenueByPlan = asyncHandler(async (req, res) => {
+    const revenue = await adminBillingService.getRevenueByPlan({ months: parseMonths(req.query.months) });
+    ApiResponse.success(res, 200, 'Revenue by plan retrieved', { revenue });
+  });
+
+  exportCustomers = asyncHandler(async (req, res) => {
+    const csv = await adminBillingService.exportCustomersCSV(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="customers-${date}.csv"`);
+    res.send(csv);
+  });
 }
 
 export default new AdminBillingController();
@@ -25,5 +25,11 @@ router.post('/customers/:userId/quota', adminBillingController.setCustomQuota);
 // Analytics
 router.get('/analytics', adminBillingController.getRevenueAnalytics);
 router.get('/failed-payments', adminBillingController.getFailedPayments);
+router.get('/analytics/cohorts', adminBillingController.getCohortRetention);
+router.get('/analytics/nrr', adminBillingController.getNetRevenueRetention);
+router.get('/analytics/revenue-by-plan', adminBillingController.getRevenueByPlan);
+
+// Exports
+router.get('/exports/customers', adminBillingController.exportCustomers);
 
 export default router;
@@ -5,6 +5,34 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
+import { toCSV } from '../../utils/csv.js';
+
+// Monthly revenue an invoice represents; yearly invoices are spread over twelve months
+const INVOICE_MRR_SQL = `
+  SELECT COALESCE(s.tenant_id, s.user_id) AS customer_id,
+    i.invoice_date,
+    CASE WHEN s.billing_cycle = 'yearly' THEN i.amount_cents / 12.0 ELSE i.amount_cents END AS mrr_cents,
+    CASE WHEN s.billing_cycle = 'yearly' THEN INTERVAL '1 year' ELSE INTERVAL '1 month' END AS covers
+  FROM invoices i
+  JOIN subscriptions s ON i.subscription_id = s.id
+  WHERE i.status = 'paid'`;
+
+const CUSTOMER_CSV_COLUMNS = [
+  { key: 'customer_type', header: 'Customer Type' },
+  { key: 'customer_id', header: 'Customer ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'plan_name', header: 'Plan' },
+  { key: 'status', header: 'Status' },
+  { key: 'billing_cycle', header: 'Billing Cycle' },
+  { key: 'mrr', header: 'MRR' },
+  { key: 'surveys_used', header: 'Surveys Used' },
+  { key: 'responses_used', header: 'Responses Used' },
+  { key: 'ls_subscription_id', header: 'Lemon Squeezy Subscription' },
+  { key: 'subscribed_at', header: 'Subscribed At' },
+  { key: 'renews_at', header: 'Renews At' },
+  { key: 'cancelled_at', header: 'Cancelled At' },
+];
 
 class AdminBillingService {
   // ============================================
@@ -324,6 +352,179 @@ class AdminBillingService {
     };
   }
 
+  /**
+   * Share of each monthly signup cohort still subscribed at the end of
+   * each following month
+   */
+  async getCohortRetention({ months = 12 } = {}) {
+    const result = await db.query(
+      `WITH subs AS (
+        SELECT DATE_TRUNC('month', created_at) AS cohort,
+          CASE WHEN status IN ('cancelled', 'expired')
+            THEN COALESCE(ends_at, cancelled_at, updated_at)
+          END AS churned_at
+        FROM subscriptions
+        WHERE created_at >= DATE_TRUNC('month', NOW()) - make_interval(months => $1 - 1)
+      )
+      SELECT s.cohort, o.month_offset,
+        COUNT(*) AS cohort_size,
+        COUNT(*) FILTER (
+          WHERE s.churned_at IS NULL
+             OR s.churned_at >= s.cohort + make_interval(months => o.month_offset + 1)
+        ) AS retained
+      FROM subs s
+      CROSS JOIN generate_series(0, $1 - 1) AS o(month_offset)
+      WHERE s.cohort + make_interval(months => o.month_offset) <= NOW()
+      GROUP BY s.cohort, o.month_offset
+      ORDER BY s.cohort ASC, o.month_offset ASC`,
+      [months]
+    );
+
+    const cohorts = new Map();
+
+    for (const row of result.rows) {
+      const key = new Date(row.cohort).toISOString();
+      if (!cohorts.has(key)) {
+        cohorts.set(key, { cohort: row.cohort, size: parseInt(row.cohort_size, 10), retention: [] });
+      }
+
+      const cohort = cohorts.get(key);
+      cohort.retention.push(
+        parseFloat(((parseInt(row.retained, 10) / cohort.size) * 100).toFixed(2))
+      );
+    }
+
+    return [...cohorts.values()];
+  }
+
+  /**
+   * Revenue kept from customers who were paying `months` ago, including
+   * expansion, contraction and churn, measured from paid invoices
+   */
+  async getNetRevenueRetention({ months = 12 } = {}) {
+    const result = await db.query(
+      `WITH invoice_mrr AS (${INVOICE_MRR_SQL}),
+      customer_mrr AS (
+        SELECT customer_id,
+          COALESCE(SUM(mrr_cents) FILTER (
+            WHERE invoice_date <= NOW() - make_interval(months => $1)
+              AND invoice_date + covers > NOW() - make_interval(months => $1)
+          ), 0) AS start_mrr,
+          COALESCE(SUM(mrr_cents) FILTER (
+            WHERE invoice_date <= NOW() AND invoice_date + covers > NOW()
+          ), 0) AS end_mrr
+        FROM invoice_mrr
+        GROUP BY customer_id
+      )
+      SELECT
+        COUNT(*) AS customers,
+        SUM(start_mrr) / 100.0 AS starting_mrr,
+        SUM(end_mrr) / 100.0 AS retained_mrr,
+        SUM(GREATEST(end_mrr - start_mrr, 0)) / 100.0 AS expansion,
+        SUM(GREATEST(start_mrr - end_mrr, 0)) FILTER (WHERE end_mrr > 0) / 100.0 AS contraction,
+        SUM(start_mrr) FILTER (WHERE end_mrr = 0) / 100.0 AS churned
+      FROM customer_mrr
+      WHERE start_mrr > 0`,
+      [months]
+    );
+
+    const row = result.rows[0];
+    const startingMrr = parseFloat(row.starting_mrr || 0);
+    const retainedMrr = parseFloat(row.retained_mrr || 0);
+
+    return {
+      months,
+      customers: parseInt(row.customers, 10),
+      startingMrr,
+      retainedMrr,
+      expansion: parseFloat(row.expansion || 0),
+      contraction: parseFloat(row.contraction || 0),
+      churned: parseFloat(row.churned || 0),
+      nrr: startingMrr > 0 ? parseFloat(((retainedMrr / startingMrr) * 100).toFixed(2)) : null,
+    };
+  }
+
+  /**
+   * Paid invoice revenue per month and plan. Invoices don't record the plan,
+   * so they count towards their subscription's current plan.
+   */
+  async getRevenueByPlan({ months = 12 } = {}) {
+    const result = await db.query(
+      `SELECT
+        DATE_TRUNC('month', i.invoice_date) AS month,
+        p.name AS plan_name,
+        p.slug AS plan_slug,
+        COUNT(*) AS invoices,
+        SUM(i.amount_cents) / 100.0 AS revenue
+      FROM invoices i
+      JOIN subscriptions s ON i.subscription_id = s.id
+      JOIN plans p ON s.plan_id = p.id
+      WHERE i.status = 'paid'
+        AND i.invoice_date >= DATE_TRUNC('month', NOW()) - make_interval(months => $1 - 1)
+      GROUP BY month, p.name, p.slug
+      ORDER BY month ASC, revenue DESC`,
+      [months]
+    );
+
+    return result.rows.map((row) => ({
+      month: row.month,
+      planName: row.plan_name,
+      planSlug: row.plan_slug,
+      invoices: parseInt(row.invoices, 10),
+      revenue: parseFloat(row.revenue),
+    }));
+  }
+
+  /**
+   * All subscriptions with their tenant or user owner, as CSV
+   */
+  async exportCustomersCSV(filters = {}) {
+    let whereClause = '1=1';
+    const params = [];
+    let idx = 1;
+
+    if (filters.status) {
+      whereClause += ` AND s.status = $${idx++}`;
+      params.push(filters.status);
+    }
+
+    if (filters.planSlug) {
+      whereClause += ` AND p.slug = $${idx++}`;
+      params.push(filters.planSlug);
+    }
+
+    const result = await db.query(
+      `SELECT
+        CASE WHEN s.tenant_id IS NOT NULL THEN 'tenant' ELSE 'user' END AS customer_type,
+        COALESCE(s.tenant_id, s.user_id) AS customer_id,
+        COALESCE(t.name, u.full_name) AS name,
+        COALESCE(t.email, u.email) AS email,
+        p.name AS plan_name,
+        s.status,
+        s.billing_cycle,
+        CASE
+          WHEN s.status NOT IN ('active', 'on_trial') THEN 0
+          WHEN s.billing_cycle = 'yearly' THEN p.yearly_price_cents / 12 / 100.0
+          ELSE p.monthly_price_cents / 100.0
+        END AS mrr,
+        s.surveys_used,
+        s.responses_used,
+        s.ls_subscription_id,
+        s.created_at AS subscribed_at,
+        s.renews_at,
+        s.cancelled_at
+      FROM subscriptions s
+      JOIN plans p ON s.plan_id = p.id
+      LEFT JOIN tenants t ON s.tenant_id = t.id
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE ${whereClause}
+      ORDER BY s.created_at DESC`,
+      params
+    );
+
+    return toCSV(CUSTOMER_CSV_COLUMNS, result.rows);
+  }
+
   async getFailedPayments() {
     const result = await db.query(
       `SELECT 
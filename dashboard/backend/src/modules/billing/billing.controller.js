@@ -0,0 +1,42 @@
+// ============================================
+// FILE: backend/src/modules/billing/billing.controller.js
+// ============================================
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import billingService from './billing.service.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+
+class BillingController {
+  listPlans = asyncHandler(async (req, res) => {
+    const plans = await billingService.listPlans();
+    ApiResponse.success(res, 200, 'Plans retrieved', { plans });
+  });
+
+  getOverview = asyncHandler(async (req, res) => {
+    const overview = await billingService.getOverview(req.params.tenantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Billing overview retrieved', overview);
+  });
+
+  listInvoices = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { invoices, total } = await billingService.listInvoices(
+      req.params.tenantId,
+      req.user.userId,
+      { page, limit }
+    );
+    ApiResponse.paginated(res, invoices, page, limit, total, 'Invoices retrieved');
+  });
+
+  createCheckout = asyncHandler(async (req, res) => {
+    const checkout = await billingService.createCheckout(req.params.tenantId, req.user, req.body);
+    ApiResponse.created(res, 'Checkout created', checkout);
+  });
+
+  getPortalUrls = asyncHandler(async (req, res) => {
+    const urls = await billingService.getPortalUrls(req.params.tenantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Customer portal links generated', urls);
+  });
+}
+
+export default new BillingController();
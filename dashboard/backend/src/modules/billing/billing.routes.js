@@ -0,0 +1,21 @@
+// ============================================
+// FILE: backend/src/modules/billing/billing.routes.js
+// Customer billing for a tenant
+// ============================================
+import { Router } from 'express';
+import billingController from './billing.controller.js';
+import { authRequired } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { checkoutSchema } from './billing.validation.js';
+
+const router = Router();
+
+router.use(authRequired);
+
+router.get('/plans', billingController.listPlans);
+router.get('/tenants/:tenantId', billingController.getOverview);
+router.get('/tenants/:tenantId/invoices', billingController.listInvoices);
+router.post('/tenants/:tenantId/checkout', validate(checkoutSchema), billingController.createCheckout);
+router.get('/tenants/:tenantId/portal', billingController.getPortalUrls);
+
+export default router;
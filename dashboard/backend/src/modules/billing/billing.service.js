@@ -0,0 +1,172 @@
+// ============================================
+// FILE: backend/src/modules/billing/billing.service.js
+// Customer billing: plan, usage, invoices and Lemon Squeezy links
+// ============================================
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import lemonSqueezyClient from '../../services/lemonSqueezyClient.js';
+import membersService from '../tenants/members.service.js';
+import quotaService from './quota.service.js';
+
+const PLAN_COLUMNS = `id, name, slug, description, monthly_price_cents, yearly_price_cents,
+  currency, surveys_limit, responses_limit, team_members_limit, features, is_featured`;
+
+// Subscriptions that still grant their plan (cancelled ones until ends_at)
+const BILLABLE_STATUSES = ['active', 'on_trial', 'past_due'];
+
+class BillingService {
+  async listPlans() {
+    const result = await db.query(
+      `SELECT ${PLAN_COLUMNS},
+        ls_monthly_variant_id IS NOT NULL AS monthly_available,
+        ls_yearly_variant_id IS NOT NULL AS yearly_available
+       FROM plans
+       WHERE is_active = true
+       ORDER BY sort_order ASC`
+    );
+
+    return result.rows;
+  }
+
+  async getTenantSubscription(tenantId) {
+    const result = await db.query(
+      `SELECT s.id, s.plan_id, s.ls_subscription_id, s.status, s.billing_cycle,
+        s.trial_ends_at, s.renews_at, s.ends_at, s.cancelled_at,
+        s.card_brand, s.card_last4, s.created_at
+       FROM tenants t
+       JOIN subscriptions s ON s.id = t.subscription_id
+       WHERE t.id = $1`,
+      [tenantId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  isBillable(subscription) {
+    if (!subscription) return false;
+    if (BILLABLE_STATUSES.includes(subscription.status)) return true;
+    return subscription.status === 'cancelled' && new Date(subscription.ends_at) > new Date();
+  }
+
+  /**
+   * Current plan, subscription and usage against plan limits
+   */
+  async getOverview(tenantId, userId) {
+    await membersService.requireRole(tenantId, userId, 'viewer');
+
+    const subscription = await this.getTenantSubscription(tenantId);
+    const billable = this.isBillable(subscription);
+
+    const plan = billable
+      ? await db.query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE id = $1`, [subscription.plan_id])
+      : await db.query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE slug = 'free'`);
+
+    const usage = await quotaService.getUsage(tenantId);
+
+    return {
+      plan: plan.rows[0] || null,
+      subscription,
+      // Lemon Squeezy subscriptions can be managed in the customer portal
+      manageable: billable && !subscription.ls_subscription_id.startsWith('manual_'),
+      usage,
+      // Warn-mode quotas let usage run past the limit; the page shows a banner
+      overQuota: Object.values(usage.quotas).some(quota => quota.exceeded),
+    };
+  }
+
+  async listInvoices(tenantId, userId, { page = 1, limit = 20 } = {}) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM invoices i
+       JOIN subscriptions s ON i.subscription_id = s.id
+       WHERE s.tenant_id = $1`,
+      [tenantId]
+    );
+
+    const result = await db.query(
+      `SELECT i.id, i.ls_order_id, i.ls_invoice_url, i.amount_cents, i.currency,
+        i.status, i.invoice_date, i.paid_at, i.refunded_at, p.name AS plan_name
+       FROM invoices i
+       JOIN subscriptions s ON i.subscription_id = s.id
+       JOIN plans p ON s.plan_id = p.id
+       WHERE s.tenant_id = $1
+       ORDER BY i.invoice_date DESC
+       LIMIT $2 OFFSET $3`,
+      [tenantId, limit, (page - 1) * limit]
+    );
+
+    return {
+      invoices: result.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+    };
+  }
+
+  /**
+   * Hosted checkout for a tenant without a subscription. The tenant id is
+   * passed as custom data so the subscription webhook can link it.
+   */
+  async createCheckout(tenantId, user, { planId, billingCycle }) {
+    await membersService.requireRole(tenantId, user.userId, 'admin');
+
+    const subscription = await this.getTenantSubscription(tenantId);
+    if (this.isBillable(subscription)) {
+      throw ApiError.conflict('This tenant already has a subscription. Change plans from the customer portal.');
+    }
+
+    const result = await db.query(
+      `SELECT id, ls_monthly_variant_id, ls_yearly_variant_id
+       FROM plans WHERE id = $1 AND is_active = true`,
+      [planId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Plan not found');
+    }
+
+    const plan = result.rows[0];
+    const variantId = billingCycle === 'yearly' ? plan.ls_yearly_variant_id : plan.ls_monthly_variant_id;
+
+    if (!variantId) {
+      throw ApiError.badRequest(`This plan is not available with ${billingCycle} billing`);
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    const url = await lemonSqueezyClient.createCheckout({
+      variantId,
+      email: user.email,
+      customData: { tenant_id: tenantId },
+      redirectUrl: `${frontendUrl}/billing?checkout=success`,
+    });
+
+    logger.info('Checkout created', { tenantId, planId, billingCycle });
+
+    return { url };
+  }
+
+  /**
+   * Signed customer portal links for upgrading, cancelling and updating
+   * the payment method of a Lemon Squeezy subscription
+   */
+  async getPortalUrls(tenantId, userId) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+
+    const subscription = await this.getTenantSubscription(tenantId);
+
+    if (!this.isBillable(subscription) || subscription.ls_subscription_id.startsWith('manual_')) {
+      throw ApiError.badRequest('This tenant has no subscription to manage');
+    }
+
+    const urls = await lemonSqueezyClient.getSubscriptionUrls(subscription.ls_subscription_id);
+
+    return {
+      upgradeUrl: urls.customer_portal_update_subscription || urls.customer_portal,
+      cancelUrl: urls.customer_portal,
+      updatePaymentMethodUrl: urls.update_payment_method,
+    };
+  }
+}
+
+export default new BillingService();
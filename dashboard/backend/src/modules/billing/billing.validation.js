@@ -0,0 +1,9 @@
+// ============================================
+// FILE: backend/src/modules/billing/billing.validation.js
+// ============================================
+import Joi from 'joi';
+
+export const checkoutSchema = Joi.object({
+  planId: Joi.string().uuid().required(),
+  billingCycle: Joi.string().valid('monthly', 'yearly').default('monthly'),
+});
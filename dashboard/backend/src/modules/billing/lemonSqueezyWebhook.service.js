@@ -0,0 +1,345 @@
+// ============================================
+// FILE: backend/src/modules/billing/lemonSqueezyWebhook.service.js
+// Signed Lemon Squeezy webhook ingestion: subscriptions and invoices
+// ============================================
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { config } from '../../config/index.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import {
+  enqueueBillingEventRetry,
+  BILLING_EVENT_MAX_RETRIES,
+} from '../../workers/billingWebhookWorker.js';
+
+const SUBSCRIPTION_EVENTS = [
+  'subscription_created',
+  'subscription_updated',
+  'subscription_cancelled',
+];
+
+const PAYMENT_EVENTS = {
+  subscription_payment_success: 'paid',
+  subscription_payment_failed: 'failed',
+};
+
+// Lemon Squeezy statuses that subscriptions.check_status doesn't allow
+const STATUS_ALIASES = {
+  unpaid: 'past_due',
+};
+
+class LemonSqueezyWebhookService {
+  /**
+   * X-Signature is the hex HMAC-SHA256 of the raw body with the signing secret
+   */
+  verifySignature(rawBody, signature) {
+    const secret = config.billing.lemonSqueezyWebhookSecret;
+
+    if (!secret) {
+      throw ApiError.internal('Lemon Squeezy webhook secret is not configured');
+    }
+
+    if (typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex'));
+    const given = Buffer.from(signature);
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Lemon Squeezy has no event id; the same notification always carries the
+   * same event name, object and updated_at, so together they identify it
+   */
+  getEventId(payload) {
+    const { event_name: eventName } = payload.meta;
+    const { type, id, attributes = {} } = payload.data;
+    return `${eventName}:${type}:${id}:${attributes.updated_at || attributes.created_at}`;
+  }
+
+  /**
+   * Store and process a webhook. Already-processed events are acknowledged
+   * without side effects; failures are kept and retried from the queue.
+   */
+  async receive(rawBody, signature) {
+    if (!this.verifySignature(rawBody, signature)) {
+      throw ApiError.unauthorized('Invalid webhook signature');
+    }
+
+    const payload = JSON.parse(rawBody);
+
+    if (!payload?.meta?.event_name || !payload?.data?.id) {
+      throw ApiError.badRequest('Malformed Lemon Squeezy payload');
+    }
+
+    const eventId = this.getEventId(payload);
+
+    const inserted = await db.query(
+      `INSERT INTO webhook_events (id, event_id, event_type, payload, created_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (event_id) DO NOTHING
+       RETURNING *`,
+      [uuidv4(), eventId, payload.meta.event_name, JSON.stringify(payload)]
+    );
+
+    let event = inserted.rows[0];
+
+    if (!event) {
+      const existing = await db.query('SELECT * FROM webhook_events WHERE event_id = $1', [eventId]);
+      event = existing.rows[0];
+
+      if (event.processed) {
+        logger.info('Duplicate Lemon Squeezy event ignored', { eventId });
+        return { eventId, processed: true, duplicate: true };
+      }
+    }
+
+    try {
+      await this.processEvent(event);
+      return { eventId, processed: true, duplicate: false };
+    } catch (error) {
+      await this.recordFailure(event.id, error);
+      // If the retry can't be queued, the error response makes Lemon Squeezy resend
+      await this.scheduleRetry(event.id);
+      return { eventId, processed: false, retryQueued: true };
+    }
+  }
+
+  /**
+   * Re-run a stored event (called by the billing webhook worker)
+   */
+  async retryEvent(eventRowId) {
+    const result = await db.query('SELECT * FROM webhook_events WHERE id = $1', [eventRowId]);
+    const event = result.rows[0];
+
+    if (!event || event.processed) {
+      return { skipped: true };
+    }
+
+    if (event.retry_count >= BILLING_EVENT_MAX_RETRIES) {
+      logger.error('Lemon Squeezy event exhausted its retries', {
+        eventId: event.event_id,
+        error: event.error_message,
+      });
+      return { skipped: true };
+    }
+
+    try {
+      await this.processEvent(event);
+      return { processed: true };
+    } catch (error) {
+      await this.recordFailure(event.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a background retry of a stored event
+   */
+  async scheduleRetry(eventRowId) {
+    return enqueueBillingEventRetry(eventRowId);
+  }
+
+  async recordFailure(eventRowId, error) {
+    logger.error('Failed to process Lemon Squeezy event', { eventRowId, error: error.message });
+
+    await db.query(
+      `UPDATE webhook_events
+       SET retry_count = retry_count + 1, error_message = $1
+       WHERE id = $2`,
+      [error.message, eventRowId]
+    );
+  }
+
+  /**
+   * Apply an event and mark it processed in one transaction
+   */
+  async processEvent(event) {
+    const { payload } = event;
+    const eventName = payload.meta.event_name;
+
+    await db.transaction(async (client) => {
+      if (SUBSCRIPTION_EVENTS.includes(eventName)) {
+        await this.upsertSubscription(client, payload);
+      } else if (PAYMENT_EVENTS[eventName]) {
+        await this.upsertInvoice(client, payload, PAYMENT_EVENTS[eventName]);
+      } else {
+        logger.info('Unhandled Lemon Squeezy event', { eventName });
+      }
+
+      await client.query(
+        `UPDATE webhook_events
+         SET processed = true, processed_at = NOW(), error_message = NULL
+         WHERE id = $1`,
+        [event.id]
+      );
+    });
+
+    logger.info('Lemon Squeezy event processed', { eventId: event.event_id, eventName });
+  }
+
+  async findPlanByVariant(client, variantId) {
+    const result = await client.query(
+      `SELECT id,
+        CASE WHEN ls_yearly_variant_id = $1 THEN 'yearly' ELSE 'monthly' END AS billing_cycle
+       FROM plans
+       WHERE ls_monthly_variant_id = $1 OR ls_yearly_variant_id = $1
+       LIMIT 1`,
+      [variantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No plan matches Lemon Squeezy variant ${variantId}`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Checkout passes custom_data.tenant_id (or user_id); fall back to a
+   * tenant already linked to the Lemon Squeezy customer
+   */
+  async resolveOwner(client, payload) {
+    const customData = payload.meta.custom_data || {};
+
+    if (customData.tenant_id || customData.user_id) {
+      return { tenantId: customData.tenant_id || null, userId: customData.user_id || null };
+    }
+
+    const customerId = String(payload.data.attributes.customer_id);
+    const tenant = await client.query('SELECT id FROM tenants WHERE ls_customer_id = $1 LIMIT 1', [customerId]);
+
+    if (tenant.rows.length === 0) {
+      throw new Error(`Cannot resolve the owner of Lemon Squeezy customer ${customerId}`);
+    }
+
+    return { tenantId: tenant.rows[0].id, userId: null };
+  }
+
+  async upsertSubscription(client, payload) {
+    const lsSubscriptionId = String(payload.data.id);
+    const attrs = payload.data.attributes;
+    const variantId = String(attrs.variant_id);
+    const plan = await this.findPlanByVariant(client, variantId);
+    const status = STATUS_ALIASES[attrs.status] || attrs.status;
+
+    const existing = await client.query(
+      'SELECT id, tenant_id, user_id FROM subscriptions WHERE ls_subscription_id = $1',
+      [lsSubscriptionId]
+    );
+
+    const owner = existing.rows[0]
+      ? { tenantId: existing.rows[0].tenant_id, userId: existing.rows[0].user_id }
+      : await this.resolveOwner(client, payload);
+
+    const result = await client.query(
+      `INSERT INTO subscriptions (
+        id, user_id, tenant_id, plan_id, ls_subscription_id, ls_customer_id,
+        ls_order_id, ls_variant_id, ls_product_id, status, billing_cycle,
+        trial_ends_at, renews_at, ends_at, cancelled_at, card_last4, card_brand,
+        created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
+      ON CONFLICT (ls_subscription_id) DO UPDATE SET
+        plan_id = EXCLUDED.plan_id,
+        ls_variant_id = EXCLUDED.ls_variant_id,
+        ls_product_id = EXCLUDED.ls_product_id,
+        status = EXCLUDED.status,
+        billing_cycle = EXCLUDED.billing_cycle,
+        trial_ends_at = EXCLUDED.trial_ends_at,
+        renews_at = EXCLUDED.renews_at,
+        ends_at = EXCLUDED.ends_at,
+        -- Keep the original cancellation time; clear it when the subscription is resumed
+        cancelled_at = CASE
+          WHEN EXCLUDED.cancelled_at IS NULL THEN NULL
+          ELSE COALESCE(subscriptions.cancelled_at, EXCLUDED.cancelled_at)
+        END,
+        card_last4 = EXCLUDED.card_last4,
+        card_brand = EXCLUDED.card_brand
+      RETURNING id, tenant_id, user_id`,
+      [
+        uuidv4(),
+        owner.userId,
+        owner.tenantId,
+        plan.id,
+        lsSubscriptionId,
+        String(attrs.customer_id),
+        attrs.order_id ? String(attrs.order_id) : null,
+        variantId,
+        attrs.product_id ? String(attrs.product_id) : null,
+        status,
+        plan.billing_cycle,
+        attrs.trial_ends_at,
+        attrs.renews_at,
+        attrs.ends_at,
+        attrs.cancelled || status === 'cancelled' ? new Date() : null,
+        attrs.card_last_four,
+        attrs.card_brand,
+      ]
+    );
+
+    const subscription = result.rows[0];
+
+    if (subscription.tenant_id) {
+      await client.query(
+        'UPDATE tenants SET subscription_id = $1, ls_customer_id = $2 WHERE id = $3',
+        [subscription.id, String(attrs.customer_id), subscription.tenant_id]
+      );
+    }
+
+    if (subscription.user_id) {
+      await client.query(
+        'UPDATE users SET subscription_id = $1, ls_customer_id = $2 WHERE id = $3',
+        [subscription.id, String(attrs.customer_id), subscription.user_id]
+      );
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Subscription invoices are keyed by their Lemon Squeezy id in invoices.ls_order_id
+   */
+  async upsertInvoice(client, payload, status) {
+    const attrs = payload.data.attributes;
+
+    const subscription = await client.query(
+      'SELECT id FROM subscriptions WHERE ls_subscription_id = $1',
+      [String(attrs.subscription_id)]
+    );
+
+    if (subscription.rows.length === 0) {
+      // subscription_created may still be in flight; the retry will find it
+      throw new Error(`Unknown Lemon Squeezy subscription ${attrs.subscription_id}`);
+    }
+
+    await client.query(
+      `INSERT INTO invoices (
+        id, subscription_id, ls_order_id, ls_invoice_url, amount_cents, currency,
+        status, billing_email, billing_name, invoice_date, paid_at, metadata, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+      ON CONFLICT (ls_order_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        ls_invoice_url = COALESCE(EXCLUDED.ls_invoice_url, invoices.ls_invoice_url),
+        paid_at = COALESCE(invoices.paid_at, EXCLUDED.paid_at)`,
+      [
+        uuidv4(),
+        subscription.rows[0].id,
+        String(payload.data.id),
+        attrs.urls?.invoice_url || null,
+        attrs.total,
+        attrs.currency || 'USD',
+        status,
+        attrs.user_email,
+        attrs.user_name,
+        attrs.created_at,
+        status === 'paid' ? attrs.updated_at || attrs.created_at : null,
+        JSON.stringify({ billingReason: attrs.billing_reason }),
+      ]
+    );
+  }
+}
+
+export default new LemonSqueezyWebhookService();
@@ -0,0 +1,289 @@
+// ============================================
+// FILE: backend/src/modules/billing/quota.service.js
+// Plan quotas for surveys and responses, tracked per usage period
+// ============================================
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { config } from '../../config/index.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import webhookEndpointsService from '../webhooks/webhookEndpoints.service.js';
+
+export const UNLIMITED = -1;
+
+export const QUOTA_RESOURCES = {
+  survey: {
+    usedColumn: 'surveys_used',
+    limitColumn: 'surveys_limit',
+    customKey: 'surveysLimit',
+    label: 'surveys',
+  },
+  response: {
+    usedColumn: 'responses_used',
+    limitColumn: 'responses_limit',
+    customKey: 'responsesLimit',
+    label: 'responses',
+  },
+};
+
+// Cancelled subscriptions keep their plan until ends_at
+const BILLABLE_CONDITION = `(s.status IN ('active', 'on_trial', 'past_due')
+  OR (s.status = 'cancelled' AND s.ends_at > NOW()))`;
+
+const FREE_PLAN_SLUG = 'free';
+
+class QuotaService {
+  /**
+   * metadata.customQuotas ({ surveysLimit, responsesLimit }) overrides the plan;
+   * negative or missing limits mean unlimited
+   */
+  resolveLimit(planLimit, customQuotas, resource) {
+    const custom = customQuotas?.[QUOTA_RESOURCES[resource].customKey];
+    const limit = Number.isInteger(custom) ? custom : planLimit;
+
+    return Number.isInteger(limit) && limit >= 0 ? limit : UNLIMITED;
+  }
+
+  async getTenantSubscription(tenantId, client = db) {
+    const result = await client.query(
+      `SELECT s.id, s.surveys_used, s.responses_used, s.usage_reset_at, s.metadata,
+              p.slug AS plan_slug, p.surveys_limit, p.responses_limit
+       FROM tenants t
+       JOIN subscriptions s ON s.id = t.subscription_id
+       JOIN plans p ON p.id = s.plan_id
+       WHERE t.id = $1 AND ${BILLABLE_CONDITION}`,
+      [tenantId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Start a new usage period once a month has passed since usage_reset_at,
+   * keeping the period anchored to the day the subscription started
+   */
+  async resetIfDue(subscriptionId, client = db) {
+    const result = await client.query(
+      `UPDATE subscriptions
+       SET surveys_used = 0,
+           responses_used = 0,
+           usage_reset_at = usage_reset_at + make_interval(months => (
+             EXTRACT(YEAR FROM age(NOW(), usage_reset_at)) * 12
+             + EXTRACT(MONTH FROM age(NOW(), usage_reset_at))
+           )::int)
+       WHERE id = $1 AND usage_reset_at <= NOW() - INTERVAL '1 month'
+       RETURNING surveys_used, responses_used, usage_reset_at`,
+      [subscriptionId]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info('Subscription usage reset', {
+        subscriptionId,
+        usageResetAt: result.rows[0].usage_reset_at,
+      });
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Current usage and effective limits for a tenant
+   */
+  async getUsage(tenantId, client = db) {
+    const subscription = await this.getTenantSubscription(tenantId, client);
+
+    if (!subscription) {
+      return this.getFreeTierUsage(tenantId, client);
+    }
+
+    const current = { ...subscription, ...(await this.resetIfDue(subscription.id, client)) };
+    const customQuotas = subscription.metadata?.customQuotas;
+
+    const quotas = {};
+    for (const [resource, spec] of Object.entries(QUOTA_RESOURCES)) {
+      const used = current[spec.usedColumn] || 0;
+      const limit = this.resolveLimit(subscription[spec.limitColumn], customQuotas, resource);
+      quotas[resource] = { used, limit, exceeded: this.isExceeded(used, limit) };
+    }
+
+    return {
+      subscriptionId: subscription.id,
+      plan: subscription.plan_slug,
+      periodStart: current.usage_reset_at,
+      quotas,
+    };
+  }
+
+  /**
+   * Tenants without a subscription get the free plan. There are no usage
+   * counters to keep, so this month's surveys and responses are counted.
+   */
+  async getFreeTierUsage(tenantId, client = db) {
+    const plan = await client.query(
+      'SELECT surveys_limit, responses_limit FROM plans WHERE slug = $1',
+      [FREE_PLAN_SLUG]
+    );
+
+    const counts = await client.query(
+      `SELECT
+        (SELECT COUNT(*) FROM surveys
+         WHERE tenant_id = $1 AND created_at >= DATE_TRUNC('month', NOW())) AS surveys_used,
+        (SELECT COUNT(*) FROM survey_responses r
+         JOIN surveys s ON s.id = r.survey_id
+         WHERE s.tenant_id = $1 AND r.created_at >= DATE_TRUNC('month', NOW())) AS responses_used,
+        DATE_TRUNC('month', NOW()) AS period_start`,
+      [tenantId]
+    );
+
+    const planLimits = plan.rows[0] || {};
+    const row = counts.rows[0];
+
+    const quotas = {};
+    for (const [resource, spec] of Object.entries(QUOTA_RESOURCES)) {
+      const used = parseInt(row[spec.usedColumn], 10);
+      const limit = this.resolveLimit(planLimits[spec.limitColumn], null, resource);
+      quotas[resource] = { used, limit, exceeded: this.isExceeded(used, limit) };
+    }
+
+    return {
+      subscriptionId: null,
+      plan: FREE_PLAN_SLUG,
+      periodStart: row.period_start,
+      quotas,
+    };
+  }
+
+  // Only possible in warn mode; blocking quotas stop at the limit
+  isExceeded(used, limit) {
+    return limit !== UNLIMITED && used > limit;
+  }
+
+  isBlocking(resource, limit) {
+    return config.billing.quotaEnforcement[resource] === 'block' && limit !== UNLIMITED;
+  }
+
+  limitError(resource, limit) {
+    return ApiError.forbidden(
+      `Your plan's ${QUOTA_RESOURCES[resource].label} limit (${limit}) has been reached`
+    );
+  }
+
+  /**
+   * Fail fast before doing expensive work that would be rejected by consume
+   */
+  async assertAvailable(tenantId, resource, amount = 1) {
+    const { quotas } = await this.getUsage(tenantId);
+    const { used, limit } = quotas[resource];
+
+    if (this.isBlocking(resource, limit) && used + amount > limit) {
+      throw this.limitError(resource, limit);
+    }
+  }
+
+  /**
+   * Count a new survey or response against the tenant's quota. Call it in
+   * the transaction that inserts the resource so a blocked request rolls back,
+   * and pass the result to notifyIfCrossed once that transaction commits.
+   */
+  async consume(tenantId, resource, { resourceId = null, amount = 1, client = db } = {}) {
+    const subscription = await this.getTenantSubscription(tenantId, client);
+
+    let used;
+    let limit;
+
+    if (subscription) {
+      await this.resetIfDue(subscription.id, client);
+
+      const spec = QUOTA_RESOURCES[resource];
+      limit = this.resolveLimit(subscription[spec.limitColumn], subscription.metadata?.customQuotas, resource);
+
+      // Check and increment in one statement so concurrent requests can't overshoot
+      const result = await client.query(
+        `UPDATE subscriptions
+         SET ${spec.usedColumn} = ${spec.usedColumn} + $2
+         WHERE id = $1 AND (NOT $3::boolean OR ${spec.usedColumn} + $2 <= $4::int)
+         RETURNING ${spec.usedColumn} AS used`,
+        [subscription.id, amount, this.isBlocking(resource, limit), limit]
+      );
+
+      if (result.rows.length === 0) {
+        throw this.limitError(resource, limit);
+      }
+
+      used = result.rows[0].used;
+
+      await client.query(
+        `INSERT INTO usage_logs (id, subscription_id, resource_type, resource_id, amount, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [uuidv4(), subscription.id, resource, resourceId, amount, JSON.stringify({ tenantId })]
+      );
+    } else {
+      // Serialize free tier counts per tenant; the caller's row is already inserted
+      await client.query('SELECT id FROM tenants WHERE id = $1 FOR UPDATE', [tenantId]);
+
+      const usage = await this.getFreeTierUsage(tenantId, client);
+      ({ used, limit } = usage.quotas[resource]);
+
+      if (this.isBlocking(resource, limit) && used > limit) {
+        throw this.limitError(resource, limit);
+      }
+    }
+
+    const exceeded = this.isExceeded(used, limit);
+
+    if (exceeded) {
+      logger.warn('Quota exceeded', { tenantId, resource, used, limit });
+    }
+
+    return { used, limit, exceeded, crossed: this.hasCrossed(resource, { used, limit, amount }) };
+  }
+
+  /**
+   * Warnings to return with a request that consume let past the limit in
+   * warn mode, so the caller can show them
+   */
+  warnings(resource, { used, limit, exceeded } = {}) {
+    if (!exceeded) {
+      return [];
+    }
+
+    return [{
+      resource,
+      used,
+      limit,
+      message: `Your plan's ${QUOTA_RESOURCES[resource].label} limit (${limit}) has been exceeded (${used} used)`,
+    }];
+  }
+
+  /**
+   * quota.exceeded fires once per period: when blocking starts (usage reaches
+   * the limit) or, in warn mode, when usage first goes past it
+   */
+  hasCrossed(resource, { used, limit, amount }) {
+    if (limit === UNLIMITED) {
+      return false;
+    }
+
+    const threshold = config.billing.quotaEnforcement[resource] === 'block' ? limit : limit + 1;
+    return used >= threshold && used - amount < threshold;
+  }
+
+  /**
+   * Send quota.exceeded for a consume result that crossed the limit. Call it
+   * after the consuming transaction commits, so a rollback sends nothing.
+   */
+  async notifyIfCrossed(tenantId, resource, { used, limit, crossed } = {}) {
+    if (!crossed) {
+      return;
+    }
+
+    await webhookEndpointsService.dispatch(tenantId, 'quota.exceeded', {
+      resource,
+      used,
+      limit,
+      enforcement: config.billing.quotaEnforcement[resource],
+    });
+  }
+}
+
+export default new QuotaService();
@@ -4,10 +4,24 @@
 import db from '../../config/db.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import { ApiError } from '../../utils/ApiError.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import embedService from './embed.service.js';
+import quizScoringService from '../../services/quizScoringService.js';
+import randomizationService from '../../services/randomizationService.js';
+import { groupPages } from '../../utils/pages.js';
+import availabilityService, { LIVE_STATUSES } from '../surveys/availability.service.js';
+import variantsService, { VARIANTS_SELECT } from '../variants/variants.service.js';
+import translationService from '../../services/translationService.js';
+import { parseAcceptLanguage } from '../../utils/locales.js';
 
 /**
- * GET /api/embed/:surveyKey
- * Returns published survey data for embedding
+ * GET /api/embed/:surveyKey?sessionId=&locale=
+ * Returns published survey data for embedding. Scheduled and closed
+ * surveys come back without questions and with their availability state.
+ * With a session id, questions and options come in that session's
+ * shuffled order, and surveys running an A/B test serve the session's
+ * variant. Texts are translated into the requested locale, else the
+ * best Accept-Language match, else the survey's default locale.
  */
 export const getPublishedSurvey = asyncHandler(async (req, res) => {
   const { surveyKey } = req.params;
@@ -18,14 +32,16 @@ export const getPublishedSurvey = asyncHandler(async (req, res) => {
 
   const result = await db.query(
     `SELECT 
-      s.id, s.title, s.description, s.config, s.status, 
+      s.id, s.tenant_id, s.title, s.description, s.config, s.status, 
+      s.opens_at, s.closes_at, s.max_responses,
       s.created_at, s.updated_at,
-      ss.snapshot
+      ss.snapshot, ss.version AS snapshot_version,
+      ${VARIANTS_SELECT}
      FROM surveys s
      LEFT JOIN survey_snapshots ss ON s.published_snapshot_id = ss.id
-     WHERE s.survey_key = $1 AND s.status = 'published'
+     WHERE s.survey_key = $1 AND s.status = ANY($2)
      LIMIT 1`,
-    [surveyKey]
+    [surveyKey, LIVE_STATUSES]
   );
 
   if (result.rows.length === 0) {
@@ -33,22 +49,81 @@ export const getPublishedSurvey = asyncHandler(async (req, res) => {
   }
 
   const survey = result.rows[0];
-  
+  const locale = translationService.negotiate(survey.snapshot, [
+    req.query.locale,
+    ...parseAcceptLanguage(req.get('accept-language')),
+  ]);
+  const availability = await availabilityService.getSurveyState(survey);
+  const variant = availability.state === 'open'
+    ? await variantsService.assign(survey, req.query.sessionId)
+    : null;
+  const view = variantsService.apply({
+    title: survey.title,
+    description: survey.description,
+    config: survey.config || {},
+    questions: survey.snapshot?.questions || [],
+    pages: survey.snapshot?.pages || [],
+  }, variant);
+  // Quiz answer keys and result messages are only revealed after submission
+  const { quiz, ...config } = view.config;
+  const { questions: presented } = randomizationService.present(
+    availability.state === 'open' ? view.questions : [],
+    {
+      sessionId: req.query.sessionId,
+      shuffleQuestions: survey.snapshot?.config?.shuffleQuestions === true,
+      pages: view.pages,
+    }
+  );
+  const { title, description, questions, pages, ...localized } = translationService.localize(
+    { ...view, config, questions: presented },
+    translationService.translationFor(survey.snapshot, locale)
+  );
+
+  // The payload depends on the header when no locale is requested
+  res.vary('Accept-Language');
   // Return survey with questions from snapshot
   res.json({
     success: true,
     data: {
       survey: {
         id: survey.id,
-        title: survey.title,
-        description: survey.description,
-        config: survey.config,
-        questions: survey.snapshot?.questions || [],
+        title,
+        description,
+        config: localized.config,
+        version: survey.snapshot_version,
+        locale,
+        locales: translationService.availableLocales(survey.snapshot),
+        ...(variant ? { variant: { id: variant.id, key: variant.key } } : {}),
+        availability,
+        questions: quizScoringService.redactQuestions(questions),
+        // Snapshots from before pages existed show one question per page
+        pages: groupPages(questions, pages),
       },
     },
   });
 });
 
+/**
+ * POST /api/embed/:surveyKey/responses
+ * Accepts a widget submission for a published survey
+ */
+export const submitResponse = asyncHandler(async (req, res) => {
+  const result = await embedService.submitResponse(req.params.surveyKey, req.body, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    // Set by Cloudflare when the dashboard sits behind it
+    country: req.get('cf-ipcountry'),
+    acceptLanguage: req.get('accept-language'),
+  });
+
+  if (result.duplicate) {
+    return ApiResponse.success(res, 200, 'Response already recorded', result);
+  }
+
+  ApiResponse.created(res, 'Response recorded', result);
+});
+
 export default {
   getPublishedSurvey,
+  submitResponse,
 };
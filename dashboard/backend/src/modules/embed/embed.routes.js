@@ -2,11 +2,20 @@
 // FILE: backend/src/modules/embed/embed.routes.js (NEW)
 // ============================================
 import { Router } from 'express';
-import { getPublishedSurvey } from './embed.controller.js';
+import { getPublishedSurvey, submitResponse } from './embed.controller.js';
+import { validate } from '../../middleware/validate.js';
+import { submissionRateLimiter } from '../../middleware/rateLimit.middleware.js';
+import { getSurveyQuerySchema, submitResponseSchema } from './embed.validation.js';
 
 const router = Router();
 
-// Public endpoint - no auth required
-router.get('/:surveyKey', getPublishedSurvey);
+// Public endpoints - no auth required
+router.get('/:surveyKey', validate(getSurveyQuerySchema, 'query'), getPublishedSurvey);
+router.post(
+  '/:surveyKey/responses',
+  submissionRateLimiter,
+  validate(submitResponseSchema),
+  submitResponse
+);
 
 export default router;
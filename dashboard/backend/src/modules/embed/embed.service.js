@@ -0,0 +1,255 @@
+// ============================================
+// FILE: backend/src/modules/embed/embed.service.js
+// Public response submission for embedded surveys
+// ============================================
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import microSurveyClient from '../../services/microSurveyClient.js';
+import answerValidationService from '../../services/answerValidationService.js';
+import quizScoringService from '../../services/quizScoringService.js';
+import randomizationService from '../../services/randomizationService.js';
+import analyticsService from '../analytics/analytics.service.js';
+import webhookEndpointsService from '../webhooks/webhookEndpoints.service.js';
+import quotaService from '../billing/quota.service.js';
+import availabilityService, { LIVE_STATUSES } from '../surveys/availability.service.js';
+import variantsService, { VARIANTS_SELECT } from '../variants/variants.service.js';
+import translationService from '../../services/translationService.js';
+import responsesService from '../responses/responses.service.js';
+import { parseAcceptLanguage } from '../../utils/locales.js';
+import { logger } from '../../lib/logger.js';
+
+// ISO 3166-1 alpha-2; Cloudflare sends XX when the country is unknown
+const COUNTRY_CODE_PATTERN = /^(?!XX$)[A-Z]{2}$/;
+
+class EmbedService {
+  /**
+   * Load a published survey together with its pinned snapshot.
+   * Scheduled and closed surveys are returned too; callers check
+   * availability before accepting responses.
+   */
+  async getPublishedSurvey(surveyKey) {
+    const result = await db.query(
+      `SELECT s.id, s.tenant_id, s.survey_key, s.published_snapshot_id,
+              s.opens_at, s.closes_at, s.max_responses,
+              ss.snapshot, ss.version AS snapshot_version,
+              ${VARIANTS_SELECT}
+       FROM surveys s
+       LEFT JOIN survey_snapshots ss ON s.published_snapshot_id = ss.id
+       WHERE s.survey_key = $1 AND s.status = ANY($2)
+       LIMIT 1`,
+      [surveyKey, LIVE_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Published survey not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Store a widget submission: return the stored one for a repeated
+   * session, check the survey is open, validate the answers against what
+   * the session was shown, score quizzes, then insert the response and
+   * submit event and forward to Micro-Survey.
+   */
+  async submitResponse(surveyKey, { answers, metadata = {} }, context = {}) {
+    const survey = await this.getPublishedSurvey(surveyKey);
+    const sessionId = metadata.sessionId || null;
+
+    // A retry of a stored submission gets the stored result, even if its
+    // answers changed or the survey has closed since
+    if (sessionId) {
+      const existing = await this.findSessionResponse(survey.id, sessionId);
+      if (existing) {
+        return this.duplicateResult(existing);
+      }
+    }
+
+    await availabilityService.assertOpen(survey);
+
+    const variant = await variantsService.assign(survey, metadata.sessionId);
+    const snapshot = variantsService.apply(survey.snapshot || {}, variant);
+    const pages = snapshot.pages || [];
+    const { questions, order: presentedOrder } = randomizationService.present(snapshot.questions || [], {
+      sessionId: metadata.sessionId,
+      shuffleQuestions: survey.snapshot?.config?.shuffleQuestions === true,
+      pages,
+    });
+
+    const locale = translationService.negotiate(survey.snapshot, [
+      metadata.locale,
+      ...parseAcceptLanguage(context.acceptLanguage),
+    ]);
+    const translation = translationService.translationFor(survey.snapshot, locale);
+
+    const validation = answerValidationService.validateResponse(
+      questions,
+      translationService.canonicalizeAnswers(questions, answers, [translation]),
+      pages
+    );
+    if (!validation.valid) {
+      throw ApiError.badRequest('Response validation failed', {
+        errors: validation.errors,
+      });
+    }
+
+    const quiz = survey.snapshot?.surveyType === 'quiz'
+      ? quizScoringService.scoreResponse(
+        questions,
+        validation.answers,
+        translationService.localizeQuiz(survey.snapshot.config?.quiz, translation),
+        pages
+      )
+      : null;
+
+    const responseData = {
+      answers: validation.answers,
+      ...(quiz ? { quiz } : {}),
+      ...(presentedOrder ? { presentedOrder } : {}),
+      metadata: {
+        ...metadata,
+        locale,
+        snapshotId: survey.published_snapshot_id,
+        snapshotVersion: survey.snapshot_version,
+      },
+    };
+
+    let quotaUsage;
+    const responseId = await db.transaction(async (client) => {
+      await availabilityService.reserveResponse(survey, client);
+
+      const inserted = await client.query(
+        `INSERT INTO survey_responses (
+          id, survey_id, session_id, response_data, ip_address, user_agent,
+          country_code, snapshot_id, snapshot_version, score, max_score, passed, variant_id,
+          locale, answers_tsv, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, to_tsvector('simple', $15), NOW())
+        ON CONFLICT (survey_id, session_id) WHERE session_id IS NOT NULL DO NOTHING
+        RETURNING id`,
+        [
+          uuidv4(),
+          survey.id,
+          sessionId,
+          JSON.stringify(responseData),
+          context.ip || null,
+          context.userAgent || null,
+          COUNTRY_CODE_PATTERN.test(context.country || '') ? context.country : null,
+          survey.published_snapshot_id,
+          survey.snapshot_version,
+          quiz?.score ?? null,
+          quiz?.maxScore ?? null,
+          quiz?.passed ?? null,
+          variant?.id ?? null,
+          locale,
+          responsesService.searchText(questions, validation.answers),
+        ]
+      );
+
+      // Lost a race against a concurrent submit from the same session
+      if (inserted.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO survey_events (
+          id, event_type, survey_id, tenant_id, session_id, variant_id, metadata, created_at
+        ) VALUES ($1, 'survey_submit', $2, $3, $4, $5, $6, NOW())`,
+        [
+          uuidv4(),
+          survey.id,
+          survey.tenant_id,
+          sessionId,
+          variant?.id ?? null,
+          JSON.stringify({
+            responseId: inserted.rows[0].id,
+            device: metadata.device,
+            browser: metadata.browser,
+          }),
+        ]
+      );
+
+      // Over a blocking quota this throws and the response is not stored
+      quotaUsage = await quotaService.consume(survey.tenant_id, 'response', {
+        resourceId: inserted.rows[0].id,
+        client,
+      });
+
+      return inserted.rows[0].id;
+    });
+
+    if (!responseId) {
+      return this.duplicateResult(await this.findSessionResponse(survey.id, sessionId));
+    }
+
+    await quotaService.notifyIfCrossed(survey.tenant_id, 'response', quotaUsage);
+
+    try {
+      await microSurveyClient.submitResponse(survey.survey_key, {
+        ...responseData,
+        responseId,
+      });
+    } catch (error) {
+      // The local row is the source of truth; Micro-Survey can be resynced
+      logger.error('Failed to forward response to Micro-Survey', {
+        error: error.message,
+        surveyId: survey.id,
+        responseId,
+      });
+    }
+
+    await analyticsService.invalidateCache(survey.id);
+
+    await webhookEndpointsService.dispatch(survey.tenant_id, 'response.created', {
+      surveyId: survey.id,
+      surveyKey: survey.survey_key,
+      responseId,
+      snapshotVersion: survey.snapshot_version,
+      locale,
+      answers: validation.answers,
+      ...(quiz ? { quiz } : {}),
+    });
+
+    logger.info('Survey response submitted', {
+      surveyId: survey.id,
+      responseId,
+      answers: validation.answers.length,
+    });
+
+    const warnings = quotaService.warnings('response', quotaUsage);
+
+    return {
+      responseId,
+      duplicate: false,
+      ...(quiz ? { result: this.quizResult(quiz) } : {}),
+      ...(warnings.length > 0 ? { warnings } : {}),
+    };
+  }
+
+  duplicateResult(existing) {
+    return {
+      responseId: existing.id,
+      duplicate: true,
+      ...(existing.quiz ? { result: this.quizResult(existing.quiz) } : {}),
+    };
+  }
+
+  // What the respondent sees; per-question results stay on the response
+  quizResult({ score, maxScore, percentage, passed, message }) {
+    return { score, maxScore, percentage, passed, message };
+  }
+
+  async findSessionResponse(surveyId, sessionId) {
+    const result = await db.query(
+      `SELECT id, created_at, response_data->'quiz' AS quiz FROM survey_responses
+       WHERE survey_id = $1 AND session_id = $2
+       LIMIT 1`,
+      [surveyId, sessionId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default new EmbedService();
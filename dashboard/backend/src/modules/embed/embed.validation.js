@@ -0,0 +1,29 @@
+// ============================================
+// FILE: backend/src/modules/embed/embed.validation.js
+// Validation schemas for public embed endpoints
+// ============================================
+import Joi from 'joi';
+
+// The session id seeds the shuffled question and option order;
+// locale takes precedence over Accept-Language
+export const getSurveyQuerySchema = Joi.object({
+  sessionId: Joi.string().max(255).optional(),
+  locale: Joi.string().max(35).optional(),
+});
+
+export const submitResponseSchema = Joi.object({
+  answers: Joi.array().items(
+    Joi.object({
+      questionId: Joi.string().max(255).required(),
+      answer: Joi.any(),
+    })
+  ).max(200).required(),
+  metadata: Joi.object({
+    sessionId: Joi.string().max(255).optional(),
+    completedAt: Joi.date().iso().optional(),
+    device: Joi.string().max(50).optional(),
+    browser: Joi.string().max(50).optional(),
+    // Locale the survey was shown in (the locale returned with it)
+    locale: Joi.string().max(35).optional(),
+  }).default({}),
+});
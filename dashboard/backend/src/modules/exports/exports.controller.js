@@ -0,0 +1,30 @@
+// ============================================
+// FILE: backend/src/modules/exports/exports.controller.js
+// ============================================
+import { pipeline } from 'stream/promises';
+import exportsService from './exports.service.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+class ExportsController {
+  /**
+   * GET /api/exports/:id/download?expires=&signature=
+   * Streams a finished export; the signature stands in for authentication
+   */
+  download = asyncHandler(async (req, res) => {
+    const { stream, contentLength, contentType, filename } = await exportsService.openDownload(
+      req.params.id,
+      req.query
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (contentLength) {
+      res.setHeader('Content-Length', contentLength);
+    }
+
+    await pipeline(stream, res);
+  });
+}
+
+export default new ExportsController();
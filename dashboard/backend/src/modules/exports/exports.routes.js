@@ -0,0 +1,12 @@
+// ============================================
+// FILE: backend/src/modules/exports/exports.routes.js
+// Signed export downloads (no session; the link carries the signature)
+// ============================================
+import { Router } from 'express';
+import exportsController from './exports.controller.js';
+
+const router = Router();
+
+router.get('/:id/download', exportsController.download);
+
+export default router;
@@ -0,0 +1,450 @@
+// ============================================
+// FILE: backend/src/modules/exports/exports.service.js
+// Response exports: CSV/JSON/XLSX files built by the export worker,
+// kept in local or S3 storage and served through signed links
+// ============================================
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline, finished } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { config } from '../../config/index.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import { escapeCSV } from '../../utils/csv.js';
+import { writeXlsx, XLSX_CONTENT_TYPE } from '../../utils/xlsx.js';
+import { labelAnswer } from '../../utils/options.js';
+import { putPrivateObject, getObjectStream } from '../../services/s3Service.js';
+import webhookEndpointsService from '../webhooks/webhookEndpoints.service.js';
+import { enqueueExport } from '../../workers/exportWorker.js';
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json',
+  xlsx: XLSX_CONTENT_TYPE,
+};
+
+// Responses read per query while streaming an export
+const BATCH_SIZE = 500;
+
+const BASE_COLUMNS = ['response_id', 'submitted_at'];
+const METADATA_COLUMNS = ['session_id', 'country_code', 'snapshot_version'];
+
+// Spreadsheet cells hold one scalar; multi-selects are joined
+function tabularValue(value) {
+  if (Array.isArray(value)) return value.join('; ');
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+async function* csvChunks(columns, records) {
+  yield `${columns.map(escapeCSV).join(',')}\n`;
+
+  for await (const record of records) {
+    yield `${columns.map((column) => escapeCSV(tabularValue(record[column]))).join(',')}\n`;
+  }
+}
+
+async function* jsonChunks(records) {
+  let first = true;
+  yield '[';
+
+  for await (const record of records) {
+    yield `${first ? '' : ','}\n${JSON.stringify(record)}`;
+    first = false;
+  }
+
+  yield '\n]\n';
+}
+
+class ExportsService {
+  /**
+   * Record an export job and queue it for the export worker
+   */
+  async createJob(survey, options, requester = {}) {
+    const job = await this.insertJob(survey, options, requester);
+
+    try {
+      await this.scheduleExport(job.id);
+    } catch (error) {
+      await db.query(
+        `UPDATE export_jobs SET status = 'failed', error_message = $2, completed_at = NOW() WHERE id = $1`,
+        [job.id, 'Could not queue export']
+      );
+      logger.error('Failed to queue export', { exportJobId: job.id, error: error.message });
+      throw ApiError.internal('Failed to queue export');
+    }
+
+    return job;
+  }
+
+  /**
+   * Insert a pending export_jobs row without queueing it
+   */
+  async insertJob(survey, options, { userId = null, apiKeyId = null } = {}) {
+    const { format = 'csv', dateRange, includeMetadata = true } = options;
+
+    const result = await db.query(
+      `INSERT INTO export_jobs (
+        id, survey_id, tenant_id, status, export_type, options,
+        requested_by, requested_by_api_key_id, created_at
+      )
+      VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, NOW())
+      RETURNING id, survey_id, status, export_type, options, created_at`,
+      [uuidv4(), survey.id, survey.tenant_id, format, JSON.stringify({ dateRange, includeMetadata }), userId, apiKeyId]
+    );
+
+    return result.rows[0];
+  }
+
+  async scheduleExport(exportJobId) {
+    return enqueueExport(exportJobId);
+  }
+
+  /**
+   * Recent exports of a survey, with download links for finished files
+   */
+  async listForSurvey(surveyId) {
+    const result = await db.query(
+      `SELECT id, survey_id, status, export_type, options, row_count, file_size,
+        file_key, file_url, error_message, created_at, started_at, completed_at
+       FROM export_jobs
+       WHERE survey_id = $1
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [surveyId]
+    );
+
+    return result.rows.map(({ file_key: fileKey, file_url: fileUrl, ...job }) => ({
+      ...job,
+      download_url: job.status === 'completed'
+        ? (fileKey ? this.getDownloadUrl(job.id) : fileUrl)
+        : null,
+    }));
+  }
+
+  // ============================================
+  // Signed download links
+  // ============================================
+
+  sign(exportJobId, expires) {
+    return crypto
+      .createHmac('sha256', config.jwt.secret)
+      .update(`export:${exportJobId}:${expires}`)
+      .digest('base64url');
+  }
+
+  getDownloadUrl(exportJobId, { ttlSeconds = config.exports.downloadTtlSeconds, now = Date.now() } = {}) {
+    const expires = Math.floor(now / 1000) + ttlSeconds;
+    const apiUrl = process.env.API_URL || 'http://localhost:5000';
+    const query = new URLSearchParams({ expires, signature: this.sign(exportJobId, expires) });
+
+    return `${apiUrl}/api/exports/${exportJobId}/download?${query}`;
+  }
+
+  verifySignature(exportJobId, expires, signature, now = Date.now()) {
+    const expected = Buffer.from(this.sign(exportJobId, expires));
+    const given = Buffer.from(String(signature || ''));
+
+    const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    if (!valid || !(Number(expires) * 1000 > now)) {
+      throw ApiError.forbidden('Download link is invalid or has expired');
+    }
+  }
+
+  /**
+   * Resolve a signed link to a readable file
+   */
+  async openDownload(exportJobId, { expires, signature }) {
+    this.verifySignature(exportJobId, expires, signature);
+
+    const result = await db.query(
+      `SELECT id, export_type, file_key, file_size, created_at
+       FROM export_jobs
+       WHERE id = $1 AND status = 'completed' AND file_key IS NOT NULL`,
+      [exportJobId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Export not found');
+    }
+
+    const job = result.rows[0];
+    const filename = `survey-responses-${job.created_at.toISOString().slice(0, 10)}.${job.export_type}`;
+    const contentType = EXPORT_CONTENT_TYPES[job.export_type];
+
+    if (config.image.storage === 's3') {
+      const { stream, contentLength } = await getObjectStream(job.file_key);
+      return { stream, contentLength, contentType, filename };
+    }
+
+    const filePath = this.localPath(job.file_key);
+    await fs.access(filePath).catch(() => {
+      throw ApiError.notFound('Export file no longer exists');
+    });
+
+    return {
+      stream: createReadStream(filePath),
+      contentLength: Number(job.file_size),
+      contentType,
+      filename,
+    };
+  }
+
+  // ============================================
+  // Worker side
+  // ============================================
+
+  /**
+   * Build and store the file for an export job. Failures are recorded on
+   * the job only on the final attempt so BullMQ can retry.
+   */
+  async process(exportJobId, { isFinalAttempt = true } = {}) {
+    const claimed = await db.query(
+      `UPDATE export_jobs
+       SET status = 'processing', started_at = NOW(), error_message = NULL
+       WHERE id = $1 AND status IN ('pending', 'processing')
+       RETURNING *`,
+      [exportJobId]
+    );
+
+    if (claimed.rows.length === 0) {
+      logger.warn('Export job not pending, skipping', { exportJobId });
+      return { skipped: true };
+    }
+
+    const job = claimed.rows[0];
+    const tempPath = path.join(os.tmpdir(), `export-${job.id}.${job.export_type}`);
+
+    try {
+      const rowCount = await this.buildFile(job, tempPath);
+      const { size } = await fs.stat(tempPath);
+      const fileKey = await this.storeFile(job, tempPath, size);
+
+      const completed = await db.query(
+        `UPDATE export_jobs
+         SET status = 'completed', file_key = $2, file_size = $3, row_count = $4, completed_at = NOW()
+         WHERE id = $1
+         RETURNING completed_at`,
+        [job.id, fileKey, size, rowCount]
+      );
+
+      await webhookEndpointsService.dispatch(job.tenant_id, 'export.completed', {
+        exportJobId: job.id,
+        surveyId: job.survey_id,
+        format: job.export_type,
+        rowCount,
+        fileUrl: this.getDownloadUrl(job.id),
+        completedAt: completed.rows[0].completed_at,
+      });
+
+      logger.info('Export completed', { exportJobId: job.id, rowCount, size });
+
+      return { rowCount, size };
+    } catch (error) {
+      if (isFinalAttempt) {
+        await db.query(
+          `UPDATE export_jobs SET status = 'failed', error_message = $2, completed_at = NOW() WHERE id = $1`,
+          [job.id, error.message]
+        );
+      }
+      throw error;
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Write the export to filePath; returns the number of responses
+   */
+  async buildFile(job, filePath) {
+    const { dateRange, includeMetadata = true } = job.options || {};
+    const { questionKeys, questions } = await this.getQuestionColumns(job.survey_id, dateRange);
+    const columns = [...BASE_COLUMNS, ...(includeMetadata ? METADATA_COLUMNS : []), ...questionKeys];
+
+    const service = this;
+    let rowCount = 0;
+
+    async function* records() {
+      for await (const row of service.streamResponses(job.survey_id, dateRange)) {
+        rowCount++;
+        yield service.toRecord(row, questionKeys, includeMetadata, questions);
+      }
+    }
+
+    async function* rows() {
+      for await (const record of records()) {
+        yield columns.map((column) => tabularValue(record[column]));
+      }
+    }
+
+    const output = createWriteStream(filePath);
+
+    try {
+      if (job.export_type === 'xlsx') {
+        await writeXlsx(output, columns, rows(), { sheetName: 'Responses' });
+        output.end();
+        await finished(output);
+      } else {
+        const chunks = job.export_type === 'json' ? jsonChunks(records()) : csvChunks(columns, records());
+        await pipeline(Readable.from(chunks), output);
+      }
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    return rowCount;
+  }
+
+  dateConditions(dateRange = {}, params, prefix = '') {
+    const conditions = [];
+
+    if (dateRange?.startDate) {
+      params.push(dateRange.startDate);
+      conditions.push(`${prefix}created_at >= $${params.length}`);
+    }
+    // Exclusive start, used by incremental scheduled exports
+    if (dateRange?.after) {
+      params.push(dateRange.after);
+      conditions.push(`${prefix}created_at > $${params.length}`);
+    }
+    if (dateRange?.endDate) {
+      params.push(dateRange.endDate);
+      conditions.push(`${prefix}created_at <= $${params.length}`);
+    }
+
+    return conditions;
+  }
+
+  /**
+   * One column per question: the published snapshot's order first, then
+   * keys only found in older responses. Also returns the snapshot's
+   * questions by id, for labelling answers.
+   */
+  async getQuestionColumns(surveyId, dateRange) {
+    const snapshot = await db.query(
+      `SELECT ss.snapshot -> 'questions' AS questions
+       FROM surveys s
+       JOIN survey_snapshots ss ON s.published_snapshot_id = ss.id
+       WHERE s.id = $1`,
+      [surveyId]
+    );
+
+    const params = [surveyId];
+    const conditions = [
+      'r.survey_id = $1',
+      "jsonb_typeof(r.response_data -> 'answers') = 'array'",
+      ...this.dateConditions(dateRange, params, 'r.'),
+    ];
+
+    const answered = await db.query(
+      `SELECT DISTINCT answer ->> 'questionId' AS question_id
+       FROM survey_responses r
+       CROSS JOIN LATERAL jsonb_array_elements(r.response_data -> 'answers') AS answer
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY 1`,
+      params
+    );
+
+    const questions = snapshot.rows[0]?.questions || [];
+    const keys = questions.map((question) => question.id);
+    for (const { question_id: questionId } of answered.rows) {
+      keys.push(questionId);
+    }
+
+    return {
+      questionKeys: [...new Set(keys.filter(Boolean))],
+      questions: new Map(questions.map((question) => [question.id, question])),
+    };
+  }
+
+  /**
+   * Keyset-paginated read of a survey's responses, oldest first
+   */
+  async* streamResponses(surveyId, dateRange) {
+    let lastId = null;
+
+    for (;;) {
+      const params = [surveyId];
+      const conditions = ['survey_id = $1', ...this.dateConditions(dateRange, params)];
+
+      if (lastId) {
+        params.push(lastId);
+        conditions.push(`(created_at, id) > (SELECT created_at, id FROM survey_responses WHERE id = $${params.length})`);
+      }
+
+      params.push(BATCH_SIZE);
+
+      const result = await db.query(
+        `SELECT id, session_id, response_data, country_code, snapshot_version, created_at
+         FROM survey_responses
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY created_at, id
+         LIMIT $${params.length}`,
+        params
+      );
+
+      yield* result.rows;
+
+      if (result.rows.length < BATCH_SIZE) {
+        return;
+      }
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+
+  // Option ids in answers are written as the published option text
+  toRecord(row, questionKeys, includeMetadata, questions = new Map()) {
+    const record = {
+      response_id: row.id,
+      submitted_at: row.created_at,
+    };
+
+    if (includeMetadata) {
+      record.session_id = row.session_id;
+      record.country_code = row.country_code;
+      record.snapshot_version = row.snapshot_version;
+    }
+
+    const answers = new Map(
+      (row.response_data?.answers || []).map(({ questionId, answer }) => [questionId, answer])
+    );
+    for (const key of questionKeys) {
+      record[key] = answers.has(key) ? labelAnswer(questions.get(key), answers.get(key)) : null;
+    }
+
+    return record;
+  }
+
+  // ============================================
+  // Storage (same backend as image uploads)
+  // ============================================
+
+  localPath(fileKey) {
+    return path.join(process.cwd(), config.image.uploadDir, fileKey);
+  }
+
+  async storeFile(job, tempPath, size) {
+    const fileKey = `exports/${job.tenant_id}/${job.id}.${job.export_type}`;
+
+    if (config.image.storage === 's3') {
+      return putPrivateObject(fileKey, createReadStream(tempPath), {
+        contentType: EXPORT_CONTENT_TYPES[job.export_type],
+        contentLength: size,
+      });
+    }
+
+    const destination = this.localPath(fileKey);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.copyFile(tempPath, destination);
+
+    return fileKey;
+  }
+}
+
+export default new ExportsService();
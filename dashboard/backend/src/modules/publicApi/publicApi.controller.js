@@ -0,0 +1,52 @@
+// ============================================
+// FILE: backend/src/modules/publicApi/publicApi.controller.js
+// ============================================
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import publicApiService from './publicApi.service.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+
+class PublicApiController {
+  listSurveys = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { surveys, total } = await publicApiService.listSurveys(req.apiKey.tenantId, {
+      status: req.query.status,
+      page,
+      limit,
+    });
+
+    ApiResponse.paginated(res, surveys, page, limit, total, 'Surveys retrieved successfully');
+  });
+
+  createSurvey = asyncHandler(async (req, res) => {
+    const { survey, warnings } = await publicApiService.createSurvey(req.apiKey.tenantId, req.body);
+    ApiResponse.created(res, 'Survey created successfully', { survey, warnings });
+  });
+
+  getSurveyResults = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const results = await publicApiService.getResults(
+      req.apiKey.tenantId,
+      req.params.id,
+      { startDate, endDate }
+    );
+    ApiResponse.success(res, 200, 'Survey results retrieved successfully', { results });
+  });
+
+  listResponses = asyncHandler(async (req, res) => {
+    const { responses, nextCursor } = await publicApiService.listResponses(
+      req.apiKey.tenantId,
+      req.params.id,
+      { limit: req.query.limit, cursor: req.query.cursor }
+    );
+    ApiResponse.success(res, 200, 'Responses retrieved successfully', { responses, nextCursor });
+  });
+
+  requestExport = asyncHandler(async (req, res) => {
+    const exportJob = await publicApiService.requestExport(req.apiKey, req.params.id, req.body);
+    ApiResponse.created(res, 'Export requested successfully', { exportJob });
+  });
+}
+
+export default new PublicApiController();
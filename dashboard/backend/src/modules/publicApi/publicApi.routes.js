@@ -0,0 +1,34 @@
+// ============================================
+// FILE: backend/src/modules/publicApi/publicApi.routes.js
+// Versioned public REST API (/api/v1), authenticated with x-api-key
+// ============================================
+import { Router } from 'express';
+import publicApiController from './publicApi.controller.js';
+import { validate } from '../../middleware/validate.js';
+import { apiKeyRequired, requireScope } from '../../middleware/apiKeyAuth.js';
+import { apiKeyUsageRateLimiter } from '../../middleware/rateLimit.middleware.js';
+import { createTenantSurveySchema } from './publicApi.validation.js';
+import { exportRequestSchema } from '../surveys/surveys.validators.js';
+
+const router = Router();
+
+router.use(apiKeyRequired);
+router.use(apiKeyUsageRateLimiter);
+
+router.get('/surveys', requireScope('surveys:read'), publicApiController.listSurveys);
+router.post(
+  '/surveys',
+  requireScope('surveys:write'),
+  validate(createTenantSurveySchema),
+  publicApiController.createSurvey
+);
+router.get('/surveys/:id/results', requireScope('surveys:read'), publicApiController.getSurveyResults);
+router.get('/surveys/:id/responses', requireScope('responses:read'), publicApiController.listResponses);
+router.post(
+  '/surveys/:id/exports',
+  requireScope('exports:create'),
+  validate(exportRequestSchema),
+  publicApiController.requestExport
+);
+
+export default router;
@@ -0,0 +1,64 @@
+// ============================================
+// FILE: backend/src/modules/publicApi/publicApi.service.js
+// Tenant-scoped survey operations for API key clients
+// ============================================
+import db from '../../config/db.js';
+import surveysService from '../surveys/surveys.service.js';
+import responsesService from '../responses/responses.service.js';
+
+class PublicApiService {
+  async listSurveys(tenantId, { status, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const params = [tenantId];
+    let whereClause = 'WHERE s.tenant_id = $1';
+
+    if (status) {
+      params.push(status);
+      whereClause += ` AND s.status = $${params.length}`;
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM surveys s ${whereClause}`,
+      params
+    );
+
+    params.push(limit, offset);
+
+    const result = await db.query(
+      `SELECT s.id, s.survey_key, s.title, s.description, s.survey_type, s.status,
+        s.organization_id, s.published_at, s.created_at, s.updated_at,
+        (SELECT COUNT(*) FROM survey_responses WHERE survey_id = s.id) as response_count
+       FROM surveys s
+       ${whereClause}
+       ORDER BY s.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      surveys: result.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+    };
+  }
+
+  async createSurvey(tenantId, data) {
+    return surveysService.createInTenant(tenantId, data);
+  }
+
+  async getResults(tenantId, surveyId, filters = {}) {
+    const survey = await surveysService.getForTenant(surveyId, tenantId);
+    return surveysService.fetchResults(survey, filters);
+  }
+
+  async listResponses(tenantId, surveyId, pagination = {}) {
+    await surveysService.getForTenant(surveyId, tenantId);
+    return responsesService.list(surveyId, pagination);
+  }
+
+  async requestExport(apiKey, surveyId, options) {
+    const survey = await surveysService.getForTenant(surveyId, apiKey.tenantId);
+    return surveysService.createExportJob(survey, options, { apiKeyId: apiKey.keyId });
+  }
+}
+
+export default new PublicApiService();
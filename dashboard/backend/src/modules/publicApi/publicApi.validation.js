@@ -0,0 +1,10 @@
+// ============================================
+// FILE: backend/src/modules/publicApi/publicApi.validation.js
+// ============================================
+import { createSurveySchema } from '../surveys/surveys.validators.js';
+
+// The tenant comes from the API key, never from the body
+export const createTenantSurveySchema = createSurveySchema.fork(
+  ['tenantId'],
+  (schema) => schema.forbidden()
+);
@@ -5,38 +5,159 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
+import answerValidationService, { QUESTION_TYPES, CHOICE_TYPES } from '../../services/answerValidationService.js';
+import quizScoringService from '../../services/quizScoringService.js';
+import branchingService from '../../services/branchingService.js';
+import membersService from '../tenants/members.service.js';
+import { OPTION_ID_TYPES, optionText, withOptionIds } from '../../utils/options.js';
+import { orderByPage } from '../../utils/pages.js';
 
 class QuestionsService {
   /**
    * Validate question data
    */
   validateQuestion(data) {
-    const validTypes = ['multiple_choice', 'text', 'rating', 'yes_no'];
-    
-    if (!validTypes.includes(data.questionType)) {
-      throw ApiError.badRequest(`Invalid question type. Must be one of: ${validTypes.join(', ')}`);
+    if (!QUESTION_TYPES.includes(data.questionType)) {
+      throw ApiError.badRequest(`Invalid question type. Must be one of: ${QUESTION_TYPES.join(', ')}`);
     }
 
-    if (data.questionType === 'multiple_choice' && (!data.options || data.options.length < 2)) {
-      throw ApiError.badRequest('Multiple choice questions must have at least 2 options');
+    if (CHOICE_TYPES.includes(data.questionType) && (!data.options || data.options.length < 2)) {
+      throw ApiError.badRequest(`${data.questionType} questions must have at least 2 options`);
+    }
+
+    if (data.questionType === 'matrix') {
+      if (!data.options || data.options.length < 2) {
+        throw ApiError.badRequest('Matrix questions must have at least 2 columns');
+      }
+      if (!data.rows || data.rows.length < 1) {
+        throw ApiError.badRequest('Matrix questions must have at least 1 row');
+      }
+      if (new Set(data.rows.map(optionText)).size !== data.rows.length) {
+        throw ApiError.badRequest('Matrix rows must be unique');
+      }
+    }
+
+    if (data.shuffleOptions && !CHOICE_TYPES.includes(data.questionType)) {
+      throw ApiError.badRequest(`Option shuffling is not supported for ${data.questionType} questions`);
+    }
+
+    const ruleProblems = answerValidationService.validateRules(
+      data.questionType,
+      data.validation || {},
+      data.options || []
+    );
+
+    if (ruleProblems.length > 0) {
+      throw ApiError.badRequest('Invalid validation rules', { errors: ruleProblems });
+    }
+
+    const scoringProblems = quizScoringService.validateOptions(data.questionType, data.options || []);
+
+    if (scoringProblems.length > 0) {
+      throw ApiError.badRequest('Invalid quiz scoring', { errors: scoringProblems });
     }
 
     return true;
   }
 
+  /**
+   * Options and matrix rows to store, each with an id. Ids of the
+   * question's current options are kept (see utils/options.js).
+   */
+  withIds(questionType, items, previous = []) {
+    return OPTION_ID_TYPES.includes(questionType) ? withOptionIds(items, previous) : items;
+  }
+
+  /**
+   * Check questions being saved to a survey against its other questions and
+   * pages. Option texts in their conditions become option ids (see
+   * branchingService.resolveOptionValues), and branching problems are a 400
+   * like surveysService.assertValidBranching. `questions` are new questions
+   * or changed fields of existing ones ({ id, key, type, options, conditional,
+   * position }); removedId is a question being deleted. Returns `questions`
+   * with the conditional to store.
+   */
+  async resolveSurveyBranching(surveyId, questions, removedId = null) {
+    const [surveyResult, questionsResult] = await Promise.all([
+      db.query('SELECT pages FROM surveys WHERE id = $1', [surveyId]),
+      db.query('SELECT id, key, type, meta, position FROM questions WHERE survey_id = $1 ORDER BY position ASC', [surveyId]),
+    ]);
+    const pages = surveyResult.rows[0]?.pages || [];
+    const changes = new Map(questions.map(q => [q.id, q]));
+
+    const current = questionsResult.rows
+      .filter(q => q.id !== removedId)
+      .map(q => ({
+        id: q.id,
+        key: q.key,
+        type: q.type,
+        options: q.meta?.options || [],
+        conditional: q.meta?.conditional || null,
+        position: q.position,
+        ...(q.meta?.page ? { page: q.meta.page } : {}),
+      }));
+    const known = new Set(current.map(q => q.id));
+    const merged = [
+      ...current.map(q => ({ ...q, ...changes.get(q.id) })),
+      ...questions.filter(q => !known.has(q.id)),
+    ];
+    const resolved = merged.map(q => (changes.has(q.id)
+      ? { ...q, conditional: branchingService.resolveOptionValues(q.conditional || null, merged) }
+      : q));
+
+    const ordered = orderByPage([...resolved].sort((a, b) => a.position - b.position), pages);
+    const problems = branchingService.validateLogic(ordered, pages);
+
+    if (problems.length > 0) {
+      throw ApiError.badRequest('Invalid branching logic', { errors: problems });
+    }
+
+    const byId = new Map(resolved.map(q => [q.id, q]));
+    return questions.map(q => ({ ...q, conditional: byId.get(q.id).conditional }));
+  }
+
+  /**
+   * Organization owners manage all of their questions; tenant editors
+   * manage the questions of surveys in their tenant
+   */
+  async verifyWriteAccess(userId, organizationId, surveyId = null) {
+    const result = await db.query(
+      `SELECT o.owner_id = $2 AS is_owner,
+        (SELECT tm.role FROM surveys s
+         JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $2
+         WHERE s.id = $3 AND s.organization_id = o.id) AS member_role
+       FROM organizations o
+       WHERE o.id = $1`,
+      [organizationId, userId, surveyId]
+    );
+
+    const access = result.rows[0];
+
+    if (!access || (!access.is_owner && !membersService.hasRole(access.member_role, 'editor'))) {
+      throw ApiError.forbidden('Organization not found or access denied');
+    }
+  }
+
   /**
    * Create a question (with survey context)
    */
   async create(userId, data) {
     this.validateQuestion(data);
 
-    const orgCheck = await db.query(
-      'SELECT id FROM organizations WHERE id = $1 AND owner_id = $2',
-      [data.organizationId, userId]
-    );
+    await this.verifyWriteAccess(userId, data.organizationId, data.surveyId);
 
-    if (orgCheck.rows.length === 0) {
-      throw ApiError.forbidden('Organization not found or access denied');
+    const question = {
+      id: uuidv4(),
+      key: data.key || `q_${Date.now()}`,
+      type: data.questionType,
+      options: this.withIds(data.questionType, data.options || []),
+      conditional: data.conditional || null,
+      position: data.position || 0,
+    };
+
+    if (data.surveyId) {
+      const [resolved] = await this.resolveSurveyBranching(data.surveyId, [question]);
+      question.conditional = resolved.conditional;
     }
 
     const result = await db.query(
@@ -47,63 +168,87 @@ class QuestionsService {
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
        RETURNING *`,
       [
-        uuidv4(),
+        question.id,
         data.surveyId || null,
         data.organizationId,
-        data.key || `q_${Date.now()}`,
+        question.key,
         data.questionType,
         data.questionText,
         JSON.stringify({
-          options: data.options || [],
+          options: question.options,
+          ...(data.rows ? { rows: this.withIds(data.questionType, data.rows) } : {}),
+          ...(data.shuffleOptions ? { shuffleOptions: true } : {}),
+          ...(data.pinned ? { pinned: true } : {}),
           validation: data.validation || {},
-          conditional: data.conditional || null,
+          conditional: question.conditional,
         }),
-        data.position || 0,
+        question.position,
         data.required !== false,
       ]
     );
 
-    const question = result.rows[0];
-    return this.formatQuestion(question);
+    return this.formatQuestion(result.rows[0]);
   }
 
   /**
    * Bulk create questions for a survey
    */
   async bulkCreate(userId, organizationId, questions) {
-    const orgCheck = await db.query(
-      'SELECT id FROM organizations WHERE id = $1 AND owner_id = $2',
-      [organizationId, userId]
-    );
+    await this.verifyWriteAccess(userId, organizationId, questions[0]?.surveyId);
 
-    if (orgCheck.rows.length === 0) {
-      throw ApiError.forbidden('Organization not found or access denied');
-    }
+    return this.insertMany(organizationId, questions);
+  }
 
+  /**
+   * Insert questions without an access check (callers verify the organization)
+   */
+  async insertMany(organizationId, questions) {
     const results = [];
-    
+
+    questions.forEach(q => this.validateQuestion(q));
+
+    let prepared = questions.map((q, i) => ({
+      id: uuidv4(),
+      key: q.key || `q_${Date.now()}_${i}`,
+      type: q.questionType,
+      options: this.withIds(q.questionType, q.options || []),
+      conditional: q.conditional || null,
+      position: q.position !== undefined ? q.position : i,
+      ...(q.page ? { page: q.page } : {}),
+    }));
+
+    const surveyId = questions[0]?.surveyId;
+    if (surveyId) {
+      prepared = await this.resolveSurveyBranching(surveyId, prepared);
+    }
+
     for (let i = 0; i < questions.length; i++) {
       const q = questions[i];
-      this.validateQuestion(q);
+      const { id, key, options, conditional, position } = prepared[i];
 
       const result = await db.query(
         `INSERT INTO questions (
-          id, organization_id, key, type, label, meta, position, required, created_at
+          id, survey_id, organization_id, key, type, label, meta, position, required, created_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
         RETURNING *`,
         [
-          uuidv4(),
+          id,
+          q.surveyId || null,
           organizationId,
-          q.key || `q_${Date.now()}_${i}`,
+          key,
           q.questionType,
           q.questionText,
           JSON.stringify({
-            options: q.options || [],
+            options,
+            ...(q.rows ? { rows: this.withIds(q.questionType, q.rows) } : {}),
+            ...(q.page ? { page: q.page } : {}),
+            ...(q.shuffleOptions ? { shuffleOptions: true } : {}),
+            ...(q.pinned ? { pinned: true } : {}),
             validation: q.validation || {},
-            conditional: q.conditional || null,
+            conditional,
           }),
-          q.position !== undefined ? q.position : i,
+          position,
           q.required !== false,
         ]
       );
@@ -118,10 +263,45 @@ class QuestionsService {
    * Update question
    */
   async update(questionId, userId, updates) {
-    await this.getById(questionId, userId);
+    const existing = await this.getById(questionId, userId, 'editor');
+
+    if (
+      updates.questionType ||
+      updates.options !== undefined ||
+      updates.rows !== undefined ||
+      updates.shuffleOptions !== undefined ||
+      updates.validation !== undefined
+    ) {
+      this.validateQuestion({
+        questionType: updates.questionType || existing.questionType,
+        options: updates.options !== undefined ? updates.options : existing.options,
+        rows: updates.rows !== undefined ? updates.rows : existing.rows,
+        shuffleOptions: updates.shuffleOptions !== undefined ? updates.shuffleOptions : existing.shuffleOptions,
+        validation: updates.validation !== undefined ? updates.validation : existing.validation,
+      });
+    }
 
-    if (updates.questionType) {
-      this.validateQuestion(updates);
+    // Options keep the ids of the current ones (see withIds)
+    const questionType = updates.questionType || existing.questionType;
+    const options = updates.options !== undefined
+      ? this.withIds(questionType, updates.options, existing.options)
+      : existing.options;
+    let conditional = updates.conditional !== undefined ? updates.conditional : existing.conditional;
+
+    // Type, option, rule and position changes can break rules on this or other questions
+    if (
+      existing.surveyId &&
+      (updates.questionType || updates.options !== undefined || updates.conditional !== undefined || updates.position !== undefined)
+    ) {
+      const [resolved] = await this.resolveSurveyBranching(existing.surveyId, [{
+        id: questionId,
+        key: existing.key,
+        type: questionType,
+        options,
+        conditional,
+        position: updates.position !== undefined ? updates.position : existing.position,
+      }]);
+      conditional = resolved.conditional;
     }
 
     const setClauses = [];
@@ -140,11 +320,23 @@ class QuestionsService {
       paramIndex++;
     }
 
-    if (updates.options !== undefined) {
-      // Get existing meta and update options
-      const existing = await db.query('SELECT meta FROM questions WHERE id = $1', [questionId]);
-      const meta = existing.rows[0]?.meta || {};
-      meta.options = updates.options;
+    if (
+      updates.options !== undefined ||
+      updates.rows !== undefined ||
+      updates.shuffleOptions !== undefined ||
+      updates.pinned !== undefined ||
+      updates.validation !== undefined ||
+      updates.conditional !== undefined
+    ) {
+      // Get existing meta and update options/validation/branching rules
+      const current = await db.query('SELECT meta FROM questions WHERE id = $1', [questionId]);
+      const meta = current.rows[0]?.meta || {};
+      if (updates.options !== undefined) meta.options = options;
+      if (updates.rows !== undefined) meta.rows = this.withIds(questionType, updates.rows, meta.rows);
+      if (updates.shuffleOptions !== undefined) meta.shuffleOptions = updates.shuffleOptions;
+      if (updates.pinned !== undefined) meta.pinned = updates.pinned;
+      if (updates.validation !== undefined) meta.validation = updates.validation;
+      meta.conditional = conditional;
       
       setClauses.push(`meta = $${paramIndex}`);
       params.push(JSON.stringify(meta));
@@ -212,7 +404,7 @@ class QuestionsService {
    */
   async getAll(userId, filters = {}, page = 1, limit = 10) {
     const offset = (page - 1) * limit;
-    let whereClause = 'WHERE o.owner_id = $1';
+    let whereClause = 'WHERE (o.owner_id = $1 OR tm.user_id IS NOT NULL)';
     const params = [userId];
     let paramIndex = 2;
 
@@ -237,6 +429,8 @@ class QuestionsService {
     const countResult = await db.query(
       `SELECT COUNT(*) FROM questions q
        JOIN organizations o ON q.organization_id = o.id
+       LEFT JOIN surveys s ON q.survey_id = s.id
+       LEFT JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $1
        ${whereClause}`,
       params
     );
@@ -247,6 +441,8 @@ class QuestionsService {
       `SELECT q.*, o.name as organization_name
        FROM questions q
        JOIN organizations o ON q.organization_id = o.id
+       LEFT JOIN surveys s ON q.survey_id = s.id
+       LEFT JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $1
        ${whereClause}
        ORDER BY q.position ASC, q.created_at ASC
        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
@@ -262,12 +458,15 @@ class QuestionsService {
   /**
    * Get question by ID
    */
-  async getById(questionId, userId) {
+  async getById(questionId, userId, minRole = 'viewer') {
     const result = await db.query(
-      `SELECT q.*, o.name as organization_name
+      `SELECT q.*, o.name as organization_name,
+        CASE WHEN o.owner_id = $2 THEN 'owner' ELSE tm.role END as member_role
        FROM questions q
        JOIN organizations o ON q.organization_id = o.id
-       WHERE q.id = $1 AND o.owner_id = $2`,
+       LEFT JOIN surveys s ON q.survey_id = s.id
+       LEFT JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $2
+       WHERE q.id = $1 AND (o.owner_id = $2 OR tm.user_id IS NOT NULL)`,
       [questionId, userId]
     );
 
@@ -275,6 +474,8 @@ class QuestionsService {
       throw ApiError.notFound('Question not found');
     }
 
+    membersService.assertRole(result.rows[0].member_role, minRole);
+
     return this.formatQuestion(result.rows[0]);
   }
 
@@ -282,7 +483,13 @@ class QuestionsService {
    * Delete question
    */
   async delete(questionId, userId) {
-    await this.getById(questionId, userId);
+    const existing = await this.getById(questionId, userId, 'editor');
+
+    // Rules elsewhere in the survey may reference it
+    if (existing.surveyId) {
+      await this.resolveSurveyBranching(existing.surveyId, [], questionId);
+    }
+
     await db.query('DELETE FROM questions WHERE id = $1', [questionId]);
   }
 
@@ -300,6 +507,9 @@ class QuestionsService {
       questionText: row.label,
       questionType: row.type,
       options: meta.options || [],
+      ...(meta.rows ? { rows: meta.rows } : {}),
+      ...(meta.shuffleOptions ? { shuffleOptions: true } : {}),
+      ...(meta.pinned ? { pinned: true } : {}),
       validation: meta.validation || {},
       conditional: meta.conditional || null,
       position: row.position,
@@ -2,18 +2,96 @@
 // questions.validation.js
 // ============================================
 import Joi from 'joi';
+import { CONDITION_OPERATORS } from '../../services/branchingService.js';
+import { QUESTION_TYPES } from '../../services/answerValidationService.js';
+
+// Plain option text, or an option with an id, an image, quiz scoring or a pinned position.
+// Options without an id are given one (see utils/options.js).
+export const optionSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    id: Joi.string().max(100).optional(),
+    text: Joi.string().required(),
+    imageUrl: Joi.string().uri().allow('').optional(),
+    correct: Joi.boolean().optional(),
+    points: Joi.number().integer().min(-100).max(100).optional(),
+    pinned: Joi.boolean().optional(),
+  })
+);
+
+// Shape of meta.validation; per-type semantics are checked by answerValidationService
+export const validationRulesSchema = Joi.object({
+  minLength: Joi.number().integer().min(0).optional(),
+  maxLength: Joi.number().integer().min(1).optional(),
+  regex: Joi.string().max(500).optional(),
+  regexMessage: Joi.string().max(200).optional(),
+  minSelections: Joi.number().integer().min(0).optional(),
+  maxSelections: Joi.number().integer().min(1).optional(),
+  min: Joi.number().optional(),
+  max: Joi.number().optional(),
+  integer: Joi.boolean().optional(),
+  minDate: Joi.string().isoDate().optional(),
+  maxDate: Joi.string().isoDate().optional(),
+});
+
+// Matrix rows; the question's options are its columns
+export const rowsSchema = Joi.array().items(
+  Joi.alternatives().try(
+    Joi.string().max(200),
+    Joi.object({
+      id: Joi.string().max(100).optional(),
+      text: Joi.string().max(200).required(),
+    })
+  )
+).max(50);
+
+const conditionGroupSchema = Joi.object({
+  logic: Joi.string().valid('all', 'any').default('all'),
+  conditions: Joi.array().items(
+    Joi.object({
+      question: Joi.string().max(255).required(),
+      operator: Joi.string().valid(...CONDITION_OPERATORS).required(),
+      value: Joi.when('operator', {
+        is: Joi.valid('answered', 'not_answered'),
+        then: Joi.forbidden(),
+        otherwise: Joi.alternatives().try(Joi.string().max(500), Joi.number()).required(),
+      }),
+    })
+  ).min(1).max(20).required(),
+});
+
+// Shape of meta.conditional; references and cycles are checked by branchingService
+export const conditionalSchema = Joi.object({
+  showIf: conditionGroupSchema.optional(),
+  jumps: Joi.array().items(
+    Joi.object({
+      when: conditionGroupSchema.required(),
+      goTo: Joi.string().max(255).required(),
+    })
+  ).max(20).optional(),
+}).allow(null);
 
 export const createQuestionSchema = Joi.object({
   organizationId: Joi.string().uuid().required(),
   questionText: Joi.string().min(5).max(500).required(),
-  questionType: Joi.string().valid('multiple_choice', 'text', 'rating').required(),
-  options: Joi.array().items(Joi.string()).optional(),
+  questionType: Joi.string().valid(...QUESTION_TYPES).required(),
+  options: Joi.array().items(optionSchema).optional(),
+  rows: rowsSchema.optional(),
+  shuffleOptions: Joi.boolean().optional(),
+  pinned: Joi.boolean().optional(),
+  validation: validationRulesSchema.optional(),
+  conditional: conditionalSchema.optional(),
   isActive: Joi.boolean().optional(),
 });
 
 export const updateQuestionSchema = Joi.object({
   questionText: Joi.string().min(5).max(500).optional(),
-  questionType: Joi.string().valid('multiple_choice', 'text', 'rating').optional(),
-  options: Joi.array().items(Joi.string()).optional(),
+  questionType: Joi.string().valid(...QUESTION_TYPES).optional(),
+  options: Joi.array().items(optionSchema).optional(),
+  rows: rowsSchema.optional(),
+  shuffleOptions: Joi.boolean().optional(),
+  pinned: Joi.boolean().optional(),
+  validation: validationRulesSchema.optional(),
+  conditional: conditionalSchema.optional(),
   isActive: Joi.boolean().optional(),
 });
@@ -0,0 +1,222 @@
+// ============================================
+// FILE: backend/src/modules/responses/responses.service.js
+// Stored survey responses with filters, search and cursor pagination
+// ============================================
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { labelAnswer, optionId, optionText } from '../../utils/options.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Question types whose answers are what the respondent typed; the rest are
+// option ids, numbers or dates and stay out of the full-text search
+export const FREE_TEXT_TYPES = ['text', 'email'];
+
+/**
+ * Cursors are opaque base64url-encoded response ids. Paging compares against
+ * the row's stored created_at so microsecond timestamps aren't truncated.
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function encodeCursor(row) {
+  return Buffer.from(row.id).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const id = Buffer.from(cursor, 'base64url').toString('utf8');
+
+  if (!UUID_PATTERN.test(id)) {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+
+  return id;
+}
+
+/**
+ * JSON values an "answer equals" filter matches: the text itself, a
+ * multi-select containing it, the number or boolean it spells and the
+ * ids of options labelled with it
+ */
+function answerCandidates(questionId, answer, optionIds) {
+  const values = [answer, [answer]];
+
+  for (const id of Array.isArray(optionIds) ? optionIds : []) {
+    if (id !== answer) values.push(id, [id]);
+  }
+  const number = Number(answer);
+
+  if (answer.trim() !== '' && Number.isFinite(number)) {
+    values.push(number);
+  }
+  if (answer === 'true' || answer === 'false') {
+    values.push(answer === 'true');
+  }
+
+  return values.map((value) => JSON.stringify([{ questionId, answer: value }]));
+}
+
+class ResponsesService {
+  /**
+   * WHERE conditions for the response filters, appended to params
+   */
+  buildFilters(filters, params) {
+    const conditions = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.startDate) add('created_at >= ?', filters.startDate);
+    if (filters.endDate) add('created_at <= ?', filters.endDate);
+    if (filters.country) add('country_code = ?', filters.country);
+    if (filters.sessionId) add('session_id = ?', filters.sessionId);
+    if (filters.snapshotVersion) add('snapshot_version = ?', filters.snapshotVersion);
+
+    if (filters.questionId && filters.answer !== undefined) {
+      // Separate ORs so each can use the GIN index on the answers
+      const matches = answerCandidates(filters.questionId, filters.answer, filters.optionIds).map((candidate) => {
+        params.push(candidate);
+        return `response_data -> 'answers' @> $${params.length}::jsonb`;
+      });
+      conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    if (filters.q) add("answers_tsv @@ websearch_to_tsquery('simple', ?)", filters.q);
+
+    return conditions;
+  }
+
+  /**
+   * List a survey's responses, newest first. Access must already be verified.
+   */
+  async list(surveyId, { limit = DEFAULT_PAGE_SIZE, cursor, ...filters } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const params = [surveyId];
+    const conditions = ['survey_id = $1'];
+
+    if (cursor) {
+      params.push(decodeCursor(cursor));
+      conditions.push(`(created_at, id) < (
+        SELECT created_at, id FROM survey_responses WHERE id = $${params.length} AND survey_id = $1
+      )`);
+    }
+
+    conditions.push(...this.buildFilters(filters, params));
+
+    // Fetch one extra row to know whether another page exists
+    params.push(pageSize + 1);
+
+    const result = await db.query(
+      `SELECT id, session_id, response_data, country_code,
+        snapshot_id, snapshot_version, created_at
+       FROM survey_responses
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const responses = result.rows.slice(0, pageSize);
+    const hasMore = result.rows.length > pageSize;
+
+    return {
+      responses,
+      nextCursor: hasMore ? encodeCursor(responses[responses.length - 1]) : null,
+    };
+  }
+
+  /**
+   * Ids of the question's options whose text is `answer`, so the
+   * dashboard's answer filter can be given an option's text
+   */
+  async optionIdsLabelled(surveyId, questionId, answer) {
+    const result = await db.query(
+      'SELECT meta FROM questions WHERE id::text = $1 AND survey_id = $2',
+      [questionId, surveyId]
+    );
+    const { options = [], rows = [] } = result.rows[0]?.meta || {};
+
+    return [...options, ...rows]
+      .filter((opt) => optionText(opt) === answer)
+      .map(optionId);
+  }
+
+  /**
+   * Listed responses with their answers labelled like get(), using the
+   * snapshot version each respondent saw
+   */
+  async labelResponses(responses) {
+    const snapshotIds = [...new Set(responses.map((r) => r.snapshot_id).filter(Boolean))];
+    if (snapshotIds.length === 0) {
+      return responses;
+    }
+
+    const result = await db.query(
+      `SELECT id, snapshot -> 'questions' AS questions
+       FROM survey_snapshots
+       WHERE id = ANY($1)`,
+      [snapshotIds]
+    );
+    const questionsBySnapshot = new Map(result.rows.map((row) => [row.id, row.questions]));
+
+    return responses.map((response) => ({
+      ...response,
+      answers: this.labelAnswers(response.response_data, questionsBySnapshot.get(response.snapshot_id)),
+    }));
+  }
+
+  /**
+   * The text stored in answers_tsv for a response: its free-text answers
+   */
+  searchText(questions, answers) {
+    const types = new Map(questions.map((q) => [q.id, q.type]));
+
+    return answers
+      .filter(({ questionId, answer }) => FREE_TEXT_TYPES.includes(types.get(questionId)) && typeof answer === 'string')
+      .map(({ answer }) => answer)
+      .join(' ');
+  }
+
+  labelAnswers(responseData, questions) {
+    const questionsById = new Map((questions || []).map((q) => [q.id, q]));
+
+    return (responseData?.answers || []).map(({ questionId, answer }) => ({
+      questionId,
+      question: questionsById.get(questionId)?.text ?? null,
+      type: questionsById.get(questionId)?.type ?? null,
+      answer: labelAnswer(questionsById.get(questionId), answer),
+    }));
+  }
+
+  /**
+   * One response with each answer labelled by the question of the
+   * snapshot version the respondent saw; option ids become their text
+   */
+  async get(surveyId, responseId) {
+    if (!UUID_PATTERN.test(responseId)) {
+      throw ApiError.notFound('Response not found');
+    }
+
+    const result = await db.query(
+      `SELECT r.id, r.session_id, r.response_data, r.user_agent, r.country_code,
+        r.snapshot_id, r.snapshot_version, r.created_at,
+        ss.snapshot -> 'questions' AS questions
+       FROM survey_responses r
+       LEFT JOIN survey_snapshots ss ON r.snapshot_id = ss.id
+       WHERE r.id = $1 AND r.survey_id = $2`,
+      [responseId, surveyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Response not found');
+    }
+
+    const { questions, ...response } = result.rows[0];
+    response.answers = this.labelAnswers(response.response_data, questions);
+
+    return response;
+  }
+}
+
+export default new ResponsesService();
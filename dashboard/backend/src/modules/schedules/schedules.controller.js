@@ -0,0 +1,53 @@
+// ============================================
+// FILE: backend/src/modules/schedules/schedules.controller.js
+// ============================================
+import schedulesService from './schedules.service.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+class SchedulesController {
+  listSchedules = asyncHandler(async (req, res) => {
+    const schedules = await schedulesService.list(req.params.id, req.user.userId);
+    ApiResponse.success(res, 200, 'Schedules retrieved', { schedules });
+  });
+
+  createSchedule = asyncHandler(async (req, res) => {
+    const schedule = await schedulesService.create(req.params.id, req.user.userId, req.body);
+    ApiResponse.created(res, 'Schedule created', { schedule });
+  });
+
+  updateSchedule = asyncHandler(async (req, res) => {
+    const schedule = await schedulesService.update(
+      req.params.id,
+      req.params.scheduleId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.success(res, 200, 'Schedule updated', { schedule });
+  });
+
+  deleteSchedule = asyncHandler(async (req, res) => {
+    await schedulesService.delete(req.params.id, req.params.scheduleId, req.user.userId);
+    ApiResponse.success(res, 200, 'Schedule deleted');
+  });
+
+  runSchedule = asyncHandler(async (req, res) => {
+    const run = await schedulesService.runNow(req.params.id, req.params.scheduleId, req.user.userId);
+    ApiResponse.created(res, 'Schedule run queued', { run });
+  });
+
+  listRuns = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { runs, total } = await schedulesService.listRuns(
+      req.params.id,
+      req.params.scheduleId,
+      req.user.userId,
+      { page, limit }
+    );
+    ApiResponse.paginated(res, runs, page, limit, total, 'Schedule runs retrieved');
+  });
+}
+
+export default new SchedulesController();
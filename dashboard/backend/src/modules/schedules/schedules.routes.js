@@ -0,0 +1,19 @@
+// ============================================
+// FILE: backend/src/modules/schedules/schedules.routes.js
+// Mounted under /api/surveys/:id/schedules (auth applied by the surveys router)
+// ============================================
+import { Router } from 'express';
+import schedulesController from './schedules.controller.js';
+import { validate } from '../../middleware/validate.js';
+import { createScheduleSchema, updateScheduleSchema } from './schedules.validation.js';
+
+const router = Router({ mergeParams: true });
+
+router.get('/', schedulesController.listSchedules);
+router.post('/', validate(createScheduleSchema), schedulesController.createSchedule);
+router.put('/:scheduleId', validate(updateScheduleSchema), schedulesController.updateSchedule);
+router.delete('/:scheduleId', schedulesController.deleteSchedule);
+router.post('/:scheduleId/run', schedulesController.runSchedule);
+router.get('/:scheduleId/runs', schedulesController.listRuns);
+
+export default router;
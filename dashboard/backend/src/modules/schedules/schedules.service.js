@@ -0,0 +1,561 @@
+// ============================================
+// FILE: backend/src/modules/schedules/schedules.service.js
+// Recurring survey exports and metric digests emailed to recipients
+// ============================================
+import cronParser from 'cron-parser';
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import { labelAnswer } from '../../utils/options.js';
+import surveysService from '../surveys/surveys.service.js';
+import exportsService from '../exports/exports.service.js';
+import emailService from '../auth/email.utils.js';
+import { enqueueScheduleRun } from '../../workers/scheduleWorker.js';
+
+// Emailed links have to outlive the default signed-link TTL
+const EMAIL_LINK_TTL_SECONDS = 7 * 24 * 3600;
+
+// Pause a schedule after this many failed runs in a row
+export const MAX_CONSECUTIVE_FAILURES = 3;
+
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+const DIGEST_TOP_ANSWERS = 3;
+
+// Free-form answers are all different (and emails are personal data), and
+// every ranking contains every option; listing "top" answers says nothing
+const UNLISTED_ANSWER_TYPES = ['text', 'email', 'date', 'ranking'];
+
+const SCHEDULE_COLUMNS = `id, survey_id, tenant_id, name, kind, cron_expression, timezone, recipients,
+  format, incremental, is_active, next_run_at, last_run_at, consecutive_failures,
+  created_by, created_at, updated_at`;
+
+/**
+ * Next occurrence of a cron expression after `after`, evaluated in `timezone`
+ */
+export function nextRunAt(cronExpression, timezone = 'UTC', after = new Date()) {
+  return cronParser.parseExpression(cronExpression, { currentDate: after, tz: timezone }).next().toDate();
+}
+
+/**
+ * Reject expressions that don't parse, unknown time zones and
+ * schedules that would run more than once an hour
+ */
+export function assertValidSchedule(cronExpression, timezone = 'UTC') {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw ApiError.badRequest(`Unknown time zone: ${timezone}`);
+  }
+
+  let first;
+  let second;
+  try {
+    const interval = cronParser.parseExpression(cronExpression, { tz: timezone });
+    first = interval.next().toDate();
+    second = interval.next().toDate();
+  } catch (error) {
+    throw ApiError.badRequest(`Invalid cron expression: ${error.message}`);
+  }
+
+  if (second - first < MIN_INTERVAL_MS) {
+    throw ApiError.badRequest('Schedules can run at most once an hour');
+  }
+}
+
+class SchedulesService {
+  // ============================================
+  // Management
+  // ============================================
+
+  async list(surveyId, userId) {
+    await surveysService.getById(surveyId, userId);
+
+    const result = await db.query(
+      `SELECT s.*, lr.status AS last_run_status, lr.error_message AS last_run_error
+       FROM survey_schedules s
+       LEFT JOIN LATERAL (
+         SELECT status, error_message FROM survey_schedule_runs
+         WHERE schedule_id = s.id
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) lr ON TRUE
+       WHERE s.survey_id = $1
+       ORDER BY s.created_at`,
+      [surveyId]
+    );
+
+    return result.rows;
+  }
+
+  async get(surveyId, scheduleId) {
+    const result = await db.query(
+      `SELECT ${SCHEDULE_COLUMNS} FROM survey_schedules WHERE id = $1 AND survey_id = $2`,
+      [scheduleId, surveyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Schedule not found');
+    }
+
+    return result.rows[0];
+  }
+
+  async create(surveyId, userId, { name, kind, cronExpression, timezone, recipients, format, incremental }) {
+    const survey = await surveysService.getById(surveyId, userId, 'editor');
+    assertValidSchedule(cronExpression, timezone);
+
+    const result = await db.query(
+      `INSERT INTO survey_schedules (
+        survey_id, tenant_id, name, kind, cron_expression, timezone, recipients,
+        format, incremental, next_run_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING ${SCHEDULE_COLUMNS}`,
+      [
+        surveyId,
+        survey.tenant_id,
+        name,
+        kind,
+        cronExpression,
+        timezone,
+        recipients,
+        format,
+        incremental,
+        nextRunAt(cronExpression, timezone),
+        userId,
+      ]
+    );
+
+    logger.info('Survey schedule created', { surveyId, scheduleId: result.rows[0].id, kind });
+
+    return result.rows[0];
+  }
+
+  async update(surveyId, scheduleId, userId, updates) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    const schedule = await this.get(surveyId, scheduleId);
+
+    const cronExpression = updates.cronExpression ?? schedule.cron_expression;
+    const timezone = updates.timezone ?? schedule.timezone;
+    const reactivated = updates.isActive === true && !schedule.is_active;
+    const timingChanged = cronExpression !== schedule.cron_expression || timezone !== schedule.timezone;
+
+    if (timingChanged) {
+      assertValidSchedule(cronExpression, timezone);
+    }
+
+    const result = await db.query(
+      `UPDATE survey_schedules
+       SET name = COALESCE($1, name),
+           cron_expression = $2,
+           timezone = $3,
+           recipients = COALESCE($4, recipients),
+           format = COALESCE($5, format),
+           incremental = COALESCE($6, incremental),
+           is_active = COALESCE($7, is_active),
+           next_run_at = COALESCE($8, next_run_at),
+           consecutive_failures = CASE WHEN $9 THEN 0 ELSE consecutive_failures END,
+           updated_at = NOW()
+       WHERE id = $10
+       RETURNING ${SCHEDULE_COLUMNS}`,
+      [
+        updates.name,
+        cronExpression,
+        timezone,
+        updates.recipients,
+        updates.format,
+        updates.incremental,
+        updates.isActive,
+        timingChanged || reactivated ? nextRunAt(cronExpression, timezone) : null,
+        reactivated,
+        scheduleId,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  async delete(surveyId, scheduleId, userId) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    await this.get(surveyId, scheduleId);
+
+    await db.query('DELETE FROM survey_schedules WHERE id = $1', [scheduleId]);
+
+    logger.info('Survey schedule deleted', { surveyId, scheduleId });
+  }
+
+  async listRuns(surveyId, scheduleId, userId, { page = 1, limit = 20 } = {}) {
+    await surveysService.getById(surveyId, userId);
+    await this.get(surveyId, scheduleId);
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM survey_schedule_runs WHERE schedule_id = $1',
+      [scheduleId]
+    );
+
+    const result = await db.query(
+      `SELECT id, schedule_id, status, triggered_by, window_start, window_end, export_job_id,
+        response_count, attempts, error_message, started_at, finished_at, created_at
+       FROM survey_schedule_runs
+       WHERE schedule_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [scheduleId, limit, (page - 1) * limit]
+    );
+
+    return {
+      runs: result.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+    };
+  }
+
+  /**
+   * Queue an immediate run outside the schedule's cron timing
+   */
+  async runNow(surveyId, scheduleId, userId) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    await this.get(surveyId, scheduleId);
+
+    const run = await this.insertRun(db, scheduleId, 'manual', new Date());
+    await this.queueRun(run);
+
+    return run;
+  }
+
+  // ============================================
+  // Execution
+  // ============================================
+
+  async insertRun(client, scheduleId, triggeredBy, windowEnd) {
+    const result = await client.query(
+      `INSERT INTO survey_schedule_runs (schedule_id, triggered_by, window_end)
+       VALUES ($1, $2, $3)
+       RETURNING id, schedule_id, status, triggered_by, window_end, created_at`,
+      [scheduleId, triggeredBy, windowEnd]
+    );
+
+    return result.rows[0];
+  }
+
+  async queueRun(run) {
+    try {
+      await this.scheduleRun(run.id);
+    } catch (error) {
+      await db.query(
+        `UPDATE survey_schedule_runs
+         SET status = 'failed', error_message = $2, finished_at = NOW()
+         WHERE id = $1`,
+        [run.id, 'Could not queue run']
+      );
+      logger.error('Failed to queue schedule run', { runId: run.id, error: error.message });
+      throw ApiError.internal('Failed to queue schedule run');
+    }
+  }
+
+  async scheduleRun(runId) {
+    return enqueueScheduleRun(runId);
+  }
+
+  /**
+   * Called by the periodic tick: claim schedules that are due, move their
+   * next_run_at forward and queue one run each
+   */
+  async enqueueDue(now = new Date()) {
+    const runs = await db.transaction(async (client) => {
+      const due = await client.query(
+        `SELECT id, cron_expression, timezone
+         FROM survey_schedules
+         WHERE is_active AND next_run_at <= $1
+         ORDER BY next_run_at
+         LIMIT 50
+         FOR UPDATE SKIP LOCKED`,
+        [now]
+      );
+
+      const created = [];
+      for (const schedule of due.rows) {
+        await client.query(
+          'UPDATE survey_schedules SET next_run_at = $2 WHERE id = $1',
+          [schedule.id, nextRunAt(schedule.cron_expression, schedule.timezone, now)]
+        );
+        created.push(await this.insertRun(client, schedule.id, 'schedule', now));
+      }
+
+      return created;
+    });
+
+    // queueRun marks runs it couldn't queue as failed; keep going with the rest
+    for (const run of runs) {
+      await this.queueRun(run).catch(() => {});
+    }
+
+    return runs.length;
+  }
+
+  /**
+   * Execute one run. Intermediate failures are left to BullMQ retries;
+   * the final one marks the run failed and notifies the schedule owner.
+   */
+  async executeRun(runId, { isFinalAttempt = true } = {}) {
+    const claimed = await db.query(
+      `UPDATE survey_schedule_runs
+       SET status = 'running', attempts = attempts + 1, started_at = COALESCE(started_at, NOW())
+       WHERE id = $1 AND status IN ('pending', 'running')
+       RETURNING *`,
+      [runId]
+    );
+
+    if (claimed.rows.length === 0) {
+      logger.warn('Schedule run not pending, skipping', { runId });
+      return { skipped: true };
+    }
+
+    const run = claimed.rows[0];
+    const scheduleResult = await db.query(
+      `SELECT sc.*, s.title AS survey_title
+       FROM survey_schedules sc
+       JOIN surveys s ON sc.survey_id = s.id
+       WHERE sc.id = $1`,
+      [run.schedule_id]
+    );
+    const schedule = scheduleResult.rows[0];
+
+    try {
+      const windowStart = schedule.incremental
+        ? await this.getLastWindowEnd(schedule.id, run.window_end)
+        : null;
+
+      const outcome = schedule.kind === 'export'
+        ? await this.runExport(schedule, run, windowStart, isFinalAttempt)
+        : await this.runDigest(schedule, run, windowStart);
+
+      await db.query(
+        `UPDATE survey_schedule_runs
+         SET status = 'succeeded', window_start = $2, response_count = $3,
+             error_message = NULL, finished_at = NOW()
+         WHERE id = $1`,
+        [run.id, windowStart, outcome.responseCount]
+      );
+      await db.query(
+        `UPDATE survey_schedules SET last_run_at = NOW(), consecutive_failures = 0 WHERE id = $1`,
+        [schedule.id]
+      );
+
+      logger.info('Schedule run succeeded', { runId: run.id, scheduleId: schedule.id, ...outcome });
+
+      return outcome;
+    } catch (error) {
+      if (isFinalAttempt) {
+        await this.recordFailure(schedule, run, error);
+      } else {
+        await db.query(
+          'UPDATE survey_schedule_runs SET error_message = $2 WHERE id = $1',
+          [run.id, error.message]
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * End of the covered window of the last successful run before this one
+   */
+  async getLastWindowEnd(scheduleId, before) {
+    const result = await db.query(
+      `SELECT MAX(window_end) AS window_end
+       FROM survey_schedule_runs
+       WHERE schedule_id = $1 AND status = 'succeeded' AND window_end < $2`,
+      [scheduleId, before]
+    );
+
+    return result.rows[0]?.window_end || null;
+  }
+
+  async runExport(schedule, run, windowStart, isFinalAttempt) {
+    let exportJobId = run.export_job_id;
+
+    // Retries reuse the export job created by the first attempt
+    if (!exportJobId) {
+      const job = await exportsService.insertJob(
+        { id: schedule.survey_id, tenant_id: schedule.tenant_id },
+        {
+          format: schedule.format,
+          dateRange: { ...(windowStart ? { after: windowStart } : {}), endDate: run.window_end },
+          includeMetadata: true,
+        },
+        { userId: schedule.created_by }
+      );
+      exportJobId = job.id;
+
+      await db.query(
+        'UPDATE survey_schedule_runs SET export_job_id = $2 WHERE id = $1',
+        [run.id, exportJobId]
+      );
+    }
+
+    const { rowCount } = await exportsService.process(exportJobId, { isFinalAttempt });
+
+    await emailService.sendScheduledExport(schedule.recipients, {
+      surveyTitle: schedule.survey_title,
+      scheduleName: schedule.name,
+      format: schedule.format,
+      responseCount: rowCount,
+      downloadUrl: exportsService.getDownloadUrl(exportJobId, { ttlSeconds: EMAIL_LINK_TTL_SECONDS }),
+      windowStart,
+      windowEnd: run.window_end,
+    });
+
+    return { responseCount: rowCount, exportJobId };
+  }
+
+  async runDigest(schedule, run, windowStart) {
+    const digest = await this.buildDigest(schedule.survey_id, windowStart, run.window_end);
+
+    await emailService.sendScheduleDigest(schedule.recipients, {
+      surveyTitle: schedule.survey_title,
+      scheduleName: schedule.name,
+      windowStart,
+      windowEnd: run.window_end,
+      digest,
+    });
+
+    return { responseCount: digest.newResponses };
+  }
+
+  /**
+   * Response counts plus, per question of the published version, how often
+   * it was answered in the window, the average of numeric answers and the
+   * most common choices, by their published text
+   */
+  async buildDigest(surveyId, windowStart, windowEnd) {
+    const counts = await db.query(
+      `SELECT
+        COUNT(*) FILTER (WHERE $2::timestamp IS NULL OR created_at > $2) AS new_responses,
+        COUNT(*) AS total_responses
+       FROM survey_responses
+       WHERE survey_id = $1 AND created_at <= $3`,
+      [surveyId, windowStart, windowEnd]
+    );
+
+    const snapshot = await db.query(
+      `SELECT ss.snapshot -> 'questions' AS questions
+       FROM surveys s
+       JOIN survey_snapshots ss ON s.published_snapshot_id = ss.id
+       WHERE s.id = $1`,
+      [surveyId]
+    );
+
+    const answers = await db.query(
+      `SELECT a ->> 'questionId' AS question_id,
+        COUNT(*) AS answered,
+        ROUND(AVG((a ->> 'answer')::numeric) FILTER (WHERE jsonb_typeof(a -> 'answer') = 'number'), 2) AS average
+       FROM survey_responses r
+       CROSS JOIN LATERAL jsonb_array_elements(r.response_data -> 'answers') a
+       WHERE r.survey_id = $1
+         AND jsonb_typeof(r.response_data -> 'answers') = 'array'
+         AND ($2::timestamp IS NULL OR r.created_at > $2) AND r.created_at <= $3
+       GROUP BY 1`,
+      [surveyId, windowStart, windowEnd]
+    );
+
+    // Multi-select answers count once per selected option
+    const choices = await db.query(
+      `SELECT a ->> 'questionId' AS question_id, choice, COUNT(*) AS count
+       FROM survey_responses r
+       CROSS JOIN LATERAL jsonb_array_elements(r.response_data -> 'answers') a
+       CROSS JOIN LATERAL jsonb_array_elements_text(
+         CASE WHEN jsonb_typeof(a -> 'answer') = 'array' THEN a -> 'answer' ELSE jsonb_build_array(a -> 'answer') END
+       ) choice
+       WHERE r.survey_id = $1
+         AND jsonb_typeof(r.response_data -> 'answers') = 'array'
+         AND jsonb_typeof(a -> 'answer') IN ('array', 'string', 'boolean')
+         AND ($2::timestamp IS NULL OR r.created_at > $2) AND r.created_at <= $3
+       GROUP BY 1, 2
+       ORDER BY 3 DESC`,
+      [surveyId, windowStart, windowEnd]
+    );
+
+    const statsById = new Map(answers.rows.map((row) => [row.question_id, row]));
+    const questions = (snapshot.rows[0]?.questions || []).map((question) => {
+      const stats = statsById.get(question.id);
+      const topAnswers = UNLISTED_ANSWER_TYPES.includes(question.type)
+        ? []
+        : choices.rows
+          .filter((row) => row.question_id === question.id)
+          .slice(0, DIGEST_TOP_ANSWERS)
+          .map((row) => ({ answer: labelAnswer(question, row.choice), count: parseInt(row.count, 10) }));
+
+      return {
+        questionId: question.id,
+        text: question.text,
+        type: question.type,
+        answered: parseInt(stats?.answered || 0, 10),
+        average: stats?.average !== null && stats?.average !== undefined ? parseFloat(stats.average) : null,
+        topAnswers,
+      };
+    });
+
+    return {
+      newResponses: parseInt(counts.rows[0].new_responses, 10),
+      totalResponses: parseInt(counts.rows[0].total_responses, 10),
+      questions,
+    };
+  }
+
+  /**
+   * Mark a run failed, pause the schedule after repeated failures and
+   * email its creator (or the recipients when the creator is gone)
+   */
+  async recordFailure(schedule, run, error) {
+    await db.query(
+      `UPDATE survey_schedule_runs
+       SET status = 'failed', error_message = $2, finished_at = NOW()
+       WHERE id = $1`,
+      [run.id, error.message]
+    );
+
+    const updated = await db.query(
+      `UPDATE survey_schedules
+       SET consecutive_failures = consecutive_failures + 1,
+           last_run_at = NOW(),
+           is_active = is_active AND consecutive_failures + 1 < $2
+       WHERE id = $1
+       RETURNING is_active, consecutive_failures`,
+      [schedule.id, MAX_CONSECUTIVE_FAILURES]
+    );
+
+    const paused = schedule.is_active && !updated.rows[0]?.is_active;
+
+    logger.error('Schedule run failed', {
+      runId: run.id,
+      scheduleId: schedule.id,
+      consecutiveFailures: updated.rows[0]?.consecutive_failures,
+      paused,
+      error: error.message,
+    });
+
+    try {
+      const owner = await db.query('SELECT email FROM users WHERE id = $1', [schedule.created_by]);
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      await emailService.sendScheduleFailure(
+        owner.rows[0] ? [owner.rows[0].email] : schedule.recipients,
+        {
+          surveyTitle: schedule.survey_title,
+          scheduleName: schedule.name,
+          error: error.message,
+          paused,
+          schedulesUrl: `${frontendUrl}/surveys/${schedule.survey_id}/schedules`,
+        }
+      );
+    } catch (notifyError) {
+      logger.error('Failed to send schedule failure email', {
+        scheduleId: schedule.id,
+        error: notifyError.message,
+      });
+    }
+  }
+}
+
+export default new SchedulesService();
@@ -0,0 +1,27 @@
+// ============================================
+// FILE: backend/src/modules/schedules/schedules.validation.js
+// ============================================
+import Joi from 'joi';
+
+const recipientsSchema = Joi.array().items(Joi.string().email().max(255)).min(1).max(20).unique();
+
+export const createScheduleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required(),
+  kind: Joi.string().valid('export', 'digest').required(),
+  // e.g. "0 8 * * 1" for Mondays at 08:00
+  cronExpression: Joi.string().trim().max(100).required(),
+  timezone: Joi.string().max(64).default('UTC'),
+  recipients: recipientsSchema.required(),
+  format: Joi.string().valid('csv', 'json', 'xlsx').default('csv'),
+  incremental: Joi.boolean().default(true),
+});
+
+export const updateScheduleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).optional(),
+  cronExpression: Joi.string().trim().max(100).optional(),
+  timezone: Joi.string().max(64).optional(),
+  recipients: recipientsSchema.optional(),
+  format: Joi.string().valid('csv', 'json', 'xlsx').optional(),
+  incremental: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
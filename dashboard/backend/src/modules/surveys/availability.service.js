@@ -0,0 +1,192 @@
+// ============================================
+// FILE: backend/src/modules/surveys/availability.service.js
+// Open/close windows and response caps for published surveys
+// ============================================
+//
+// A published survey is in one of three statuses:
+//   scheduled - opens_at is in the future
+//   published - accepting responses
+//   closed    - closes_at passed or max_responses reached
+// Respondent-facing checks are computed live from the window and the
+// response count; the schedule worker flips the stored status and tells
+// the tenant owners when a survey opens or closes.
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import emailService from '../auth/email.utils.js';
+import { formatInTimezone } from '../../utils/timezones.js';
+import { logger } from '../../lib/logger.js';
+
+// Statuses of a survey with a pinned snapshot
+export const LIVE_STATUSES = ['scheduled', 'published', 'closed'];
+
+const SURVEY_COLUMNS = 'id, tenant_id, title, opens_at, closes_at, max_responses, timezone, closed_reason';
+
+class AvailabilityService {
+  /**
+   * Status the open/close window gives a published survey at `now`;
+   * the response cap is checked separately
+   */
+  statusForWindow(survey, now = new Date()) {
+    if (survey.opens_at && new Date(survey.opens_at) > now) {
+      return 'scheduled';
+    }
+    if (survey.closes_at && new Date(survey.closes_at) <= now) {
+      return 'closed';
+    }
+    return 'published';
+  }
+
+  /**
+   * What respondents see: { state: 'open' | 'scheduled' | 'closed', reason, opensAt, closesAt }
+   */
+  getState(survey, responseCount = 0, now = new Date()) {
+    const window = { opensAt: survey.opens_at || null, closesAt: survey.closes_at || null };
+    const status = this.statusForWindow(survey, now);
+
+    if (status === 'scheduled') {
+      return { state: 'scheduled', reason: 'not_open_yet', ...window };
+    }
+    if (status === 'closed') {
+      return { state: 'closed', reason: 'closes_at', ...window };
+    }
+    if (survey.max_responses && responseCount >= survey.max_responses) {
+      return { state: 'closed', reason: 'max_responses', ...window };
+    }
+    return { state: 'open', reason: null, ...window };
+  }
+
+  /**
+   * getState for a survey row; responses are only counted when it has a cap
+   */
+  async getSurveyState(survey, client = db) {
+    const responseCount = survey.max_responses ? await this.countResponses(survey.id, client) : 0;
+    return this.getState(survey, responseCount);
+  }
+
+  async countResponses(surveyId, client = db) {
+    const result = await client.query(
+      'SELECT COUNT(*) AS count FROM survey_responses WHERE survey_id = $1',
+      [surveyId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Reject submissions outside the window or over the cap
+   */
+  async assertOpen(survey) {
+    const state = await this.getSurveyState(survey);
+
+    if (state.state !== 'open') {
+      throw this.closedError(state);
+    }
+  }
+
+  /**
+   * Inside the submission transaction: lock the survey so concurrent
+   * submissions can't overshoot max_responses
+   */
+  async reserveResponse(survey, client) {
+    if (!survey.max_responses) {
+      return;
+    }
+
+    await client.query('SELECT id FROM surveys WHERE id = $1 FOR UPDATE', [survey.id]);
+
+    const state = this.getState(survey, await this.countResponses(survey.id, client));
+    if (state.state !== 'open') {
+      throw this.closedError(state);
+    }
+  }
+
+  // details carry the state so the widget can render it
+  closedError(state) {
+    return new ApiError(
+      state.state === 'scheduled' ? 'Survey is not open yet' : 'Survey is closed',
+      403,
+      state
+    );
+  }
+
+  /**
+   * Called by the schedule worker's tick: open scheduled surveys whose
+   * time has come, close the ones past their window or cap, and notify
+   * the tenant owners
+   */
+  async applyTransitions(now = new Date()) {
+    const opened = await db.query(
+      `UPDATE surveys
+       SET status = 'published', updated_at = NOW()
+       WHERE status = 'scheduled' AND opens_at <= $1 AND (closes_at IS NULL OR closes_at > $1)
+       RETURNING ${SURVEY_COLUMNS}`,
+      [now]
+    );
+
+    // Scheduled surveys whose whole window passed (e.g. during downtime) close directly
+    const closed = await db.query(
+      `UPDATE surveys s
+       SET status = 'closed',
+           closed_at = $1,
+           closed_reason = CASE WHEN s.closes_at <= $1 THEN 'closes_at' ELSE 'max_responses' END,
+           updated_at = NOW()
+       WHERE (s.status IN ('scheduled', 'published') AND s.closes_at <= $1)
+          OR (s.status = 'published' AND s.max_responses IS NOT NULL
+              AND (SELECT COUNT(*) FROM survey_responses r WHERE r.survey_id = s.id) >= s.max_responses)
+       RETURNING ${SURVEY_COLUMNS}`,
+      [now]
+    );
+
+    for (const survey of opened.rows) {
+      await this.notifyOwners(survey, 'opened', now);
+    }
+    for (const survey of closed.rows) {
+      await this.notifyOwners(survey, 'closed', now);
+    }
+
+    if (opened.rows.length > 0 || closed.rows.length > 0) {
+      logger.info('Survey availability updated', {
+        opened: opened.rows.map(s => s.id),
+        closed: closed.rows.map(s => s.id),
+      });
+    }
+
+    return { opened: opened.rows.length, closed: closed.rows.length };
+  }
+
+  /**
+   * Email the tenant owners; a failed email never blocks the status change
+   */
+  async notifyOwners(survey, event, at) {
+    try {
+      const owners = await db.query(
+        `SELECT u.email FROM tenant_members tm
+         JOIN users u ON u.id = tm.user_id
+         WHERE tm.tenant_id = $1 AND tm.role = 'owner'`,
+        [survey.tenant_id]
+      );
+
+      if (owners.rows.length === 0) {
+        return;
+      }
+
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      await emailService.sendSurveyAvailability(owners.rows.map(row => row.email), {
+        surveyTitle: survey.title,
+        event,
+        reason: event === 'closed' ? survey.closed_reason : null,
+        maxResponses: survey.max_responses,
+        at: formatInTimezone(at, survey.timezone),
+        surveyUrl: `${frontendUrl}/surveys/${survey.id}/responses`,
+      });
+    } catch (error) {
+      logger.error('Failed to send survey availability email', {
+        surveyId: survey.id,
+        event,
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new AvailabilityService();
@@ -6,19 +6,58 @@ import { v4 as uuidv4 } from 'uuid';
 import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { logger } from '../../lib/logger.js';
+import { orderByPage } from '../../utils/pages.js';
+import { DEFAULT_LOCALE } from '../../utils/locales.js';
+
+// Question fields compared when diffing two snapshots
+const QUESTION_DIFF_FIELDS = [
+  'key', 'text', 'type', 'options', 'rows', 'page', 'shuffleOptions', 'pinned',
+  'required', 'position', 'validation', 'conditional',
+];
+
+// Survey-level fields compared when diffing two snapshots
+const SURVEY_DIFF_FIELDS = ['title', 'description', 'surveyType', 'pages', 'locale', 'translations'];
+
+/**
+ * JSON serialization with sorted object keys, so that
+ * JSONB round-trips don't show up as changes
+ */
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function diffFields(from = {}, to = {}, fields) {
+  const changes = {};
+
+  for (const field of fields) {
+    if (canonical(from[field]) !== canonical(to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  }
+
+  return changes;
+}
 
 class SnapshotsService {
   /**
-   * Create a snapshot of the current survey state
+   * Create a snapshot of the survey and exactly its own active questions.
+   * Pass a transaction client so the snapshot is rolled back with the
+   * rest of the publish pipeline.
    */
-  async createSnapshot(surveyId, userId) {
+  async createSnapshot(surveyId, userId, client = db) {
     try {
-      // Get full survey with questions
-      const surveyResult = await db.query(
-        `SELECT s.*, t.name as tenant_name
-         FROM surveys s
-         JOIN tenants t ON s.tenant_id = t.id
-         WHERE s.id = $1`,
+      // Lock the survey row so concurrent publishes get distinct versions
+      const surveyResult = await client.query(
+        `SELECT id, title, description, survey_type, config, pages, default_locale, translations
+         FROM surveys
+         WHERE id = $1
+         FOR UPDATE`,
         [surveyId]
       );
 
@@ -28,14 +67,41 @@ class SnapshotsService {
 
       const survey = surveyResult.rows[0];
 
-      // Get all questions for this survey's organization
-      const questionsResult = await db.query(
-        `SELECT id, question_text, question_type, options, required, position
+      const questionsResult = await client.query(
+        `SELECT id, key, type, label, meta, required, position
          FROM questions
-         WHERE organization_id = $1 AND is_active = true
+         WHERE survey_id = $1 AND is_active = true
          ORDER BY position ASC, created_at ASC`,
-        [survey.organization_id]
+        [surveyId]
+      );
+
+      const versionResult = await client.query(
+        `SELECT COALESCE(MAX(version), 0) + 1 AS version
+         FROM survey_snapshots
+         WHERE survey_id = $1`,
+        [surveyId]
       );
+      const version = versionResult.rows[0].version;
+
+      const pages = survey.pages || [];
+      const translations = survey.translations || {};
+
+      // Questions are stored grouped by page
+      const questions = orderByPage(questionsResult.rows.map(q => ({
+        id: q.id,
+        key: q.key,
+        text: q.label,
+        type: q.type,
+        options: q.meta?.options || [],
+        ...(q.meta?.rows ? { rows: q.meta.rows } : {}),
+        ...(q.meta?.shuffleOptions ? { shuffleOptions: true } : {}),
+        ...(q.meta?.pinned ? { pinned: true } : {}),
+        required: q.required || false,
+        position: q.position,
+        validation: q.meta?.validation || {},
+        conditional: q.meta?.conditional || null,
+        ...(q.meta?.page ? { page: q.meta.page } : {}),
+      })), pages);
 
       // Build snapshot data
       const snapshotData = {
@@ -44,36 +110,35 @@ class SnapshotsService {
         description: survey.description,
         surveyType: survey.survey_type,
         config: survey.config,
-        questions: questionsResult.rows.map(q => ({
-          id: q.id,
-          text: q.question_text,
-          type: q.question_type,
-          options: typeof q.options === 'string' ? JSON.parse(q.options) : q.options,
-          required: q.required || false,
-          position: q.position,
-        })),
-        snapshotVersion: '1.0',
+        locale: survey.default_locale || DEFAULT_LOCALE,
+        ...(Object.keys(translations).length > 0 ? { translations } : {}),
+        ...(pages.length > 0 ? { pages } : {}),
+        questions,
+        version,
+        snapshotVersion: '1.2',
         createdAt: new Date().toISOString(),
       };
 
       // Store snapshot
-      const result = await db.query(
+      const result = await client.query(
         `INSERT INTO survey_snapshots (
-          id, survey_id, snapshot, created_at, created_by
-        ) VALUES ($1, $2, $3, NOW(), $4)
+          id, survey_id, snapshot, version, created_at, created_by
+        ) VALUES ($1, $2, $3, $4, NOW(), $5)
         RETURNING id, created_at`,
-        [uuidv4(), surveyId, JSON.stringify(snapshotData), userId]
+        [uuidv4(), surveyId, JSON.stringify(snapshotData), version, userId]
       );
 
       logger.info('Survey snapshot created', {
         surveyId,
         snapshotId: result.rows[0].id,
+        version,
         questionsCount: snapshotData.questions.length,
       });
 
       return {
         id: result.rows[0].id,
         surveyId,
+        version,
         snapshot: snapshotData,
         createdAt: result.rows[0].created_at,
       };
@@ -91,7 +156,7 @@ class SnapshotsService {
    */
   async getLatestSnapshot(surveyId) {
     const result = await db.query(
-      `SELECT id, survey_id, snapshot, created_at, created_by
+      `SELECT id, survey_id, snapshot, version, created_at, created_by
        FROM survey_snapshots
        WHERE survey_id = $1
        ORDER BY created_at DESC
@@ -107,6 +172,7 @@ class SnapshotsService {
     return {
       id: row.id,
       surveyId: row.survey_id,
+      version: row.version,
       snapshot: row.snapshot,
       createdAt: row.created_at,
       createdBy: row.created_by,
@@ -118,7 +184,7 @@ class SnapshotsService {
    */
   async getSnapshotById(snapshotId) {
     const result = await db.query(
-      `SELECT id, survey_id, snapshot, created_at, created_by
+      `SELECT id, survey_id, snapshot, version, created_at, created_by
        FROM survey_snapshots
        WHERE id = $1`,
       [snapshotId]
@@ -132,6 +198,7 @@ class SnapshotsService {
     return {
       id: row.id,
       surveyId: row.survey_id,
+      version: row.version,
       snapshot: row.snapshot,
       createdAt: row.created_at,
       createdBy: row.created_by,
@@ -143,7 +210,7 @@ class SnapshotsService {
    */
   async getSnapshotHistory(surveyId, limit = 10) {
     const result = await db.query(
-      `SELECT id, survey_id, created_at, created_by
+      `SELECT id, survey_id, version, created_at, created_by
        FROM survey_snapshots
        WHERE survey_id = $1
        ORDER BY created_at DESC
@@ -154,6 +221,45 @@ class SnapshotsService {
     return result.rows;
   }
 
+  /**
+   * Compare two snapshot payloads. Questions are matched by id;
+   * `from` is the base and `to` the target version.
+   */
+  diffSnapshots(from, to) {
+    const fromQuestions = new Map((from.questions || []).map(q => [q.id, q]));
+    const toQuestions = new Map((to.questions || []).map(q => [q.id, q]));
+
+    const added = [...toQuestions.values()].filter(q => !fromQuestions.has(q.id));
+    const removed = [...fromQuestions.values()].filter(q => !toQuestions.has(q.id));
+    const changed = [];
+
+    for (const [id, question] of toQuestions) {
+      if (!fromQuestions.has(id)) continue;
+
+      const changes = diffFields(fromQuestions.get(id), question, QUESTION_DIFF_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ id, key: question.key || null, changes });
+      }
+    }
+
+    const fromConfig = from.config || {};
+    const toConfig = to.config || {};
+    const configKeys = [...new Set([...Object.keys(fromConfig), ...Object.keys(toConfig)])].sort();
+
+    const survey = diffFields(from, to, SURVEY_DIFF_FIELDS);
+    const config = diffFields(fromConfig, toConfig, configKeys);
+
+    return {
+      survey,
+      config,
+      questions: { added, removed, changed },
+      hasChanges:
+        added.length + removed.length + changed.length > 0 ||
+        Object.keys(survey).length > 0 ||
+        Object.keys(config).length > 0,
+    };
+  }
+
   /**
    * Delete old snapshots (keep only N most recent)
    */
@@ -7,8 +7,8 @@ import { ApiResponse } from '../../utils/ApiResponse.js';
 
 class SurveysController {
   createSurvey = asyncHandler(async (req, res) => {
-    const survey = await surveysService.create(req.user.userId, req.body);
-    ApiResponse.created(res, 'Survey created successfully', { survey });
+    const { survey, warnings } = await surveysService.create(req.user.userId, req.body);
+    ApiResponse.created(res, 'Survey created successfully', { survey, warnings });
   });
 
   getAllSurveys = asyncHandler(async (req, res) => {
@@ -50,6 +50,11 @@ class SurveysController {
     ApiResponse.success(res, 200, 'Survey unpublished successfully', { survey });
   });
 
+  updateAvailability = asyncHandler(async (req, res) => {
+    const survey = await surveysService.updateAvailability(req.params.id, req.user.userId, req.body);
+    ApiResponse.success(res, 200, 'Survey availability updated', { survey });
+  });
+
   getSurveyResults = asyncHandler(async (req, res) => {
     const { startDate, endDate } = req.query;
     const results = await surveysService.getResults(
@@ -60,19 +65,38 @@ class SurveysController {
     ApiResponse.success(res, 200, 'Survey results retrieved successfully', { results });
   });
 
+  listResponses = asyncHandler(async (req, res) => {
+    const { responses, nextCursor } = await surveysService.listResponses(
+      req.params.id,
+      req.user.userId,
+      req.query
+    );
+    ApiResponse.success(res, 200, 'Responses retrieved successfully', { responses, nextCursor });
+  });
+
+  getResponse = asyncHandler(async (req, res) => {
+    const response = await surveysService.getResponse(req.params.id, req.params.responseId, req.user.userId);
+    ApiResponse.success(res, 200, 'Response retrieved successfully', { response });
+  });
+
   requestExport = asyncHandler(async (req, res) => {
     const exportJob = await surveysService.requestExport(req.params.id, req.user.userId, req.body);
     ApiResponse.created(res, 'Export requested successfully', { exportJob });
   });
 
+  listExports = asyncHandler(async (req, res) => {
+    const exportJobs = await surveysService.listExports(req.params.id, req.user.userId);
+    ApiResponse.success(res, 200, 'Exports retrieved successfully', { exports: exportJobs });
+  });
+
   getEmbedCode = asyncHandler(async (req, res) => {
     const embedCode = await surveysService.getEmbedCode(req.params.id, req.user.userId);
     ApiResponse.success(res, 200, 'Embed code generated', { embedCode });
   });
 
   duplicateSurvey = asyncHandler(async (req, res) => {
-    const survey = await surveysService.duplicate(req.params.id, req.user.userId, req.body);
-    ApiResponse.created(res, 'Survey duplicated successfully', { survey });
+    const { survey, warnings } = await surveysService.duplicate(req.params.id, req.user.userId, req.body);
+    ApiResponse.created(res, 'Survey duplicated successfully', { survey, warnings });
   });
 
   getSurveyPreview = asyncHandler(async (req, res) => {
@@ -80,6 +104,20 @@ class SurveysController {
     ApiResponse.success(res, 200, 'Survey preview retrieved', { preview });
   });
 
+  updatePages = asyncHandler(async (req, res) => {
+    const preview = await surveysService.updatePages(req.params.id, req.user.userId, req.body.pages);
+    ApiResponse.success(res, 200, 'Survey pages updated', { preview });
+  });
+
+  validatePreviewAnswers = asyncHandler(async (req, res) => {
+    const result = await surveysService.validatePreviewAnswers(
+      req.params.id,
+      req.user.userId,
+      req.body.answers
+    );
+    ApiResponse.success(res, 200, 'Preview answers validated', result);
+  });
+
   getSnapshotHistory = asyncHandler(async (req, res) => {
     const snapshots = await surveysService.getSnapshotHistory(req.params.id, req.user.userId);
     ApiResponse.success(res, 200, 'Snapshot history retrieved', { snapshots });
@@ -89,6 +127,26 @@ class SurveysController {
     const snapshot = await surveysService.getSnapshot(req.params.id, req.params.snapshotId, req.user.userId);
     ApiResponse.success(res, 200, 'Snapshot retrieved', { snapshot });
   });
+
+  diffSnapshots = asyncHandler(async (req, res) => {
+    const diff = await surveysService.diffSnapshots(
+      req.params.id,
+      req.params.fromId,
+      req.params.toId,
+      req.user.userId
+    );
+    ApiResponse.success(res, 200, 'Snapshot diff retrieved', { diff });
+  });
+
+  restoreSnapshot = asyncHandler(async (req, res) => {
+    const survey = await surveysService.restoreSnapshot(
+      req.params.id,
+      req.params.snapshotId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.success(res, 200, 'Survey restored from snapshot', { survey });
+  });
 }
 
 export default new SurveysController();
@@ -6,12 +6,20 @@ import { Router } from 'express';
 import surveysController from './surveys.controller.js';
 import { validate } from '../../middleware/validate.js';
 import { authRequired } from '../../middleware/auth.js';
+import schedulesRoutes from '../schedules/schedules.routes.js';
+import variantsRoutes from '../variants/variants.routes.js';
+import translationsRoutes from '../translations/translations.routes.js';
 import {
   createSurveySchema,
   updateSurveySchema,
   reorderQuestionsSchema,
   duplicateSurveySchema,
+  updatePagesSchema,
+  updateAvailabilitySchema,
   exportRequestSchema,
+  previewAnswersSchema,
+  restoreSnapshotSchema,
+  listResponsesQuerySchema,
 } from './surveys.validators.js';
 
 const router = Router();
@@ -30,17 +38,38 @@ router.delete('/:id', surveysController.deleteSurvey);
 router.post('/:id/publish', surveysController.publishSurvey);
 router.post('/:id/unpublish', surveysController.unpublishSurvey);
 
+// Open/close window and response cap
+router.put('/:id/availability', validate(updateAvailabilitySchema), surveysController.updateAvailability);
+
 // Duplicate
 router.post('/:id/duplicate', validate(duplicateSurveySchema), surveysController.duplicateSurvey);
 
+// Pages
+router.put('/:id/pages', validate(updatePagesSchema), surveysController.updatePages);
+
 // Preview
 router.get('/:id/preview', surveysController.getSurveyPreview);
+router.post('/:id/preview/validate', validate(previewAnswersSchema), surveysController.validatePreviewAnswers);
 
 // Results & Analytics
 router.get('/:id/results', surveysController.getSurveyResults);
 
+// Individual responses
+router.get('/:id/responses', validate(listResponsesQuerySchema, 'query'), surveysController.listResponses);
+router.get('/:id/responses/:responseId', surveysController.getResponse);
+
 // Export
 router.post('/:id/export', validate(exportRequestSchema), surveysController.requestExport);
+router.get('/:id/exports', surveysController.listExports);
+
+// Recurring exports and digests
+router.use('/:id/schedules', schedulesRoutes);
+
+// A/B test variants
+router.use('/:id/variants', variantsRoutes);
+
+// Translations by locale
+router.use('/:id/translations', translationsRoutes);
 
 // Embed code
 router.get('/:id/embed', surveysController.getEmbedCode);
@@ -48,5 +77,11 @@ router.get('/:id/embed', surveysController.getEmbedCode);
 // Snapshot history
 router.get('/:id/snapshots', surveysController.getSnapshotHistory);
 router.get('/:id/snapshots/:snapshotId', surveysController.getSnapshot);
+router.get('/:id/snapshots/:fromId/diff/:toId', surveysController.diffSnapshots);
+router.post(
+  '/:id/snapshots/:snapshotId/restore',
+  validate(restoreSnapshotSchema),
+  surveysController.restoreSnapshot
+);
 
 export default router;
@@ -7,14 +7,31 @@ import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
 import microSurveyClient from '../../services/microSurveyClient.js';
 import questionsService from '../questions/questions.service.js';
+import answerValidationService from '../../services/answerValidationService.js';
+import branchingService from '../../services/branchingService.js';
+import snapshotsService from './snapshots.service.js';
+import availabilityService, { LIVE_STATUSES } from './availability.service.js';
+import responsesService from '../responses/responses.service.js';
+import exportsService from '../exports/exports.service.js';
+import webhookEndpointsService from '../webhooks/webhookEndpoints.service.js';
+import membersService from '../tenants/members.service.js';
+import quotaService from '../billing/quota.service.js';
 import { logger } from '../../lib/logger.js';
 import { config } from '../../config/index.js';
+import { orderByPage } from '../../utils/pages.js';
+import { isValidTimezone, toInstant } from '../../utils/timezones.js';
+import { DEFAULT_LOCALE } from '../../utils/locales.js';
 
 class SurveysService {
-  async create(userId, { tenantId, organizationId, title, description, surveyType, questions }) {
+  async create(userId, data) {
+    const { tenantId } = data;
+
     // Verify tenant access
     const tenantCheck = await db.query(
-      'SELECT id, microsurvey_base_url FROM tenants WHERE id = $1 AND owner_id = $2',
+      `SELECT t.id, t.microsurvey_base_url, tm.role
+       FROM tenants t
+       JOIN tenant_members tm ON tm.tenant_id = t.id AND tm.user_id = $2
+       WHERE t.id = $1`,
       [tenantId, userId]
     );
 
@@ -22,76 +39,153 @@ class SurveysService {
       throw ApiError.forbidden('Tenant not found or access denied');
     }
 
-    const tenant = tenantCheck.rows[0];
+    membersService.assertRole(tenantCheck.rows[0].role, 'editor');
 
-    try {
-      // Create survey in Micro-Survey
-      const microSurveyData = {
-        title,
-        description,
-        type: surveyType,
-        questions: questions || [],
-      };
-
-      const microSurveyResponse = await microSurveyClient.createSurvey(
-        microSurveyData,
-        config.microSurvey.apiKey
+    return this.createInTenant(tenantId, data);
+  }
+
+  /**
+   * Create a survey in a tenant the caller is already authorized for
+   * (user membership or tenant API key). Returns { survey, warnings };
+   * warnings list quotas the survey went past in warn mode.
+   * The quota is consumed before the Micro-Survey survey is created, inside
+   * the same transaction, so a rejected survey never reaches Micro-Survey;
+   * if the commit fails afterwards the remote survey is archived.
+   */
+  async createInTenant(tenantId, {
+    organizationId, title, description, surveyType, questions, pages = [], defaultLocale = DEFAULT_LOCALE,
+  }) {
+    if (organizationId) {
+      await this.verifyOrganizationInTenant(organizationId, tenantId);
+    }
+
+    if (questions && questions.length > 0) {
+      this.assertValidBranching(
+        orderByPage(
+          questions
+            .map((q, idx) => ({ ...q, position: q.position !== undefined ? q.position : idx }))
+            .sort((a, b) => a.position - b.position),
+          pages
+        ),
+        pages
       );
+    }
+
+    // Checked before the Micro-Survey call; consume below is the authoritative check
+    await quotaService.assertAvailable(tenantId, 'survey');
+
+    let microsurveyId = null;
 
+    try {
       // Generate unique survey key
       const surveyKey = `survey_${Date.now()}_${uuidv4().substring(0, 8)}`;
 
-      // Store in dashboard database
-      const result = await db.query(
-        `INSERT INTO surveys (
-          id, tenant_id, organization_id, microsurvey_id, survey_key,
-          title, description, survey_type, status, config, created_at, updated_at
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft', $9, NOW(), NOW())
-        RETURNING *`,
-        [
-          uuidv4(),
-          tenantId,
-          organizationId || null,
-          microSurveyResponse.id || microSurveyResponse.surveyId,
-          surveyKey,
-          title,
-          description,
-          surveyType,
-          JSON.stringify(microSurveyResponse),
-        ]
-      );
+      let quotaUsage;
+      const survey = await db.transaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO surveys (
+            id, tenant_id, organization_id, survey_key,
+            title, description, survey_type, status, pages, default_locale, created_at, updated_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, 'draft', $8, $9, NOW(), NOW())
+          RETURNING id`,
+          [
+            uuidv4(),
+            tenantId,
+            organizationId || null,
+            surveyKey,
+            title,
+            description,
+            surveyType,
+            JSON.stringify(pages),
+            defaultLocale,
+          ]
+        );
+
+        quotaUsage = await quotaService.consume(tenantId, 'survey', { resourceId: result.rows[0].id, client });
+
+        const microSurveyResponse = await microSurveyClient.createSurvey(
+          {
+            title,
+            description,
+            type: surveyType,
+            questions: questions || [],
+          },
+          config.microSurvey.apiKey
+        );
+        microsurveyId = microSurveyResponse.id || microSurveyResponse.surveyId;
+
+        const created = await client.query(
+          `UPDATE surveys SET microsurvey_id = $2, config = $3
+           WHERE id = $1
+           RETURNING *`,
+          [result.rows[0].id, microsurveyId, JSON.stringify(microSurveyResponse)]
+        );
+
+        return created.rows[0];
+      });
+
+      await quotaService.notifyIfCrossed(tenantId, 'survey', quotaUsage);
 
       // Create questions if provided
       if (questions && questions.length > 0 && organizationId) {
-        await questionsService.bulkCreate(userId, organizationId, 
+        await questionsService.insertMany(organizationId,
           questions.map((q, idx) => ({
             ...q,
-            surveyId: result.rows[0].id,
+            surveyId: survey.id,
             position: q.position !== undefined ? q.position : idx,
           }))
         );
       }
 
       logger.info('Survey created', {
-        surveyId: result.rows[0].id,
-        microsurveyId: result.rows[0].microsurvey_id,
+        surveyId: survey.id,
+        microsurveyId: survey.microsurvey_id,
         tenantId,
       });
 
-      return result.rows[0];
+      return { survey, warnings: quotaService.warnings('survey', quotaUsage) };
     } catch (error) {
+      if (microsurveyId) {
+        await microSurveyClient
+          .updateSurvey(microsurveyId, { status: 'archived' })
+          .catch((archiveError) => {
+            logger.error('Failed to archive Micro-Survey survey after create failure', {
+              error: archiveError.message,
+              microsurveyId,
+            });
+          });
+      }
+
       logger.error('Failed to create survey in Micro-Survey', {
         error: error.message,
         tenantId,
       });
+      if (error instanceof ApiError) throw error;
       throw new ApiError(`Failed to create survey: ${error.message}`, 500);
     }
   }
 
+  /**
+   * Organizations are user-owned; one can hold a tenant's questions
+   * when its owner is a member of that tenant
+   */
+  async verifyOrganizationInTenant(organizationId, tenantId) {
+    const result = await db.query(
+      `SELECT o.id FROM organizations o
+       JOIN tenant_members tm ON tm.user_id = o.owner_id AND tm.tenant_id = $2
+       WHERE o.id = $1`,
+      [organizationId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.forbidden('Organization not found or not linked to this tenant');
+    }
+  }
+
   async getAll(userId, filters = {}, page = 1, limit = 10) {
     const offset = (page - 1) * limit;
-    let whereClause = 'WHERE t.owner_id = $1';
+    let whereClause = 'WHERE tm.user_id = $1';
     const params = [userId];
     let paramIndex = 2;
 
@@ -115,7 +209,7 @@ class SurveysService {
 
     const countResult = await db.query(
       `SELECT COUNT(*) FROM surveys s
-       JOIN tenants t ON s.tenant_id = t.id
+       JOIN tenant_members tm ON tm.tenant_id = s.tenant_id
        ${whereClause}`,
       params
     );
@@ -123,11 +217,12 @@ class SurveysService {
     params.push(limit, offset);
 
     const result = await db.query(
-      `SELECT s.*, t.name as tenant_name, o.name as organization_name,
+      `SELECT s.*, t.name as tenant_name, o.name as organization_name, tm.role as member_role,
         (SELECT COUNT(*) FROM questions WHERE survey_id = s.id) as question_count,
         (SELECT COUNT(*) FROM survey_responses WHERE survey_id = s.id) as response_count
        FROM surveys s
        JOIN tenants t ON s.tenant_id = t.id
+       JOIN tenant_members tm ON tm.tenant_id = s.tenant_id
        LEFT JOIN organizations o ON s.organization_id = o.id
        ${whereClause}
        ORDER BY s.created_at DESC
@@ -141,15 +236,20 @@ class SurveysService {
     };
   }
 
-  async getById(surveyId, userId) {
+  /**
+   * Load a survey the user can access through tenant membership.
+   * minRole enforces the role hierarchy (viewer < editor < admin < owner).
+   */
+  async getById(surveyId, userId, minRole = 'viewer') {
     const result = await db.query(
-      `SELECT s.*, t.name as tenant_name, o.name as organization_name,
+      `SELECT s.*, t.name as tenant_name, o.name as organization_name, tm.role as member_role,
         (SELECT COUNT(*) FROM questions WHERE survey_id = s.id) as question_count,
         (SELECT COUNT(*) FROM survey_responses WHERE survey_id = s.id) as response_count
        FROM surveys s
        JOIN tenants t ON s.tenant_id = t.id
+       JOIN tenant_members tm ON tm.tenant_id = s.tenant_id AND tm.user_id = $2
        LEFT JOIN organizations o ON s.organization_id = o.id
-       WHERE s.id = $1 AND t.owner_id = $2`,
+       WHERE s.id = $1`,
       [surveyId, userId]
     );
 
@@ -157,17 +257,25 @@ class SurveysService {
       throw ApiError.notFound('Survey not found');
     }
 
+    membersService.assertRole(result.rows[0].member_role, minRole);
+
     return result.rows[0];
   }
 
   async update(surveyId, userId, updates) {
-    const survey = await this.getById(surveyId, userId);
+    const survey = await this.getById(surveyId, userId, 'editor');
 
     // Don't allow updates to published surveys
-    if (survey.status === 'published' && !updates.allowPublishedUpdate) {
+    if (LIVE_STATUSES.includes(survey.status) && !updates.allowPublishedUpdate) {
       throw ApiError.badRequest('Cannot update published survey. Unpublish first or create a new version.');
     }
 
+    if (updates.defaultLocale && survey.translations?.[updates.defaultLocale]) {
+      throw ApiError.badRequest(
+        `Delete the ${updates.defaultLocale} translation before making it the default locale`
+      );
+    }
+
     // Update in Micro-Survey if needed
     if (updates.title || updates.description || updates.questions) {
       try {
@@ -187,17 +295,24 @@ class SurveysService {
          title = COALESCE($1, title),
          description = COALESCE($2, description),
          config = COALESCE($3, config),
+         default_locale = COALESCE($4, default_locale),
          updated_at = NOW()
-       WHERE id = $4
+       WHERE id = $5
        RETURNING *`,
-      [updates.title, updates.description, updates.config ? JSON.stringify(updates.config) : null, surveyId]
+      [
+        updates.title,
+        updates.description,
+        updates.config ? JSON.stringify(updates.config) : null,
+        updates.defaultLocale,
+        surveyId,
+      ]
     );
 
     return result.rows[0];
   }
 
   async delete(surveyId, userId) {
-    await this.getById(surveyId, userId);
+    await this.getById(surveyId, userId, 'admin');
     
     // Soft delete - set status to archived
     await db.query(
@@ -209,35 +324,98 @@ class SurveysService {
   /**
    * Publish survey - create snapshot and update status
    */
-  async publish(surveyId, userId, snapshotId) {
-    const survey = await this.getById(surveyId, userId);
+  async publish(surveyId, userId) {
+    const survey = await this.getById(surveyId, userId, 'editor');
 
-    if (survey.status === 'published') {
+    if (LIVE_STATUSES.includes(survey.status)) {
       throw ApiError.badRequest('Survey is already published');
     }
 
+    return this.publishSnapshot(survey, userId);
+  }
+
+  /**
+   * Snapshot the survey's questions, pin the snapshot and push it to
+   * Micro-Survey as one unit. The Micro-Survey call runs last inside the
+   * transaction so a failure rolls back the local rows; if the commit
+   * itself fails afterwards the remote status is reverted.
+   * Surveys with a future opens_at are published as 'scheduled'.
+   */
+  async publishSnapshot(survey, userId) {
+    const { questions, pages } = await this.getPreview(survey.id, userId);
+
+    if (questions.length === 0) {
+      throw ApiError.badRequest('Survey must have at least one question to publish');
+    }
+
+    this.assertValidBranching(questions, pages);
+
+    const status = availabilityService.statusForWindow(survey);
+    if (status === 'closed') {
+      throw ApiError.badRequest('The survey\'s closing time has passed. Move or clear it before publishing.');
+    }
+
+    let remotePublished = false;
+
     try {
-      // Update Micro-Survey status
-      await microSurveyClient.updateSurvey(survey.microsurvey_id, {
-        status: 'published',
+      const published = await db.transaction(async (client) => {
+        const snapshot = await snapshotsService.createSnapshot(survey.id, userId, client);
+
+        const result = await client.query(
+          `UPDATE surveys
+           SET status = $3,
+               published_snapshot_id = $1,
+               published_at = NOW(),
+               closed_at = NULL,
+               closed_reason = NULL,
+               updated_at = NOW()
+           WHERE id = $2
+           RETURNING *`,
+          [snapshot.id, survey.id, status]
+        );
+
+        await microSurveyClient.updateSurvey(survey.microsurvey_id, {
+          status: 'published',
+          title: snapshot.snapshot.title,
+          description: snapshot.snapshot.description,
+          questions: snapshot.snapshot.questions,
+          snapshotVersion: snapshot.version,
+        });
+        remotePublished = true;
+
+        return { ...result.rows[0], published_snapshot_version: snapshot.version };
       });
 
-      // Update survey in dashboard
-      const result = await db.query(
-        `UPDATE surveys 
-         SET status = 'published', 
-             published_snapshot_id = $1,
-             published_at = NOW(),
-             updated_at = NOW()
-         WHERE id = $2
-         RETURNING *`,
-        [snapshotId, surveyId]
-      );
+      logger.info('Survey published', {
+        surveyId: survey.id,
+        snapshotId: published.published_snapshot_id,
+        version: published.published_snapshot_version,
+      });
 
-      logger.info('Survey published', { surveyId, snapshotId });
+      await webhookEndpointsService.dispatch(survey.tenant_id, 'survey.published', {
+        surveyId: survey.id,
+        surveyKey: published.survey_key,
+        title: published.title,
+        version: published.published_snapshot_version,
+        publishedAt: published.published_at,
+      });
 
-      return result.rows[0];
+      return published;
     } catch (error) {
+      if (remotePublished) {
+        await microSurveyClient
+          .updateSurvey(survey.microsurvey_id, { status: survey.status })
+          .catch((revertError) => {
+            logger.error('Failed to revert Micro-Survey status after publish failure', {
+              error: revertError.message,
+              surveyId: survey.id,
+            });
+          });
+      }
+
+      logger.error('Survey publish failed', { error: error.message, surveyId: survey.id });
+
+      if (error instanceof ApiError) throw error;
       throw ApiError.internal(`Failed to publish survey: ${error.message}`);
     }
   }
@@ -246,9 +424,9 @@ class SurveysService {
    * Unpublish survey - revert to draft
    */
   async unpublish(surveyId, userId) {
-    const survey = await this.getById(surveyId, userId);
+    const survey = await this.getById(surveyId, userId, 'editor');
 
-    if (survey.status !== 'published') {
+    if (!LIVE_STATUSES.includes(survey.status)) {
       throw ApiError.badRequest('Survey is not published');
     }
 
@@ -280,7 +458,7 @@ class SurveysService {
    * Duplicate survey
    */
   async duplicate(surveyId, userId, options = {}) {
-    const original = await this.getById(surveyId, userId);
+    const original = await this.getById(surveyId, userId, 'editor');
     const { newTitle, includeQuestions = true } = options;
 
     const title = newTitle || `Copy of ${original.title}`;
@@ -292,6 +470,10 @@ class SurveysService {
       title,
       description: original.description,
       surveyType: original.survey_type,
+      // Translations are keyed by question id, so the copy starts without them
+      defaultLocale: original.default_locale,
+      // Branching rules are not copied, for pages as for questions
+      pages: (original.pages || []).map(({ conditional, ...page }) => page),
       questions: [],
     };
 
@@ -306,27 +488,33 @@ class SurveysService {
         questionText: q.label,
         questionType: q.type,
         options: q.meta?.options || [],
+        ...(q.meta?.rows ? { rows: q.meta.rows } : {}),
+        ...(q.meta?.shuffleOptions ? { shuffleOptions: true } : {}),
+        ...(q.meta?.pinned ? { pinned: true } : {}),
+        ...(q.meta?.page ? { page: q.meta.page } : {}),
         required: q.required,
         position: q.position,
       }));
     }
 
-    const duplicated = await this.create(userId, newSurveyData);
+    const { survey, warnings } = await this.create(userId, newSurveyData);
 
     logger.info('Survey duplicated', {
       originalId: surveyId,
-      duplicatedId: duplicated.id,
+      duplicatedId: survey.id,
       includeQuestions,
     });
 
-    return duplicated;
+    return { survey, warnings };
   }
 
   /**
-   * Get survey preview data
+   * Get survey preview data. Questions are grouped by page, in the
+   * order the next snapshot will use.
    */
   async getPreview(surveyId, userId) {
     const survey = await this.getById(surveyId, userId);
+    const pages = survey.pages || [];
 
     // Get questions
     const questionsResult = await db.query(
@@ -341,21 +529,223 @@ class SurveysService {
         description: survey.description,
         type: survey.survey_type,
         config: survey.config,
+        defaultLocale: survey.default_locale,
       },
-      questions: questionsResult.rows.map(q => ({
+      pages,
+      questions: orderByPage(questionsResult.rows.map(q => ({
         id: q.id,
         key: q.key,
         text: q.label,
         type: q.type,
         options: q.meta?.options || [],
+        ...(q.meta?.rows ? { rows: q.meta.rows } : {}),
+        ...(q.meta?.shuffleOptions ? { shuffleOptions: true } : {}),
+        ...(q.meta?.pinned ? { pinned: true } : {}),
         required: q.required,
         position: q.position,
-      })),
+        validation: q.meta?.validation || {},
+        conditional: q.meta?.conditional || null,
+        ...(q.meta?.page ? { page: q.meta.page } : {}),
+      })), pages),
+    };
+  }
+
+  /**
+   * Replace the page layout. Each page lists its questions in display
+   * order; questions left out stay on the first page. Like question edits,
+   * the layout goes live with the next publish.
+   */
+  async updatePages(surveyId, userId, pages) {
+    await this.getById(surveyId, userId, 'editor');
+
+    const questionsResult = await db.query(
+      `SELECT id, key, type, meta, position FROM questions WHERE survey_id = $1 ORDER BY position ASC`,
+      [surveyId]
+    );
+    const questionsById = new Map(questionsResult.rows.map(q => [q.id, q]));
+    const pageOf = new Map();
+
+    for (const page of pages) {
+      for (const questionId of page.questionIds) {
+        if (!questionsById.has(questionId)) {
+          throw ApiError.badRequest(`Question ${questionId} is not part of this survey`);
+        }
+        if (pageOf.has(questionId)) {
+          throw ApiError.badRequest(`Question ${questionId} is on more than one page`);
+        }
+        pageOf.set(questionId, page.key);
+      }
+    }
+
+    const ordered = [
+      ...pages.flatMap(page => page.questionIds.map(id => questionsById.get(id))),
+      ...questionsResult.rows.filter(q => !pageOf.has(q.id)),
+    ];
+    const branchingQuestions = ordered.map(q => ({
+      id: q.id,
+      key: q.key,
+      type: q.type,
+      options: q.meta?.options || [],
+      conditional: q.meta?.conditional || null,
+      ...(pageOf.has(q.id) ? { page: pageOf.get(q.id) } : {}),
+    }));
+    // Page conditions may name choice options by their text
+    const definitions = pages.map(({ questionIds, conditional, ...page }) => ({
+      ...page,
+      ...(conditional !== undefined
+        ? { conditional: branchingService.resolveOptionValues(conditional, branchingQuestions) }
+        : {}),
+    }));
+
+    this.assertValidBranching(orderByPage(branchingQuestions, definitions), definitions);
+
+    await db.transaction(async (client) => {
+      await client.query(
+        'UPDATE surveys SET pages = $1, updated_at = NOW() WHERE id = $2',
+        [JSON.stringify(definitions), surveyId]
+      );
+
+      for (let i = 0; i < ordered.length; i++) {
+        const { page, ...meta } = ordered[i].meta || {};
+        if (pageOf.has(ordered[i].id)) meta.page = pageOf.get(ordered[i].id);
+
+        await client.query(
+          'UPDATE questions SET meta = $1, position = $2, updated_at = NOW() WHERE id = $3',
+          [JSON.stringify(meta), i, ordered[i].id]
+        );
+      }
+    });
+
+    logger.info('Survey pages updated', { surveyId, pages: definitions.length });
+
+    return this.getPreview(surveyId, userId);
+  }
+
+  /**
+   * Set when a survey accepts responses. Times without an offset are
+   * wall-clock times in the survey's time zone; null clears a limit.
+   * A published survey moves to the status the new window gives it.
+   */
+  async updateAvailability(surveyId, userId, { opensAt, closesAt, maxResponses, timezone }) {
+    const survey = await this.getById(surveyId, userId, 'editor');
+    const zone = timezone ?? survey.timezone;
+
+    if (!isValidTimezone(zone)) {
+      throw ApiError.badRequest(`Unknown time zone: ${zone}`);
+    }
+
+    const resolve = (value, current) => {
+      if (value === undefined) return current;
+      return value === null ? null : toInstant(value, zone);
     };
+
+    const next = {
+      ...survey,
+      opens_at: resolve(opensAt, survey.opens_at),
+      closes_at: resolve(closesAt, survey.closes_at),
+      max_responses: maxResponses === undefined ? survey.max_responses : maxResponses,
+      timezone: zone,
+    };
+
+    if (next.opens_at && next.closes_at && new Date(next.closes_at) <= new Date(next.opens_at)) {
+      throw ApiError.badRequest('closesAt must be after opensAt');
+    }
+
+    let status = survey.status;
+    let closedReason = survey.closed_reason;
+
+    if (LIVE_STATUSES.includes(survey.status)) {
+      const state = await availabilityService.getSurveyState(next);
+      status = state.state === 'open' ? 'published' : state.state;
+      closedReason = state.state === 'closed' ? state.reason : null;
+    }
+
+    const result = await db.query(
+      `UPDATE surveys
+       SET opens_at = $1,
+           closes_at = $2,
+           max_responses = $3,
+           timezone = $4,
+           status = $5,
+           closed_reason = $6::varchar,
+           closed_at = CASE WHEN $6::varchar IS NULL THEN NULL ELSE COALESCE(closed_at, NOW()) END,
+           updated_at = NOW()
+       WHERE id = $7
+       RETURNING *`,
+      [next.opens_at, next.closes_at, next.max_responses, zone, status, closedReason, surveyId]
+    );
+
+    logger.info('Survey availability changed', { surveyId, status, previousStatus: survey.status });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Reject branching rules that reference missing questions or loop.
+   * Questions must be in display order and carry { key, conditional }.
+   */
+  assertValidBranching(questions, pages = []) {
+    const problems = branchingService.validateLogic(questions, pages);
+
+    if (problems.length > 0) {
+      throw ApiError.badRequest('Invalid branching logic', { errors: problems });
+    }
+  }
+
+  /**
+   * Dry-run answers against the draft questions so the builder can
+   * show the same errors respondents would get on submission
+   */
+  async validatePreviewAnswers(surveyId, userId, answers) {
+    const { questions, pages } = await this.getPreview(surveyId, userId);
+    const { valid, errors } = answerValidationService.validateResponse(questions, answers, pages);
+
+    return { valid, errors };
+  }
+
+  /**
+   * Load a survey by id within a tenant (API key access)
+   */
+  async getForTenant(surveyId, tenantId) {
+    const result = await db.query(
+      `SELECT s.*,
+        (SELECT COUNT(*) FROM questions WHERE survey_id = s.id) as question_count,
+        (SELECT COUNT(*) FROM survey_responses WHERE survey_id = s.id) as response_count
+       FROM surveys s
+       WHERE s.id = $1 AND s.tenant_id = $2`,
+      [surveyId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Survey not found');
+    }
+
+    return result.rows[0];
   }
 
   async getResults(surveyId, userId, filters = {}) {
     const survey = await this.getById(surveyId, userId);
+    return this.fetchResults(survey, filters);
+  }
+
+  async listResponses(surveyId, userId, filters = {}) {
+    await this.getById(surveyId, userId);
+
+    const optionIds = filters.questionId && filters.answer !== undefined
+      ? await responsesService.optionIdsLabelled(surveyId, filters.questionId, filters.answer)
+      : [];
+    const page = await responsesService.list(surveyId, { ...filters, optionIds });
+
+    return { ...page, responses: await responsesService.labelResponses(page.responses) };
+  }
+
+  async getResponse(surveyId, responseId, userId) {
+    await this.getById(surveyId, userId);
+    return responsesService.get(surveyId, responseId);
+  }
+
+  async fetchResults(survey, filters = {}) {
+    const surveyId = survey.id;
 
     // Check cache first
     const cacheResult = await db.query(
@@ -391,34 +781,25 @@ class SurveysService {
 
   async requestExport(surveyId, userId, options) {
     const survey = await this.getById(surveyId, userId);
+    return this.createExportJob(survey, options, { userId });
+  }
 
-    try {
-      const exportResponse = await microSurveyClient.requestExport(
-        survey.microsurvey_id,
-        options
-      );
-
-      // Create export job record
-      const result = await db.query(
-        `INSERT INTO export_jobs (
-          id, survey_id, tenant_id, status, export_type,
-          requested_by, created_at
-        )
-        VALUES ($1, $2, $3, 'pending', $4, $5, NOW())
-        RETURNING *`,
-        [uuidv4(), surveyId, survey.tenant_id, options.format || 'csv', userId]
-      );
+  /**
+   * Record an export job requested by a user or a tenant API key
+   */
+  async createExportJob(survey, options, { userId = null, apiKeyId = null } = {}) {
+    return exportsService.createJob(survey, options, { userId, apiKeyId });
+  }
 
-      return result.rows[0];
-    } catch (error) {
-      throw ApiError.internal(`Failed to request export: ${error.message}`);
-    }
+  async listExports(surveyId, userId) {
+    await this.getById(surveyId, userId);
+    return exportsService.listForSurvey(surveyId);
   }
 
   async getEmbedCode(surveyId, userId) {
     const survey = await this.getById(surveyId, userId);
 
-    if (survey.status !== 'published') {
+    if (!LIVE_STATUSES.includes(survey.status)) {
       throw ApiError.badRequest('Survey must be published to get embed code');
     }
 
@@ -434,6 +815,147 @@ class SurveysService {
       surveyKey,
     };
   }
+
+  async getSnapshotHistory(surveyId, userId) {
+    const survey = await this.getById(surveyId, userId);
+    const snapshots = await snapshotsService.getSnapshotHistory(surveyId);
+
+    return snapshots.map(snapshot => ({
+      ...snapshot,
+      is_published: snapshot.id === survey.published_snapshot_id,
+    }));
+  }
+
+  async getSnapshot(surveyId, snapshotId, userId) {
+    await this.getById(surveyId, userId);
+    const snapshot = await snapshotsService.getSnapshotById(snapshotId);
+
+    // Never leak another survey's snapshot through this survey's URL
+    if (snapshot.surveyId !== surveyId) {
+      throw ApiError.notFound('Snapshot not found');
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compare two snapshots of the same survey (fromId is the base version)
+   */
+  async diffSnapshots(surveyId, fromId, toId, userId) {
+    const from = await this.getSnapshot(surveyId, fromId, userId);
+    const to = await this.getSnapshot(surveyId, toId, userId);
+
+    return {
+      from: { id: from.id, version: from.version, createdAt: from.createdAt },
+      to: { id: to.id, version: to.version, createdAt: to.createdAt },
+      ...snapshotsService.diffSnapshots(from.snapshot, to.snapshot),
+    };
+  }
+
+  /**
+   * Rewrite the draft (survey fields and questions) from a snapshot.
+   * Question ids are preserved so existing responses keep matching.
+   * With republish the restored draft goes live as a new version.
+   */
+  async restoreSnapshot(surveyId, snapshotId, userId, { republish = false } = {}) {
+    const survey = await this.getById(surveyId, userId, 'editor');
+    const { snapshot } = await this.getSnapshot(surveyId, snapshotId, userId);
+    const questions = snapshot.questions || [];
+
+    await db.transaction(async (client) => {
+      let organizationId = survey.organization_id;
+
+      if (!organizationId) {
+        const orgResult = await client.query(
+          'SELECT organization_id FROM questions WHERE survey_id = $1 LIMIT 1',
+          [surveyId]
+        );
+        organizationId = orgResult.rows[0]?.organization_id;
+      }
+
+      if (questions.length > 0 && !organizationId) {
+        throw ApiError.badRequest('Survey has no organization to restore questions into');
+      }
+
+      await client.query(
+        `DELETE FROM questions
+         WHERE survey_id = $1 AND NOT (id = ANY($2::uuid[]))`,
+        [surveyId, questions.map(q => q.id)]
+      );
+
+      for (let i = 0; i < questions.length; i++) {
+        const q = questions[i];
+
+        await client.query(
+          `INSERT INTO questions (
+            id, survey_id, organization_id, key, type, label, meta,
+            position, required, is_active, created_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, NOW())
+          ON CONFLICT (id) DO UPDATE SET
+            key = COALESCE($10::varchar, questions.key),
+            type = EXCLUDED.type,
+            label = EXCLUDED.label,
+            meta = EXCLUDED.meta,
+            position = EXCLUDED.position,
+            required = EXCLUDED.required,
+            is_active = true,
+            updated_at = NOW()
+          WHERE questions.survey_id = EXCLUDED.survey_id`,
+          [
+            q.id,
+            surveyId,
+            organizationId,
+            q.key || `q_${Date.now()}_${i}`,
+            q.type,
+            q.text,
+            JSON.stringify({
+              options: q.options || [],
+              ...(q.rows ? { rows: q.rows } : {}),
+              ...(q.shuffleOptions ? { shuffleOptions: true } : {}),
+              ...(q.pinned ? { pinned: true } : {}),
+              validation: q.validation || {},
+              conditional: q.conditional || null,
+              ...(q.page ? { page: q.page } : {}),
+            }),
+            q.position !== undefined ? q.position : i,
+            q.required === true,
+            q.key || null,
+          ]
+        );
+      }
+
+      await client.query(
+        `UPDATE surveys
+         SET title = $1, description = $2, config = $3, pages = $4,
+             default_locale = $5, translations = $6, updated_at = NOW()
+         WHERE id = $7`,
+        [
+          snapshot.title ?? survey.title,
+          snapshot.description ?? survey.description,
+          JSON.stringify(snapshot.config ?? survey.config ?? {}),
+          JSON.stringify(snapshot.pages || []),
+          snapshot.locale ?? survey.default_locale,
+          JSON.stringify(snapshot.translations ?? {}),
+          surveyId,
+        ]
+      );
+    });
+
+    logger.info('Survey restored from snapshot', {
+      surveyId,
+      snapshotId,
+      questionsCount: questions.length,
+      republish,
+    });
+
+    if (!republish) {
+      return this.getById(surveyId, userId);
+    }
+
+    // Publishing again takes a fresh snapshot of the restored draft
+    return this.publishSnapshot(await this.getById(surveyId, userId), userId);
+  }
 }
 
 export default new SurveysService();
@@ -3,28 +3,45 @@
 // Validation schemas for survey operations
 // ============================================
 import Joi from 'joi';
+import { validationRulesSchema, conditionalSchema, optionSchema, rowsSchema } from '../questions/questions.validation.js';
+import { QUESTION_TYPES, CHOICE_TYPES } from '../../services/answerValidationService.js';
+import { DATE_TIME_PATTERN } from '../../utils/timezones.js';
+import { normalizeLocale } from '../../utils/locales.js';
+
+// BCP 47 tag, stored in canonical case ("pt-br" -> "pt-BR")
+export const localeSchema = Joi.string().max(35).custom((value, helpers) => (
+  normalizeLocale(value) || helpers.error('any.invalid')
+)).messages({
+  'any.invalid': '{#label} must be a locale such as en or pt-BR',
+});
 
 const questionSchema = Joi.object({
   key: Joi.string().optional(),
   questionText: Joi.string().min(5).max(500).required(),
-  questionType: Joi.string().valid('multiple_choice', 'text', 'rating', 'yes_no').required(),
-  options: Joi.array().items(
-    Joi.alternatives().try(
-      Joi.string(),
-      Joi.object({
-        text: Joi.string().required(),
-        imageUrl: Joi.string().uri().allow('').optional(),
-      })
-    )
-  ).when('questionType', {
-    is: 'multiple_choice',
+  questionType: Joi.string().valid(...QUESTION_TYPES).required(),
+  options: Joi.array().items(optionSchema).when('questionType', {
+    is: Joi.valid(...CHOICE_TYPES, 'matrix'),
     then: Joi.array().min(2).required(),
     otherwise: Joi.array().optional(),
   }),
+  rows: rowsSchema.when('questionType', {
+    is: 'matrix',
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  shuffleOptions: Joi.boolean().optional(),
+  pinned: Joi.boolean().optional(),
   required: Joi.boolean().default(false),
   position: Joi.number().integer().min(0).optional(),
-  validation: Joi.object().optional(),
-  conditional: Joi.object().optional(),
+  validation: validationRulesSchema.optional(),
+  conditional: conditionalSchema.optional(),
+});
+
+// Pass mark and result messages for quiz surveys
+const quizConfigSchema = Joi.object({
+  passThreshold: Joi.number().min(0).max(100).optional(),
+  passMessage: Joi.string().max(1000).allow('').optional(),
+  failMessage: Joi.string().max(1000).allow('').optional(),
 });
 
 export const createSurveySchema = Joi.object({
@@ -40,7 +57,10 @@ export const createSurveySchema = Joi.object({
     allowBack: Joi.boolean().optional(),
     shuffleQuestions: Joi.boolean().optional(),
     requireAll: Joi.boolean().optional(),
+    quiz: quizConfigSchema.optional(),
+    thankYouMessage: Joi.string().max(1000).allow('').optional(),
   }).optional(),
+  defaultLocale: localeSchema.optional(),
 });
 
 export const updateSurveySchema = Joi.object({
@@ -53,18 +73,59 @@ export const updateSurveySchema = Joi.object({
     allowBack: Joi.boolean().optional(),
     shuffleQuestions: Joi.boolean().optional(),
     requireAll: Joi.boolean().optional(),
+    quiz: quizConfigSchema.optional(),
+    thankYouMessage: Joi.string().max(1000).allow('').optional(),
   }).optional(),
+  defaultLocale: localeSchema.optional(),
 });
 
 export const reorderQuestionsSchema = Joi.object({
   questionIds: Joi.array().items(Joi.string().uuid()).min(1).required(),
 });
 
+// Page layout: page rules use the question branching format, with page keys as jump targets
+export const updatePagesSchema = Joi.object({
+  pages: Joi.array().items(
+    Joi.object({
+      key: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(100).required(),
+      title: Joi.string().max(200).allow('').optional(),
+      description: Joi.string().max(1000).allow('').optional(),
+      conditional: conditionalSchema.optional(),
+      questionIds: Joi.array().items(Joi.string().uuid()).default([]),
+    })
+  ).max(50).required(),
+});
+
+// Times without an offset are read in the survey's time zone; null clears them
+const windowTimeSchema = Joi.string().pattern(DATE_TIME_PATTERN).allow(null).messages({
+  'string.pattern.base': '{#label} must be an ISO 8601 date-time, e.g. 2026-10-26T09:00',
+});
+
+export const updateAvailabilitySchema = Joi.object({
+  opensAt: windowTimeSchema.optional(),
+  closesAt: windowTimeSchema.optional(),
+  maxResponses: Joi.number().integer().min(1).max(10000000).allow(null).optional(),
+  timezone: Joi.string().max(64).optional(),
+}).min(1);
+
 export const duplicateSurveySchema = Joi.object({
   newTitle: Joi.string().min(3).max(500).optional(),
   includeQuestions: Joi.boolean().default(true),
 });
 
+export const previewAnswersSchema = Joi.object({
+  answers: Joi.array().items(
+    Joi.object({
+      questionId: Joi.string().max(255).required(),
+      answer: Joi.any(),
+    })
+  ).max(200).required(),
+});
+
+export const restoreSnapshotSchema = Joi.object({
+  republish: Joi.boolean().default(false),
+});
+
 export const exportRequestSchema = Joi.object({
   format: Joi.string().valid('csv', 'json', 'xlsx').default('csv'),
   dateRange: Joi.object({
@@ -73,3 +134,17 @@ export const exportRequestSchema = Joi.object({
   }).optional(),
   includeMetadata: Joi.boolean().default(true),
 });
+
+export const listResponsesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).optional(),
+  cursor: Joi.string().max(100).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+  country: Joi.string().length(2).uppercase().optional(),
+  sessionId: Joi.string().max(255).optional(),
+  snapshotVersion: Joi.number().integer().min(1).optional(),
+  // "answer to question X equals Y"
+  questionId: Joi.string().max(255).optional(),
+  answer: Joi.string().max(500).when('questionId', { is: Joi.exist(), then: Joi.required() }),
+  q: Joi.string().trim().min(1).max(200).optional(),
+}).with('answer', 'questionId');
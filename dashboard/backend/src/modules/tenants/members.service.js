@@ -0,0 +1,370 @@
+// ============================================
+// FILE: backend/src/modules/tenants/members.service.js
+// Tenant team members, roles and email invitations
+// ============================================
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { generateSecureToken, hashToken } from '../auth/tokens.utils.js';
+import emailService from '../auth/email.utils.js';
+import { logger } from '../../lib/logger.js';
+
+// Higher number = more privileges
+export const ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  admin: 3,
+  owner: 4,
+};
+
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Plan limit used when a tenant has no subscription and no free plan row exists
+const DEFAULT_TEAM_MEMBERS_LIMIT = 1;
+
+class MembersService {
+  /**
+   * True when `role` grants at least `minRole`
+   */
+  hasRole(role, minRole) {
+    return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[minRole];
+  }
+
+  /**
+   * Throw 403 unless `role` grants at least `minRole`
+   */
+  assertRole(role, minRole) {
+    if (!this.hasRole(role, minRole)) {
+      throw ApiError.forbidden(`This action requires the ${minRole} role or higher`);
+    }
+  }
+
+  async getRole(tenantId, userId) {
+    const result = await db.query(
+      'SELECT role FROM tenant_members WHERE tenant_id = $1 AND user_id = $2',
+      [tenantId, userId]
+    );
+
+    return result.rows[0]?.role || null;
+  }
+
+  /**
+   * Resolve the caller's role in a tenant, enforcing a minimum.
+   * Non-members get 404 so tenant ids can't be probed.
+   */
+  async requireRole(tenantId, userId, minRole = 'viewer') {
+    const role = await this.getRole(tenantId, userId);
+
+    if (!role) {
+      throw ApiError.notFound('Tenant not found');
+    }
+
+    this.assertRole(role, minRole);
+    return role;
+  }
+
+  async addOwner(tenantId, userId, client = db) {
+    await client.query(
+      `INSERT INTO tenant_members (id, tenant_id, user_id, role, created_at, updated_at)
+       VALUES ($1, $2, $3, 'owner', NOW(), NOW())
+       ON CONFLICT (tenant_id, user_id) DO UPDATE SET role = 'owner', updated_at = NOW()`,
+      [uuidv4(), tenantId, userId]
+    );
+  }
+
+  async listMembers(tenantId, userId) {
+    await this.requireRole(tenantId, userId, 'viewer');
+
+    const result = await db.query(
+      `SELECT tm.id, tm.user_id, tm.role, tm.created_at, u.email, u.full_name
+       FROM tenant_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.tenant_id = $1
+       ORDER BY tm.created_at ASC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  async getMember(tenantId, memberId) {
+    const result = await db.query(
+      'SELECT * FROM tenant_members WHERE id = $1 AND tenant_id = $2',
+      [memberId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Member not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Change a member's role. Owners can't be changed here and only
+   * owners may grant or revoke admin.
+   */
+  async updateMemberRole(tenantId, memberId, userId, role) {
+    const callerRole = await this.requireRole(tenantId, userId, 'admin');
+    const member = await this.getMember(tenantId, memberId);
+
+    if (member.role === 'owner') {
+      throw ApiError.forbidden('The tenant owner role cannot be changed');
+    }
+
+    if ((member.role === 'admin' || role === 'admin') && callerRole !== 'owner') {
+      throw ApiError.forbidden('Only the owner can grant or revoke the admin role');
+    }
+
+    const result = await db.query(
+      `UPDATE tenant_members SET role = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, user_id, role, created_at, updated_at`,
+      [role, memberId]
+    );
+
+    logger.info('Tenant member role updated', { tenantId, memberId, role, by: userId });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a member. Anyone may leave; removing others needs admin.
+   */
+  async removeMember(tenantId, memberId, userId) {
+    const callerRole = await this.requireRole(tenantId, userId, 'viewer');
+    const member = await this.getMember(tenantId, memberId);
+
+    if (member.role === 'owner') {
+      throw ApiError.forbidden('The tenant owner cannot be removed');
+    }
+
+    if (member.user_id !== userId) {
+      this.assertRole(callerRole, 'admin');
+
+      if (member.role === 'admin' && callerRole !== 'owner') {
+        throw ApiError.forbidden('Only the owner can remove an admin');
+      }
+    }
+
+    await db.query('DELETE FROM tenant_members WHERE id = $1', [memberId]);
+
+    logger.info('Tenant member removed', { tenantId, memberId, by: userId });
+  }
+
+  // ============================================
+  // INVITATIONS
+  // ============================================
+
+  async listInvitations(tenantId, userId) {
+    await this.requireRole(tenantId, userId, 'admin');
+
+    const result = await db.query(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+       FROM tenant_invitations
+       WHERE tenant_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Plan team size for a tenant (-1 = unlimited)
+   */
+  async getTeamMembersLimit(tenantId) {
+    const result = await db.query(
+      `SELECT p.team_members_limit
+       FROM subscriptions s
+       JOIN plans p ON s.plan_id = p.id
+       WHERE s.tenant_id = $1 AND s.status IN ('active', 'on_trial', 'past_due')
+       ORDER BY s.created_at DESC
+       LIMIT 1`,
+      [tenantId]
+    );
+
+    if (result.rows.length > 0) {
+      return result.rows[0].team_members_limit;
+    }
+
+    const freePlan = await db.query(
+      `SELECT team_members_limit FROM plans WHERE slug = 'free' LIMIT 1`
+    );
+
+    return freePlan.rows[0]?.team_members_limit ?? DEFAULT_TEAM_MEMBERS_LIMIT;
+  }
+
+  /**
+   * Members plus open invitations count towards the plan limit
+   */
+  async assertSeatAvailable(tenantId) {
+    const limit = await this.getTeamMembersLimit(tenantId);
+
+    if (limit === -1) return;
+
+    const result = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM tenant_members WHERE tenant_id = $1) +
+         (SELECT COUNT(*) FROM tenant_invitations
+          WHERE tenant_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+            AND expires_at > NOW()) AS seats`,
+      [tenantId]
+    );
+
+    if (parseInt(result.rows[0].seats, 10) >= limit) {
+      throw ApiError.forbidden(
+        `Your plan allows ${limit} team member${limit === 1 ? '' : 's'}. Upgrade to invite more.`
+      );
+    }
+  }
+
+  async invite(tenantId, userId, { email, role }) {
+    const callerRole = await this.requireRole(tenantId, userId, 'admin');
+
+    if (role === 'admin' && callerRole !== 'owner') {
+      throw ApiError.forbidden('Only the owner can invite admins');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingMember = await db.query(
+      `SELECT tm.id FROM tenant_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.tenant_id = $1 AND LOWER(u.email) = $2`,
+      [tenantId, normalizedEmail]
+    );
+
+    if (existingMember.rows.length > 0) {
+      throw ApiError.conflict('This user is already a member of the tenant');
+    }
+
+    // Expired invitations still hold the pending-email index; clear them
+    await db.query(
+      `UPDATE tenant_invitations SET revoked_at = NOW()
+       WHERE tenant_id = $1 AND LOWER(email) = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()`,
+      [tenantId, normalizedEmail]
+    );
+
+    const pending = await db.query(
+      `SELECT id FROM tenant_invitations
+       WHERE tenant_id = $1 AND LOWER(email) = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [tenantId, normalizedEmail]
+    );
+
+    if (pending.rows.length > 0) {
+      throw ApiError.conflict('An invitation for this email is already pending');
+    }
+
+    await this.assertSeatAvailable(tenantId);
+
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await db.query(
+      `INSERT INTO tenant_invitations (
+        id, tenant_id, email, role, token_hash, invited_by, expires_at, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id, email, role, expires_at, created_at`,
+      [uuidv4(), tenantId, normalizedEmail, role, hashToken(token), userId, expiresAt]
+    );
+
+    const context = await db.query(
+      `SELECT t.name AS tenant_name, u.full_name AS inviter_name
+       FROM tenants t, users u
+       WHERE t.id = $1 AND u.id = $2`,
+      [tenantId, userId]
+    );
+
+    await emailService.sendTeamInvitation(
+      normalizedEmail,
+      context.rows[0]?.tenant_name,
+      context.rows[0]?.inviter_name,
+      role,
+      token
+    );
+
+    logger.info('Tenant invitation sent', { tenantId, invitationId: result.rows[0].id, role });
+
+    return result.rows[0];
+  }
+
+  async revokeInvitation(tenantId, invitationId, userId) {
+    await this.requireRole(tenantId, userId, 'admin');
+
+    const result = await db.query(
+      `UPDATE tenant_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND tenant_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [invitationId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Invitation not found');
+    }
+  }
+
+  /**
+   * Accept an invitation with the emailed token. The signed-in user's
+   * email must match the invited address.
+   */
+  async acceptInvitation(token, userId) {
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT i.*, t.name AS tenant_name
+         FROM tenant_invitations i
+         JOIN tenants t ON i.tenant_id = t.id
+         WHERE i.token_hash = $1
+         FOR UPDATE OF i`,
+        [hashToken(token)]
+      );
+
+      const invitation = result.rows[0];
+
+      if (!invitation || invitation.revoked_at) {
+        throw ApiError.notFound('Invitation not found');
+      }
+      if (invitation.accepted_at) {
+        throw ApiError.conflict('Invitation has already been accepted');
+      }
+      if (new Date(invitation.expires_at) <= new Date()) {
+        throw ApiError.badRequest('Invitation has expired');
+      }
+
+      const user = await client.query('SELECT email FROM users WHERE id = $1', [userId]);
+
+      if (user.rows[0]?.email.toLowerCase() !== invitation.email.toLowerCase()) {
+        throw ApiError.forbidden('This invitation was sent to a different email address');
+      }
+
+      const member = await client.query(
+        `INSERT INTO tenant_members (id, tenant_id, user_id, role, invited_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+         ON CONFLICT (tenant_id, user_id) DO NOTHING
+         RETURNING id, role`,
+        [uuidv4(), invitation.tenant_id, userId, invitation.role, invitation.invited_by]
+      );
+
+      await client.query(
+        `UPDATE tenant_invitations SET accepted_at = NOW(), accepted_by = $1 WHERE id = $2`,
+        [userId, invitation.id]
+      );
+
+      logger.info('Tenant invitation accepted', {
+        tenantId: invitation.tenant_id,
+        invitationId: invitation.id,
+        userId,
+      });
+
+      return {
+        tenantId: invitation.tenant_id,
+        tenantName: invitation.tenant_name,
+        role: member.rows[0]?.role || (await this.getRole(invitation.tenant_id, userId)),
+      };
+    });
+  }
+}
+
+export default new MembersService();
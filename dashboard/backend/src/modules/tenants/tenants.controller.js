@@ -3,6 +3,7 @@
 // ============================================
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import tenantsService from './tenants.service.js';
+import membersService from './members.service.js';
 import apiKeyService from '../../services/apiKeyService.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 
@@ -39,8 +40,14 @@ class TenantsController {
 
   // API Key Management
   createApiKey = asyncHandler(async (req, res) => {
-    const { name } = req.body;
-    const apiKey = await apiKeyService.createApiKey(req.params.tenantId, name, req.user.userId);
+    await tenantsService.getById(req.params.tenantId, req.user.userId, 'admin');
+    const { name, ...options } = req.body;
+    const apiKey = await apiKeyService.createApiKey(
+      req.params.tenantId,
+      name,
+      req.user.userId,
+      options
+    );
     ApiResponse.created(res, 'API key created successfully', {
       apiKey,
       warning: 'Store this key securely. It will not be shown again.',
@@ -48,11 +55,13 @@ class TenantsController {
   });
 
   listApiKeys = asyncHandler(async (req, res) => {
+    await tenantsService.getById(req.params.tenantId, req.user.userId, 'admin');
     const keys = await apiKeyService.listApiKeys(req.params.tenantId);
     ApiResponse.success(res, 200, 'API keys retrieved successfully', { keys });
   });
 
   revokeApiKey = asyncHandler(async (req, res) => {
+    await tenantsService.getById(req.params.tenantId, req.user.userId, 'admin');
     const result = await apiKeyService.revokeApiKey(
       req.params.tenantId,
       req.params.keyId,
@@ -61,10 +70,71 @@ class TenantsController {
     ApiResponse.success(res, 200, 'API key revoked successfully', result);
   });
 
+  rotateApiKey = asyncHandler(async (req, res) => {
+    await tenantsService.getById(req.params.tenantId, req.user.userId, 'admin');
+    const result = await apiKeyService.rotateApiKey(
+      req.params.tenantId,
+      req.params.keyId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.created(res, 'API key rotated successfully', {
+      ...result,
+      warning: 'Store this key securely. It will not be shown again.',
+    });
+  });
+
   getApiKeyStats = asyncHandler(async (req, res) => {
+    await tenantsService.getById(req.params.tenantId, req.user.userId, 'admin');
     const stats = await apiKeyService.getApiKeyStats(req.params.tenantId);
     ApiResponse.success(res, 200, 'API key statistics retrieved', { stats });
   });
+
+  // Team Members
+  listMembers = asyncHandler(async (req, res) => {
+    const members = await membersService.listMembers(req.params.tenantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Members retrieved successfully', { members });
+  });
+
+  updateMember = asyncHandler(async (req, res) => {
+    const member = await membersService.updateMemberRole(
+      req.params.tenantId,
+      req.params.memberId,
+      req.user.userId,
+      req.body.role
+    );
+    ApiResponse.success(res, 200, 'Member role updated successfully', { member });
+  });
+
+  removeMember = asyncHandler(async (req, res) => {
+    await membersService.removeMember(req.params.tenantId, req.params.memberId, req.user.userId);
+    ApiResponse.success(res, 200, 'Member removed successfully');
+  });
+
+  // Invitations
+  listInvitations = asyncHandler(async (req, res) => {
+    const invitations = await membersService.listInvitations(req.params.tenantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Invitations retrieved successfully', { invitations });
+  });
+
+  inviteMember = asyncHandler(async (req, res) => {
+    const invitation = await membersService.invite(req.params.tenantId, req.user.userId, req.body);
+    ApiResponse.created(res, 'Invitation sent successfully', { invitation });
+  });
+
+  revokeInvitation = asyncHandler(async (req, res) => {
+    await membersService.revokeInvitation(
+      req.params.tenantId,
+      req.params.invitationId,
+      req.user.userId
+    );
+    ApiResponse.success(res, 200, 'Invitation revoked successfully');
+  });
+
+  acceptInvitation = asyncHandler(async (req, res) => {
+    const membership = await membersService.acceptInvitation(req.body.token, req.user.userId);
+    ApiResponse.success(res, 200, 'Invitation accepted successfully', { membership });
+  });
 }
 
 export default new TenantsController();
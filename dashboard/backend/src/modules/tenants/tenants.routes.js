@@ -6,12 +6,23 @@ import tenantsController from './tenants.controller.js';
 import { validate } from '../../middleware/validate.js';
 import { authRequired } from '../../middleware/auth.js';
 import { apiKeyRateLimiter } from '../../middleware/rateLimit.middleware.js';
-import { createTenantSchema, updateTenantSchema, createApiKeySchema } from './tenants.validation.js';
+import {
+  createTenantSchema,
+  updateTenantSchema,
+  createApiKeySchema,
+  rotateApiKeySchema,
+  inviteMemberSchema,
+  updateMemberSchema,
+  acceptInvitationSchema,
+} from './tenants.validation.js';
 
 const router = Router();
 
 router.use(authRequired);
 
+// Invitation acceptance (token from the invitation email)
+router.post('/invitations/accept', validate(acceptInvitationSchema), tenantsController.acceptInvitation);
+
 // Tenant CRUD
 router.post('/', validate(createTenantSchema), tenantsController.createTenant);
 router.get('/', tenantsController.getAllTenants);
@@ -23,6 +34,22 @@ router.delete('/:id', tenantsController.deleteTenant);
 router.post('/:tenantId/keys', apiKeyRateLimiter, validate(createApiKeySchema), tenantsController.createApiKey);
 router.get('/:tenantId/keys', tenantsController.listApiKeys);
 router.delete('/:tenantId/keys/:keyId', tenantsController.revokeApiKey);
+router.post(
+  '/:tenantId/keys/:keyId/rotate',
+  apiKeyRateLimiter,
+  validate(rotateApiKeySchema),
+  tenantsController.rotateApiKey
+);
 router.get('/:tenantId/keys/stats', tenantsController.getApiKeyStats);
 
+// Team Members
+router.get('/:tenantId/members', tenantsController.listMembers);
+router.patch('/:tenantId/members/:memberId', validate(updateMemberSchema), tenantsController.updateMember);
+router.delete('/:tenantId/members/:memberId', tenantsController.removeMember);
+
+// Invitations
+router.get('/:tenantId/invitations', tenantsController.listInvitations);
+router.post('/:tenantId/invitations', validate(inviteMemberSchema), tenantsController.inviteMember);
+router.delete('/:tenantId/invitations/:invitationId', tenantsController.revokeInvitation);
+
 export default router;
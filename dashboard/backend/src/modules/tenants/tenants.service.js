@@ -4,6 +4,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from '../../config/db.js';
 import { ApiError } from '../../utils/ApiError.js';
+import membersService from './members.service.js';
 
 class TenantsService {
   async create(userId, { name, slug, email, microsurveyBaseUrl }) {
@@ -18,31 +19,37 @@ class TenantsService {
       throw new ApiError('Tenant slug already exists', 409);
     }
 
-    const result = await db.query(
-      `INSERT INTO tenants (
-        id, name, slug, email, owner_id, microsurvey_base_url, 
-        is_active, created_at, updated_at
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
-      RETURNING *`,
-      [uuidv4(), name, tenantSlug, email, userId, microsurveyBaseUrl || null]
-    );
-
-    return result.rows[0];
+    return db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO tenants (
+          id, name, slug, email, owner_id, microsurvey_base_url, 
+          is_active, created_at, updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
+        RETURNING *`,
+        [uuidv4(), name, tenantSlug, email, userId, microsurveyBaseUrl || null]
+      );
+
+      await membersService.addOwner(result.rows[0].id, userId, client);
+
+      return { ...result.rows[0], role: 'owner' };
+    });
   }
 
   async getAll(userId, page = 1, limit = 10) {
     const offset = (page - 1) * limit;
 
     const countResult = await db.query(
-      'SELECT COUNT(*) FROM tenants WHERE owner_id = $1',
+      'SELECT COUNT(*) FROM tenant_members WHERE user_id = $1',
       [userId]
     );
 
     const result = await db.query(
-      `SELECT * FROM tenants 
-       WHERE owner_id = $1 
-       ORDER BY created_at DESC
+      `SELECT t.*, tm.role
+       FROM tenants t
+       JOIN tenant_members tm ON tm.tenant_id = t.id
+       WHERE tm.user_id = $1
+       ORDER BY t.created_at DESC
        LIMIT $2 OFFSET $3`,
       [userId, limit, offset]
     );
@@ -53,9 +60,16 @@ class TenantsService {
     };
   }
 
-  async getById(tenantId, userId) {
+  /**
+   * Load a tenant the user is a member of, with their role.
+   * minRole enforces the role hierarchy (viewer < editor < admin < owner).
+   */
+  async getById(tenantId, userId, minRole = 'viewer') {
     const result = await db.query(
-      'SELECT * FROM tenants WHERE id = $1 AND owner_id = $2',
+      `SELECT t.*, tm.role
+       FROM tenants t
+       JOIN tenant_members tm ON tm.tenant_id = t.id
+       WHERE t.id = $1 AND tm.user_id = $2`,
       [tenantId, userId]
     );
 
@@ -63,11 +77,13 @@ class TenantsService {
       throw new ApiError('Tenant not found', 404);
     }
 
+    membersService.assertRole(result.rows[0].role, minRole);
+
     return result.rows[0];
   }
 
   async update(tenantId, userId, updates) {
-    await this.getById(tenantId, userId);
+    const { role } = await this.getById(tenantId, userId, 'admin');
 
     const result = await db.query(
       `UPDATE tenants 
@@ -77,16 +93,16 @@ class TenantsService {
          microsurvey_base_url = COALESCE($3, microsurvey_base_url),
          is_active = COALESCE($4, is_active),
          updated_at = NOW()
-       WHERE id = $5 AND owner_id = $6
+       WHERE id = $5
        RETURNING *`,
-      [updates.name, updates.email, updates.microsurveyBaseUrl, updates.isActive, tenantId, userId]
+      [updates.name, updates.email, updates.microsurveyBaseUrl, updates.isActive, tenantId]
     );
 
-    return result.rows[0];
+    return { ...result.rows[0], role };
   }
 
   async delete(tenantId, userId) {
-    await this.getById(tenantId, userId);
+    await this.getById(tenantId, userId, 'owner');
     await db.query('DELETE FROM tenants WHERE id = $1', [tenantId]);
   }
 }
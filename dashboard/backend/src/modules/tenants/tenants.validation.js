@@ -2,6 +2,7 @@
 // FILE: backend/src/modules/tenants/tenants.validation.js
 // ============================================
 import Joi from 'joi';
+import { API_KEY_SCOPES } from '../../services/apiKeyService.js';
 
 export const createTenantSchema = Joi.object({
   name: Joi.string().min(2).max(255).required(),
@@ -19,4 +20,26 @@ export const updateTenantSchema = Joi.object({
 
 export const createApiKeySchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  allowedIps: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).max(50).unique().optional(),
+  rateLimitPerMinute: Joi.number().integer().min(1).max(10000).optional(),
+});
+
+export const rotateApiKeySchema = Joi.object({
+  // Up to 7 days for the old key to keep working
+  overlapMinutes: Joi.number().integer().min(0).max(10080).optional(),
+});
+
+export const inviteMemberSchema = Joi.object({
+  email: Joi.string().email().max(255).required(),
+  role: Joi.string().valid('admin', 'editor', 'viewer').required(),
+});
+
+export const updateMemberSchema = Joi.object({
+  role: Joi.string().valid('admin', 'editor', 'viewer').required(),
+});
+
+export const acceptInvitationSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
 });
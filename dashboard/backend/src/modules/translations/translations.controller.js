@@ -0,0 +1,43 @@
+// ============================================
+// FILE: backend/src/modules/translations/translations.controller.js
+// ============================================
+import translationsService from './translations.service.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+class TranslationsController {
+  listTranslations = asyncHandler(async (req, res) => {
+    const result = await translationsService.list(req.params.id, req.user.userId);
+    ApiResponse.success(res, 200, 'Translations retrieved', result);
+  });
+
+  saveTranslation = asyncHandler(async (req, res) => {
+    const result = await translationsService.save(req.params.id, req.params.locale, req.user.userId, req.body);
+    ApiResponse.success(res, 200, 'Translation saved', result);
+  });
+
+  deleteTranslation = asyncHandler(async (req, res) => {
+    await translationsService.delete(req.params.id, req.params.locale, req.user.userId);
+    ApiResponse.success(res, 200, 'Translation deleted');
+  });
+
+  exportTranslation = asyncHandler(async (req, res) => {
+    const { filename, contentType, content } = await translationsService.export(
+      req.params.id,
+      req.params.locale,
+      req.user.userId,
+      req.query.format
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  importTranslation = asyncHandler(async (req, res) => {
+    const result = await translationsService.import(req.params.id, req.params.locale, req.user.userId, req.body);
+    ApiResponse.success(res, 200, result.dryRun ? 'Translation file checked' : 'Translation imported', result);
+  });
+}
+
+export default new TranslationsController();
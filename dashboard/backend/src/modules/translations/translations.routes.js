@@ -0,0 +1,28 @@
+// ============================================
+// FILE: backend/src/modules/translations/translations.routes.js
+// Mounted under /api/surveys/:id/translations (auth applied by the surveys router)
+// ============================================
+import { Router } from 'express';
+import translationsController from './translations.controller.js';
+import { validate } from '../../middleware/validate.js';
+import {
+  translationSchema,
+  exportTranslationQuerySchema,
+  importTranslationSchema,
+} from './translations.validation.js';
+
+const router = Router({ mergeParams: true });
+
+router.get('/', translationsController.listTranslations);
+router.put('/:locale', validate(translationSchema), translationsController.saveTranslation);
+router.delete('/:locale', translationsController.deleteTranslation);
+
+// XLIFF 1.2 / flat JSON files for localization vendors
+router.get(
+  '/:locale/export',
+  validate(exportTranslationQuerySchema, 'query'),
+  translationsController.exportTranslation
+);
+router.post('/:locale/import', validate(importTranslationSchema), translationsController.importTranslation);
+
+export default router;
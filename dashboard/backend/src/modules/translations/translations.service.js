@@ -0,0 +1,383 @@
+// ============================================
+// FILE: backend/src/modules/translations/translations.service.js
+// Translations of a survey's texts by locale
+// ============================================
+//
+// Translations belong to the draft: like question edits, they go live
+// with the next publish. The format is described in translationService.
+//
+// For localization vendors, a locale's strings are exported and imported
+// as XLIFF 1.2 or flat JSON, keyed by ids that survive rewording:
+//   survey.title | survey.description | survey.thankYouMessage | survey.passMessage | survey.failMessage
+//   pages.<pageKey>.title | pages.<pageKey>.description
+//   questions.<questionId>.text
+//   questions.<questionId>.options.<optionId> | questions.<questionId>.rows.<rowId>
+// Rewording a text keeps its key; XLIFF units then show up as stale.
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import surveysService from '../surveys/surveys.service.js';
+import { CHOICE_TYPES } from '../../services/answerValidationService.js';
+import { normalizeLocale } from '../../utils/locales.js';
+import { optionId, optionText } from '../../utils/options.js';
+import { toXliff, parseXliff } from '../../utils/xliff.js';
+import { translationSchema } from './translations.validation.js';
+
+const SURVEY_FIELDS = ['title', 'description', 'thankYouMessage', 'passMessage', 'failMessage'];
+const PAGE_FIELDS = ['title', 'description'];
+
+const KEY_PATTERNS = {
+  survey: /^survey\.(title|description|thankYouMessage|passMessage|failMessage)$/,
+  page: /^pages\.([A-Za-z0-9_-]+)\.(title|description)$/,
+  text: /^questions\.([0-9a-fA-F-]{36})\.text$/,
+  label: /^questions\.([0-9a-fA-F-]{36})\.(options|rows)\.([\s\S]+)$/,
+};
+
+const FILE_TYPES = {
+  xliff: { extension: 'xlf', contentType: 'application/x-xliff+xml; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+class TranslationsService {
+  async list(surveyId, userId) {
+    const survey = await surveysService.getById(surveyId, userId);
+
+    return {
+      defaultLocale: survey.default_locale,
+      translations: survey.translations || {},
+    };
+  }
+
+  /**
+   * Replace a locale's translation as a whole
+   */
+  async save(surveyId, locale, userId, translation) {
+    const survey = await surveysService.getById(surveyId, userId, 'editor');
+    const tag = this.assertLocale(survey, locale);
+    const { questions, pages } = await surveysService.getPreview(surveyId, userId);
+
+    this.assertMatchesSurvey(translation, questions, pages);
+
+    await db.query(
+      `UPDATE surveys
+       SET translations = jsonb_set(translations, $1::text[], $2::jsonb),
+           updated_at = NOW()
+       WHERE id = $3`,
+      [[tag], JSON.stringify(translation), surveyId]
+    );
+
+    logger.info('Survey translation saved', { surveyId, locale: tag });
+
+    return { locale: tag, translation };
+  }
+
+  async delete(surveyId, locale, userId) {
+    const survey = await surveysService.getById(surveyId, userId, 'editor');
+    const tag = normalizeLocale(locale);
+
+    if (!tag || !survey.translations?.[tag]) {
+      throw ApiError.notFound('Translation not found');
+    }
+
+    await db.query(
+      'UPDATE surveys SET translations = translations - $1, updated_at = NOW() WHERE id = $2',
+      [tag, surveyId]
+    );
+
+    logger.info('Survey translation deleted', { surveyId, locale: tag });
+  }
+
+  // ============================================
+  // Vendor files
+  // ============================================
+
+  /**
+   * A locale's strings as a file. XLIFF pairs every source text with its
+   * translation, if any. JSON holds the translated strings only; exporting
+   * the default locale gives the source strings to translate.
+   */
+  async export(surveyId, locale, userId, format = 'xliff') {
+    const survey = await surveysService.getById(surveyId, userId);
+    const tag = normalizeLocale(locale);
+
+    if (!tag) {
+      throw ApiError.badRequest(`"${locale}" is not a valid locale`);
+    }
+
+    const { questions, pages } = await surveysService.getPreview(surveyId, userId);
+    const strings = this.sourceStrings(survey, questions, pages);
+    const isDefault = tag === survey.default_locale;
+    const translated = isDefault ? {} : this.flatten(survey.translations?.[tag] || {});
+
+    const content = format === 'json'
+      ? JSON.stringify(Object.fromEntries(strings
+        .filter(({ key }) => isDefault || translated[key] !== undefined)
+        .map(({ key, source }) => [key, isDefault ? source : translated[key]])), null, 2)
+      : toXliff(
+        {
+          original: `survey/${survey.id}`,
+          sourceLanguage: survey.default_locale,
+          targetLanguage: isDefault ? null : tag,
+        },
+        strings.map(({ key, source, note }) => ({ id: key, source, target: translated[key], note }))
+      );
+
+    return {
+      filename: `survey-${survey.id}-${tag}.${FILE_TYPES[format].extension}`,
+      contentType: FILE_TYPES[format].contentType,
+      content,
+    };
+  }
+
+  /**
+   * Merge a vendor file into a locale's translation. Strings are checked
+   * against the current draft and reported as
+   *   missing: draft strings the file doesn't translate (existing translations are kept)
+   *   extra:   keys that aren't part of the draft (ignored)
+   *   stale:   XLIFF units translated from a source text that has since
+   *            changed (ignored; JSON files carry no source text)
+   * A dry run returns the report without saving.
+   */
+  async import(surveyId, locale, userId, { format, content, dryRun = false }) {
+    const survey = await surveysService.getById(surveyId, userId, 'editor');
+    const tag = this.assertLocale(survey, locale);
+    const { questions, pages } = await surveysService.getPreview(surveyId, userId);
+    const strings = this.sourceStrings(survey, questions, pages);
+    const sources = new Map(strings.map(({ key, source }) => [key, source]));
+
+    const entries = format === 'json'
+      ? this.readJson(content)
+      : this.readXliff(content, survey.default_locale, tag);
+
+    const report = { imported: 0, missing: [], extra: [], stale: [] };
+    const existing = this.flatten(survey.translations?.[tag] || {});
+    const merged = Object.fromEntries(Object.entries(existing).filter(([key]) => sources.has(key)));
+    const translated = new Set();
+
+    for (const { key, source, target } of entries) {
+      if (!sources.has(key)) {
+        report.extra.push(key);
+      } else if (source !== undefined && source !== sources.get(key)) {
+        report.stale.push(key);
+      } else if (target !== undefined && target.trim() !== '') {
+        merged[key] = target;
+        translated.add(key);
+      }
+    }
+
+    report.imported = translated.size;
+    report.missing = strings
+      .map(({ key }) => key)
+      .filter(key => !translated.has(key) && !report.stale.includes(key));
+
+    const { value: translation, error } = translationSchema.validate(this.unflatten(merged), { abortEarly: false });
+    if (error) {
+      throw ApiError.badRequest('Translation file has invalid strings', {
+        errors: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message })),
+      });
+    }
+
+    if (!dryRun) {
+      await db.query(
+        `UPDATE surveys
+         SET translations = jsonb_set(translations, $1::text[], $2::jsonb),
+             updated_at = NOW()
+         WHERE id = $3`,
+        [[tag], JSON.stringify(translation), surveyId]
+      );
+
+      logger.info('Survey translation imported', { surveyId, locale: tag, format, imported: report.imported });
+    }
+
+    return { locale: tag, dryRun, report, translation };
+  }
+
+  /**
+   * The draft's translatable strings as [{ key, source, note? }], in survey order
+   */
+  sourceStrings(survey, questions, pages = []) {
+    const config = survey.config || {};
+    const texts = {
+      title: survey.title,
+      description: survey.description,
+      thankYouMessage: config.thankYouMessage,
+      passMessage: config.quiz?.passMessage,
+      failMessage: config.quiz?.failMessage,
+    };
+    const strings = SURVEY_FIELDS
+      .filter(field => texts[field])
+      .map(field => ({ key: `survey.${field}`, source: texts[field] }));
+
+    for (const page of pages) {
+      for (const field of PAGE_FIELDS.filter(f => page[f])) {
+        strings.push({ key: `pages.${page.key}.${field}`, source: page[field] });
+      }
+    }
+
+    for (const question of questions) {
+      const prefix = `questions.${question.id}`;
+      strings.push({ key: `${prefix}.text`, source: question.text });
+
+      if ([...CHOICE_TYPES, 'matrix'].includes(question.type)) {
+        for (const option of question.options || []) {
+          strings.push({
+            key: `${prefix}.options.${optionId(option)}`,
+            source: optionText(option),
+            note: `Answer option of: ${question.text}`,
+          });
+        }
+      }
+      for (const row of question.rows || []) {
+        strings.push({ key: `${prefix}.rows.${optionId(row)}`, source: optionText(row), note: `Row of: ${question.text}` });
+      }
+    }
+
+    return strings;
+  }
+
+  // Translation object -> { key: text }
+  flatten(translation) {
+    const flat = {};
+
+    for (const field of SURVEY_FIELDS.filter(f => translation[f])) {
+      flat[`survey.${field}`] = translation[field];
+    }
+    for (const [key, page] of Object.entries(translation.pages || {})) {
+      for (const field of PAGE_FIELDS.filter(f => page[f])) {
+        flat[`pages.${key}.${field}`] = page[field];
+      }
+    }
+    for (const [questionId, question] of Object.entries(translation.questions || {})) {
+      if (question.text) flat[`questions.${questionId}.text`] = question.text;
+      for (const kind of ['options', 'rows']) {
+        for (const [id, label] of Object.entries(question[kind] || {})) {
+          flat[`questions.${questionId}.${kind}.${id}`] = label;
+        }
+      }
+    }
+
+    return flat;
+  }
+
+  // { key: text } -> translation object; keys are known to be valid
+  unflatten(flat) {
+    const translation = { pages: {}, questions: {} };
+    const question = (id) => (translation.questions[id] ||= {});
+
+    for (const [key, text] of Object.entries(flat)) {
+      let match;
+      if ((match = key.match(KEY_PATTERNS.survey))) {
+        translation[match[1]] = text;
+      } else if ((match = key.match(KEY_PATTERNS.page))) {
+        (translation.pages[match[1]] ||= {})[match[2]] = text;
+      } else if ((match = key.match(KEY_PATTERNS.text))) {
+        question(match[1]).text = text;
+      } else if ((match = key.match(KEY_PATTERNS.label))) {
+        (question(match[1])[match[2]] ||= {})[match[3]] = text;
+      }
+    }
+
+    return translation;
+  }
+
+  // Flat JSON { key: text }, as an object or its serialization
+  readJson(content) {
+    let data = content;
+
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw ApiError.badRequest(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw ApiError.badRequest('JSON translation files must be an object of strings');
+    }
+
+    const invalid = Object.keys(data).find(key => typeof data[key] !== 'string');
+    if (invalid !== undefined) {
+      throw ApiError.badRequest(`Value of "${invalid}" must be a string`);
+    }
+
+    return Object.entries(data).map(([key, target]) => ({ key, target }));
+  }
+
+  readXliff(content, sourceLanguage, targetLanguage) {
+    let document;
+
+    try {
+      document = parseXliff(content);
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid XLIFF: ${error.message}`);
+    }
+
+    if (document.sourceLanguage && normalizeLocale(document.sourceLanguage) !== sourceLanguage) {
+      throw ApiError.badRequest(`File translates from ${document.sourceLanguage}, but the survey is in ${sourceLanguage}`);
+    }
+    if (document.targetLanguage && normalizeLocale(document.targetLanguage) !== targetLanguage) {
+      throw ApiError.badRequest(`File translates into ${document.targetLanguage}, not ${targetLanguage}`);
+    }
+
+    return document.units.map(({ id, source, target }) => ({ key: id, source, target }));
+  }
+
+  /**
+   * Canonical tag of a locale the survey can be translated into
+   */
+  assertLocale(survey, locale) {
+    const tag = normalizeLocale(locale);
+
+    if (!tag) {
+      throw ApiError.badRequest(`"${locale}" is not a valid locale`);
+    }
+    if (tag === survey.default_locale) {
+      throw ApiError.badRequest(`${tag} is the survey's default locale; edit the survey texts instead`);
+    }
+
+    return tag;
+  }
+
+  /**
+   * Translated pages, questions, options and rows must exist in the draft.
+   * Options and rows are keyed by their id.
+   */
+  assertMatchesSurvey(translation, questions, pages = []) {
+    const pageKeys = new Set(pages.map(p => p.key));
+    const byId = new Map(questions.map(q => [q.id, q]));
+
+    for (const key of Object.keys(translation.pages || {})) {
+      if (!pageKeys.has(key)) {
+        throw ApiError.badRequest(`Page ${key} is not part of this survey`);
+      }
+    }
+
+    for (const [questionId, translated] of Object.entries(translation.questions || {})) {
+      const question = byId.get(questionId);
+
+      if (!question) {
+        throw ApiError.badRequest(`Question ${questionId} is not part of this survey`);
+      }
+
+      const options = Object.keys(translated.options || {});
+      if (options.length > 0 && ![...CHOICE_TYPES, 'matrix'].includes(question.type)) {
+        throw ApiError.badRequest(`Question ${questionId} has no options to translate`);
+      }
+
+      const optionIds = new Set((question.options || []).map(optionId));
+      const unknownOption = options.find(option => !optionIds.has(option));
+      if (unknownOption !== undefined) {
+        throw ApiError.badRequest(`"${unknownOption}" is not an option of question ${questionId}`);
+      }
+
+      const rowIds = new Set((question.rows || []).map(optionId));
+      const unknownRow = Object.keys(translated.rows || {}).find(row => !rowIds.has(row));
+      if (unknownRow !== undefined) {
+        throw ApiError.badRequest(`"${unknownRow}" is not a row of question ${questionId}`);
+      }
+    }
+  }
+}
+
+export default new TranslationsService();
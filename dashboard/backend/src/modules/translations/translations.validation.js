@@ -0,0 +1,45 @@
+// ============================================
+// FILE: backend/src/modules/translations/translations.validation.js
+// ============================================
+import Joi from 'joi';
+
+// { [option or row id]: label }
+const labelsSchema = Joi.object().pattern(Joi.string().max(500), Joi.string().trim().min(1).max(500));
+
+export const translationSchema = Joi.object({
+  title: Joi.string().max(500).allow('').optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  thankYouMessage: Joi.string().max(1000).allow('').optional(),
+  passMessage: Joi.string().max(1000).allow('').optional(),
+  failMessage: Joi.string().max(1000).allow('').optional(),
+  pages: Joi.object().pattern(
+    Joi.string().max(100),
+    Joi.object({
+      title: Joi.string().max(200).allow('').optional(),
+      description: Joi.string().max(1000).allow('').optional(),
+    })
+  ).default({}),
+  questions: Joi.object().pattern(
+    Joi.string().uuid(),
+    Joi.object({
+      text: Joi.string().max(500).allow('').optional(),
+      options: labelsSchema.optional(),
+      rows: labelsSchema.optional(),
+    })
+  ).default({}),
+});
+
+export const exportTranslationQuerySchema = Joi.object({
+  format: Joi.string().valid('xliff', 'json').default('xliff'),
+});
+
+// JSON files may be sent as the parsed object; XLIFF as the document text
+export const importTranslationSchema = Joi.object({
+  format: Joi.string().valid('xliff', 'json').required(),
+  content: Joi.when('format', {
+    is: 'json',
+    then: Joi.alternatives(Joi.object().unknown(true), Joi.string()).required(),
+    otherwise: Joi.string().required(),
+  }),
+  dryRun: Joi.boolean().default(false),
+});
@@ -0,0 +1,35 @@
+// ============================================
+// FILE: backend/src/modules/variants/variants.controller.js
+// ============================================
+import variantsService from './variants.service.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+class VariantsController {
+  listVariants = asyncHandler(async (req, res) => {
+    const variants = await variantsService.list(req.params.id, req.user.userId);
+    ApiResponse.success(res, 200, 'Variants retrieved', { variants });
+  });
+
+  createVariant = asyncHandler(async (req, res) => {
+    const variant = await variantsService.create(req.params.id, req.user.userId, req.body);
+    ApiResponse.created(res, 'Variant created', { variant });
+  });
+
+  updateVariant = asyncHandler(async (req, res) => {
+    const variant = await variantsService.update(
+      req.params.id,
+      req.params.variantId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.success(res, 200, 'Variant updated', { variant });
+  });
+
+  deleteVariant = asyncHandler(async (req, res) => {
+    await variantsService.delete(req.params.id, req.params.variantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Variant deleted');
+  });
+}
+
+export default new VariantsController();
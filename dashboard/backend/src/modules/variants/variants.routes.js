@@ -0,0 +1,17 @@
+// ============================================
+// FILE: backend/src/modules/variants/variants.routes.js
+// Mounted under /api/surveys/:id/variants (auth applied by the surveys router)
+// ============================================
+import { Router } from 'express';
+import variantsController from './variants.controller.js';
+import { validate } from '../../middleware/validate.js';
+import { createVariantSchema, updateVariantSchema } from './variants.validation.js';
+
+const router = Router({ mergeParams: true });
+
+router.get('/', variantsController.listVariants);
+router.post('/', validate(createVariantSchema), variantsController.createVariant);
+router.put('/:variantId', validate(updateVariantSchema), variantsController.updateVariant);
+router.delete('/:variantId', variantsController.deleteVariant);
+
+export default router;
@@ -0,0 +1,280 @@
+// ============================================
+// FILE: backend/src/modules/variants/variants.service.js
+// A/B test variants of a survey and their assignment to sessions
+// ============================================
+//
+// A variant overlays the published snapshot:
+//   { title?, description?, theme?, questions?: { [questionId]: { text } }, questionOrder?: [questionId] }
+// Options are never overridden, so answer distributions stay comparable
+// across variants.
+//
+// Only sessions take part: a session keeps the variant recorded on its
+// first survey_view event, new sessions are assigned by weight (seeded by
+// the session id). Requests without a session id get the plain survey.
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import surveysService from '../surveys/surveys.service.js';
+import branchingService from '../../services/branchingService.js';
+import randomizationService from '../../services/randomizationService.js';
+import { orderByPage } from '../../utils/pages.js';
+
+const VARIANT_COLUMNS = 'id, survey_id, key, name, weight, overrides, created_by, created_at, updated_at';
+
+// Variants of survey `s`, for the embed queries
+export const VARIANTS_SELECT = `(
+  SELECT COALESCE(jsonb_agg(
+    jsonb_build_object('id', v.id, 'key', v.key, 'weight', v.weight, 'overrides', v.overrides)
+    ORDER BY v.created_at, v.key
+  ), '[]'::jsonb)
+  FROM survey_variants v
+  WHERE v.survey_id = s.id
+) AS variants`;
+
+class VariantsService {
+  // ============================================
+  // Management
+  // ============================================
+
+  async list(surveyId, userId) {
+    await surveysService.getById(surveyId, userId);
+
+    const result = await db.query(
+      `SELECT ${VARIANT_COLUMNS},
+        (SELECT COUNT(*) FROM survey_events e
+         WHERE e.variant_id = v.id AND e.event_type = 'survey_view') AS views,
+        (SELECT COUNT(*) FROM survey_responses r WHERE r.variant_id = v.id) AS responses
+       FROM survey_variants v
+       WHERE v.survey_id = $1
+       ORDER BY v.created_at, v.key`,
+      [surveyId]
+    );
+
+    return result.rows;
+  }
+
+  async get(surveyId, variantId) {
+    const result = await db.query(
+      `SELECT ${VARIANT_COLUMNS} FROM survey_variants WHERE id = $1 AND survey_id = $2`,
+      [variantId, surveyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Variant not found');
+    }
+
+    return result.rows[0];
+  }
+
+  async create(surveyId, userId, { key, name, weight, overrides }) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    await this.assertKeyAvailable(surveyId, key);
+    await this.assertValidOverrides(surveyId, userId, overrides);
+
+    const result = await db.query(
+      `INSERT INTO survey_variants (survey_id, key, name, weight, overrides, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${VARIANT_COLUMNS}`,
+      [surveyId, key, name, weight, JSON.stringify(overrides), userId]
+    );
+
+    logger.info('Survey variant created', { surveyId, variantId: result.rows[0].id, key });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Overrides are replaced as a whole. Editing a variant that already has
+   * responses mixes two versions into its results.
+   */
+  async update(surveyId, variantId, userId, updates) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    const variant = await this.get(surveyId, variantId);
+
+    if (updates.key !== undefined && updates.key !== variant.key) {
+      await this.assertKeyAvailable(surveyId, updates.key);
+    }
+    if (updates.overrides !== undefined) {
+      await this.assertValidOverrides(surveyId, userId, updates.overrides);
+    }
+
+    const result = await db.query(
+      `UPDATE survey_variants
+       SET key = COALESCE($1, key),
+           name = COALESCE($2, name),
+           weight = COALESCE($3, weight),
+           overrides = COALESCE($4, overrides),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING ${VARIANT_COLUMNS}`,
+      [
+        updates.key,
+        updates.name,
+        updates.weight,
+        updates.overrides !== undefined ? JSON.stringify(updates.overrides) : null,
+        variantId,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Variants with responses can't be deleted (their results would lose
+   * their label); a weight of 0 stops assigning them instead
+   */
+  async delete(surveyId, variantId, userId) {
+    await surveysService.getById(surveyId, userId, 'editor');
+    await this.get(surveyId, variantId);
+
+    const responses = await db.query(
+      'SELECT COUNT(*) AS count FROM survey_responses WHERE variant_id = $1',
+      [variantId]
+    );
+    if (parseInt(responses.rows[0].count, 10) > 0) {
+      throw ApiError.badRequest('Variant has responses; set its weight to 0 to stop assigning it');
+    }
+
+    await db.query('DELETE FROM survey_variants WHERE id = $1', [variantId]);
+
+    logger.info('Survey variant deleted', { surveyId, variantId });
+  }
+
+  async assertKeyAvailable(surveyId, key) {
+    const existing = await db.query(
+      'SELECT id FROM survey_variants WHERE survey_id = $1 AND key = $2',
+      [surveyId, key]
+    );
+
+    if (existing.rows.length > 0) {
+      throw ApiError.conflict(`Variant key "${key}" is already used by this survey`);
+    }
+  }
+
+  /**
+   * Overrides must reference the survey's questions, and a question order
+   * must keep branching valid. Checked against the draft questions, like
+   * other edits that go live with the next publish.
+   */
+  async assertValidOverrides(surveyId, userId, overrides = {}) {
+    const { questions, pages } = await surveysService.getPreview(surveyId, userId);
+    const questionIds = new Set(questions.map(q => q.id));
+
+    for (const questionId of [...Object.keys(overrides.questions || {}), ...(overrides.questionOrder || [])]) {
+      if (!questionIds.has(questionId)) {
+        throw ApiError.badRequest(`Question ${questionId} is not part of this survey`);
+      }
+    }
+
+    if (overrides.questionOrder?.length > 0) {
+      surveysService.assertValidBranching(this.applyOrder(questions, overrides.questionOrder, pages), pages);
+    }
+  }
+
+  // ============================================
+  // Serving
+  // ============================================
+
+  /**
+   * Questions in the variant's order; unlisted questions follow in their
+   * usual order, and questions stay on their page
+   */
+  applyOrder(questions, questionOrder = [], pages = []) {
+    const byId = new Map(questions.map(q => [q.id, q]));
+    const listed = questionOrder.filter(id => byId.has(id)).map(id => byId.get(id));
+    const listedIds = new Set(listed.map(q => q.id));
+
+    return orderByPage([...listed, ...questions.filter(q => !listedIds.has(q.id))], pages);
+  }
+
+  /**
+   * The snapshot as the variant shows it (the snapshot itself without a variant)
+   */
+  apply(snapshot, variant) {
+    if (!variant) {
+      return snapshot;
+    }
+
+    const overrides = variant.overrides || {};
+    const pages = snapshot.pages || [];
+
+    let questions = (snapshot.questions || []).map(q => {
+      const text = overrides.questions?.[q.id]?.text;
+      return text ? { ...q, text } : q;
+    });
+
+    if (overrides.questionOrder?.length > 0) {
+      const reordered = this.applyOrder(questions, overrides.questionOrder, pages);
+      // The published questions may have changed since the variant was saved
+      if (branchingService.validateLogic(reordered, pages).length === 0) {
+        questions = reordered;
+      }
+    }
+
+    return {
+      ...snapshot,
+      ...(overrides.title ? { title: overrides.title } : {}),
+      ...(overrides.description !== undefined ? { description: overrides.description } : {}),
+      config: { ...(snapshot.config || {}), ...(overrides.theme ? { theme: overrides.theme } : {}) },
+      questions,
+    };
+  }
+
+  /**
+   * Weighted choice among variants with a weight above 0
+   */
+  pick(variants, sessionId) {
+    const eligible = variants.filter(v => v.weight > 0);
+    const total = eligible.reduce((sum, v) => sum + v.weight, 0);
+
+    if (total === 0) {
+      return null;
+    }
+
+    let point = randomizationService.random(`${sessionId}:variant`) * total;
+    for (const variant of eligible) {
+      point -= variant.weight;
+      if (point < 0) return variant;
+    }
+    return eligible[eligible.length - 1];
+  }
+
+  /**
+   * Variant of a session, assigning (and recording a survey_view for) new
+   * sessions. `survey` comes from a query selecting VARIANTS_SELECT.
+   */
+  async assign(survey, sessionId) {
+    const variants = survey.variants || [];
+
+    if (!sessionId || variants.length === 0) {
+      return null;
+    }
+
+    const existing = await db.query(
+      `SELECT variant_id FROM survey_events
+       WHERE survey_id = $1 AND session_id = $2 AND variant_id IS NOT NULL
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [survey.id, sessionId]
+    );
+    const kept = variants.find(v => v.id === existing.rows[0]?.variant_id);
+    if (kept) {
+      return kept;
+    }
+
+    const variant = this.pick(variants, sessionId);
+    if (variant) {
+      await db.query(
+        `INSERT INTO survey_events (
+          id, event_type, survey_id, tenant_id, session_id, variant_id, created_at
+        ) VALUES ($1, 'survey_view', $2, $3, $4, $5, NOW())`,
+        [uuidv4(), survey.id, survey.tenant_id, sessionId, variant.id]
+      );
+    }
+
+    return variant;
+  }
+}
+
+export default new VariantsService();
@@ -0,0 +1,32 @@
+// ============================================
+// FILE: backend/src/modules/variants/variants.validation.js
+// ============================================
+import Joi from 'joi';
+
+const overridesSchema = Joi.object({
+  title: Joi.string().min(3).max(500).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  theme: Joi.string().valid('light', 'dark', 'auto').optional(),
+  // Question wording by question id
+  questions: Joi.object().pattern(
+    Joi.string().uuid(),
+    Joi.object({ text: Joi.string().min(5).max(500).required() })
+  ).optional(),
+  questionOrder: Joi.array().items(Joi.string().uuid()).unique().max(200).optional(),
+});
+
+const keySchema = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(50);
+
+export const createVariantSchema = Joi.object({
+  key: keySchema.required(),
+  name: Joi.string().trim().min(1).max(255).required(),
+  weight: Joi.number().integer().min(0).max(1000).default(1),
+  overrides: overridesSchema.default({}),
+});
+
+export const updateVariantSchema = Joi.object({
+  key: keySchema.optional(),
+  name: Joi.string().trim().min(1).max(255).optional(),
+  weight: Joi.number().integer().min(0).max(1000).optional(),
+  overrides: overridesSchema.optional(),
+}).min(1);
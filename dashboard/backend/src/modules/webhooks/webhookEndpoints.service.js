@@ -0,0 +1,407 @@
+// ============================================
+// FILE: backend/src/modules/webhooks/webhookEndpoints.service.js
+// Outgoing tenant webhooks: endpoints, signed deliveries and redelivery
+// ============================================
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/db.js';
+import { config } from '../../config/index.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { logger } from '../../lib/logger.js';
+import { NonPublicAddressError, resolvePublicAddress, pinnedAgents } from '../../utils/outboundUrl.js';
+import membersService from '../tenants/members.service.js';
+import { enqueueWebhookDelivery } from '../../workers/webhookWorker.js';
+
+export const WEBHOOK_EVENTS = [
+  'response.created',
+  'survey.published',
+  'export.completed',
+  'quota.exceeded',
+];
+
+// Plan feature that unlocks outgoing webhooks (see plans.features)
+const WEBHOOKS_FEATURE = 'Webhooks';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+// Enough to see an error message in the delivery log, not to read back a page
+const RESPONSE_BODY_MAX_LENGTH = 200;
+
+class WebhookEndpointsService {
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Webhooks are a paid feature; check the tenant's current plan
+   */
+  async assertWebhooksIncluded(tenantId) {
+    const result = await db.query(
+      `SELECT p.features
+       FROM subscriptions s
+       JOIN plans p ON s.plan_id = p.id
+       WHERE s.tenant_id = $1 AND s.status IN ('active', 'on_trial', 'past_due')
+       ORDER BY s.created_at DESC
+       LIMIT 1`,
+      [tenantId]
+    );
+
+    const features = result.rows[0]?.features || [];
+
+    if (!features.includes(WEBHOOKS_FEATURE)) {
+      throw ApiError.forbidden('Webhooks are not included in your plan. Upgrade to add endpoints.');
+    }
+  }
+
+  /**
+   * Endpoints must be HTTPS URLs whose host resolves only to public
+   * addresses, so deliveries can't reach internal services. Returns the
+   * address to connect to, or null when insecure URLs are allowed (development).
+   * DNS errors are thrown as is.
+   */
+  async resolveDeliverableUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    const { allowInsecureUrls } = config.webhooks;
+
+    if (protocol !== 'https:' && !(allowInsecureUrls && protocol === 'http:')) {
+      throw ApiError.badRequest('Webhook URLs must use HTTPS');
+    }
+
+    if (allowInsecureUrls) return null;
+
+    try {
+      return await resolvePublicAddress(hostname);
+    } catch (error) {
+      if (error instanceof NonPublicAddressError) {
+        throw ApiError.badRequest(`Webhook URLs must point to a public address: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async assertDeliverableUrl(url) {
+    try {
+      await this.resolveDeliverableUrl(url);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw ApiError.badRequest(`Webhook URL host could not be resolved: ${new URL(url).hostname}`);
+    }
+  }
+
+  async listEndpoints(tenantId, userId) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+
+    const result = await db.query(
+      `SELECT e.id, e.tenant_id, e.url, e.description, e.events, e.is_active,
+        e.created_at, e.updated_at,
+        (SELECT status FROM webhook_deliveries
+         WHERE endpoint_id = e.id ORDER BY created_at DESC LIMIT 1) as last_delivery_status
+       FROM webhook_endpoints e
+       WHERE e.tenant_id = $1
+       ORDER BY e.created_at DESC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  async getEndpoint(tenantId, endpointId) {
+    const result = await db.query(
+      'SELECT * FROM webhook_endpoints WHERE id = $1 AND tenant_id = $2',
+      [endpointId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Webhook endpoint not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create an endpoint. The signing secret is only returned here.
+   */
+  async createEndpoint(tenantId, userId, { url, description, events }) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+    await this.assertWebhooksIncluded(tenantId);
+    await this.assertDeliverableUrl(url);
+
+    const result = await db.query(
+      `INSERT INTO webhook_endpoints (
+        id, tenant_id, url, description, events, secret, created_by, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+      RETURNING id, tenant_id, url, description, events, secret, is_active, created_at`,
+      [uuidv4(), tenantId, url, description || null, events, this.generateSecret(), userId]
+    );
+
+    logger.info('Webhook endpoint created', { tenantId, endpointId: result.rows[0].id, events });
+
+    return result.rows[0];
+  }
+
+  async updateEndpoint(tenantId, endpointId, userId, { url, description, events, isActive }) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+    await this.getEndpoint(tenantId, endpointId);
+
+    if (url) {
+      await this.assertDeliverableUrl(url);
+    }
+
+    const result = await db.query(
+      `UPDATE webhook_endpoints
+       SET url = COALESCE($1, url),
+           description = COALESCE($2, description),
+           events = COALESCE($3, events),
+           is_active = COALESCE($4, is_active),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING id, tenant_id, url, description, events, is_active, created_at, updated_at`,
+      [url, description, events, isActive, endpointId]
+    );
+
+    return result.rows[0];
+  }
+
+  async deleteEndpoint(tenantId, endpointId, userId) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+    await this.getEndpoint(tenantId, endpointId);
+
+    await db.query('DELETE FROM webhook_endpoints WHERE id = $1', [endpointId]);
+
+    logger.info('Webhook endpoint deleted', { tenantId, endpointId });
+  }
+
+  async listDeliveries(tenantId, userId, { endpointId, status, page = 1, limit = 20 } = {}) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+
+    const params = [tenantId];
+    let whereClause = 'WHERE d.tenant_id = $1';
+
+    if (endpointId) {
+      params.push(endpointId);
+      whereClause += ` AND d.endpoint_id = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      whereClause += ` AND d.status = $${params.length}`;
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM webhook_deliveries d ${whereClause}`,
+      params
+    );
+
+    params.push(limit, (page - 1) * limit);
+
+    const result = await db.query(
+      `SELECT d.id, d.endpoint_id, e.url AS endpoint_url, d.event_type, d.event_id,
+        d.payload, d.status, d.attempts, d.response_status, d.response_body,
+        d.error_message, d.duration_ms, d.redelivery_of, d.last_attempt_at,
+        d.delivered_at, d.created_at
+       FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON d.endpoint_id = e.id
+       ${whereClause}
+       ORDER BY d.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      deliveries: result.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+    };
+  }
+
+  /**
+   * Send an earlier delivery's payload again as a new delivery
+   */
+  async redeliver(tenantId, deliveryId, userId) {
+    await membersService.requireRole(tenantId, userId, 'admin');
+
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (
+        id, endpoint_id, tenant_id, event_type, event_id, payload, redelivery_of, created_at
+      )
+      SELECT $1, endpoint_id, tenant_id, event_type, event_id, payload, id, NOW()
+      FROM webhook_deliveries
+      WHERE id = $2 AND tenant_id = $3
+      RETURNING *`,
+      [uuidv4(), deliveryId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      throw ApiError.notFound('Webhook delivery not found');
+    }
+
+    await enqueueWebhookDelivery(result.rows[0].id);
+
+    logger.info('Webhook redelivery requested', { tenantId, deliveryId, userId });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Queue an event for every active endpoint of the tenant subscribed to it.
+   * Never throws: webhook problems must not fail the action that raised the event.
+   */
+  async dispatch(tenantId, eventType, data) {
+    try {
+      const endpoints = await db.query(
+        `SELECT id FROM webhook_endpoints
+         WHERE tenant_id = $1 AND is_active = true AND $2 = ANY(events)`,
+        [tenantId, eventType]
+      );
+
+      if (endpoints.rows.length === 0) return 0;
+
+      const eventId = uuidv4();
+      const payload = {
+        id: eventId,
+        type: eventType,
+        createdAt: new Date().toISOString(),
+        tenantId,
+        data,
+      };
+
+      for (const endpoint of endpoints.rows) {
+        const delivery = await db.query(
+          `INSERT INTO webhook_deliveries (
+            id, endpoint_id, tenant_id, event_type, event_id, payload, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+          RETURNING id`,
+          [uuidv4(), endpoint.id, tenantId, eventType, eventId, JSON.stringify(payload)]
+        );
+
+        await enqueueWebhookDelivery(delivery.rows[0].id);
+      }
+
+      return endpoints.rows.length;
+    } catch (error) {
+      logger.error('Failed to dispatch webhook event', {
+        error: error.message,
+        tenantId,
+        eventType,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * POST one delivery to its endpoint (called by the webhook worker).
+   * Throws on failure so BullMQ retries with backoff.
+   */
+  async deliver(deliveryId, { isFinalAttempt = false } = {}) {
+    const result = await db.query(
+      `SELECT d.id, d.event_type, d.event_id, d.payload, d.status,
+        e.url, e.secret, e.is_active
+       FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON d.endpoint_id = e.id
+       WHERE d.id = $1`,
+      [deliveryId]
+    );
+
+    const delivery = result.rows[0];
+
+    // Endpoint deleted or delivery already done: nothing to retry
+    if (!delivery || delivery.status === 'succeeded') {
+      return { skipped: true };
+    }
+
+    if (!delivery.is_active) {
+      await this.recordAttempt(deliveryId, {
+        status: 'failed',
+        errorMessage: 'Endpoint is disabled',
+      });
+      return { skipped: true };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    let response;
+    let errorMessage = null;
+
+    try {
+      // Checked again on every attempt, and the connection pinned to the
+      // checked address, so a DNS change can't redirect it inside
+      const address = await this.resolveDeliverableUrl(delivery.url);
+
+      response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MicroSurvey-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Event-Id': delivery.event_id,
+          'X-Webhook-Signature': this.sign(delivery.secret, timestamp, body),
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: [(data) => data],
+        ...(address ? pinnedAgents(address) : {}),
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        // The URL is no longer allowed; retrying won't change that
+        await this.recordAttempt(deliveryId, { status: 'failed', errorMessage: error.message });
+        return { skipped: true };
+      }
+      errorMessage = error.message;
+    }
+
+    const succeeded = response && response.status >= 200 && response.status < 300;
+
+    if (!succeeded && !errorMessage) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+
+    await this.recordAttempt(deliveryId, {
+      status: succeeded ? 'succeeded' : (isFinalAttempt ? 'failed' : 'retrying'),
+      responseStatus: response?.status ?? null,
+      responseBody: typeof response?.data === 'string'
+        ? response.data.slice(0, RESPONSE_BODY_MAX_LENGTH)
+        : null,
+      errorMessage,
+      durationMs: Date.now() - startedAt,
+    });
+
+    if (!succeeded) {
+      throw new Error(errorMessage);
+    }
+
+    return { delivered: true, status: response.status };
+  }
+
+  async recordAttempt(deliveryId, { status, responseStatus = null, responseBody = null, errorMessage = null, durationMs = null }) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $1,
+           attempts = attempts + 1,
+           response_status = $2,
+           response_body = $3,
+           error_message = $4,
+           duration_ms = $5,
+           last_attempt_at = NOW(),
+           delivered_at = CASE WHEN $1 = 'succeeded' THEN NOW() ELSE delivered_at END
+       WHERE id = $6`,
+      [status, responseStatus, responseBody, errorMessage, durationMs, deliveryId]
+    );
+  }
+}
+
+export default new WebhookEndpointsService();
@@ -1,5 +1,7 @@
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import webhooksService from './webhooks.service.js';
+import webhookEndpointsService, { WEBHOOK_EVENTS } from './webhookEndpoints.service.js';
+import lemonSqueezyWebhookService from '../billing/lemonSqueezyWebhook.service.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 
 class WebhooksController {
@@ -8,6 +10,70 @@ class WebhooksController {
     const result = await webhooksService.process(req.body, signature);
     ApiResponse.success(res, 200, 'Webhook processed', result);
   });
+
+  receiveLemonSqueezyWebhook = asyncHandler(async (req, res) => {
+    const result = await lemonSqueezyWebhookService.receive(req.rawBody, req.get('x-signature'));
+    ApiResponse.success(res, 200, 'Webhook received', result);
+  });
+
+  // Outgoing tenant webhooks
+  listEndpoints = asyncHandler(async (req, res) => {
+    const endpoints = await webhookEndpointsService.listEndpoints(req.params.tenantId, req.user.userId);
+    ApiResponse.success(res, 200, 'Webhook endpoints retrieved', { endpoints, events: WEBHOOK_EVENTS });
+  });
+
+  createEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await webhookEndpointsService.createEndpoint(
+      req.params.tenantId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.created(res, 'Webhook endpoint created', {
+      endpoint,
+      warning: 'Store the signing secret securely. It will not be shown again.',
+    });
+  });
+
+  updateEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await webhookEndpointsService.updateEndpoint(
+      req.params.tenantId,
+      req.params.endpointId,
+      req.user.userId,
+      req.body
+    );
+    ApiResponse.success(res, 200, 'Webhook endpoint updated', { endpoint });
+  });
+
+  deleteEndpoint = asyncHandler(async (req, res) => {
+    await webhookEndpointsService.deleteEndpoint(
+      req.params.tenantId,
+      req.params.endpointId,
+      req.user.userId
+    );
+    ApiResponse.success(res, 200, 'Webhook endpoint deleted');
+  });
+
+  listDeliveries = asyncHandler(async (req, res) => {
+    const { endpointId, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { deliveries, total } = await webhookEndpointsService.listDeliveries(
+      req.params.tenantId,
+      req.user.userId,
+      { endpointId, status, page, limit }
+    );
+    ApiResponse.paginated(res, deliveries, page, limit, total, 'Webhook deliveries retrieved');
+  });
+
+  redeliver = asyncHandler(async (req, res) => {
+    const delivery = await webhookEndpointsService.redeliver(
+      req.params.tenantId,
+      req.params.deliveryId,
+      req.user.userId
+    );
+    ApiResponse.created(res, 'Webhook redelivery queued', { delivery });
+  });
 }
 
 export default new WebhooksController();
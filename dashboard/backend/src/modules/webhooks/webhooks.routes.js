@@ -4,12 +4,40 @@
 import { Router } from 'express';
 import webhooksController from './webhooks.controller.js';
 import { webhookRateLimiter } from '../../middleware/rateLimit.middleware.js';
+import { validate } from '../../middleware/validate.js';
+import { authRequired } from '../../middleware/auth.js';
+import { createEndpointSchema, updateEndpointSchema } from './webhooks.validation.js';
 
 const router = Router();
 
 // Webhook endpoint for Micro-Survey callbacks
 router.post('/microsurvey', webhookRateLimiter, webhooksController.receiveMicroSurveyWebhook);
 
+// Billing events from Lemon Squeezy (signed with LEMONSQUEEZY_WEBHOOK_SECRET)
+router.post('/lemonsqueezy', webhookRateLimiter, webhooksController.receiveLemonSqueezyWebhook);
+
+// Outgoing webhooks configured by tenants
+router.get('/tenants/:tenantId/endpoints', authRequired, webhooksController.listEndpoints);
+router.post(
+  '/tenants/:tenantId/endpoints',
+  authRequired,
+  validate(createEndpointSchema),
+  webhooksController.createEndpoint
+);
+router.put(
+  '/tenants/:tenantId/endpoints/:endpointId',
+  authRequired,
+  validate(updateEndpointSchema),
+  webhooksController.updateEndpoint
+);
+router.delete('/tenants/:tenantId/endpoints/:endpointId', authRequired, webhooksController.deleteEndpoint);
+router.get('/tenants/:tenantId/deliveries', authRequired, webhooksController.listDeliveries);
+router.post(
+  '/tenants/:tenantId/deliveries/:deliveryId/redeliver',
+  authRequired,
+  webhooksController.redeliver
+);
+
 // Health check for webhook endpoint
 router.get('/health', (req, res) => {
   res.json({ success: true, status: 'healthy' });
@@ -4,6 +4,7 @@ import db from '../../config/db.js';
 import { config } from '../../config/index.js';
 import { logger } from '../../lib/logger.js';
 import { ApiError } from '../../utils/ApiError.js';
+import webhookEndpointsService from './webhookEndpoints.service.js';
 
 class WebhooksService {
   verifySignature(payload, signature) {
@@ -51,14 +52,25 @@ class WebhooksService {
   async handleExportCompleted(payload) {
     const { surveyId, exportUrl } = payload.data;
     
-    await db.query(
+    const result = await db.query(
       `UPDATE export_jobs 
        SET status = 'completed', file_url = $1, completed_at = NOW()
        WHERE survey_id = (SELECT id FROM surveys WHERE microsurvey_id = $2)
-       AND status = 'pending'`,
+       AND status = 'pending'
+       RETURNING id, survey_id, tenant_id, export_type, file_url, completed_at`,
       [exportUrl, surveyId]
     );
 
+    for (const job of result.rows) {
+      await webhookEndpointsService.dispatch(job.tenant_id, 'export.completed', {
+        exportJobId: job.id,
+        surveyId: job.survey_id,
+        format: job.export_type,
+        fileUrl: job.file_url,
+        completedAt: job.completed_at,
+      });
+    }
+
     logger.info('Export completed', { surveyId, exportUrl });
   }
 
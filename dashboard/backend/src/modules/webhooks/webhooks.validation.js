@@ -0,0 +1,20 @@
+// ============================================
+// FILE: backend/src/modules/webhooks/webhooks.validation.js
+// ============================================
+import Joi from 'joi';
+import { WEBHOOK_EVENTS } from './webhookEndpoints.service.js';
+
+const eventsSchema = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+
+export const createEndpointSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] }).max(2000).required(),
+  description: Joi.string().max(255).allow('').optional(),
+  events: eventsSchema.required(),
+});
+
+export const updateEndpointSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['https', 'http'] }).max(2000).optional(),
+  description: Joi.string().max(255).allow('').optional(),
+  events: eventsSchema.optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
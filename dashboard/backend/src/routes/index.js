@@ -12,6 +12,10 @@ import tenantsRoutes from "../modules/tenants/tenants.routes.js";
 import surveysRoutes from "../modules/surveys/surveys.routes.js";
 import webhooksRoutes from "../modules/webhooks/webhooks.routes.js";
 import embedRoutes from "../modules/embed/embed.routes.js";
+import publicApiRoutes from "../modules/publicApi/publicApi.routes.js";
+import billingRoutes from "../modules/billing/billing.routes.js";
+import adminBillingRoutes from "../modules/billing/admin.billing.routes.js";
+import exportsRoutes from "../modules/exports/exports.routes.js";
 
 const router = Router();
 
@@ -29,7 +33,11 @@ router.get("/", (req, res) => {
       analytics: "/api/analytics",
       integration: "/api/integration",
       webhooks: "/api/webhooks",
+      billing: "/api/billing",
+      adminBilling: "/api/admin/billing (admin)",
       embed: "/api/embed (PUBLIC)",
+      exports: "/api/exports/:id/download (signed link)",
+      v1: "/api/v1 (x-api-key)",
     },
   });
 });
@@ -43,9 +51,15 @@ router.use("/integration", integrationRoutes);
 router.use("/tenants", tenantsRoutes);
 router.use("/surveys", surveysRoutes);
 router.use("/webhooks", webhooksRoutes);
+router.use("/billing", billingRoutes);
+router.use("/admin/billing", adminBillingRoutes);
 
 // Public routes (no auth required)
 router.use("/embed", embedRoutes);
+router.use("/exports", exportsRoutes);
+
+// Public REST API (tenant API key required)
+router.use("/v1", publicApiRoutes);
 
 router.get("/health", (req, res) => {
   res.json({ 
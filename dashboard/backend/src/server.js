@@ -112,6 +112,8 @@ app.use((req, res, next) => {
   req.on('end', () => {
     try {
       const raw = Buffer.concat(chunks).toString('utf8');
+      // Kept for signature checks on incoming webhooks
+      req.rawBody = raw;
       req.body = raw ? JSON.parse(raw) : {};
       next();
     } catch (err) {
@@ -0,0 +1,407 @@
+// ============================================
+// Answer Validation Engine
+// Enforces question meta.validation rules on submitted answers
+// ============================================
+import branchingService from './branchingService.js';
+import { NPS_MIN, NPS_MAX } from '../utils/nps.js';
+import { unsafeRegexReason } from '../utils/regexSafety.js';
+import { optionId } from '../utils/options.js';
+
+export const TEXT_ANSWER_MAX_LENGTH = 5000;
+const REGEX_MAX_LENGTH = 500;
+// Longest answer a regex rule is tested against, to bound backtracking
+export const REGEX_ANSWER_MAX_LENGTH = 500;
+
+const DEFAULT_RATING_MIN = 1;
+const DEFAULT_RATING_MAX = 5;
+
+// Rules each question type understands in meta.validation
+const SUPPORTED_RULES = {
+  text: ['minLength', 'maxLength', 'regex', 'regexMessage'],
+  multiple_choice: ['minSelections', 'maxSelections'],
+  checkbox: ['minSelections', 'maxSelections'],
+  dropdown: [],
+  ranking: [],
+  matrix: [],
+  rating: ['min', 'max'],
+  yes_no: [],
+  nps: [],
+  date: ['minDate', 'maxDate'],
+  email: [],
+  number: ['min', 'max', 'integer'],
+};
+
+export const QUESTION_TYPES = Object.keys(SUPPORTED_RULES);
+
+// Types whose options are the answer choices (matrix options are its columns)
+export const CHOICE_TYPES = ['multiple_choice', 'checkbox', 'dropdown', 'ranking'];
+
+export const EMAIL_MAX_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar dates only (YYYY-MM-DD); rejects impossible days such as 2026-02-30
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const ERROR_MESSAGES = {
+  unknown_question: () => 'Question is not part of this survey',
+  duplicate_answer: () => 'Question was answered more than once',
+  required: () => 'This question requires an answer',
+  invalid_type: () => 'Answer has the wrong type for this question',
+  invalid_option: () => 'Answer is not one of the allowed options',
+  duplicate_selection: () => 'The same option was selected more than once',
+  out_of_range: ({ min, max }) => `Answer must be between ${min} and ${max}`,
+  too_short: ({ minLength }) => `Answer must be at least ${minLength} characters`,
+  too_long: ({ maxLength }) => `Answer must be at most ${maxLength} characters`,
+  pattern_mismatch: ({ regexMessage }) => regexMessage || 'Answer does not match the required format',
+  too_few_selections: ({ minSelections }) => `Select at least ${minSelections} options`,
+  too_many_selections: ({ maxSelections }) => `Select at most ${maxSelections} options`,
+  incomplete_ranking: () => 'Rank every option exactly once',
+  unknown_row: () => 'Answer contains a row that is not part of this question',
+  incomplete_matrix: () => 'Answer every row',
+  invalid_date: () => 'Answer must be a date in YYYY-MM-DD format',
+  date_too_early: ({ minDate }) => `Date must be on or after ${minDate}`,
+  date_too_late: ({ maxDate }) => `Date must be on or before ${maxDate}`,
+  invalid_email: () => 'Answer must be a valid email address',
+  not_integer: () => 'Answer must be a whole number',
+  too_small: ({ min }) => `Answer must be at least ${min}`,
+  too_large: ({ max }) => `Answer must be at most ${max}`,
+  unsupported_type: () => 'Question type is not supported',
+};
+
+class AnswerValidationService {
+  /**
+   * Check a question's validation rules for mistakes before they are stored.
+   * Returns a list of human-readable problems (empty when valid).
+   */
+  validateRules(questionType, rules = {}, options = []) {
+    const problems = [];
+    const supported = SUPPORTED_RULES[questionType];
+
+    if (!supported) {
+      return problems;
+    }
+
+    for (const key of Object.keys(rules)) {
+      if (!supported.includes(key)) {
+        problems.push(`Rule "${key}" is not supported for ${questionType} questions`);
+      }
+    }
+
+    const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+
+    if (questionType === 'text') {
+      if (!isCount(rules.minLength)) problems.push('minLength must be a non-negative integer');
+      if (!isCount(rules.maxLength)) problems.push('maxLength must be a non-negative integer');
+      if (rules.maxLength > TEXT_ANSWER_MAX_LENGTH) {
+        problems.push(`maxLength cannot exceed ${TEXT_ANSWER_MAX_LENGTH}`);
+      }
+      if (rules.minLength > rules.maxLength) problems.push('minLength cannot exceed maxLength');
+
+      if (rules.regex !== undefined) {
+        if (typeof rules.regex !== 'string' || rules.regex.length > REGEX_MAX_LENGTH) {
+          problems.push(`regex must be a string of at most ${REGEX_MAX_LENGTH} characters`);
+        } else {
+          try {
+            new RegExp(rules.regex);
+            const unsafe = unsafeRegexReason(rules.regex);
+            if (unsafe) problems.push(`regex could be too slow to check: ${unsafe}`);
+          } catch (error) {
+            problems.push(`regex is invalid: ${error.message}`);
+          }
+        }
+        if (rules.maxLength > REGEX_ANSWER_MAX_LENGTH) {
+          problems.push(`maxLength cannot exceed ${REGEX_ANSWER_MAX_LENGTH} when a regex is set`);
+        }
+      }
+    }
+
+    if (questionType === 'multiple_choice' || questionType === 'checkbox') {
+      if (!isCount(rules.minSelections)) problems.push('minSelections must be a non-negative integer');
+      if (!isCount(rules.maxSelections)) problems.push('maxSelections must be a non-negative integer');
+      if (rules.minSelections > rules.maxSelections) {
+        problems.push('minSelections cannot exceed maxSelections');
+      }
+      if (rules.maxSelections > options.length) {
+        problems.push('maxSelections cannot exceed the number of options');
+      }
+    }
+
+    if (questionType === 'rating') {
+      for (const key of ['min', 'max']) {
+        if (rules[key] !== undefined && !Number.isInteger(rules[key])) {
+          problems.push(`${key} must be an integer`);
+        }
+      }
+      if (rules.min > rules.max) problems.push('min cannot exceed max');
+    }
+
+    if (questionType === 'number') {
+      for (const key of ['min', 'max']) {
+        if (rules[key] !== undefined && !Number.isFinite(rules[key])) {
+          problems.push(`${key} must be a number`);
+        }
+      }
+      if (rules.integer !== undefined && typeof rules.integer !== 'boolean') {
+        problems.push('integer must be true or false');
+      }
+      if (rules.min > rules.max) problems.push('min cannot exceed max');
+    }
+
+    if (questionType === 'date') {
+      for (const key of ['minDate', 'maxDate']) {
+        if (rules[key] !== undefined && !isValidDate(rules[key])) {
+          problems.push(`${key} must be a date in YYYY-MM-DD format`);
+        }
+      }
+      if (rules.minDate && rules.maxDate && rules.minDate > rules.maxDate) {
+        problems.push('minDate cannot be after maxDate');
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate a full set of answers against survey questions.
+   * Questions use the snapshot/preview shape: { id, key, type, options, rows?, page?, required, validation, conditional }.
+   * Answers to questions hidden or skipped by branching (including page rules) are
+   * dropped, and only questions on the respondent's path can be required.
+   */
+  validateResponse(questions, answers, pages = []) {
+    const questionsById = new Map(questions.map(q => [q.id, q]));
+    const provided = new Map();
+    const errors = [];
+    const cleaned = [];
+
+    const addError = (questionId, code, params = {}) => {
+      errors.push({ questionId, code, message: ERROR_MESSAGES[code](params) });
+    };
+
+    for (const { questionId, answer } of answers) {
+      if (!questionsById.has(questionId)) {
+        addError(questionId, 'unknown_question');
+        continue;
+      }
+
+      if (provided.has(questionId)) {
+        addError(questionId, 'duplicate_answer');
+        continue;
+      }
+
+      provided.set(questionId, typeof answer === 'string' ? answer.trim() : answer);
+    }
+
+    const path = new Set(branchingService.resolvePath(questions, Object.fromEntries(provided), pages));
+
+    for (const [questionId, answer] of provided) {
+      if (!path.has(questionId) || this.isEmptyAnswer(answer)) {
+        continue;
+      }
+
+      const error = this.validateAnswer(questionsById.get(questionId), answer);
+      if (error) {
+        addError(questionId, error.code, error.params);
+        continue;
+      }
+
+      cleaned.push({ questionId, answer });
+    }
+
+    for (const question of questions) {
+      const hasAnswer = cleaned.some(a => a.questionId === question.id);
+      const hasError = errors.some(e => e.questionId === question.id);
+
+      if (question.required && path.has(question.id) && !hasAnswer && !hasError) {
+        addError(question.id, 'required');
+      }
+    }
+
+    return { valid: errors.length === 0, errors, answers: cleaned };
+  }
+
+  isEmptyAnswer(answer) {
+    if (answer === undefined || answer === null) return true;
+    if (typeof answer === 'string') return answer.trim() === '';
+    if (Array.isArray(answer)) return answer.length === 0;
+    if (typeof answer === 'object') return Object.keys(answer).length === 0;
+    return false;
+  }
+
+  /**
+   * Validate one non-empty answer. Returns { code, params } or null.
+   */
+  validateAnswer(question, answer) {
+    const rules = question.validation || {};
+
+    switch (question.type) {
+      case 'text':
+        return this.validateText(answer, rules);
+      case 'multiple_choice':
+        return this.validateMultipleChoice(answer, question.options || [], rules);
+      case 'checkbox':
+        return Array.isArray(answer)
+          ? this.validateMultipleChoice(answer, question.options || [], rules, true)
+          : { code: 'invalid_type' };
+      case 'dropdown':
+        return this.validateMultipleChoice(answer, question.options || [], {}, false);
+      case 'ranking':
+        return this.validateRanking(answer, question.options || []);
+      case 'matrix':
+        return this.validateMatrix(answer, question);
+      case 'rating':
+        return this.validateRating(answer, question.options || [], rules);
+      case 'yes_no':
+        return answer === 'yes' || answer === 'no' ? null : { code: 'invalid_option' };
+      case 'nps':
+        return this.validateNps(answer);
+      case 'date':
+        return this.validateDate(answer, rules);
+      case 'email':
+        return this.validateEmail(answer);
+      case 'number':
+        return this.validateNumber(answer, rules);
+      default:
+        return { code: 'unsupported_type' };
+    }
+  }
+
+  validateText(answer, rules) {
+    if (typeof answer !== 'string') return { code: 'invalid_type' };
+
+    const value = answer.trim();
+    const maxLength = Math.min(
+      rules.maxLength ?? TEXT_ANSWER_MAX_LENGTH,
+      rules.regex ? REGEX_ANSWER_MAX_LENGTH : TEXT_ANSWER_MAX_LENGTH
+    );
+
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return { code: 'too_short', params: rules };
+    }
+    if (value.length > maxLength) {
+      return { code: 'too_long', params: { maxLength } };
+    }
+    // Patterns stored before they were screened are skipped rather than risk blocking the server
+    if (rules.regex && !unsafeRegexReason(rules.regex) && !new RegExp(rules.regex).test(value)) {
+      return { code: 'pattern_mismatch', params: rules };
+    }
+
+    return null;
+  }
+
+  validateMultipleChoice(answer, options, rules, multiSelect = (rules.maxSelections ?? 1) > 1) {
+    const allowed = options.map(optionId);
+
+    if (Array.isArray(answer) && !multiSelect) return { code: 'invalid_type' };
+
+    const selections = Array.isArray(answer) ? answer : [answer];
+
+    if (selections.some(s => typeof s !== 'string')) return { code: 'invalid_type' };
+    if (selections.some(s => !allowed.includes(s.trim()))) return { code: 'invalid_option' };
+    if (new Set(selections.map(s => s.trim())).size !== selections.length) {
+      return { code: 'duplicate_selection' };
+    }
+
+    if (rules.minSelections !== undefined && selections.length < rules.minSelections) {
+      return { code: 'too_few_selections', params: rules };
+    }
+    if (rules.maxSelections !== undefined && selections.length > rules.maxSelections) {
+      return { code: 'too_many_selections', params: rules };
+    }
+
+    return null;
+  }
+
+  // A full ordering of the options, most preferred first
+  validateRanking(answer, options) {
+    if (!Array.isArray(answer) || answer.some(s => typeof s !== 'string')) return { code: 'invalid_type' };
+
+    const ranked = answer.map(s => s.trim());
+    const allowed = options.map(optionId);
+
+    if (ranked.some(s => !allowed.includes(s))) return { code: 'invalid_option' };
+    if (new Set(ranked).size !== ranked.length || ranked.length !== allowed.length) {
+      return { code: 'incomplete_ranking' };
+    }
+
+    return null;
+  }
+
+  // { [row id]: column id } — options are the columns; required questions need every row
+  validateMatrix(answer, question) {
+    if (typeof answer !== 'object' || Array.isArray(answer)) return { code: 'invalid_type' };
+
+    const rows = (question.rows || []).map(optionId);
+    const columns = (question.options || []).map(optionId);
+
+    for (const [row, column] of Object.entries(answer)) {
+      if (!rows.includes(row)) return { code: 'unknown_row' };
+      if (typeof column !== 'string') return { code: 'invalid_type' };
+      if (!columns.includes(column.trim())) return { code: 'invalid_option' };
+    }
+
+    if (question.required && rows.some(row => answer[row] === undefined)) {
+      return { code: 'incomplete_matrix' };
+    }
+
+    return null;
+  }
+
+  validateRating(answer, options, rules) {
+    if (!Number.isInteger(answer)) return { code: 'invalid_type' };
+
+    const scaleMin = options[0]?.min || DEFAULT_RATING_MIN;
+    const scaleMax = options[0]?.max || DEFAULT_RATING_MAX;
+    const min = Math.max(scaleMin, rules.min ?? scaleMin);
+    const max = Math.min(scaleMax, rules.max ?? scaleMax);
+
+    if (answer < min || answer > max) {
+      return { code: 'out_of_range', params: { min, max } };
+    }
+
+    return null;
+  }
+
+  // Always the standard 0–10 scale so scores stay comparable across surveys
+  validateNps(answer) {
+    if (!Number.isInteger(answer)) return { code: 'invalid_type' };
+
+    if (answer < NPS_MIN || answer > NPS_MAX) {
+      return { code: 'out_of_range', params: { min: NPS_MIN, max: NPS_MAX } };
+    }
+
+    return null;
+  }
+
+  validateDate(answer, rules) {
+    if (!isValidDate(answer)) return { code: 'invalid_date' };
+
+    if (rules.minDate && answer < rules.minDate) return { code: 'date_too_early', params: rules };
+    if (rules.maxDate && answer > rules.maxDate) return { code: 'date_too_late', params: rules };
+
+    return null;
+  }
+
+  validateEmail(answer) {
+    if (typeof answer !== 'string') return { code: 'invalid_type' };
+    if (answer.length > EMAIL_MAX_LENGTH || !EMAIL_PATTERN.test(answer)) return { code: 'invalid_email' };
+
+    return null;
+  }
+
+  validateNumber(answer, rules) {
+    if (typeof answer !== 'number' || !Number.isFinite(answer)) return { code: 'invalid_type' };
+
+    if (rules.integer && !Number.isInteger(answer)) return { code: 'not_integer' };
+    if (rules.min !== undefined && answer < rules.min) return { code: 'too_small', params: rules };
+    if (rules.max !== undefined && answer > rules.max) return { code: 'too_large', params: rules };
+
+    return null;
+  }
+}
+
+export default new AnswerValidationService();
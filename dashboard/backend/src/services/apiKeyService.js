@@ -8,6 +8,24 @@ import { config } from '../config/index.js';
 import { ApiError } from '../utils/ApiError.js';
 import { logger } from '../lib/logger.js';
 
+// Requests per minute when a key is created without an explicit limit
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+
+// Permissions a key can be granted for the /api/v1 surface
+export const API_KEY_SCOPES = ['surveys:read', 'surveys:write', 'responses:read', 'exports:create'];
+
+// How long the old key keeps working after a rotation by default
+export const DEFAULT_ROTATION_OVERLAP_MINUTES = 60;
+
+/**
+ * Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d;
+ * unwrap them so they match IPv4 allowlist entries
+ */
+function normalizeIp(ip) {
+  if (!ip) return null;
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
 class ApiKeyService {
   /**
    * Generate a secure API key
@@ -36,9 +54,20 @@ class ApiKeyService {
   /**
    * Create new API key for tenant
    */
-  async createApiKey(tenantId, name, userId) {
+  async createApiKey(tenantId, name, userId, options = {}, client = db) {
+    const {
+      scopes,
+      expiresAt = null,
+      allowedIps = null,
+      rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE,
+    } = options;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw ApiError.badRequest('Expiry must be in the future');
+    }
+
     // Verify tenant exists
-    const tenantCheck = await db.query(
+    const tenantCheck = await client.query(
       'SELECT id FROM tenants WHERE id = $1 AND is_active = true',
       [tenantId]
     );
@@ -53,19 +82,33 @@ class ApiKeyService {
     const keyPrefix = this.getKeyPrefix(apiKey);
 
     // Store in database
-    const result = await db.query(
+    const result = await client.query(
       `INSERT INTO tenant_api_keys (
-        id, tenant_id, name, key_hash, key_prefix, created_by, created_at
+        id, tenant_id, name, key_hash, key_prefix, scopes, expires_at,
+        allowed_ips, rate_limit_per_minute, created_by, created_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
-      RETURNING id, tenant_id, name, key_prefix, created_at`,
-      [uuidv4(), tenantId, name, keyHash, keyPrefix, userId]
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      RETURNING id, tenant_id, name, key_prefix, scopes, expires_at,
+        allowed_ips, rate_limit_per_minute, created_at`,
+      [
+        uuidv4(),
+        tenantId,
+        name,
+        keyHash,
+        keyPrefix,
+        scopes,
+        expiresAt,
+        allowedIps?.length ? allowedIps : null,
+        rateLimitPerMinute,
+        userId,
+      ]
     );
 
     logger.info('API key created', {
       tenantId,
       keyPrefix,
       name,
+      scopes,
       userId,
     });
 
@@ -81,7 +124,8 @@ class ApiKeyService {
   async listApiKeys(tenantId) {
     const result = await db.query(
       `SELECT 
-        id, tenant_id, name, key_prefix, last_used_at,
+        id, tenant_id, name, key_prefix, scopes, expires_at, allowed_ips,
+        rate_limit_per_minute, replaced_by_id, last_used_at,
         revoked_at, created_at, created_by
       FROM tenant_api_keys
       WHERE tenant_id = $1
@@ -91,10 +135,64 @@ class ApiKeyService {
 
     return result.rows.map(key => ({
       ...key,
-      is_active: !key.revoked_at,
+      is_active: !key.revoked_at && !(key.expires_at && new Date(key.expires_at) <= new Date()),
     }));
   }
 
+  /**
+   * Rotate a key: issue a replacement with the same settings and let the
+   * old key keep working for `overlapMinutes` so clients can switch over
+   */
+  async rotateApiKey(tenantId, keyId, userId, { overlapMinutes = DEFAULT_ROTATION_OVERLAP_MINUTES } = {}) {
+    const { newKey, previousKey } = await db.transaction(async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM tenant_api_keys WHERE id = $1 AND tenant_id = $2 FOR UPDATE`,
+        [keyId, tenantId]
+      );
+
+      const oldKey = existing.rows[0];
+
+      if (!oldKey || oldKey.revoked_at) {
+        throw new ApiError('API key not found or already revoked', 404);
+      }
+      if (oldKey.replaced_by_id) {
+        throw ApiError.conflict('API key has already been rotated');
+      }
+      if (oldKey.expires_at && new Date(oldKey.expires_at) <= new Date()) {
+        throw ApiError.badRequest('API key has expired');
+      }
+
+      const created = await this.createApiKey(tenantId, oldKey.name, userId, {
+        scopes: oldKey.scopes,
+        expiresAt: oldKey.expires_at,
+        allowedIps: oldKey.allowed_ips,
+        rateLimitPerMinute: oldKey.rate_limit_per_minute,
+      }, client);
+
+      // Never extend an expiry the old key already had
+      const updated = await client.query(
+        `UPDATE tenant_api_keys
+        SET replaced_by_id = $1,
+          expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(mins => $2))
+        WHERE id = $3
+        RETURNING id, key_prefix, expires_at`,
+        [created.id, overlapMinutes, keyId]
+      );
+
+      return { newKey: created, previousKey: updated.rows[0] };
+    });
+
+    logger.info('API key rotated', {
+      tenantId,
+      oldKeyId: keyId,
+      newKeyId: newKey.id,
+      overlapMinutes,
+      userId,
+    });
+
+    return { apiKey: newKey, previousKey };
+  }
+
   /**
    * Revoke API key
    */
@@ -124,7 +222,7 @@ class ApiKeyService {
   /**
    * Verify and get tenant from API key
    */
-  async verifyApiKey(apiKey) {
+  async verifyApiKey(apiKey, { ip } = {}) {
     if (!apiKey || !apiKey.startsWith('msk_')) {
       throw new ApiError('Invalid API key format', 401);
     }
@@ -137,6 +235,13 @@ class ApiKeyService {
         k.id as key_id, 
         k.tenant_id, 
         k.name as key_name,
+        k.rate_limit_per_minute,
+        k.scopes,
+        k.expires_at,
+        (
+          k.allowed_ips IS NULL OR cardinality(k.allowed_ips) = 0
+          OR $3::inet <<= ANY(k.allowed_ips)
+        ) as ip_allowed,
         t.name as tenant_name,
         t.slug as tenant_slug,
         t.is_active as tenant_active,
@@ -144,7 +249,7 @@ class ApiKeyService {
       FROM tenant_api_keys k
       JOIN tenants t ON k.tenant_id = t.id
       WHERE k.key_hash = $1 AND k.key_prefix = $2`,
-      [keyHash, keyPrefix]
+      [keyHash, keyPrefix, normalizeIp(ip)]
     );
 
     if (result.rows.length === 0) {
@@ -157,6 +262,14 @@ class ApiKeyService {
       throw new ApiError('API key has been revoked', 401);
     }
 
+    if (keyData.expires_at && new Date(keyData.expires_at) <= new Date()) {
+      throw new ApiError('API key has expired', 401);
+    }
+
+    if (!keyData.ip_allowed) {
+      throw new ApiError('API key is not allowed from this IP address', 403);
+    }
+
     if (!keyData.tenant_active) {
       throw new ApiError('Tenant account is inactive', 403);
     }
@@ -168,6 +281,9 @@ class ApiKeyService {
     ).catch(err => logger.error('Failed to update API key last_used_at', { error: err.message }));
 
     return {
+      keyId: keyData.key_id,
+      rateLimitPerMinute: keyData.rate_limit_per_minute,
+      scopes: keyData.scopes,
       tenantId: keyData.tenant_id,
       tenantName: keyData.tenant_name,
       tenantSlug: keyData.tenant_slug,
@@ -182,7 +298,10 @@ class ApiKeyService {
     const result = await db.query(
       `SELECT
         COUNT(*) as total,
-        COUNT(*) FILTER (WHERE revoked_at IS NULL) as active,
+        COUNT(*) FILTER (
+          WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        ) as active,
+        COUNT(*) FILTER (WHERE revoked_at IS NULL AND expires_at <= NOW()) as expired,
         COUNT(*) FILTER (WHERE revoked_at IS NOT NULL) as revoked,
         MAX(last_used_at) as last_activity
       FROM tenant_api_keys
@@ -0,0 +1,415 @@
+// ============================================
+// Branching / Skip Logic Engine
+// Evaluates question meta.conditional rules
+// ============================================
+//
+// Rule format (stored in questions.meta.conditional, questions referenced by key):
+// {
+//   showIf: { logic: 'all' | 'any', conditions: [{ question, operator, value }] },
+//   jumps: [{ when: { logic, conditions }, goTo: '<question key>' | 'end' }]
+// }
+//
+// Pages (surveys.pages, see utils/pages.js) carry the same rules for a whole
+// section: showIf skips every question on the page, and jumps (goTo: '<page key>'
+// | 'end') are taken after the page's last question unless a question jump
+// already moved the respondent on. Page conditions may only use answers from
+// earlier pages; page jumps may also use the page's own answers.
+//
+// public/widget.js mirrors resolvePath/evaluateCondition; keep them in sync.
+//
+// nps_segment matches an NPS answer's segment (value: detractor | passive | promoter),
+// e.g. to show a "why?" follow-up to detractors only.
+//
+// Answers to choice questions are option ids (see utils/options.js), so
+// equals / not_equals / contains on them take an option id as value.
+
+import { NPS_SEGMENTS, npsSegment } from '../utils/nps.js';
+import { optionId, optionText } from '../utils/options.js';
+
+export const END_OF_SURVEY = 'end';
+
+export const CONDITION_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'greater_than',
+  'less_than',
+  'answered',
+  'not_answered',
+  'nps_segment',
+];
+
+// Operators whose value is an option id when the question has options
+const OPTION_VALUE_OPERATORS = ['equals', 'not_equals', 'contains'];
+const OPTION_VALUE_TYPES = ['multiple_choice', 'checkbox', 'dropdown', 'ranking'];
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// The options a condition's value must name, or null when any value goes
+const conditionOptions = (condition, question) => {
+  const type = question?.type || question?.questionType;
+  if (!OPTION_VALUE_OPERATORS.includes(condition.operator) || !OPTION_VALUE_TYPES.includes(type)) return null;
+  return question.options?.length ? question.options : null;
+};
+
+class BranchingService {
+  /**
+   * Walk the questions in order and return the ids a respondent with
+   * these answers is shown. Only answers to questions already on the
+   * path are visible to later conditions.
+   */
+  resolvePath(questions, answers = {}, pages = []) {
+    const indexByKey = new Map();
+    questions.forEach((q, idx) => {
+      if (q.key) indexByKey.set(q.key, idx);
+    });
+
+    const pageByKey = new Map(pages.map(page => [page.key, page]));
+    const pageRanges = this.pageRanges(questions, pages);
+
+    const pathAnswers = {};
+    const path = [];
+    const matches = (group) => this.evaluateGroup(group, questions, indexByKey, pathAnswers);
+    let enteredPage = null;
+    let i = 0;
+
+    while (i < questions.length) {
+      const question = questions[i];
+      const conditional = question.conditional || {};
+      const page = pageByKey.get(question.page);
+
+      if (page && page.key !== enteredPage) {
+        enteredPage = page.key;
+
+        if (page.conditional?.showIf && !matches(page.conditional.showIf)) {
+          i = pageRanges.get(page.key).last + 1;
+          continue;
+        }
+      }
+
+      let next = i + 1;
+      let jumped = false;
+
+      if (!conditional.showIf || matches(conditional.showIf)) {
+        path.push(question.id);
+        if (answers[question.id] !== undefined) {
+          pathAnswers[question.id] = answers[question.id];
+        }
+
+        const jump = (conditional.jumps || []).find(j => matches(j.when));
+
+        if (jump?.goTo === END_OF_SURVEY) {
+          break;
+        } else if (jump) {
+          const target = indexByKey.get(jump.goTo);
+          // Backward or unknown targets are rejected by validateLogic; never loop
+          next = target !== undefined && target > i ? target : i + 1;
+          jumped = true;
+        }
+      }
+
+      if (page && !jumped && i === pageRanges.get(page.key).last) {
+        const pageJump = (page.conditional?.jumps || []).find(j => matches(j.when));
+
+        if (pageJump?.goTo === END_OF_SURVEY) {
+          break;
+        } else if (pageJump) {
+          const target = pageRanges.get(pageJump.goTo)?.first;
+          next = target !== undefined && target > i ? target : next;
+        }
+      }
+
+      i = next;
+    }
+
+    return path;
+  }
+
+  /**
+   * First and last question index of each page. Questions must already be
+   * grouped by page (see utils/pages.js orderByPage).
+   */
+  pageRanges(questions, pages = []) {
+    const ranges = new Map();
+    const known = new Set(pages.map(page => page.key));
+
+    questions.forEach((q, idx) => {
+      if (!known.has(q.page)) return;
+      const range = ranges.get(q.page);
+      if (range) {
+        range.last = idx;
+      } else {
+        ranges.set(q.page, { first: idx, last: idx });
+      }
+    });
+
+    return ranges;
+  }
+
+  evaluateGroup(group, questions, indexByKey, answers) {
+    const conditions = group?.conditions || [];
+    const check = (condition) => {
+      const idx = indexByKey.get(condition.question);
+      const answer = idx === undefined ? undefined : answers[questions[idx].id];
+      return this.evaluateCondition(condition, answer);
+    };
+
+    return group?.logic === 'any' ? conditions.some(check) : conditions.every(check);
+  }
+
+  /**
+   * Evaluate a single condition against a (possibly missing) answer
+   */
+  evaluateCondition({ operator, value }, answer) {
+    const answered = !(
+      answer === undefined ||
+      answer === null ||
+      (typeof answer === 'string' && answer.trim() === '') ||
+      (Array.isArray(answer) && answer.length === 0) ||
+      (typeof answer === 'object' && Object.keys(answer).length === 0)
+    );
+
+    if (operator === 'answered') return answered;
+    if (operator === 'not_answered') return !answered;
+    if (!answered) return false;
+
+    const normalize = (v) => String(v).trim().toLowerCase();
+    const values = Array.isArray(answer) ? answer : [answer];
+
+    switch (operator) {
+      case 'equals':
+        return values.length === 1 && normalize(values[0]) === normalize(value);
+      case 'not_equals':
+        return !(values.length === 1 && normalize(values[0]) === normalize(value));
+      case 'contains':
+        return Array.isArray(answer)
+          ? values.some(v => normalize(v) === normalize(value))
+          : normalize(answer).includes(normalize(value));
+      case 'greater_than':
+        return Number(answer) > Number(value);
+      case 'less_than':
+        return Number(answer) < Number(value);
+      case 'nps_segment':
+        return npsSegment(answer) === normalize(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Conditional rules with condition values that name a choice option by
+   * its text replaced by the option's id, so API clients can write rules
+   * with option texts. `questions` are the survey's, with their options.
+   */
+  resolveOptionValues(conditional, questions) {
+    if (!conditional) {
+      return conditional;
+    }
+
+    const byKey = new Map(questions.filter(q => q.key).map(q => [q.key, q]));
+    const resolve = (group) => ({
+      ...group,
+      conditions: (group.conditions || []).map(condition => {
+        const options = conditionOptions(condition, byKey.get(condition.question));
+        if (!options || options.some(opt => sameValue(optionId(opt), condition.value))) return condition;
+
+        const named = options.find(opt => sameValue(optionText(opt), condition.value));
+        return named ? { ...condition, value: optionId(named) } : condition;
+      }),
+    });
+
+    return {
+      ...conditional,
+      ...(conditional.showIf ? { showIf: resolve(conditional.showIf) } : {}),
+      ...(conditional.jumps ? { jumps: conditional.jumps.map(jump => ({ ...jump, when: resolve(jump.when || {}) })) } : {}),
+    };
+  }
+
+  /**
+   * Check survey-wide branching rules. Questions must be in display order
+   * and carry { key, conditional } (and { page } when pages are given, and
+   * { type, options } to check condition values against option ids).
+   * Returns a list of problems (empty when valid).
+   */
+  validateLogic(questions, pages = []) {
+    const problems = [];
+    const indexByKey = new Map();
+
+    questions.forEach((q, idx) => {
+      if (!q.key) return;
+      if (indexByKey.has(q.key)) {
+        problems.push(`Question key "${q.key}" is used more than once`);
+      }
+      indexByKey.set(q.key, idx);
+    });
+
+    const label = (q, idx) => q.key || `#${idx + 1}`;
+    const hasRules = questions.some(q => q.conditional?.showIf || q.conditional?.jumps?.length);
+
+    if (hasRules && indexByKey.has(END_OF_SURVEY)) {
+      problems.push(`Question key "${END_OF_SURVEY}" is reserved for jump targets`);
+    }
+
+    // Edges of the "must be decided before" graph; any cycle makes the order unresolvable
+    const edges = questions.map((_, idx) => (idx + 1 < questions.length ? [idx + 1] : []));
+
+    // Report condition problems for `owner` and hand each referenced question index to onRef
+    const checkConditions = (group, owner, onRef) => {
+      for (const condition of group?.conditions || []) {
+        if (!CONDITION_OPERATORS.includes(condition.operator)) {
+          problems.push(`${owner} uses unknown operator "${condition.operator}"`);
+        }
+
+        const ref = indexByKey.get(condition.question);
+        if (ref === undefined) {
+          problems.push(`${owner} references missing question "${condition.question}"`);
+        } else {
+          onRef(ref, condition);
+        }
+
+        const options = ref === undefined ? null : conditionOptions(condition, questions[ref]);
+        if (options && !options.some(opt => sameValue(optionId(opt), condition.value))) {
+          problems.push(`${owner} compares "${condition.question}" with "${condition.value}", which is not one of its options`);
+        }
+
+        if (condition.operator === 'nps_segment') {
+          const refType = ref === undefined ? undefined : questions[ref].type || questions[ref].questionType;
+          if (!NPS_SEGMENTS.includes(condition.value)) {
+            problems.push(`${owner} uses unknown NPS segment "${condition.value}"`);
+          } else if (refType !== undefined && refType !== 'nps') {
+            problems.push(`${owner} checks the NPS segment of non-NPS question "${condition.question}"`);
+          }
+        }
+      }
+    };
+
+    questions.forEach((q, idx) => {
+      const conditional = q.conditional || {};
+      const owner = `Question "${label(q, idx)}"`;
+
+      if (conditional.showIf) {
+        checkConditions(conditional.showIf, owner, (ref) => edges[ref].push(idx));
+      }
+
+      for (const jump of conditional.jumps || []) {
+        // A jump may depend on the answer to its own question
+        checkConditions(jump.when, owner, (ref) => {
+          if (ref !== idx) edges[ref].push(idx);
+        });
+
+        if (jump.goTo === END_OF_SURVEY) continue;
+
+        const target = indexByKey.get(jump.goTo);
+        if (target === undefined) {
+          problems.push(`Question "${label(q, idx)}" jumps to missing question "${jump.goTo}"`);
+        } else {
+          edges[idx].push(target);
+        }
+      }
+    });
+
+    this.validatePageLogic(questions, pages, indexByKey, edges, checkConditions, problems);
+
+    const cycle = this.findCycle(edges);
+    if (cycle) {
+      problems.push(
+        `Branching rules create a cycle: ${cycle.map(idx => label(questions[idx], idx)).join(' → ')}`
+      );
+    }
+
+    return problems;
+  }
+
+  /**
+   * Page rules for validateLogic: adds "must be decided before" edges for
+   * page conditions and jumps and reports problems specific to pages
+   */
+  validatePageLogic(questions, pages, indexByKey, edges, checkConditions, problems) {
+    const pageKeys = new Set();
+
+    for (const page of pages) {
+      if (pageKeys.has(page.key)) {
+        problems.push(`Page key "${page.key}" is used more than once`);
+      }
+      if (page.key === END_OF_SURVEY) {
+        problems.push(`Page key "${END_OF_SURVEY}" is reserved for jump targets`);
+      }
+      pageKeys.add(page.key);
+    }
+
+    const ranges = this.pageRanges(questions, pages);
+
+    for (const page of pages) {
+      const range = ranges.get(page.key);
+      const conditional = page.conditional || {};
+      const owner = `Page "${page.key}"`;
+
+      // Empty pages are never shown, so their rules never run
+      if (!range) continue;
+
+      if (conditional.showIf) {
+        checkConditions(conditional.showIf, owner, (ref, condition) => {
+          if (ref >= range.first) {
+            problems.push(`${owner} depends on question "${condition.question}", which is not on an earlier page`);
+          } else {
+            edges[ref].push(range.first);
+          }
+        });
+      }
+
+      for (const jump of conditional.jumps || []) {
+        checkConditions(jump.when, owner, (ref) => {
+          if (ref !== range.last) edges[ref].push(range.last);
+        });
+
+        if (jump.goTo === END_OF_SURVEY) continue;
+
+        if (!pageKeys.has(jump.goTo)) {
+          problems.push(`${owner} jumps to missing page "${jump.goTo}"`);
+        } else if (!ranges.has(jump.goTo)) {
+          problems.push(`${owner} jumps to page "${jump.goTo}", which has no questions`);
+        } else {
+          edges[range.last].push(ranges.get(jump.goTo).first);
+        }
+      }
+    }
+  }
+
+  /**
+   * Depth-first search for a cycle; returns the node indexes forming it or null
+   */
+  findCycle(edges) {
+    const state = new Array(edges.length).fill(0); // 0 = new, 1 = on stack, 2 = done
+    const stack = [];
+
+    const visit = (node) => {
+      state[node] = 1;
+      stack.push(node);
+
+      for (const next of edges[node]) {
+        if (state[next] === 1) {
+          return [...stack.slice(stack.indexOf(next)), next];
+        }
+        if (state[next] === 0) {
+          const found = visit(next);
+          if (found) return found;
+        }
+      }
+
+      stack.pop();
+      state[node] = 2;
+      return null;
+    };
+
+    for (let node = 0; node < edges.length; node++) {
+      if (state[node] === 0) {
+        const found = visit(node);
+        if (found) return found;
+      }
+    }
+
+    return null;
+  }
+}
+
+export default new BranchingService();
@@ -0,0 +1,91 @@
+// ============================================
+// Lemon Squeezy API Client
+// Checkouts and subscription lookups (JSON:API)
+// ============================================
+import axios from 'axios';
+import { config } from '../config/index.js';
+import { logger } from '../lib/logger.js';
+import { ApiError } from '../utils/ApiError.js';
+
+class LemonSqueezyClient {
+  constructor() {
+    this.client = axios.create({
+      baseURL: 'https://api.lemonsqueezy.com/v1',
+      timeout: 10000,
+      headers: {
+        Accept: 'application/vnd.api+json',
+        'Content-Type': 'application/vnd.api+json',
+      },
+    });
+  }
+
+  async request(method, url, data) {
+    const apiKey = config.billing.lemonSqueezyApiKey;
+
+    if (!apiKey) {
+      throw ApiError.internal('Lemon Squeezy API is not configured');
+    }
+
+    try {
+      const response = await this.client.request({
+        method,
+        url,
+        data,
+        headers: { Authorization: `Bearer ${apiKey}` },
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Lemon Squeezy API request failed', {
+        method,
+        url,
+        status: error.response?.status,
+        error: error.message,
+      });
+      throw new ApiError('Billing provider request failed', 502);
+    }
+  }
+
+  /**
+   * Create a hosted checkout for a variant; custom data comes back on
+   * the subscription webhooks as meta.custom_data
+   */
+  async createCheckout({ variantId, email, customData, redirectUrl }) {
+    const storeId = config.billing.lemonSqueezyStoreId;
+
+    if (!storeId) {
+      throw ApiError.internal('Lemon Squeezy store is not configured');
+    }
+
+    const result = await this.request('post', '/checkouts', {
+      data: {
+        type: 'checkouts',
+        attributes: {
+          checkout_data: {
+            email,
+            custom: customData,
+          },
+          product_options: {
+            redirect_url: redirectUrl,
+          },
+        },
+        relationships: {
+          store: { data: { type: 'stores', id: String(storeId) } },
+          variant: { data: { type: 'variants', id: String(variantId) } },
+        },
+      },
+    });
+
+    return result.data.attributes.url;
+  }
+
+  /**
+   * Subscription URLs are pre-signed and expire after 24 hours,
+   * so they are fetched when needed rather than stored
+   */
+  async getSubscriptionUrls(lsSubscriptionId) {
+    const result = await this.request('get', `/subscriptions/${lsSubscriptionId}`);
+    return result.data.attributes.urls || {};
+  }
+}
+
+export default new LemonSqueezyClient();
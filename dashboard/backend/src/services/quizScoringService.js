@@ -0,0 +1,128 @@
+// ============================================
+// Quiz Scoring Engine
+// Scores quiz submissions from per-option correctness and points
+// ============================================
+//
+// Option format (questions.meta.options of multiple_choice, checkbox, dropdown and yes_no):
+//   { id, text, imageUrl?, correct?: boolean, points?: integer }
+// An option is worth `points`, or 1 when it is correct and has no points.
+// yes_no questions list their options as "yes" / "no".
+//
+// Survey config.quiz: { passThreshold?: 0-100 (percent), passMessage?, failMessage? }
+import branchingService from './branchingService.js';
+import { optionId, optionText } from '../utils/options.js';
+
+const SCORABLE_TYPES = ['multiple_choice', 'checkbox', 'dropdown', 'yes_no'];
+
+class QuizScoringService {
+  /**
+   * Check the scoring fields of a question's options.
+   * Returns a list of human-readable problems (empty when valid).
+   */
+  validateOptions(questionType, options = []) {
+    const scored = options.filter(opt => this.isScoringOption(opt));
+
+    if (scored.length === 0) {
+      return [];
+    }
+
+    if (!SCORABLE_TYPES.includes(questionType)) {
+      return [`Correct answers and points are not supported for ${questionType} questions`];
+    }
+
+    if (questionType === 'yes_no' && options.some(opt => !['yes', 'no'].includes(optionText(opt)))) {
+      return ['Scored yes_no questions must use the options "yes" and "no"'];
+    }
+
+    return [];
+  }
+
+  isScoringOption(opt) {
+    return typeof opt === 'object' && opt !== null && (opt.correct !== undefined || opt.points !== undefined);
+  }
+
+  isScored(question) {
+    return SCORABLE_TYPES.includes(question.type) && (question.options || []).some(opt => this.isScoringOption(opt));
+  }
+
+  optionPoints(opt) {
+    if (typeof opt !== 'object' || opt === null) return 0;
+    return opt.points ?? (opt.correct ? 1 : 0);
+  }
+
+  /**
+   * Score validated answers (as returned by answerValidationService) against
+   * snapshot questions. Scored questions on the respondent's path count
+   * toward the maximum even when left unanswered.
+   */
+  scoreResponse(questions, answers, quizConfig = {}, pages = []) {
+    const answerById = new Map(answers.map(a => [a.questionId, a.answer]));
+    const path = new Set(branchingService.resolvePath(questions, Object.fromEntries(answerById), pages));
+
+    const results = questions
+      .filter(q => path.has(q.id) && this.isScored(q))
+      .map(q => this.scoreQuestion(q, answerById.get(q.id)));
+
+    const score = results.reduce((sum, r) => sum + r.points, 0);
+    const maxScore = results.reduce((sum, r) => sum + r.maxPoints, 0);
+    const percentage = maxScore > 0 ? Math.round((score / maxScore) * 1000) / 10 : 0;
+
+    const { passThreshold, passMessage, failMessage } = quizConfig;
+    const passed = passThreshold === undefined || passThreshold === null ? null : percentage >= passThreshold;
+
+    return {
+      score,
+      maxScore,
+      percentage,
+      passed,
+      message: (passed === false ? failMessage : passMessage) || null,
+      questions: results,
+    };
+  }
+
+  scoreQuestion(question, answer) {
+    const options = question.options || [];
+    const multiSelect = question.type === 'checkbox' || (question.validation?.maxSelections ?? 1) > 1;
+    const selections = (answer === undefined ? [] : Array.isArray(answer) ? answer : [answer])
+      .map(s => String(s).trim());
+
+    const selected = options.filter(opt => selections.includes(optionId(opt)));
+    const correctIds = options.filter(opt => opt.correct).map(optionId);
+    const optionPoints = options.map(opt => this.optionPoints(opt));
+
+    const maxPoints = multiSelect
+      ? optionPoints.filter(p => p > 0).reduce((sum, p) => sum + p, 0)
+      : Math.max(0, ...optionPoints);
+
+    // Wrong picks with negative points can't take a question below zero
+    const points = Math.max(0, selected.reduce((sum, opt) => sum + this.optionPoints(opt), 0));
+
+    let correct;
+    if (correctIds.length === 0) {
+      correct = selected.length > 0 && points === maxPoints;
+    } else if (multiSelect) {
+      correct = selected.length === correctIds.length
+        && selected.every(opt => correctIds.includes(optionId(opt)));
+    } else {
+      correct = selected.length === 1 && correctIds.includes(optionId(selected[0]));
+    }
+
+    return { questionId: question.id, points, maxPoints, correct };
+  }
+
+  /**
+   * Questions as shown to respondents: without correct answers or points
+   */
+  redactQuestions(questions) {
+    return questions.map(q => ({
+      ...q,
+      options: (q.options || []).map(opt => {
+        if (!this.isScoringOption(opt)) return opt;
+        const { correct, points, ...rest } = opt;
+        return rest;
+      }),
+    }));
+  }
+}
+
+export default new QuizScoringService();
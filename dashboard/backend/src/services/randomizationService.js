@@ -0,0 +1,145 @@
+// ============================================
+// Question & Option Randomization
+// Deterministic per-session shuffling with pinned (anchored) items
+// ============================================
+//
+// Survey config.shuffleQuestions shuffles questions within each page (the
+// whole survey when it has no pages). Question fields:
+//   pinned: true          keeps the question in its position
+//   shuffleOptions: true  shuffles the options of choice questions
+// Options pin with { id, text, pinned: true }, e.g. "None of the above".
+//
+// Questions that take part in branching (they have rules, are referenced by
+// a condition or are a jump target) are always pinned so conditions keep
+// looking backwards and jumps forwards.
+//
+// The order is seeded by the session id: the widget gets the presented
+// order from GET /embed/:surveyKey?sessionId=..., and submission recomputes
+// it to validate the answers and record it on the response.
+import { CHOICE_TYPES } from './answerValidationService.js';
+import { optionId } from '../utils/options.js';
+
+// FNV-1a string hash
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for ordering
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class RandomizationService {
+  /**
+   * Number in [0, 1), the same for the same seed
+   */
+  random(seed) {
+    return seededRandom(hashSeed(seed))();
+  }
+
+  /**
+   * Fisher-Yates shuffle of the unpinned items; pinned items keep their index
+   */
+  shuffle(items, seed, isPinned = () => false) {
+    const free = [];
+    items.forEach((item, idx) => {
+      if (!isPinned(item)) free.push(idx);
+    });
+
+    const random = seededRandom(hashSeed(seed));
+    const order = [...free];
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const result = [...items];
+    free.forEach((idx, k) => {
+      result[idx] = items[order[k]];
+    });
+    return result;
+  }
+
+  /**
+   * Keys of questions whose position branching depends on
+   */
+  branchingKeys(questions, pages = []) {
+    const keys = new Set();
+    const addGroup = (group) => (group?.conditions || []).forEach(c => keys.add(c.question));
+
+    for (const owner of [...questions, ...pages]) {
+      const conditional = owner.conditional || {};
+      addGroup(conditional.showIf);
+      for (const jump of conditional.jumps || []) {
+        addGroup(jump.when);
+        keys.add(jump.goTo);
+      }
+    }
+
+    for (const q of questions) {
+      if (q.conditional?.showIf || q.conditional?.jumps?.length > 0) keys.add(q.key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Questions in the order a session sees them, with shuffled options.
+   * `order` is what gets recorded on the response: { questions: [ids], options: { [id]: [option ids] } }
+   * (each part only when shuffling applies), or null when nothing is shuffled.
+   * Questions must be grouped by page (see utils/pages.js orderByPage).
+   */
+  present(questions, { sessionId, shuffleQuestions = false, pages = [] } = {}) {
+    if (!sessionId) {
+      return { questions, order: null };
+    }
+
+    let presented = questions;
+
+    if (shuffleQuestions) {
+      const anchored = this.branchingKeys(questions, pages);
+      const isPinned = (q) => q.pinned === true || anchored.has(q.key);
+
+      presented = [];
+      let start = 0;
+      while (start < questions.length) {
+        // One group per page; without pages the survey is one group
+        let end = start + 1;
+        while (end < questions.length && (pages.length === 0 || questions[end].page === questions[start].page)) end++;
+
+        const group = questions.slice(start, end);
+        presented.push(...this.shuffle(group, `${sessionId}:questions:${questions[start].page || ''}`, isPinned));
+        start = end;
+      }
+    }
+
+    const options = {};
+    presented = presented.map(q => {
+      if (!q.shuffleOptions || !CHOICE_TYPES.includes(q.type)) return q;
+
+      const shuffled = this.shuffle(q.options || [], `${sessionId}:options:${q.id}`, opt => opt?.pinned === true);
+      options[q.id] = shuffled.map(optionId);
+      return { ...q, options: shuffled };
+    });
+
+    const order = {
+      ...(shuffleQuestions ? { questions: presented.map(q => q.id) } : {}),
+      ...(Object.keys(options).length > 0 ? { options } : {}),
+    };
+
+    return { questions: presented, order: Object.keys(order).length > 0 ? order : null };
+  }
+}
+
+export default new RandomizationService();
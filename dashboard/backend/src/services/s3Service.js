@@ -2,7 +2,7 @@
 // FILE: backend/src/services/s3Service.js (NEW)
 // S3 upload/download service
 // ============================================
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { config } from '../config/index.js';
 import { logger } from '../lib/logger.js';
 import { ApiError } from '../utils/ApiError.js';
@@ -92,7 +92,57 @@ export async function deleteFromS3(url) {
   }
 }
 
+/**
+ * Upload a private object (no public ACL) under an explicit key.
+ * Body may be a stream when contentLength is given.
+ */
+export async function putPrivateObject(key, body, { contentType = 'application/octet-stream', contentLength } = {}) {
+  if (!s3Client) {
+    throw ApiError.internal('S3 client not initialized');
+  }
+
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: config.s3.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength,
+    }));
+
+    logger.info('Private object uploaded to S3', { key, size: contentLength });
+
+    return key;
+  } catch (error) {
+    logger.error('S3 upload failed', { error: error.message, key });
+    throw ApiError.internal(`S3 upload failed: ${error.message}`);
+  }
+}
+
+/**
+ * Read an object as a stream
+ */
+export async function getObjectStream(key) {
+  if (!s3Client) {
+    throw ApiError.internal('S3 client not initialized');
+  }
+
+  try {
+    const result = await s3Client.send(new GetObjectCommand({
+      Bucket: config.s3.bucket,
+      Key: key,
+    }));
+
+    return { stream: result.Body, contentLength: result.ContentLength };
+  } catch (error) {
+    logger.error('S3 download failed', { error: error.message, key });
+    throw ApiError.internal(`S3 download failed: ${error.message}`);
+  }
+}
+
 export default {
   uploadToS3,
   deleteFromS3,
+  putPrivateObject,
+  getObjectStream,
 };
@@ -0,0 +1,174 @@
+// ============================================
+// FILE: backend/src/services/translationService.js
+// Serving published surveys in the respondent's language
+// ============================================
+//
+// Translations are edited on the survey and published in its snapshot:
+//   { [locale]: { title?, description?, thankYouMessage?, passMessage?, failMessage?,
+//                 pages?: { [pageKey]: { title?, description? } },
+//                 questions?: { [questionId]: { text?, options?: { [optionId]: label }, rows?: { [rowId]: label } } } } }
+// Options and matrix rows are keyed by their id (see utils/options.js), the
+// same id answers store, so responses in every language aggregate together.
+import { DEFAULT_LOCALE, negotiateLocale } from '../utils/locales.js';
+import { optionId, optionText } from '../utils/options.js';
+
+class TranslationService {
+  defaultLocale(snapshot) {
+    return snapshot?.locale || DEFAULT_LOCALE;
+  }
+
+  availableLocales(snapshot) {
+    return [this.defaultLocale(snapshot), ...Object.keys(snapshot?.translations || {})];
+  }
+
+  /**
+   * Locale to serve: the first requested locale the snapshot offers,
+   * else its default locale
+   */
+  negotiate(snapshot, requested) {
+    return negotiateLocale(requested.filter(Boolean), this.availableLocales(snapshot), this.defaultLocale(snapshot));
+  }
+
+  // Null for the default locale
+  translationFor(snapshot, locale) {
+    return snapshot?.translations?.[locale] || null;
+  }
+
+  /**
+   * The survey view in a translation. Translated options become
+   * { ...option, id, text: label }, where id is what the widget submits;
+   * matrix rows are kept and gain parallel rowLabels. Missing
+   * texts fall back to the default locale, and translated question
+   * texts take precedence over A/B variant wording.
+   */
+  localize(view, translation) {
+    if (!translation) {
+      return view;
+    }
+
+    const config = view.config || {};
+
+    return {
+      ...view,
+      ...(translation.title ? { title: translation.title } : {}),
+      ...(translation.description ? { description: translation.description } : {}),
+      config: translation.thankYouMessage ? { ...config, thankYouMessage: translation.thankYouMessage } : config,
+      ...(view.pages ? { pages: view.pages.map(page => this.localizePage(page, translation.pages?.[page.key])) } : {}),
+      questions: (view.questions || []).map(q => this.localizeQuestion(q, translation.questions?.[q.id])),
+    };
+  }
+
+  localizePage(page, translated) {
+    if (!translated) {
+      return page;
+    }
+
+    return {
+      ...page,
+      ...(translated.title ? { title: translated.title } : {}),
+      ...(translated.description ? { description: translated.description } : {}),
+    };
+  }
+
+  localizeQuestion(question, translated) {
+    if (!translated) {
+      return question;
+    }
+
+    const optionLabels = translated.options || {};
+    const rowLabels = translated.rows || {};
+
+    return {
+      ...question,
+      ...(translated.text ? { text: translated.text } : {}),
+      options: (question.options || []).map(opt => {
+        const label = optionLabels[optionId(opt)];
+        if (!label) return opt;
+        return { ...(typeof opt === 'string' ? {} : opt), id: optionId(opt), text: label };
+      }),
+      ...(question.rows ? { rowLabels: question.rows.map(row => rowLabels[optionId(row)] || optionText(row)) } : {}),
+    };
+  }
+
+  /**
+   * Quiz config with the translation's result messages
+   */
+  localizeQuiz(quizConfig, translation) {
+    if (!quizConfig || !translation) {
+      return quizConfig;
+    }
+
+    return {
+      ...quizConfig,
+      ...(translation.passMessage ? { passMessage: translation.passMessage } : {}),
+      ...(translation.failMessage ? { failMessage: translation.failMessage } : {}),
+    };
+  }
+
+  /**
+   * Answers with option and row labels, in the default locale or one of
+   * the translations, replaced by their ids. Values that already are ids
+   * are kept, so widgets submitting ids and API clients submitting labels
+   * store the same answer.
+   */
+  canonicalizeAnswers(questions, answers, translations = []) {
+    const lookups = new Map(questions.map(q => [q.id, this.labelLookup(q, translations)]));
+
+    return answers.map(a => {
+      const lookup = lookups.get(a?.questionId);
+      return lookup ? { ...a, answer: this.canonicalAnswer(a.answer, lookup) } : a;
+    });
+  }
+
+  /**
+   * Responses with answers in every language mapped to option ids
+   */
+  canonicalizeResponses(snapshot, responses) {
+    const translations = Object.values(snapshot?.translations || {});
+
+    return responses.map(r => (Array.isArray(r.answers)
+      ? { ...r, answers: this.canonicalizeAnswers(snapshot?.questions || [], r.answers, translations) }
+      : r));
+  }
+
+  // Label -> id maps for a question's options and rows; null when it has neither
+  labelLookup(question, translations) {
+    const options = new Map((question.options || []).map(opt => [optionText(opt), optionId(opt)]));
+    const rows = new Map((question.rows || []).map(row => [optionText(row), optionId(row)]));
+
+    for (const translation of translations) {
+      const translated = translation?.questions?.[question.id];
+      for (const [id, label] of Object.entries(translated?.options || {})) {
+        if (!options.has(label)) options.set(label, id);
+      }
+      for (const [id, label] of Object.entries(translated?.rows || {})) {
+        if (!rows.has(label)) rows.set(label, id);
+      }
+    }
+
+    if (options.size === 0 && rows.size === 0) {
+      return null;
+    }
+
+    const optionIds = new Set((question.options || []).map(optionId));
+    const rowIds = new Set((question.rows || []).map(optionId));
+    const toId = (ids, labels) => (value) => {
+      if (typeof value !== 'string' || ids.has(value.trim())) return value;
+      return labels.get(value.trim()) ?? value;
+    };
+
+    return { option: toId(optionIds, options), row: toId(rowIds, rows) };
+  }
+
+  canonicalAnswer(answer, lookup) {
+    if (Array.isArray(answer)) {
+      return answer.map(lookup.option);
+    }
+    if (answer && typeof answer === 'object') {
+      return Object.fromEntries(Object.entries(answer).map(([row, column]) => [lookup.row(row), lookup.option(column)]));
+    }
+    return lookup.option(answer);
+  }
+}
+
+export default new TranslationService();
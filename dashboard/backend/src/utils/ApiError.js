@@ -32,4 +32,8 @@ export class ApiError extends Error {
   static conflict(message) { 
     return new ApiError(message, 409); 
   }
+
+  static internal(message) { 
+    return new ApiError(message, 500); 
+  }
 }
@@ -0,0 +1,38 @@
+// ============================================
+// CSV helpers
+// ============================================
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export function escapeCSV(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\n\r]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document from rows, with columns given as
+ * [{ key, header }] in output order
+ */
+export function toCSV(columns, rows) {
+  const lines = [columns.map((column) => escapeCSV(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCSV(row[column.key])).join(','));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,67 @@
+// ============================================
+// FILE: backend/src/utils/locales.js
+// BCP 47 locale tags and Accept-Language negotiation
+// ============================================
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Canonical form of a locale tag ("pt-br" -> "pt-BR"), or null when invalid
+ */
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string' || tag.trim() === '' || tag.trim() === '*') {
+    return null;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Locales of an Accept-Language header, most preferred first
+ * ("fr-CH, fr;q=0.9, en;q=0.8" -> ["fr-CH", "fr", "en"])
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, idx) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { locale: normalizeLocale(tag), quality: q ? parseFloat(q.slice(2)) : 1, idx };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.idx - b.idx)
+    .map(entry => entry.locale);
+}
+
+const language = (locale) => locale.split('-')[0].toLowerCase();
+
+/**
+ * First requested locale the survey offers: an exact match, else the same
+ * language ("fr-CA" gets "fr", "fr" gets "fr-FR"). Falls back to the
+ * default locale.
+ */
+export function negotiateLocale(requested, available, defaultLocale = DEFAULT_LOCALE) {
+  const offered = available.map(normalizeLocale).filter(Boolean);
+
+  for (const tag of requested) {
+    const locale = normalizeLocale(tag);
+    if (!locale) continue;
+
+    const exact = offered.find(candidate => candidate.toLowerCase() === locale.toLowerCase());
+    if (exact) return exact;
+
+    const sameLanguage = offered.find(candidate => candidate.toLowerCase() === language(locale)) ||
+      offered.find(candidate => language(candidate) === language(locale));
+    if (sameLanguage) return sameLanguage;
+  }
+
+  return defaultLocale;
+}
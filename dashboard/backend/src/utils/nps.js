@@ -0,0 +1,37 @@
+// ============================================
+// Net Promoter Score helpers
+// ============================================
+//
+// public/widget.js mirrors npsSegment for branching; keep them in sync.
+
+export const NPS_MIN = 0;
+export const NPS_MAX = 10;
+
+export const NPS_SEGMENTS = ['detractor', 'passive', 'promoter'];
+
+/**
+ * Segment of a 0–10 score: 0–6 detractor, 7–8 passive, 9–10 promoter
+ */
+export function npsSegment(score) {
+  if (!Number.isInteger(score) || score < NPS_MIN || score > NPS_MAX) return null;
+  if (score >= 9) return 'promoter';
+  if (score >= 7) return 'passive';
+  return 'detractor';
+}
+
+/**
+ * Score and segment breakdown from segment counts.
+ * NPS is % promoters minus % detractors, from -100 to 100 (null without answers).
+ */
+export function calculateNps({ promoters = 0, passives = 0, detractors = 0 }) {
+  const total = promoters + passives + detractors;
+  const percentage = (count) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+  return {
+    score: total > 0 ? Math.round(((promoters - detractors) / total) * 100) : null,
+    responses: total,
+    promoters: { count: promoters, percentage: percentage(promoters) },
+    passives: { count: passives, percentage: percentage(passives) },
+    detractors: { count: detractors, percentage: percentage(detractors) },
+  };
+}
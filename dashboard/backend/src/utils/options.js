@@ -0,0 +1,65 @@
+// ============================================
+// FILE: backend/src/utils/options.js
+// Ids of choice options and matrix rows
+// ============================================
+//
+// Options of choice questions and matrix columns and rows are
+// { id, text, ... }. Answers, branching rules, translations and the
+// recorded option order refer to the id, so an option can be reworded
+// without losing its responses. Options saved before ids existed are plain
+// strings or objects without an id; their text serves as their id.
+import { v4 as uuidv4 } from 'uuid';
+
+// Question types whose options (and matrix rows) carry ids
+export const OPTION_ID_TYPES = ['multiple_choice', 'checkbox', 'dropdown', 'ranking', 'matrix'];
+
+export const optionText = (opt) => (typeof opt === 'string' ? opt : opt?.text);
+
+export const optionId = (opt) => (typeof opt === 'string' ? opt : opt?.id ?? opt?.text);
+
+/**
+ * Options (or rows) with an id each. Ids sent back by the client are kept;
+ * options without one take the id of a previous option with the same text,
+ * else a new id.
+ */
+export function withOptionIds(items = [], previous = []) {
+  const idByText = new Map(previous.map(opt => [optionText(opt), optionId(opt)]));
+  const used = new Set();
+
+  return items.map(item => {
+    const opt = typeof item === 'string' ? { text: item } : { ...item };
+    let id = opt.id ?? idByText.get(opt.text);
+
+    if (id === undefined || used.has(id)) {
+      id = uuidv4();
+    }
+    used.add(id);
+
+    return { ...opt, id };
+  });
+}
+
+/**
+ * An answer with option and row ids replaced by their text, for people
+ * reading responses. Unknown values are kept as they are.
+ */
+export function labelAnswer(question, answer) {
+  if (!question || !OPTION_ID_TYPES.includes(question.type)) {
+    return answer;
+  }
+
+  const label = (items) => {
+    const texts = new Map((items || []).map(opt => [optionId(opt), optionText(opt)]));
+    return (value) => (typeof value === 'string' && texts.has(value) ? texts.get(value) : value);
+  };
+  const option = label(question.options);
+
+  if (Array.isArray(answer)) {
+    return answer.map(option);
+  }
+  if (answer && typeof answer === 'object') {
+    const row = label(question.rows);
+    return Object.fromEntries(Object.entries(answer).map(([key, column]) => [row(key), option(column)]));
+  }
+  return option(answer);
+}
@@ -0,0 +1,103 @@
+// ============================================
+// FILE: backend/src/utils/outboundUrl.js
+// Guards for requests the server makes to tenant-supplied URLs
+// ============================================
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Loopback, link-local, private, shared, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+export class NonPublicAddressError extends Error {}
+
+/**
+ * Whether an IP address is routable on the public internet.
+ * IPv4-mapped IPv6 addresses are judged by their IPv4 part.
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  if (family === 6) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !blockedAddresses.check(address, 'ipv6');
+  }
+
+  return !blockedAddresses.check(address, 'ipv4');
+}
+
+/**
+ * Resolve a hostname and return one of its addresses { address, family }.
+ * Throws when it doesn't resolve or when any address is not public, so a
+ * name with both public and internal records is refused.
+ */
+export async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0) {
+    throw new Error(`${hostname} does not resolve`);
+  }
+
+  const internal = addresses.find(({ address }) => !isPublicAddress(address));
+  if (internal) {
+    throw new NonPublicAddressError(`${hostname} resolves to a non-public address (${internal.address})`);
+  }
+
+  return addresses[0];
+}
+
+/**
+ * http(s) agents whose connections go to the given address whatever the
+ * hostname resolves to at connect time. TLS still verifies the hostname.
+ */
+export function pinnedAgents({ address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup }),
+  };
+}
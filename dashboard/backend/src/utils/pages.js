@@ -0,0 +1,54 @@
+// ============================================
+// FILE: backend/src/utils/pages.js
+// Survey page (section) layout helpers
+// ============================================
+//
+// Page definitions live in surveys.pages:
+//   [{ key, title?, description?, conditional?: { showIf?, jumps? } }]
+// A question joins a page through questions.meta.page (the page key).
+// Questions without a (known) page belong to the first page.
+// Surveys without pages show one question per screen.
+
+/**
+ * Order questions page by page (keeping their order within a page) and
+ * stamp each with its page key. Without pages the questions are unchanged.
+ */
+export function orderByPage(questions, pages = []) {
+  if (pages.length === 0) {
+    return questions;
+  }
+
+  const indexByKey = new Map(pages.map((page, idx) => [page.key, idx]));
+  const pageIndex = (q) => indexByKey.get(q.page) ?? 0;
+
+  return questions
+    .map((q, idx) => ({ q, idx }))
+    .sort((a, b) => pageIndex(a.q) - pageIndex(b.q) || a.idx - b.idx)
+    .map(({ q }) => ({ ...q, page: pages[pageIndex(q)].key }));
+}
+
+/**
+ * Pages with the ids of their questions, for renderers. Surveys without
+ * pages get one untitled page per question.
+ */
+export function groupPages(questions, pages = []) {
+  if (pages.length === 0) {
+    return questions.map(q => ({
+      key: null,
+      title: null,
+      description: null,
+      conditional: null,
+      questionIds: [q.id],
+    }));
+  }
+
+  const ordered = orderByPage(questions, pages);
+
+  return pages.map(page => ({
+    key: page.key,
+    title: page.title || null,
+    description: page.description || null,
+    conditional: page.conditional || null,
+    questionIds: ordered.filter(q => q.page === page.key).map(q => q.id),
+  }));
+}
@@ -0,0 +1,93 @@
+// ============================================
+// FILE: backend/src/utils/regexSafety.js
+// Screens editor-supplied patterns for catastrophic backtracking
+// ============================================
+
+// {n}, {n,} or {n,m} right after an atom
+const BRACE_QUANTIFIER = /^\{(\d+)(,(\d*))?\}/;
+
+// The quantifier at `index`: whether it can match its atom more than once,
+// whether the number of matches varies, and its length
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+
+  if (char === '*' || char === '+') return { repeats: true, varies: true, length: 1 };
+  if (char === '?') return { repeats: false, varies: true, length: 1 };
+
+  const brace = pattern.slice(index).match(BRACE_QUANTIFIER);
+  if (brace) {
+    const min = Number(brace[1]);
+    const max = brace[2] === undefined ? min : (brace[3] === '' ? Infinity : Number(brace[3]));
+    return { repeats: max > 1, varies: max !== min, length: brace[0].length };
+  }
+
+  return null;
+}
+
+/**
+ * Why a pattern could take exponential time on a crafted input, or null.
+ * Rejects backreferences and repeated groups that contain, at any depth, an
+ * optional or variably repeated atom or an alternation, e.g. (a+)+,
+ * (\w*\s?)* or (a|ab)*. Patterns without these run in at most polynomial
+ * time, which stays fast on short inputs.
+ */
+export function unsafeRegexReason(pattern) {
+  // One frame per open group; the outermost stands for the whole pattern
+  const groups = [{ varies: false, alternates: false }];
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let atom = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1] || '')) {
+        return 'backreferences are not allowed';
+      }
+      atom = { varies: false, alternates: false };
+      index += 2;
+    } else if (char === '[') {
+      index += 1;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      atom = { varies: false, alternates: false };
+      index += 1;
+    } else if (char === '(') {
+      groups.push({ varies: false, alternates: false });
+      index += 1;
+      continue;
+    } else if (char === ')') {
+      atom = groups.length > 1 ? groups.pop() : { varies: false, alternates: false };
+      index += 1;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+      index += 1;
+      continue;
+    } else {
+      atom = { varies: false, alternates: false };
+      index += 1;
+    }
+
+    const quantifier = readQuantifier(pattern, index);
+    const parent = groups[groups.length - 1];
+
+    if (quantifier) {
+      index += quantifier.length;
+      if (pattern[index] === '?') index += 1;
+
+      if (quantifier.repeats && atom.varies) {
+        return 'a repeated group cannot contain a repeated or optional item, as in (a+)+';
+      }
+      if (quantifier.repeats && atom.alternates) {
+        return 'a repeated group cannot contain alternatives, as in (a|ab)*; use a character class instead';
+      }
+      if (quantifier.varies) parent.varies = true;
+    }
+
+    if (atom.varies) parent.varies = true;
+    if (atom.alternates) parent.alternates = true;
+  }
+
+  return null;
+}
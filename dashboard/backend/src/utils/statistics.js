@@ -0,0 +1,114 @@
+// ============================================
+// Significance tests for A/B variant comparisons
+// ============================================
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x)
+ * (series below a + 1, continued fraction above)
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * prefix);
+  }
+
+  // Lentz's method
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, h * prefix);
+}
+
+/**
+ * P(X >= statistic) for a chi-square distribution
+ */
+export function chiSquarePValue(statistic, degreesOfFreedom) {
+  return gammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+/**
+ * Pearson's chi-square test of independence on a contingency table
+ * (one row per variant, one column per outcome). Empty rows and columns
+ * are ignored; returns null when fewer than two of either remain.
+ * The approximation gets unreliable when expected counts drop below 5,
+ * which `lowCounts` flags.
+ */
+export function chiSquareTest(table) {
+  const rows = table.filter(row => row.some(count => count > 0));
+  const columns = (rows[0] || []).map((_, col) => col).filter(col => rows.some(row => row[col] > 0));
+
+  if (rows.length < 2 || columns.length < 2) {
+    return null;
+  }
+
+  const rowTotals = rows.map(row => columns.reduce((sum, col) => sum + row[col], 0));
+  const columnTotals = columns.map(col => rows.reduce((sum, row) => sum + row[col], 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+
+  let statistic = 0;
+  let lowCounts = false;
+  rows.forEach((row, r) => {
+    columns.forEach((col, c) => {
+      const expected = (rowTotals[r] * columnTotals[c]) / total;
+      if (expected < 5) lowCounts = true;
+      statistic += (row[col] - expected) ** 2 / expected;
+    });
+  });
+
+  const degreesOfFreedom = (rows.length - 1) * (columns.length - 1);
+  const pValue = chiSquarePValue(statistic, degreesOfFreedom);
+
+  return {
+    statistic: Math.round(statistic * 1000) / 1000,
+    degreesOfFreedom,
+    pValue: Math.round(pValue * 10000) / 10000,
+    significant: pValue < SIGNIFICANCE_LEVEL,
+    lowCounts,
+  };
+}
@@ -0,0 +1,62 @@
+// ============================================
+// FILE: backend/src/utils/timezones.js
+// IANA time zone helpers built on Intl (no tz database dependency)
+// ============================================
+
+// "2026-10-26T09:00" or "2026-10-26T09:00:00.000+02:00"
+export const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:\d{2})$/;
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Milliseconds `timezone` is ahead of UTC at `instant`
+ */
+function offsetAt(instant, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a date-time into a Date. Values with an offset are absolute;
+ * values without one are wall-clock times in `timezone`. Times skipped by
+ * a DST change move forward by the length of the gap (02:30 becomes 03:30).
+ */
+export function toInstant(value, timezone = 'UTC') {
+  if (OFFSET_PATTERN.test(value)) {
+    return new Date(value);
+  }
+
+  const guess = new Date(`${value}Z`);
+  const first = new Date(guess.getTime() - offsetAt(guess, timezone));
+  return new Date(guess.getTime() - offsetAt(first, timezone));
+}
+
+/**
+ * "2026-10-26 09:00 Europe/Paris" for emails and logs
+ */
+export function formatInTimezone(instant, timezone = 'UTC') {
+  const local = new Date(new Date(instant).getTime() + offsetAt(new Date(instant), timezone));
+  return `${local.toISOString().slice(0, 16).replace('T', ' ')} ${timezone}`;
+}
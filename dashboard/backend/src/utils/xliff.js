@@ -0,0 +1,133 @@
+// ============================================
+// XLIFF 1.2 documents with plain-text segments
+// ============================================
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:1.2';
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);|&/g, (match, entity) => {
+    if (entity === undefined) {
+      throw new Error('unescaped "&"');
+    }
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    if (NAMED_ENTITIES[entity] === undefined) {
+      throw new Error(`unknown entity "${match}"`);
+    }
+    return NAMED_ENTITIES[entity];
+  });
+}
+
+// Element text, with CDATA sections kept verbatim. Inline markup (<g>, <x/>…) is rejected.
+function textContent(content) {
+  return content.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(part => {
+    if (part.startsWith('<![CDATA[')) return part.slice(9, -3);
+    if (part.includes('<')) throw new Error('inline markup is not supported');
+    return decodeEntities(part);
+  }).join('');
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, , doubleQuoted, singleQuoted] of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attrs;
+}
+
+function childText(body, name) {
+  const element = body.match(new RegExp(`<${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</${name}>)`));
+  if (!element) return undefined;
+  return element[1] === undefined ? '' : textContent(element[1]);
+}
+
+/**
+ * Build an XLIFF 1.2 document with one <file> from units
+ * [{ id, source, target?, note? }]. Units without a target are left
+ * for translation.
+ */
+export function toXliff({ original, sourceLanguage, targetLanguage }, units) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff version="1.2" xmlns="${XLIFF_NAMESPACE}">`,
+    `  <file original="${escapeXml(original)}" datatype="plaintext" source-language="${escapeXml(sourceLanguage)}"` +
+      `${targetLanguage ? ` target-language="${escapeXml(targetLanguage)}"` : ''}>`,
+    '    <body>',
+  ];
+
+  for (const unit of units) {
+    lines.push(`      <trans-unit id="${escapeXml(unit.id)}" xml:space="preserve">`);
+    lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+    if (unit.target !== undefined) {
+      lines.push(`        <target state="translated">${escapeXml(unit.target)}</target>`);
+    }
+    if (unit.note) {
+      lines.push(`        <note>${escapeXml(unit.note)}</note>`);
+    }
+    lines.push('      </trans-unit>');
+  }
+
+  lines.push('    </body>', '  </file>', '</xliff>', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Parse an XLIFF 1.2 document into
+ * { sourceLanguage, targetLanguage, units: [{ id, source, target }] }.
+ * Throws an Error naming the first problem found.
+ */
+export function parseXliff(xml) {
+  const document = String(xml).replace(/<!--[\s\S]*?-->/g, '');
+
+  // No DTDs, so no entity expansion
+  if (/<!DOCTYPE/i.test(document)) {
+    throw new Error('DOCTYPE declarations are not allowed');
+  }
+
+  const root = document.match(/<xliff\b([^>]*)>/);
+  if (!root) {
+    throw new Error('not an XLIFF document');
+  }
+  const { version } = attributes(root[1]);
+  if (version !== '1.2') {
+    throw new Error(`XLIFF version ${version || '(none)'} is not supported; use 1.2`);
+  }
+
+  const file = document.match(/<file\b([^>]*)>/);
+  if (!file) {
+    throw new Error('missing <file> element');
+  }
+  const fileAttrs = attributes(file[1]);
+
+  const units = [];
+  for (const [, attrs, body = ''] of document.matchAll(/<trans-unit\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trans-unit>)/g)) {
+    const { id } = attributes(attrs);
+    if (!id) {
+      throw new Error('<trans-unit> without an id');
+    }
+
+    try {
+      units.push({ id, source: childText(body, 'source'), target: childText(body, 'target') });
+    } catch (error) {
+      throw new Error(`trans-unit "${id}": ${error.message}`);
+    }
+  }
+
+  return {
+    sourceLanguage: fileAttrs['source-language'] || null,
+    targetLanguage: fileAttrs['target-language'] || null,
+    units,
+  };
+}
@@ -0,0 +1,234 @@
+// ============================================
+// Streaming XLSX writer (one worksheet, inline strings)
+// ============================================
+import zlib from 'zlib';
+import { once } from 'events';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ============================================
+// ZIP container. No ZIP64, so entries stay under 4 GB.
+// ============================================
+const DATA_DESCRIPTOR_FLAG = 0x0008;
+const UTF8_FLAG = 0x0800;
+const DOS_DATE_1980_01_01 = 0x0021;
+
+function localHeader(entry) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(DOS_DATE_1980_01_01, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.name]);
+}
+
+function dataDescriptor(entry) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+}
+
+function centralHeader(entry) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(entry.flags, 8);
+  header.writeUInt16LE(8, 10);
+  header.writeUInt16LE(0, 12);
+  header.writeUInt16LE(DOS_DATE_1980_01_01, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+}
+
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    if (!this.output.write(buffer)) {
+      await once(this.output, 'drain');
+    }
+  }
+
+  async addFile(name, content) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const entry = {
+      name: Buffer.from(name),
+      flags: UTF8_FLAG,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset,
+    };
+
+    this.entries.push(entry);
+    await this.write(localHeader(entry));
+    await this.write(compressed);
+  }
+
+  /**
+   * Add an entry from an iterable of chunks. Sizes and CRC aren't known
+   * up front, so they follow the data in a descriptor.
+   */
+  async addStream(name, chunks) {
+    const entry = {
+      name: Buffer.from(name),
+      flags: UTF8_FLAG | DATA_DESCRIPTOR_FLAG,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      offset: this.offset,
+    };
+
+    this.entries.push(entry);
+    await this.write(localHeader(entry));
+
+    const measure = new Transform({
+      transform(chunk, _encoding, callback) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    await pipeline(Readable.from(chunks), measure, zlib.createDeflateRaw(), async (compressed) => {
+      for await (const chunk of compressed) {
+        entry.compressedSize += chunk.length;
+        await this.write(chunk);
+      }
+    });
+
+    await this.write(dataDescriptor(entry));
+  }
+
+  async finish() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      await this.write(centralHeader(entry));
+    }
+    await this.write(endOfCentralDirectory(this.entries.length, this.offset - start, start));
+  }
+}
+
+// ============================================
+// SpreadsheetML
+// ============================================
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Excel refuses to open cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+// Not allowed in XML 1.0 even when escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return text
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cell(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<c/>';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text.slice(0, MAX_CELL_LENGTH))}</t></is></c>`;
+}
+
+async function* sheetXml(headers, rows) {
+  yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+  yield `<row>${headers.map(cell).join('')}</row>`;
+
+  for await (const row of rows) {
+    yield `<row>${row.map(cell).join('')}</row>`;
+  }
+
+  yield '</sheetData></worksheet>';
+}
+
+/**
+ * Write a workbook with a header row and one row per item of the
+ * (async) iterable `rows` to a writable stream. The stream is left open.
+ */
+export async function writeXlsx(output, headers, rows, { sheetName = 'Sheet1' } = {}) {
+  const zip = new ZipWriter(output);
+
+  await zip.addFile('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>');
+  await zip.addFile('_rels/.rels', `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>');
+  await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+    + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>');
+  await zip.addFile('xl/_rels/workbook.xml.rels', `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + '</Relationships>');
+  await zip.addStream('xl/worksheets/sheet1.xml', sheetXml(headers, rows));
+  await zip.finish();
+}
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
@@ -55,7 +55,7 @@ export async function enqueueAnalyticsAggregation(surveyId) {
  */
 export async function enqueueAllSurveys() {
   const result = await db.query(
-    `SELECT id FROM surveys WHERE status = 'published'`
+    `SELECT id FROM surveys WHERE status IN ('published', 'closed')`
   );
 
   const surveys = result.rows;
@@ -0,0 +1,85 @@
+// ============================================
+// FILE: backend/src/workers/billingWebhookWorker.js
+// Retries Lemon Squeezy events whose processing failed
+// ============================================
+import { Worker, Queue } from 'bullmq';
+import { config } from '../config/index.js';
+import { logger } from '../lib/logger.js';
+import lemonSqueezyWebhookService from '../modules/billing/lemonSqueezyWebhook.service.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+};
+
+const queueName = `${config.queue.prefix}:billing-webhooks`;
+
+// Retries after the initial attempt, tracked in webhook_events.retry_count
+export const BILLING_EVENT_MAX_RETRIES = 5;
+
+let billingWebhookQueue;
+
+function getQueue() {
+  if (!billingWebhookQueue) {
+    billingWebhookQueue = new Queue(queueName, { connection });
+  }
+  return billingWebhookQueue;
+}
+
+/**
+ * Enqueue a retry for a stored webhook_events row
+ */
+export async function enqueueBillingEventRetry(eventRowId) {
+  const job = await getQueue().add(
+    'retry-billing-event',
+    { eventRowId },
+    {
+      jobId: `billing-event-${eventRowId}`, // one retry chain per event
+      attempts: BILLING_EVENT_MAX_RETRIES,
+      backoff: {
+        type: 'exponential',
+        delay: 60000,
+      },
+      removeOnComplete: {
+        age: 24 * 3600, // Keep for 24 hours
+        count: 1000,
+      },
+      removeOnFail: {
+        age: 7 * 24 * 3600, // Keep failed jobs for 7 days
+      },
+    }
+  );
+
+  logger.info('Billing event retry enqueued', { jobId: job.id, eventRowId });
+
+  return job.id;
+}
+
+// Worker process
+let worker;
+
+if (config.nodeEnv !== 'test') {
+  worker = new Worker(
+    queueName,
+    async (job) => lemonSqueezyWebhookService.retryEvent(job.data.eventRowId),
+    {
+      connection,
+      concurrency: 1, // keep subscription updates in order
+    }
+  );
+
+  worker.on('failed', (job, err) => {
+    logger.error('Billing event retry failed', {
+      jobId: job?.id,
+      eventRowId: job?.data?.eventRowId,
+      attempt: job?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Billing webhook worker error', { error: err.message });
+  });
+}
+
+export default worker;
@@ -0,0 +1,88 @@
+// ============================================
+// FILE: backend/src/workers/exportWorker.js
+// Builds response export files in the background
+// ============================================
+import { Worker, Queue } from 'bullmq';
+import { config } from '../config/index.js';
+import { logger } from '../lib/logger.js';
+import exportsService from '../modules/exports/exports.service.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+};
+
+const queueName = `${config.queue.prefix}:exports`;
+
+let exportQueue;
+
+function getQueue() {
+  if (!exportQueue) {
+    exportQueue = new Queue(queueName, { connection });
+  }
+  return exportQueue;
+}
+
+/**
+ * Enqueue file generation for an export_jobs row
+ */
+export async function enqueueExport(exportJobId) {
+  const job = await getQueue().add(
+    'build-export',
+    { exportJobId },
+    {
+      jobId: exportJobId,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 10000,
+      },
+      removeOnComplete: {
+        age: 24 * 3600, // Keep for 24 hours
+        count: 1000,
+      },
+      removeOnFail: {
+        age: 7 * 24 * 3600, // Keep failed jobs for 7 days
+      },
+    }
+  );
+
+  logger.debug('Export enqueued', { jobId: job.id, exportJobId });
+
+  return job.id;
+}
+
+// Worker process
+let worker;
+
+if (config.nodeEnv !== 'test') {
+  worker = new Worker(
+    queueName,
+    async (job) => {
+      const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      return exportsService.process(job.data.exportJobId, { isFinalAttempt });
+    },
+    {
+      connection,
+      // Exports hold a file open and read in batches; keep them few
+      concurrency: 2,
+    }
+  );
+
+  worker.on('failed', (job, err) => {
+    logger.warn('Export attempt failed', {
+      jobId: job?.id,
+      exportJobId: job?.data?.exportJobId,
+      attempt: job?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Export worker error', { error: err.message });
+  });
+
+  logger.info('Export worker started', { queue: queueName });
+}
+
+export default worker;
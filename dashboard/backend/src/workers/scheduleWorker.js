@@ -0,0 +1,107 @@
+// ============================================
+// FILE: backend/src/workers/scheduleWorker.js
+// Runs survey schedules: a repeatable tick finds due schedules and
+// queues one run job for each. A second repeatable job opens and closes
+// surveys with an availability window or response cap.
+// ============================================
+import { Worker, Queue } from 'bullmq';
+import { config } from '../config/index.js';
+import { logger } from '../lib/logger.js';
+import schedulesService from '../modules/schedules/schedules.service.js';
+import availabilityService from '../modules/surveys/availability.service.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+};
+
+const queueName = `${config.queue.prefix}:schedules`;
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+let scheduleQueue;
+
+function getQueue() {
+  if (!scheduleQueue) {
+    scheduleQueue = new Queue(queueName, { connection });
+  }
+  return scheduleQueue;
+}
+
+/**
+ * Enqueue execution of a survey_schedule_runs row
+ */
+export async function enqueueScheduleRun(runId) {
+  const job = await getQueue().add(
+    'run-schedule',
+    { runId },
+    {
+      jobId: runId,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 60000,
+      },
+      removeOnComplete: {
+        age: 24 * 3600, // Keep for 24 hours
+        count: 1000,
+      },
+      removeOnFail: {
+        age: 7 * 24 * 3600, // Keep failed jobs for 7 days
+      },
+    }
+  );
+
+  logger.debug('Schedule run enqueued', { jobId: job.id, runId });
+
+  return job.id;
+}
+
+// Worker process
+let worker;
+
+if (config.nodeEnv !== 'test') {
+  worker = new Worker(
+    queueName,
+    async (job) => {
+      if (job.name === 'tick') {
+        return { queued: await schedulesService.enqueueDue() };
+      }
+      if (job.name === 'survey-availability') {
+        return availabilityService.applyTransitions();
+      }
+
+      const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      return schedulesService.executeRun(job.data.runId, { isFinalAttempt });
+    },
+    {
+      connection,
+      concurrency: 2,
+    }
+  );
+
+  // One repeatable job of each kind per queue; BullMQ dedupes them across processes
+  for (const name of ['tick', 'survey-availability']) {
+    getQueue()
+      .add(name, {}, { repeat: { every: TICK_INTERVAL_MS }, removeOnComplete: true, removeOnFail: 100 })
+      .catch((err) => logger.error('Failed to register repeatable schedule job', { name, error: err.message }));
+  }
+
+  worker.on('failed', (job, err) => {
+    logger.warn('Schedule job failed', {
+      jobId: job?.id,
+      name: job?.name,
+      runId: job?.data?.runId,
+      attempt: job?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Schedule worker error', { error: err.message });
+  });
+
+  logger.info('Schedule worker started', { queue: queueName });
+}
+
+export default worker;
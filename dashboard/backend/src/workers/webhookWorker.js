@@ -0,0 +1,92 @@
+// ============================================
+// FILE: backend/src/workers/webhookWorker.js
+// Delivers outgoing tenant webhooks with exponential backoff
+// ============================================
+import { Worker, Queue } from 'bullmq';
+import { config } from '../config/index.js';
+import { logger } from '../lib/logger.js';
+import webhookEndpointsService from '../modules/webhooks/webhookEndpoints.service.js';
+
+const connection = {
+  host: config.redis.host,
+  port: config.redis.port,
+};
+
+const queueName = `${config.queue.prefix}:webhooks`;
+
+// 8 attempts at 30s, 1m, 2m, ... ≈ 1 hour of retries
+export const WEBHOOK_MAX_ATTEMPTS = 8;
+
+let webhookQueue;
+
+function getQueue() {
+  if (!webhookQueue) {
+    webhookQueue = new Queue(queueName, { connection });
+  }
+  return webhookQueue;
+}
+
+/**
+ * Enqueue delivery of a webhook_deliveries row
+ */
+export async function enqueueWebhookDelivery(deliveryId) {
+  const job = await getQueue().add(
+    'deliver-webhook',
+    { deliveryId },
+    {
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: {
+        type: 'exponential',
+        delay: 30000,
+      },
+      removeOnComplete: {
+        age: 24 * 3600, // Keep for 24 hours
+        count: 1000,
+      },
+      removeOnFail: {
+        age: 7 * 24 * 3600, // Keep failed jobs for 7 days
+      },
+    }
+  );
+
+  logger.debug('Webhook delivery enqueued', { jobId: job.id, deliveryId });
+
+  return job.id;
+}
+
+// Worker process
+let worker;
+
+if (config.nodeEnv !== 'test') {
+  worker = new Worker(
+    queueName,
+    async (job) => {
+      const isFinalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      return webhookEndpointsService.deliver(job.data.deliveryId, { isFinalAttempt });
+    },
+    {
+      connection,
+      concurrency: config.queue.concurrency,
+    }
+  );
+
+  worker.on('failed', (job, err) => {
+    logger.warn('Webhook delivery attempt failed', {
+      jobId: job?.id,
+      deliveryId: job?.data?.deliveryId,
+      attempt: job?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Webhook worker error', { error: err.message });
+  });
+
+  logger.info('Webhook worker started', {
+    queue: queueName,
+    concurrency: config.queue.concurrency,
+  });
+}
+
+export default worker;
@@ -0,0 +1,107 @@
+// ============================================
+// FILE: backend/tests/adminBilling.unit.test.js
+// Unit tests for admin billing analytics and the customer export
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import adminBillingService from '../src/modules/billing/admin.billing.service.js';
+import { requireAdmin } from '../src/modules/billing/admin.billing.controller.js';
+import { escapeCSV } from '../src/utils/csv.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireAdmin', () => {
+  it('should reject users without the admin role', () => {
+    expect(() => requireAdmin({ user: { role: 'user' } }, {}, jest.fn())).toThrow('Admin access required');
+  });
+});
+
+describe('AdminBillingService.getCohortRetention', () => {
+  it('should turn cohort rows into retention percentages per month offset', async () => {
+    const june = new Date('2026-06-01T00:00:00Z');
+    const july = new Date('2026-07-01T00:00:00Z');
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [
+        { cohort: june, month_offset: 0, cohort_size: '4', retained: '4' },
+        { cohort: june, month_offset: 1, cohort_size: '4', retained: '3' },
+        { cohort: july, month_offset: 0, cohort_size: '3', retained: '2' },
+      ],
+    });
+
+    await expect(adminBillingService.getCohortRetention({ months: 6 })).resolves.toEqual([
+      { cohort: june, size: 4, retention: [100, 75] },
+      { cohort: july, size: 3, retention: [66.67] },
+    ]);
+  });
+});
+
+describe('AdminBillingService.getNetRevenueRetention', () => {
+  it('should compare retained with starting MRR', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [{
+        customers: '3',
+        starting_mrr: '200.00',
+        retained_mrr: '230.00',
+        expansion: '50.00',
+        contraction: '0',
+        churned: '20.00',
+      }],
+    });
+
+    const nrr = await adminBillingService.getNetRevenueRetention({ months: 12 });
+
+    expect(nrr).toMatchObject({ customers: 3, startingMrr: 200, retainedMrr: 230, nrr: 115 });
+  });
+
+  it('should report no NRR without starting revenue', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [{ customers: '0', starting_mrr: null, retained_mrr: null }],
+    });
+
+    const nrr = await adminBillingService.getNetRevenueRetention();
+
+    expect(nrr.nrr).toBeNull();
+  });
+});
+
+describe('AdminBillingService.exportCustomersCSV', () => {
+  it('should write a header and one line per subscription', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [{
+        customer_type: 'tenant',
+        customer_id: 'tenant-1',
+        name: 'Acme, Inc.',
+        email: 'billing@acme.test',
+        plan_name: 'Pro',
+        status: 'active',
+        billing_cycle: 'monthly',
+        mrr: '49.00',
+        surveys_used: 4,
+        responses_used: 120,
+        ls_subscription_id: '445566',
+        subscribed_at: new Date('2026-01-15T00:00:00Z'),
+        renews_at: null,
+        cancelled_at: null,
+      }],
+    });
+
+    const csv = await adminBillingService.exportCustomersCSV({ status: 'active' });
+    const [header, line] = csv.split('\n');
+
+    expect(query.mock.calls[0][1]).toEqual(['active']);
+    expect(header).toMatch(/^Customer Type,Customer ID,Name,Email,Plan/);
+    expect(line).toBe(
+      'tenant,tenant-1,"Acme, Inc.",billing@acme.test,Pro,active,monthly,49.00,4,120,445566,2026-01-15T00:00:00.000Z,,'
+    );
+  });
+});
+
+describe('escapeCSV', () => {
+  it('should quote separators and neutralize formulas', () => {
+    expect(escapeCSV('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCSV('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCSV(-5)).toBe('-5');
+  });
+});
@@ -0,0 +1,159 @@
+// ============================================
+// FILE: backend/tests/answerValidation.unit.test.js
+// Unit tests for the answer validation engine
+// ============================================
+import { describe, it, expect } from '@jest/globals';
+import answerValidationService from '../src/services/answerValidationService.js';
+
+const questions = [
+  { id: 'q1', type: 'multiple_choice', options: ['Red', { text: 'Blue', imageUrl: '' }], required: true },
+  { id: 'q2', type: 'rating', options: [{ min: 1, max: 5 }], required: false },
+  { id: 'q3', type: 'text', options: [], required: false },
+  { id: 'q4', type: 'yes_no', options: [], required: true },
+];
+
+describe('AnswerValidationService.validateResponse', () => {
+  it('should accept a valid submission', () => {
+    const { errors, answers } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'Blue' },
+      { questionId: 'q2', answer: 4 },
+      { questionId: 'q3', answer: '  Looks good  ' },
+      { questionId: 'q4', answer: 'yes' },
+    ]);
+
+    expect(errors).toHaveLength(0);
+    expect(answers).toHaveLength(4);
+    expect(answers[2].answer).toBe('Looks good');
+  });
+
+  it('should report missing required answers', () => {
+    const { errors } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'Red' },
+      { questionId: 'q4', answer: '' },
+    ]);
+
+    expect(errors).toEqual([
+      expect.objectContaining({ questionId: 'q4', code: 'required' }),
+    ]);
+  });
+
+  it('should reject unknown questions and duplicate answers', () => {
+    const { errors } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'Red' },
+      { questionId: 'q1', answer: 'Blue' },
+      { questionId: 'nope', answer: 'x' },
+      { questionId: 'q4', answer: 'no' },
+    ]);
+
+    expect(errors.map(e => e.code)).toEqual(['duplicate_answer', 'unknown_question']);
+  });
+
+  it('should check option values and rating ranges', () => {
+    const { errors } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'Green' },
+      { questionId: 'q2', answer: 9 },
+      { questionId: 'q3', answer: 42 },
+      { questionId: 'q4', answer: 'maybe' },
+    ]);
+
+    expect(errors.map(e => [e.questionId, e.code])).toEqual([
+      ['q1', 'invalid_option'],
+      ['q2', 'out_of_range'],
+      ['q3', 'invalid_type'],
+      ['q4', 'invalid_option'],
+    ]);
+  });
+});
+
+describe('AnswerValidationService validation rules', () => {
+  const validate = (question, answer) =>
+    answerValidationService.validateResponse([question], [{ questionId: question.id, answer }]);
+
+  it('should enforce text length and pattern rules', () => {
+    const question = {
+      id: 'email',
+      type: 'text',
+      required: true,
+      validation: { minLength: 5, maxLength: 40, regex: '^\\S+@\\S+$', regexMessage: 'Enter an email' },
+    };
+
+    expect(validate(question, 'a@b').errors[0].code).toBe('too_short');
+    expect(validate(question, 'x'.repeat(41)).errors[0].code).toBe('too_long');
+    expect(validate(question, 'not an email').errors[0]).toEqual(
+      expect.objectContaining({ code: 'pattern_mismatch', message: 'Enter an email' })
+    );
+    expect(validate(question, 'me@example.com').valid).toBe(true);
+  });
+
+  it('should cap answers tested against a regex and skip unscreened patterns', () => {
+    const question = { id: 'code', type: 'text', validation: { regex: '^[a-z]+$' } };
+    const unsafe = { id: 'legacy', type: 'text', validation: { regex: '^(a+)+$' } };
+
+    expect(validate(question, 'a'.repeat(501)).errors[0]).toEqual(
+      expect.objectContaining({ code: 'too_long', message: 'Answer must be at most 500 characters' })
+    );
+    expect(validate(unsafe, `${'a'.repeat(499)}!`).valid).toBe(true);
+  });
+
+  it('should enforce selection counts for multi-select questions', () => {
+    const question = {
+      id: 'colors',
+      type: 'multiple_choice',
+      options: ['Red', 'Green', 'Blue'],
+      validation: { minSelections: 2, maxSelections: 2 },
+    };
+
+    expect(validate(question, ['Red']).errors[0].code).toBe('too_few_selections');
+    expect(validate(question, ['Red', 'Green', 'Blue']).errors[0].code).toBe('too_many_selections');
+    expect(validate(question, ['Red', 'Red']).errors[0].code).toBe('duplicate_selection');
+    expect(validate(question, ['Red', 'Blue']).valid).toBe(true);
+  });
+
+  it('should reject array answers on single-select questions', () => {
+    const question = { id: 'q', type: 'multiple_choice', options: ['Red', 'Blue'] };
+
+    expect(validate(question, ['Red']).errors[0].code).toBe('invalid_type');
+  });
+
+  it('should narrow rating ranges with min/max rules', () => {
+    const question = {
+      id: 'score',
+      type: 'rating',
+      options: [{ min: 1, max: 10 }],
+      validation: { min: 3, max: 8 },
+    };
+
+    expect(validate(question, 2).errors[0]).toEqual(
+      expect.objectContaining({ code: 'out_of_range', message: 'Answer must be between 3 and 8' })
+    );
+    expect(validate(question, 8).valid).toBe(true);
+  });
+});
+
+describe('AnswerValidationService.validateRules', () => {
+  it('should accept well-formed rules', () => {
+    expect(answerValidationService.validateRules('text', { minLength: 1, maxLength: 100 })).toEqual([]);
+    expect(
+      answerValidationService.validateRules('multiple_choice', { maxSelections: 2 }, ['a', 'b'])
+    ).toEqual([]);
+  });
+
+  it('should report unsupported, invalid and contradictory rules', () => {
+    expect(answerValidationService.validateRules('rating', { regex: 'x' })).toEqual([
+      'Rule "regex" is not supported for rating questions',
+    ]);
+    expect(answerValidationService.validateRules('text', { regex: '(' })[0]).toMatch(/regex is invalid/);
+    expect(answerValidationService.validateRules('text', { regex: '^(a+)+$' })).toEqual([
+      'regex could be too slow to check: a repeated group cannot contain a repeated or optional item, as in (a+)+',
+    ]);
+    expect(answerValidationService.validateRules('text', { regex: '^\\d+$', maxLength: 1000 })).toEqual([
+      'maxLength cannot exceed 500 when a regex is set',
+    ]);
+    expect(answerValidationService.validateRules('text', { minLength: 10, maxLength: 5 })).toEqual([
+      'minLength cannot exceed maxLength',
+    ]);
+    expect(
+      answerValidationService.validateRules('multiple_choice', { maxSelections: 3 }, ['a', 'b'])
+    ).toEqual(['maxSelections cannot exceed the number of options']);
+  });
+});
@@ -0,0 +1,124 @@
+// ============================================
+// FILE: backend/tests/apiKeys.unit.test.js
+// Unit tests for API key scopes, expiry, IP allowlists and rotation
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { requireScope } from '../src/middleware/apiKeyAuth.js';
+
+const keyRow = (overrides = {}) => ({
+  key_id: 'key-1',
+  tenant_id: 'tenant-1',
+  key_name: 'backend',
+  tenant_name: 'Acme',
+  tenant_slug: 'acme',
+  tenant_active: true,
+  rate_limit_per_minute: 60,
+  scopes: ['surveys:read'],
+  expires_at: null,
+  ip_allowed: true,
+  revoked_at: null,
+  ...overrides,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireScope', () => {
+  it('should reject keys without the scope', () => {
+    const next = jest.fn();
+    requireScope('surveys:write')({ apiKey: { scopes: ['surveys:read'] } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({
+      statusCode: 403,
+      message: 'This API key is missing the surveys:write scope',
+    }));
+  });
+
+  it('should allow keys with the scope', () => {
+    const next = jest.fn();
+    requireScope('surveys:read')({ apiKey: { scopes: ['surveys:read'] } }, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('ApiKeyService.verifyApiKey', () => {
+  it('should return the key scopes', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [keyRow()] });
+
+    const key = await apiKeyService.verifyApiKey('msk_test', { ip: '10.0.0.1' });
+
+    expect(key.scopes).toEqual(['surveys:read']);
+  });
+
+  it('should reject expired keys', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [keyRow({ expires_at: new Date(Date.now() - 1000) })],
+    });
+
+    await expect(apiKeyService.verifyApiKey('msk_test')).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'API key has expired',
+    });
+  });
+
+  it('should reject addresses outside the allowlist', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [keyRow({ ip_allowed: false })] });
+
+    await expect(
+      apiKeyService.verifyApiKey('msk_test', { ip: '203.0.113.9' })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should match IPv4-mapped client addresses as IPv4', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [keyRow()] });
+
+    await apiKeyService.verifyApiKey('msk_test', { ip: '::ffff:10.0.0.1' });
+
+    expect(query.mock.calls[0][1][2]).toBe('10.0.0.1');
+  });
+});
+
+describe('ApiKeyService.rotateApiKey', () => {
+  const runTransaction = (rows) => async (callback) => callback({
+    query: jest.fn().mockResolvedValue({ rows }),
+  });
+
+  it('should refuse to rotate a key twice', async () => {
+    jest.spyOn(db, 'transaction').mockImplementation(
+      runTransaction([{ id: 'key-1', replaced_by_id: 'key-2', revoked_at: null }])
+    );
+
+    await expect(
+      apiKeyService.rotateApiKey('tenant-1', 'key-1', 'user-1')
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should copy the old key settings onto the replacement', async () => {
+    const oldKey = {
+      id: 'key-1',
+      name: 'backend',
+      scopes: ['responses:read'],
+      expires_at: null,
+      allowed_ips: ['10.0.0.0/8'],
+      rate_limit_per_minute: 120,
+      replaced_by_id: null,
+      revoked_at: null,
+    };
+    jest.spyOn(db, 'transaction').mockImplementation(runTransaction([oldKey]));
+    const createApiKey = jest.spyOn(apiKeyService, 'createApiKey').mockResolvedValue({ id: 'key-2' });
+
+    const result = await apiKeyService.rotateApiKey('tenant-1', 'key-1', 'user-1', { overlapMinutes: 30 });
+
+    expect(createApiKey).toHaveBeenCalledWith('tenant-1', 'backend', 'user-1', {
+      scopes: ['responses:read'],
+      expiresAt: null,
+      allowedIps: ['10.0.0.0/8'],
+      rateLimitPerMinute: 120,
+    }, expect.anything());
+    expect(result.apiKey.id).toBe('key-2');
+  });
+});
@@ -0,0 +1,172 @@
+// ============================================
+// FILE: backend/tests/availability.unit.test.js
+// Unit tests for survey open/close windows, response caps and the status job
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import availabilityService from '../src/modules/surveys/availability.service.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import emailService from '../src/modules/auth/email.utils.js';
+import { updateAvailabilitySchema } from '../src/modules/surveys/surveys.validators.js';
+import { toInstant, formatInTimezone } from '../src/utils/timezones.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Time zone helpers', () => {
+  it('should read wall-clock times in the survey time zone', () => {
+    expect(toInstant('2026-10-26T09:00', 'Europe/Paris').toISOString()).toBe('2026-10-26T08:00:00.000Z');
+    expect(toInstant('2026-07-01T09:00', 'Europe/Paris').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+    expect(toInstant('2026-07-01T09:00+05:00', 'Europe/Paris').toISOString()).toBe('2026-07-01T04:00:00.000Z');
+    expect(formatInTimezone('2026-10-26T08:00:00Z', 'Europe/Paris')).toBe('2026-10-26 09:00 Europe/Paris');
+  });
+});
+
+describe('AvailabilityService.getState', () => {
+  const at = (offsetHours) => new Date(NOW.getTime() + offsetHours * 3600 * 1000);
+
+  it('should report scheduled, open and closed windows', () => {
+    expect(availabilityService.getState({ opens_at: at(1) }, 0, NOW))
+      .toEqual({ state: 'scheduled', reason: 'not_open_yet', opensAt: at(1), closesAt: null });
+    expect(availabilityService.getState({ opens_at: at(-1), closes_at: at(1) }, 0, NOW).state).toBe('open');
+    expect(availabilityService.getState({ closes_at: NOW }, 0, NOW))
+      .toEqual({ state: 'closed', reason: 'closes_at', opensAt: null, closesAt: NOW });
+  });
+
+  it('should close surveys that reached their response limit', () => {
+    expect(availabilityService.getState({ max_responses: 3 }, 2, NOW).state).toBe('open');
+    expect(availabilityService.getState({ max_responses: 3 }, 3, NOW))
+      .toEqual(expect.objectContaining({ state: 'closed', reason: 'max_responses' }));
+  });
+});
+
+describe('EmbedService.submitResponse availability', () => {
+  const SURVEY = {
+    id: 'survey-1',
+    tenant_id: 'tenant-1',
+    survey_key: 'survey_key_1',
+    published_snapshot_id: 'snapshot-1',
+    snapshot_version: 1,
+    snapshot: { questions: [{ id: 'q1', key: 'comments', type: 'text' }] },
+  };
+
+  it('should reject submissions after the survey closed', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [{ ...SURVEY, closes_at: new Date(Date.now() - 1000) }] });
+
+    const error = await embedService
+      .submitResponse('survey_key_1', { answers: [{ questionId: 'q1', answer: 'Late' }] })
+      .catch(e => e);
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toBe('Survey is closed');
+    expect(error.details).toEqual(expect.objectContaining({ state: 'closed', reason: 'closes_at' }));
+  });
+
+  it('should lock the survey and recount inside the transaction when it has a limit', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ ...SURVEY, max_responses: 10 }] })
+      .mockResolvedValueOnce({ rows: [{ count: '9' }] });
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '10' }] }),
+    };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+
+    await expect(embedService.submitResponse('survey_key_1', { answers: [{ questionId: 'q1', answer: 'Hi' }] }))
+      .rejects.toThrow('Survey is closed');
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('AvailabilityService.applyTransitions', () => {
+  it('should flip statuses and email the tenant owners', async () => {
+    const opened = { id: 'survey-1', tenant_id: 'tenant-1', title: 'Launch poll', timezone: 'Europe/Paris' };
+    const closed = {
+      id: 'survey-2',
+      tenant_id: 'tenant-1',
+      title: 'Beta feedback',
+      timezone: 'UTC',
+      max_responses: 500,
+      closed_reason: 'max_responses',
+    };
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [opened] })
+      .mockResolvedValueOnce({ rows: [closed] })
+      .mockResolvedValue({ rows: [{ email: 'owner@example.com' }] });
+    const send = jest.spyOn(emailService, 'sendSurveyAvailability').mockResolvedValue({});
+
+    await expect(availabilityService.applyTransitions(NOW)).resolves.toEqual({ opened: 1, closed: 1 });
+
+    expect(query.mock.calls[0][0]).toContain("SET status = 'published'");
+    expect(query.mock.calls[1][0]).toContain("SET status = 'closed'");
+    expect(send).toHaveBeenCalledWith(['owner@example.com'], expect.objectContaining({
+      surveyTitle: 'Launch poll',
+      event: 'opened',
+      reason: null,
+      at: '2026-10-19 14:00 Europe/Paris',
+    }));
+    expect(send).toHaveBeenCalledWith(['owner@example.com'], expect.objectContaining({
+      event: 'closed',
+      reason: 'max_responses',
+      maxResponses: 500,
+    }));
+  });
+
+  it('should not fail the job when an email cannot be sent', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'survey-2', tenant_id: 'tenant-1', timezone: 'UTC' }] })
+      .mockResolvedValue({ rows: [{ email: 'owner@example.com' }] });
+    jest.spyOn(emailService, 'sendSurveyAvailability').mockRejectedValue(new Error('SMTP down'));
+
+    await expect(availabilityService.applyTransitions(NOW)).resolves.toEqual({ opened: 0, closed: 1 });
+  });
+});
+
+describe('SurveysService.updateAvailability', () => {
+  it('should store the window and move a published survey to its new status', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({
+      id: 'survey-1',
+      status: 'published',
+      timezone: 'UTC',
+      opens_at: null,
+      closes_at: null,
+      max_responses: null,
+    });
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [{ id: 'survey-1', status: 'scheduled' }] });
+
+    await surveysService.updateAvailability('survey-1', 'user-1', {
+      opensAt: '2099-01-05T09:00',
+      timezone: 'America/New_York',
+    });
+
+    expect(surveysService.getById).toHaveBeenCalledWith('survey-1', 'user-1', 'editor');
+    const params = query.mock.calls[0][1];
+    expect(params[0].toISOString()).toBe('2099-01-05T14:00:00.000Z');
+    expect(params.slice(1, 7)).toEqual([null, null, 'America/New_York', 'scheduled', null, 'survey-1']);
+  });
+
+  it('should reject unknown time zones and windows that close before they open', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({ id: 'survey-1', status: 'draft', timezone: 'UTC' });
+
+    await expect(surveysService.updateAvailability('survey-1', 'user-1', { timezone: 'Mars/Olympus' }))
+      .rejects.toThrow('Unknown time zone: Mars/Olympus');
+    await expect(surveysService.updateAvailability('survey-1', 'user-1', {
+      opensAt: '2026-11-02T09:00',
+      closesAt: '2026-11-01T09:00',
+    })).rejects.toThrow('closesAt must be after opensAt');
+  });
+
+  it('should validate the request body', () => {
+    expect(updateAvailabilitySchema.validate({ closesAt: null, maxResponses: 500 }).error).toBeUndefined();
+    expect(updateAvailabilitySchema.validate({ opensAt: 'next monday' }).error.message)
+      .toBe('"opensAt" must be an ISO 8601 date-time, e.g. 2026-10-26T09:00');
+    expect(updateAvailabilitySchema.validate({ maxResponses: 0 }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,140 @@
+// ============================================
+// FILE: backend/tests/billing.unit.test.js
+// Unit tests for the customer billing service
+// ============================================
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import billingService from '../src/modules/billing/billing.service.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import membersService from '../src/modules/tenants/members.service.js';
+import lemonSqueezyClient from '../src/services/lemonSqueezyClient.js';
+
+const user = { userId: 'user-1', email: 'owner@example.com' };
+
+const activeSubscription = {
+  id: 'sub-1',
+  plan_id: 'plan-pro',
+  ls_subscription_id: '445566',
+  status: 'active',
+  ends_at: null,
+};
+
+beforeEach(() => {
+  jest.spyOn(membersService, 'requireRole').mockResolvedValue('owner');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BillingService.getOverview', () => {
+  it('should fall back to the free plan without a subscription', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ slug: 'free' }] });
+    const usage = { plan: 'free', quotas: {} };
+    jest.spyOn(quotaService, 'getUsage').mockResolvedValue(usage);
+
+    const overview = await billingService.getOverview('tenant-1', 'user-1');
+
+    expect(query.mock.calls[1][0]).toContain("slug = 'free'");
+    expect(overview).toEqual({
+      plan: { slug: 'free' }, subscription: null, manageable: false, usage, overQuota: false,
+    });
+  });
+
+  it('should flag a quota that went past its limit for the banner', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ slug: 'free' }] });
+    jest.spyOn(quotaService, 'getUsage').mockResolvedValue({
+      plan: 'free',
+      quotas: {
+        survey: { used: 2, limit: 3, exceeded: false },
+        response: { used: 120, limit: 100, exceeded: true },
+      },
+    });
+
+    const overview = await billingService.getOverview('tenant-1', 'user-1');
+
+    expect(overview.overQuota).toBe(true);
+  });
+
+  it('should keep a cancelled subscription until it ends', () => {
+    const tomorrow = new Date(Date.now() + 86400000);
+
+    expect(billingService.isBillable({ status: 'cancelled', ends_at: tomorrow })).toBe(true);
+    expect(billingService.isBillable({ status: 'cancelled', ends_at: new Date(0) })).toBe(false);
+  });
+});
+
+describe('BillingService.createCheckout', () => {
+  it('should create a checkout for the plan variant with the tenant as custom data', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 'plan-pro', ls_monthly_variant_id: '99102', ls_yearly_variant_id: '99103' }],
+      });
+    const createCheckout = jest.spyOn(lemonSqueezyClient, 'createCheckout')
+      .mockResolvedValue('https://store.lemonsqueezy.com/checkout/abc');
+
+    const result = await billingService.createCheckout('tenant-1', user, {
+      planId: 'plan-pro',
+      billingCycle: 'yearly',
+    });
+
+    expect(result).toEqual({ url: 'https://store.lemonsqueezy.com/checkout/abc' });
+    expect(createCheckout).toHaveBeenCalledWith(expect.objectContaining({
+      variantId: '99103',
+      email: 'owner@example.com',
+      customData: { tenant_id: 'tenant-1' },
+    }));
+  });
+
+  it('should refuse a second subscription', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [activeSubscription] });
+
+    await expect(
+      billingService.createCheckout('tenant-1', user, { planId: 'plan-pro', billingCycle: 'monthly' })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should reject billing cycles the plan has no variant for', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 'plan-pro', ls_monthly_variant_id: '99102', ls_yearly_variant_id: null }],
+      });
+
+    await expect(
+      billingService.createCheckout('tenant-1', user, { planId: 'plan-pro', billingCycle: 'yearly' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('BillingService.getPortalUrls', () => {
+  it('should return the signed customer portal links', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [activeSubscription] });
+    jest.spyOn(lemonSqueezyClient, 'getSubscriptionUrls').mockResolvedValue({
+      customer_portal: 'https://store.lemonsqueezy.com/billing?signature=a',
+      customer_portal_update_subscription: 'https://store.lemonsqueezy.com/billing/445566/update?signature=b',
+      update_payment_method: 'https://store.lemonsqueezy.com/subscription/445566/payment-details?signature=c',
+    });
+
+    await expect(billingService.getPortalUrls('tenant-1', 'user-1')).resolves.toEqual({
+      upgradeUrl: 'https://store.lemonsqueezy.com/billing/445566/update?signature=b',
+      cancelUrl: 'https://store.lemonsqueezy.com/billing?signature=a',
+      updatePaymentMethodUrl: 'https://store.lemonsqueezy.com/subscription/445566/payment-details?signature=c',
+    });
+  });
+
+  it('should reject manually assigned subscriptions', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({
+      rows: [{ ...activeSubscription, ls_subscription_id: 'manual_1' }],
+    });
+
+    await expect(billingService.getPortalUrls('tenant-1', 'user-1')).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
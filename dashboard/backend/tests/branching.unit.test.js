@@ -0,0 +1,212 @@
+// ============================================
+// FILE: backend/tests/branching.unit.test.js
+// Unit tests for branching / skip logic
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import branchingService from '../src/services/branchingService.js';
+import answerValidationService from '../src/services/answerValidationService.js';
+import questionsService from '../src/modules/questions/questions.service.js';
+
+const questions = [
+  {
+    id: 'q1',
+    key: 'uses_product',
+    type: 'multiple_choice',
+    options: ['Yes', 'No'],
+    required: true,
+    conditional: {
+      jumps: [{ when: { conditions: [{ question: 'uses_product', operator: 'equals', value: 'No' }] }, goTo: 'end' }],
+    },
+  },
+  { id: 'q2', key: 'score', type: 'rating', options: [{ min: 1, max: 5 }], required: true },
+  {
+    id: 'q3',
+    key: 'what_went_wrong',
+    type: 'text',
+    required: true,
+    conditional: {
+      showIf: { conditions: [{ question: 'score', operator: 'less_than', value: 3 }] },
+    },
+  },
+  { id: 'q4', key: 'anything_else', type: 'text', required: false },
+];
+
+describe('BranchingService.resolvePath', () => {
+  it('should show every question when no rules apply', () => {
+    expect(branchingService.resolvePath(questions, { q1: 'Yes', q2: 5 })).toEqual(['q1', 'q2', 'q4']);
+  });
+
+  it('should show conditional questions when their rule matches', () => {
+    expect(branchingService.resolvePath(questions, { q1: 'Yes', q2: 2 })).toEqual(['q1', 'q2', 'q3', 'q4']);
+  });
+
+  it('should stop at a jump to the end', () => {
+    expect(branchingService.resolvePath(questions, { q1: 'no', q2: 1 })).toEqual(['q1']);
+  });
+
+  it('should evaluate contains against text and multi-select answers', () => {
+    const condition = { operator: 'contains', value: 'price' };
+
+    expect(branchingService.evaluateCondition(condition, 'The PRICE is high')).toBe(true);
+    expect(branchingService.evaluateCondition(condition, ['Price', 'Support'])).toBe(true);
+    expect(branchingService.evaluateCondition(condition, undefined)).toBe(false);
+  });
+});
+
+describe('BranchingService.validateLogic', () => {
+  it('should accept forward references', () => {
+    expect(branchingService.validateLogic(questions)).toEqual([]);
+  });
+
+  it('should report missing questions and jump targets', () => {
+    const problems = branchingService.validateLogic([
+      {
+        key: 'a',
+        conditional: {
+          showIf: { conditions: [{ question: 'ghost', operator: 'answered' }] },
+          jumps: [{ when: { conditions: [{ question: 'a', operator: 'answered' }] }, goTo: 'nowhere' }],
+        },
+      },
+    ]);
+
+    expect(problems).toEqual([
+      'Question "a" references missing question "ghost"',
+      'Question "a" jumps to missing question "nowhere"',
+    ]);
+  });
+
+  it('should detect backward jumps and forward dependencies as cycles', () => {
+    const backwardJump = branchingService.validateLogic([
+      { key: 'a' },
+      { key: 'b', conditional: { jumps: [{ when: { conditions: [{ question: 'b', operator: 'answered' }] }, goTo: 'a' }] } },
+    ]);
+    const forwardDependency = branchingService.validateLogic([
+      { key: 'a', conditional: { showIf: { conditions: [{ question: 'b', operator: 'equals', value: 'x' }] } } },
+      { key: 'b' },
+    ]);
+
+    expect(backwardJump).toEqual(['Branching rules create a cycle: a → b → a']);
+    expect(forwardDependency).toEqual(['Branching rules create a cycle: a → b → a']);
+  });
+});
+
+describe('BranchingService option values', () => {
+  const plan = {
+    id: 'q1',
+    key: 'plan',
+    type: 'multiple_choice',
+    options: [{ id: 'opt-free', text: 'Free' }, { id: 'opt-pro', text: 'Pro' }],
+  };
+  const upgrade = (value) => ({
+    id: 'q2',
+    key: 'upgrade',
+    type: 'text',
+    conditional: { showIf: { conditions: [{ question: 'plan', operator: 'equals', value }] } },
+  });
+
+  it('should require conditions on choice questions to name an option id', () => {
+    expect(branchingService.validateLogic([plan, upgrade('opt-free')])).toEqual([]);
+    expect(branchingService.validateLogic([plan, upgrade('Enterprise')])).toEqual([
+      'Question "upgrade" compares "plan" with "Enterprise", which is not one of its options',
+    ]);
+  });
+
+  it('should resolve option texts in conditions to option ids', () => {
+    const { conditional } = upgrade(' free ');
+
+    expect(branchingService.resolveOptionValues(conditional, [plan]).showIf.conditions[0].value).toBe('opt-free');
+    expect(branchingService.resolveOptionValues(upgrade('opt-pro').conditional, [plan])).toEqual(upgrade('opt-pro').conditional);
+    expect(branchingService.resolveOptionValues(null, [plan])).toBeNull();
+  });
+});
+
+describe('QuestionsService branching checks', () => {
+  const SURVEY_ID = 'survey-1';
+  const rows = [
+    { id: 'q1', key: 'plan', type: 'multiple_choice', position: 0, meta: { options: [{ id: 'opt-free', text: 'Free' }, { id: 'opt-pro', text: 'Pro' }] } },
+    {
+      id: 'q2',
+      key: 'upgrade',
+      type: 'text',
+      position: 1,
+      meta: { options: [], conditional: { showIf: { conditions: [{ question: 'plan', operator: 'equals', value: 'opt-free' }] } } },
+    },
+  ];
+  const existing = (row) => ({
+    id: row.id,
+    surveyId: SURVEY_ID,
+    key: row.key,
+    questionType: row.type,
+    options: row.meta.options,
+    conditional: row.meta.conditional || null,
+    position: row.position,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function mockSurvey() {
+    return jest.spyOn(db, 'query').mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT pages')) return { rows: [{ pages: [] }] };
+      if (sql.startsWith('SELECT id, key, type, meta, position')) return { rows };
+      return { rows: [{ meta: {} }] };
+    });
+  }
+
+  it('should reject deleting a question other rules reference', async () => {
+    const query = mockSurvey();
+    jest.spyOn(questionsService, 'getById').mockResolvedValue(existing(rows[0]));
+
+    await expect(questionsService.delete('q1', 'user-1')).rejects.toMatchObject({
+      statusCode: 400,
+      details: { errors: ['Question "upgrade" references missing question "plan"'] },
+    });
+    expect(query.mock.calls.some(([sql]) => sql.startsWith('DELETE'))).toBe(false);
+  });
+
+  it('should reject removing an option other rules reference', async () => {
+    mockSurvey();
+    jest.spyOn(questionsService, 'getById').mockResolvedValue(existing(rows[0]));
+
+    await expect(questionsService.update('q1', 'user-1', { options: [{ id: 'opt-pro', text: 'Pro' }, 'Team'] }))
+      .rejects.toMatchObject({
+        statusCode: 400,
+        details: { errors: ['Question "upgrade" compares "plan" with "opt-free", which is not one of its options'] },
+      });
+  });
+
+  it('should store rules written with option texts as option ids', async () => {
+    const query = mockSurvey();
+    jest.spyOn(questionsService, 'getById').mockResolvedValue(existing(rows[1]));
+
+    await questionsService.update('q2', 'user-1', {
+      conditional: { showIf: { conditions: [{ question: 'plan', operator: 'equals', value: 'Pro' }] } },
+    });
+
+    const [, params] = query.mock.calls.find(([sql]) => sql.includes('UPDATE questions'));
+    expect(JSON.parse(params[0]).conditional.showIf.conditions[0].value).toBe('opt-pro');
+  });
+});
+
+describe('AnswerValidationService with branching', () => {
+  it('should not require questions skipped by branching', () => {
+    const result = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'No' },
+      { questionId: 'q4', answer: 'Stale answer from an abandoned path' },
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.answers).toEqual([{ questionId: 'q1', answer: 'No' }]);
+  });
+
+  it('should require conditional questions once they are shown', () => {
+    const result = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 'Yes' },
+      { questionId: 'q2', answer: 1 },
+    ]);
+
+    expect(result.errors).toEqual([expect.objectContaining({ questionId: 'q3', code: 'required' })]);
+  });
+});
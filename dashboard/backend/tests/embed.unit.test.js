@@ -0,0 +1,195 @@
+// ============================================
+// FILE: backend/tests/embed.unit.test.js
+// Unit tests for public widget submissions
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import db from '../src/config/db.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+import { submissionRateLimiter } from '../src/middleware/rateLimit.middleware.js';
+
+const SURVEY = {
+  id: 'survey-1',
+  tenant_id: 'tenant-1',
+  survey_key: 'survey_key_1',
+  published_snapshot_id: 'snapshot-1',
+  snapshot_version: 2,
+  snapshot: {
+    questions: [
+      { id: 'q1', type: 'multiple_choice', options: [{ id: 'opt-red', text: 'Red' }], required: true },
+      { id: 'q2', type: 'text', options: [], required: false },
+    ],
+  },
+};
+
+const ANSWERS = [{ questionId: 'q1', answer: 'opt-red' }, { questionId: 'q2', answer: 'Nice' }];
+
+// The insert returns `inserted`, every other statement no rows
+const fakeClient = (inserted = [{ id: 'response-1' }]) => ({
+  query: jest.fn(async (sql) => (sql.includes('INSERT INTO survey_responses') ? { rows: inserted } : { rows: [] })),
+});
+
+const mockSideEffects = () => ({
+  consume: jest.spyOn(quotaService, 'consume').mockResolvedValue({ used: 1, limit: 100, exceeded: false }),
+  forward: jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({}),
+  invalidate: jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue(),
+  dispatch: jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue(1),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('EmbedService.submitResponse', () => {
+  it('should store the response and its submit event in one transaction', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [SURVEY] })
+      .mockResolvedValueOnce({ rows: [] });
+    const client = fakeClient();
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    const { consume, forward, dispatch } = mockSideEffects();
+
+    const outcome = await embedService.submitResponse(
+      'survey_key_1',
+      { answers: ANSWERS, metadata: { sessionId: 'sess-1' } },
+      { ip: '203.0.113.9', country: 'FR' }
+    );
+
+    expect(outcome).toEqual({ responseId: 'response-1', duplicate: false });
+    const [insert, event] = client.query.mock.calls;
+    expect(insert[0]).toContain('ON CONFLICT (survey_id, session_id)');
+    expect(insert[1].slice(1, 3)).toEqual(['survey-1', 'sess-1']);
+    expect(JSON.parse(insert[1][3]).answers).toEqual(ANSWERS);
+    // Only the text answer is searchable, not the chosen option's id
+    expect(insert[0]).toContain("to_tsvector('simple', $15)");
+    expect(insert[1][14]).toBe('Nice');
+    expect(event[0]).toContain("'survey_submit'");
+    expect(JSON.parse(event[1][5]).responseId).toBe('response-1');
+    expect(consume).toHaveBeenCalledWith('tenant-1', 'response', { resourceId: 'response-1', client });
+    expect(forward).toHaveBeenCalledWith('survey_key_1', expect.objectContaining({ responseId: 'response-1' }));
+    expect(dispatch).toHaveBeenCalledWith('tenant-1', 'response.created', expect.objectContaining({
+      responseId: 'response-1',
+    }));
+  });
+
+  it('should return the stored response when the session already submitted', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [SURVEY] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-0', quiz: null }] });
+    const transaction = jest.spyOn(db, 'transaction');
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: ANSWERS,
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(outcome).toEqual({ responseId: 'response-0', duplicate: true });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('should return the stored response for a retry with edited answers', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [SURVEY] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-0', quiz: null }] });
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: 'q1', answer: 'opt-green' }],
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(outcome).toEqual({ responseId: 'response-0', duplicate: true });
+  });
+
+  it('should return the stored response for a retry after the survey closed', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ ...SURVEY, closes_at: new Date(Date.now() - 1000) }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-0', quiz: null }] });
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: ANSWERS,
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(outcome).toEqual({ responseId: 'response-0', duplicate: true });
+  });
+
+  it('should fall back to the stored response when a concurrent submit wins the insert', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [SURVEY] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-0', quiz: null }] });
+    const client = fakeClient([]);
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    const { consume, forward } = mockSideEffects();
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: ANSWERS,
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(outcome).toEqual({ responseId: 'response-0', duplicate: true });
+    // Nothing after the lost insert runs: no event, quota or forward
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(consume).not.toHaveBeenCalled();
+    expect(forward).not.toHaveBeenCalled();
+  });
+
+  it('should reject submissions to a closed survey', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({
+      rows: [{ ...SURVEY, closes_at: new Date(Date.now() - 1000) }],
+    });
+    const transaction = jest.spyOn(db, 'transaction');
+
+    await expect(embedService.submitResponse('survey_key_1', { answers: ANSWERS }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Survey is closed' });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('should not forward a response the quota rejected', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [SURVEY] });
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(fakeClient()));
+    const { consume, forward, dispatch } = mockSideEffects();
+    consume.mockRejectedValue(quotaService.limitError('response', 100));
+
+    await expect(embedService.submitResponse('survey_key_1', { answers: ANSWERS }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(forward).not.toHaveBeenCalled();
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid answers before opening a transaction', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [SURVEY] });
+    const transaction = jest.spyOn(db, 'transaction');
+
+    const error = await embedService
+      .submitResponse('survey_key_1', { answers: [{ questionId: 'q1', answer: 'opt-green' }] })
+      .catch(e => e);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.details.errors).toEqual([expect.objectContaining({ questionId: 'q1' })]);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('submissionRateLimiter', () => {
+  it('should allow 10 submissions a minute per survey and IP', async () => {
+    const app = express();
+    app.post('/:surveyKey/responses', submissionRateLimiter, (req, res) => res.status(201).end());
+
+    for (let i = 0; i < 10; i++) {
+      await request(app).post('/survey_key_limit/responses').expect(201);
+    }
+
+    const limited = await request(app).post('/survey_key_limit/responses');
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('SUBMISSION_RATE_LIMIT_EXCEEDED');
+
+    // Another survey has its own budget
+    await request(app).post('/survey_key_other/responses').expect(201);
+  });
+});
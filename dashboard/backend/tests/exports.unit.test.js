@@ -0,0 +1,196 @@
+// ============================================
+// FILE: backend/tests/exports.unit.test.js
+// Unit tests for the export worker, signed links and the XLSX writer
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
+import db from '../src/config/db.js';
+import exportsService from '../src/modules/exports/exports.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+import { writeXlsx } from '../src/utils/xlsx.js';
+
+const JOB = {
+  id: '44444444-4444-4444-8444-444444444444',
+  survey_id: 'survey-1',
+  tenant_id: 'tenant-1',
+  export_type: 'csv',
+  options: { includeMetadata: false },
+};
+
+const RESPONSE = {
+  id: 'response-1',
+  session_id: 'session-1',
+  country_code: 'DE',
+  snapshot_version: 2,
+  created_at: new Date('2026-03-01T10:00:00Z'),
+  response_data: { answers: [{ questionId: 'q1', answer: ['red', 'blue'] }, { questionId: 'old', answer: '=1+1' }] },
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Mock the worker's queries in order: claim, snapshot questions,
+ * answered keys, one batch of responses, completion
+ */
+function mockExportQueries(job) {
+  return jest.spyOn(db, 'query')
+    .mockResolvedValueOnce({ rows: [job] })
+    .mockResolvedValueOnce({ rows: [{ questions: [{ id: 'q1' }, { id: 'q2' }] }] })
+    .mockResolvedValueOnce({ rows: [{ question_id: 'old' }, { question_id: 'q1' }] })
+    .mockResolvedValueOnce({ rows: [RESPONSE] })
+    .mockResolvedValueOnce({ rows: [{ completed_at: new Date() }] });
+}
+
+async function captureStoredFile() {
+  let contents;
+  jest.spyOn(exportsService, 'storeFile').mockImplementation(async (job, tempPath) => {
+    contents = await fs.readFile(tempPath);
+    return `exports/${job.tenant_id}/${job.id}.${job.export_type}`;
+  });
+  return () => contents;
+}
+
+// Read one entry back out of a ZIP buffer via its central directory
+function readZipEntry(zip, name) {
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = zip.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < zip.readUInt16LE(eocd + 10); i++) {
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const entryName = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (entryName === name) {
+      const compressedSize = zip.readUInt32LE(offset + 20);
+      const local = zip.readUInt32LE(offset + 42);
+      const dataStart = local + 30 + zip.readUInt16LE(local + 26);
+      const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+      return { data: data.toString('utf8') };
+    }
+    offset += 46 + nameLength;
+  }
+
+  return null;
+}
+
+describe('ExportsService.process', () => {
+  it('should write one CSV row per response with a column per question', async () => {
+    const query = mockExportQueries(JOB);
+    const stored = await captureStoredFile();
+    const dispatch = jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    const result = await exportsService.process(JOB.id);
+
+    expect(result.rowCount).toBe(1);
+    expect(stored().toString()).toBe(
+      'response_id,submitted_at,q1,q2,old\n'
+      + "response-1,2026-03-01T10:00:00.000Z,red; blue,,'=1+1\n"
+    );
+    expect(query.mock.calls[4][1]).toEqual([JOB.id, `exports/tenant-1/${JOB.id}.csv`, expect.any(Number), 1]);
+    expect(dispatch).toHaveBeenCalledWith('tenant-1', 'export.completed', expect.objectContaining({
+      exportJobId: JOB.id,
+      rowCount: 1,
+      fileUrl: expect.stringContaining(`/api/exports/${JOB.id}/download?expires=`),
+    }));
+  });
+
+  it('should keep native answer values and metadata in JSON exports', async () => {
+    mockExportQueries({ ...JOB, export_type: 'json', options: {} });
+    const stored = await captureStoredFile();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    await exportsService.process(JOB.id);
+
+    expect(JSON.parse(stored().toString())).toEqual([{
+      response_id: 'response-1',
+      submitted_at: '2026-03-01T10:00:00.000Z',
+      session_id: 'session-1',
+      country_code: 'DE',
+      snapshot_version: 2,
+      q1: ['red', 'blue'],
+      q2: null,
+      old: '=1+1',
+    }]);
+  });
+
+  it('should produce a readable XLSX workbook', async () => {
+    mockExportQueries({ ...JOB, export_type: 'xlsx' });
+    const stored = await captureStoredFile();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    await exportsService.process(JOB.id);
+
+    const sheet = readZipEntry(stored(), 'xl/worksheets/sheet1.xml');
+    expect(sheet.data).toContain('<t xml:space="preserve">red; blue</t>');
+    expect(readZipEntry(stored(), 'xl/workbook.xml').data).toContain('name="Responses"');
+  });
+
+  it('should mark the job failed on the final attempt', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [JOB] })
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(exportsService.process(JOB.id, { isFinalAttempt: true })).rejects.toThrow('connection lost');
+    expect(query.mock.calls[2][0]).toContain("status = 'failed'");
+    expect(query.mock.calls[2][1]).toEqual([JOB.id, 'connection lost']);
+  });
+
+  it('should skip jobs that are no longer pending', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(exportsService.process(JOB.id)).resolves.toEqual({ skipped: true });
+  });
+});
+
+describe('ExportsService.createJob', () => {
+  it('should fail the job when it cannot be queued', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: JOB.id }] })
+      .mockResolvedValueOnce({ rows: [] });
+    jest.spyOn(exportsService, 'scheduleExport').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(
+      exportsService.createJob({ id: 'survey-1', tenant_id: 'tenant-1' }, { format: 'xlsx' })
+    ).rejects.toMatchObject({ statusCode: 500 });
+    expect(query.mock.calls[1][1]).toEqual([JOB.id, 'Could not queue export']);
+  });
+});
+
+describe('Signed download links', () => {
+  const linkParams = (url) => Object.fromEntries(new URL(url).searchParams);
+
+  it('should accept its own unexpired links', () => {
+    const { expires, signature } = linkParams(exportsService.getDownloadUrl(JOB.id));
+
+    expect(() => exportsService.verifySignature(JOB.id, expires, signature)).not.toThrow();
+  });
+
+  it('should reject expired, tampered and foreign links', () => {
+    const { expires, signature } = linkParams(exportsService.getDownloadUrl(JOB.id, { now: Date.now() - 3600 * 1000 }));
+    const fresh = linkParams(exportsService.getDownloadUrl(JOB.id));
+
+    expect(() => exportsService.verifySignature(JOB.id, expires, signature)).toThrow('invalid or has expired');
+    expect(() => exportsService.verifySignature(JOB.id, Number(fresh.expires) + 60, fresh.signature)).toThrow();
+    expect(() => exportsService.verifySignature('other-job', fresh.expires, fresh.signature)).toThrow();
+  });
+});
+
+describe('writeXlsx', () => {
+  it('should stream a valid ZIP with escaped inline strings', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', (chunk) => chunks.push(chunk));
+
+    await writeXlsx(output, ['Name', 'Score'], [['<b>&</b>', 4.5], ['bad\u0001char', true]]);
+    const zip = Buffer.concat(chunks);
+    const sheet = readZipEntry(zip, 'xl/worksheets/sheet1.xml');
+
+    expect(sheet.data).toContain('<t xml:space="preserve">&lt;b&gt;&amp;&lt;/b&gt;</t></is></c><c><v>4.5</v></c>');
+    expect(sheet.data).toContain('badchar</t></is></c><c t="b"><v>1</v></c>');
+    expect(zip.readUInt16LE(zip.length - 12)).toBe(5);
+  });
+});
@@ -0,0 +1,205 @@
+// ============================================
+// FILE: backend/tests/lemonSqueezyWebhook.unit.test.js
+// Lemon Squeezy webhook ingestion against recorded fixture payloads
+// ============================================
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { describe, it, expect, jest, beforeAll, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import { config } from '../src/config/index.js';
+import lemonSqueezyWebhookService from '../src/modules/billing/lemonSqueezyWebhook.service.js';
+
+const SECRET = 'ls_test_signing_secret';
+
+const fixture = (name) =>
+  readFileSync(new URL(`./fixtures/lemonsqueezy/${name}.json`, import.meta.url), 'utf8');
+
+const sign = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+// Answers transaction queries by SQL fragment and records every call
+const fakeClient = (responses = {}) => {
+  const calls = [];
+  const client = {
+    calls,
+    query: jest.fn(async (sql, params) => {
+      calls.push({ sql, params });
+      const match = Object.keys(responses).find((fragment) => sql.includes(fragment));
+      return match ? responses[match] : { rows: [] };
+    }),
+  };
+  return client;
+};
+
+const storedEvent = (body, overrides = {}) => ({
+  id: 'event-row-1',
+  event_id: 'evt',
+  payload: JSON.parse(body),
+  processed: false,
+  retry_count: 0,
+  ...overrides,
+});
+
+beforeAll(() => {
+  config.billing.lemonSqueezyWebhookSecret = SECRET;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LemonSqueezyWebhookService.receive', () => {
+  it('should reject payloads with a bad signature', async () => {
+    const body = fixture('subscription_created');
+
+    await expect(
+      lemonSqueezyWebhookService.receive(body, sign(`${body} `))
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject a signature with multi-byte characters as unauthorized', async () => {
+    const body = fixture('subscription_created');
+    // Same number of characters as a hex digest, more bytes
+    const signature = `${sign(body).slice(0, 63)}é`;
+
+    await expect(
+      lemonSqueezyWebhookService.receive(body, signature)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should acknowledge already processed events without reprocessing', async () => {
+    const body = fixture('subscription_created');
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [storedEvent(body, { processed: true })] });
+    const transaction = jest.spyOn(db, 'transaction');
+
+    const result = await lemonSqueezyWebhookService.receive(body, sign(body));
+
+    expect(result.duplicate).toBe(true);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('should derive a stable event id from the event, object and updated_at', () => {
+    const payload = JSON.parse(fixture('subscription_updated'));
+
+    expect(lemonSqueezyWebhookService.getEventId(payload)).toBe(
+      'subscription_updated:subscriptions:445566:2025-06-20T08:30:00.000000Z'
+    );
+  });
+
+  it('should count failures in retry_count and queue a retry', async () => {
+    const body = fixture('subscription_created');
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [storedEvent(body)] });
+    jest.spyOn(db, 'transaction').mockRejectedValue(new Error('deadlock detected'));
+    const scheduleRetry = jest.spyOn(lemonSqueezyWebhookService, 'scheduleRetry').mockResolvedValue('job-1');
+
+    const result = await lemonSqueezyWebhookService.receive(body, sign(body));
+
+    expect(result).toMatchObject({ processed: false, retryQueued: true });
+    expect(scheduleRetry).toHaveBeenCalledWith('event-row-1');
+    const failure = query.mock.calls.find(([sql]) => sql.includes('retry_count = retry_count + 1'));
+    expect(failure[1]).toEqual(['deadlock detected', 'event-row-1']);
+  });
+});
+
+describe('LemonSqueezyWebhookService.processEvent', () => {
+  const plan = { rows: [{ id: 'plan-pro', billing_cycle: 'monthly' }] };
+
+  it('should create the subscription and link it to the tenant', async () => {
+    const client = fakeClient({
+      'FROM plans': plan,
+      'INSERT INTO subscriptions': { rows: [{ id: 'sub-1', tenant_id: '7b0c2f1e-4c1d-4a8e-9f3a-2d6b1c0e9a11', user_id: null }] },
+    });
+    jest.spyOn(db, 'transaction').mockImplementation((callback) => callback(client));
+
+    await lemonSqueezyWebhookService.processEvent(storedEvent(fixture('subscription_created')));
+
+    const insert = client.calls.find(({ sql }) => sql.includes('INSERT INTO subscriptions'));
+    expect(insert.params.slice(2, 11)).toEqual([
+      '7b0c2f1e-4c1d-4a8e-9f3a-2d6b1c0e9a11',
+      'plan-pro',
+      '445566',
+      '67890',
+      '111222',
+      '99102',
+      '55501',
+      'active',
+      'monthly',
+    ]);
+    expect(client.calls.some(({ sql }) => sql.includes('UPDATE tenants SET subscription_id'))).toBe(true);
+    expect(client.calls.at(-1).sql).toContain('SET processed = true');
+  });
+
+  it('should keep the owner of an existing subscription on update', async () => {
+    const client = fakeClient({
+      'FROM plans': { rows: [{ id: 'plan-pro', billing_cycle: 'yearly' }] },
+      'SELECT id, tenant_id, user_id FROM subscriptions': { rows: [{ id: 'sub-1', tenant_id: 'tenant-existing', user_id: null }] },
+      'INSERT INTO subscriptions': { rows: [{ id: 'sub-1', tenant_id: 'tenant-existing', user_id: null }] },
+    });
+    jest.spyOn(db, 'transaction').mockImplementation((callback) => callback(client));
+
+    await lemonSqueezyWebhookService.processEvent(storedEvent(fixture('subscription_updated')));
+
+    const insert = client.calls.find(({ sql }) => sql.includes('INSERT INTO subscriptions'));
+    expect(insert.params[2]).toBe('tenant-existing');
+    expect(insert.params[10]).toBe('yearly');
+  });
+
+  it('should record the cancellation', async () => {
+    const client = fakeClient({
+      'FROM plans': plan,
+      'INSERT INTO subscriptions': { rows: [{ id: 'sub-1', tenant_id: 'tenant-1', user_id: null }] },
+    });
+    jest.spyOn(db, 'transaction').mockImplementation((callback) => callback(client));
+
+    await lemonSqueezyWebhookService.processEvent(storedEvent(fixture('subscription_cancelled')));
+
+    const insert = client.calls.find(({ sql }) => sql.includes('INSERT INTO subscriptions'));
+    expect(insert.params[9]).toBe('cancelled');
+    expect(insert.params[13]).toBe('2025-07-12T10:00:00.000000Z');
+    expect(insert.params[14]).toBeInstanceOf(Date);
+  });
+
+  it.each([
+    ['subscription_payment_success', 'paid'],
+    ['subscription_payment_failed', 'failed'],
+  ])('should upsert the invoice for %s', async (name, status) => {
+    const client = fakeClient({
+      'FROM subscriptions WHERE ls_subscription_id': { rows: [{ id: 'sub-1' }] },
+    });
+    jest.spyOn(db, 'transaction').mockImplementation((callback) => callback(client));
+
+    await lemonSqueezyWebhookService.processEvent(storedEvent(fixture(name)));
+
+    const insert = client.calls.find(({ sql }) => sql.includes('INSERT INTO invoices'));
+    expect(insert.sql).toContain('ON CONFLICT (ls_order_id) DO UPDATE');
+    expect(insert.params.slice(1, 7)).toEqual([
+      'sub-1',
+      '778899',
+      'https://app.lemonsqueezy.com/my-orders/invoice/778899',
+      4900,
+      'USD',
+      status,
+    ]);
+  });
+
+  it('should fail invoices for subscriptions it has not seen yet', async () => {
+    jest.spyOn(db, 'transaction').mockImplementation((callback) => callback(fakeClient()));
+
+    await expect(
+      lemonSqueezyWebhookService.processEvent(storedEvent(fixture('subscription_payment_success')))
+    ).rejects.toThrow('Unknown Lemon Squeezy subscription 445566');
+  });
+});
+
+describe('LemonSqueezyWebhookService.retryEvent', () => {
+  it('should stop once retries are exhausted', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [storedEvent(fixture('subscription_created'), { retry_count: 5 })],
+    });
+    const processEvent = jest.spyOn(lemonSqueezyWebhookService, 'processEvent');
+
+    await expect(lemonSqueezyWebhookService.retryEvent('event-row-1')).resolves.toEqual({ skipped: true });
+    expect(processEvent).not.toHaveBeenCalled();
+  });
+});
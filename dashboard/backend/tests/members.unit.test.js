@@ -0,0 +1,71 @@
+// ============================================
+// FILE: backend/tests/members.unit.test.js
+// Unit tests for tenant roles and invitation limits
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import membersService from '../src/modules/tenants/members.service.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MembersService roles', () => {
+  it('should follow the viewer < editor < admin < owner hierarchy', () => {
+    expect(membersService.hasRole('owner', 'admin')).toBe(true);
+    expect(membersService.hasRole('editor', 'editor')).toBe(true);
+    expect(membersService.hasRole('viewer', 'editor')).toBe(false);
+    expect(membersService.hasRole(null, 'viewer')).toBe(false);
+  });
+
+  it('should reject insufficient roles with 403', () => {
+    expect(() => membersService.assertRole('viewer', 'editor')).toThrow(
+      expect.objectContaining({ statusCode: 403 })
+    );
+  });
+
+  it('should only let owners promote members to admin', async () => {
+    jest.spyOn(membersService, 'requireRole').mockResolvedValue('admin');
+    jest.spyOn(membersService, 'getMember').mockResolvedValue({ id: 'm1', role: 'viewer', user_id: 'u2' });
+
+    await expect(
+      membersService.updateMemberRole('t1', 'm1', 'u1', 'admin')
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should never remove the owner', async () => {
+    jest.spyOn(membersService, 'requireRole').mockResolvedValue('owner');
+    jest.spyOn(membersService, 'getMember').mockResolvedValue({ id: 'm1', role: 'owner', user_id: 'u2' });
+
+    await expect(membersService.removeMember('t1', 'm1', 'u1')).rejects.toThrow(
+      'The tenant owner cannot be removed'
+    );
+  });
+});
+
+describe('MembersService.assertSeatAvailable', () => {
+  it('should block invitations once members plus pending invites reach the plan limit', async () => {
+    jest.spyOn(membersService, 'getTeamMembersLimit').mockResolvedValue(3);
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [{ seats: '3' }] });
+
+    await expect(membersService.assertSeatAvailable('t1')).rejects.toThrow(
+      'Your plan allows 3 team members. Upgrade to invite more.'
+    );
+  });
+
+  it('should allow invitations below the limit', async () => {
+    jest.spyOn(membersService, 'getTeamMembersLimit').mockResolvedValue(3);
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [{ seats: '2' }] });
+
+    await expect(membersService.assertSeatAvailable('t1')).resolves.toBeUndefined();
+  });
+
+  it('should treat -1 as unlimited', async () => {
+    jest.spyOn(membersService, 'getTeamMembersLimit').mockResolvedValue(-1);
+    const query = jest.spyOn(db, 'query');
+
+    await membersService.assertSeatAvailable('t1');
+
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+// ============================================
+// FILE: backend/tests/nps.unit.test.js
+// Unit tests for NPS questions, segment branching and scoring
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import answerValidationService from '../src/services/answerValidationService.js';
+import branchingService from '../src/services/branchingService.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import { calculateNps, npsSegment } from '../src/utils/nps.js';
+
+const segmentFollowUp = (key, segment) => ({
+  id: key,
+  key,
+  type: 'text',
+  required: false,
+  conditional: {
+    showIf: { conditions: [{ question: 'recommend', operator: 'nps_segment', value: segment }] },
+  },
+});
+
+const questions = [
+  { id: 'q1', key: 'recommend', type: 'nps', options: [], required: true },
+  segmentFollowUp('why_low', 'detractor'),
+  segmentFollowUp('why_high', 'promoter'),
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NPS scoring', () => {
+  it('should segment scores at 6/7 and 8/9', () => {
+    expect([0, 6, 7, 8, 9, 10].map(npsSegment)).toEqual([
+      'detractor', 'detractor', 'passive', 'passive', 'promoter', 'promoter',
+    ]);
+    expect(npsSegment(11)).toBeNull();
+    expect(npsSegment(7.5)).toBeNull();
+  });
+
+  it('should compute % promoters minus % detractors', () => {
+    expect(calculateNps({ promoters: 5, passives: 3, detractors: 2 })).toEqual({
+      score: 30,
+      responses: 10,
+      promoters: { count: 5, percentage: 50 },
+      passives: { count: 3, percentage: 30 },
+      detractors: { count: 2, percentage: 20 },
+    });
+    expect(calculateNps({}).score).toBeNull();
+  });
+});
+
+describe('NPS questions', () => {
+  it('should accept whole scores from 0 to 10 only', () => {
+    const validate = (answer) => answerValidationService.validateResponse(questions, [{ questionId: 'q1', answer }]);
+
+    expect(validate(0).valid).toBe(true);
+    expect(validate(10).valid).toBe(true);
+    expect(validate(11).errors[0]).toEqual(expect.objectContaining({
+      code: 'out_of_range',
+      message: 'Answer must be between 0 and 10',
+    }));
+    expect(validate('9').errors[0].code).toBe('invalid_type');
+  });
+
+  it('should show follow-up questions by segment', () => {
+    expect(branchingService.resolvePath(questions, { q1: 3 })).toEqual(['q1', 'why_low']);
+    expect(branchingService.resolvePath(questions, { q1: 8 })).toEqual(['q1']);
+    expect(branchingService.resolvePath(questions, { q1: 10 })).toEqual(['q1', 'why_high']);
+  });
+
+  it('should drop follow-up answers for the other segments', () => {
+    const { answers } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: 9 },
+      { questionId: 'why_low', answer: 'Too slow' },
+      { questionId: 'why_high', answer: 'Fast support' },
+    ]);
+
+    expect(answers.map(a => a.questionId)).toEqual(['q1', 'why_high']);
+  });
+
+  it('should reject unknown segments and segment checks on other question types', () => {
+    const problems = branchingService.validateLogic([
+      { id: 'q1', key: 'recommend', type: 'nps' },
+      { id: 'q2', key: 'rating', type: 'rating' },
+      {
+        id: 'q3',
+        key: 'follow_up',
+        type: 'text',
+        conditional: {
+          showIf: {
+            logic: 'any',
+            conditions: [
+              { question: 'recommend', operator: 'nps_segment', value: 'fan' },
+              { question: 'rating', operator: 'nps_segment', value: 'promoter' },
+            ],
+          },
+        },
+      },
+    ]);
+
+    expect(problems).toEqual([
+      'Question "follow_up" uses unknown NPS segment "fan"',
+      'Question "follow_up" checks the NPS segment of non-NPS question "rating"',
+    ]);
+  });
+});
+
+describe('AnalyticsService NPS', () => {
+  it('should score the first NPS question of the published snapshot', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ questions: [{ id: 'q0', type: 'text' }, { id: 'q1', type: 'nps', text: 'Recommend us?' }] }] })
+      .mockResolvedValueOnce({ rows: [{ promoters: '6', passives: '2', detractors: '2' }] });
+
+    const nps = await analyticsService.getNps('survey-1');
+
+    expect(query.mock.calls[1][1]).toEqual(['survey-1', 'q1']);
+    expect(nps).toEqual(expect.objectContaining({ questionId: 'q1', score: 40, responses: 10 }));
+  });
+
+  it('should return null for surveys without an NPS question', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [{ questions: [{ id: 'q0', type: 'rating' }] }] });
+
+    await expect(analyticsService.getNps('survey-1')).resolves.toBeNull();
+  });
+
+  it('should trend NPS per period', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ questions: [{ id: 'q1', type: 'nps' }] }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { period: '2026-03-01', promoters: '1', passives: '0', detractors: '1' },
+          { period: '2026-03-02', promoters: '3', passives: '1', detractors: '0' },
+        ],
+      });
+
+    const trend = await analyticsService.getNpsTrend('survey-1', 7);
+
+    expect(trend.map(({ date, score }) => ({ date, score }))).toEqual([
+      { date: '2026-03-01', score: 0 },
+      { date: '2026-03-02', score: 75 },
+    ]);
+  });
+
+  it('should break NPS answers down by score', () => {
+    const responses = [3, 7, 9, 10, 10].map((answer) => ({ answers: [{ questionId: 'q1', answer }] }));
+
+    const stats = analyticsService.aggregateQuestionResponses({ id: 'q1', type: 'nps' }, responses);
+
+    expect(stats.nps.score).toBe(40);
+    expect(stats.distribution).toHaveLength(11);
+    expect(stats.distribution[10]).toEqual({ rating: 10, count: 2, percentage: '40.00' });
+  });
+});
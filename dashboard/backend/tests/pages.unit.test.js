@@ -0,0 +1,162 @@
+// ============================================
+// FILE: backend/tests/pages.unit.test.js
+// Unit tests for multi-page surveys: layout helpers, page branching and the page builder
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import branchingService from '../src/services/branchingService.js';
+import answerValidationService from '../src/services/answerValidationService.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import { orderByPage, groupPages } from '../src/utils/pages.js';
+
+const when = (question, value) => ({ conditions: [{ question, operator: 'equals', value }] });
+
+const pages = [
+  { key: 'about', title: 'About you' },
+  { key: 'team', conditional: { showIf: when('role', 'manager') } },
+  { key: 'product', conditional: { jumps: [{ when: when('plan', 'free'), goTo: 'end' }] } },
+  { key: 'wrapup' },
+];
+
+const questions = [
+  { id: 'q1', key: 'role', type: 'multiple_choice', options: ['manager', 'engineer'], page: 'about' },
+  { id: 'q2', key: 'plan', type: 'multiple_choice', options: ['free', 'pro'], page: 'about' },
+  { id: 'q3', key: 'team_size', type: 'number', page: 'team' },
+  { id: 'q4', key: 'rating', type: 'rating', page: 'product' },
+  { id: 'q5', key: 'comments', type: 'text', page: 'wrapup' },
+];
+
+const path = (answers) => branchingService.resolvePath(questions, answers, pages);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Page layout helpers', () => {
+  it('should order questions page by page and default to the first page', () => {
+    const ordered = orderByPage([
+      { id: 'a', page: 'two' },
+      { id: 'b' },
+      { id: 'c', page: 'one' },
+      { id: 'd', page: 'gone' },
+    ], [{ key: 'one' }, { key: 'two' }]);
+
+    expect(ordered.map(q => [q.id, q.page])).toEqual([['b', 'one'], ['c', 'one'], ['d', 'one'], ['a', 'two']]);
+  });
+
+  it('should group question ids by page, or one question per page without pages', () => {
+    expect(groupPages(questions, pages).map(page => [page.key, page.questionIds])).toEqual([
+      ['about', ['q1', 'q2']],
+      ['team', ['q3']],
+      ['product', ['q4']],
+      ['wrapup', ['q5']],
+    ]);
+    expect(groupPages(questions.slice(0, 2))).toEqual([
+      { key: null, title: null, description: null, conditional: null, questionIds: ['q1'] },
+      { key: null, title: null, description: null, conditional: null, questionIds: ['q2'] },
+    ]);
+  });
+});
+
+describe('BranchingService page rules', () => {
+  it('should skip pages whose condition does not match', () => {
+    expect(path({ q1: 'manager', q2: 'pro' })).toEqual(['q1', 'q2', 'q3', 'q4', 'q5']);
+    expect(path({ q1: 'engineer', q2: 'pro' })).toEqual(['q1', 'q2', 'q4', 'q5']);
+  });
+
+  it('should follow page jumps after the last question of the page', () => {
+    expect(path({ q1: 'engineer', q2: 'free' })).toEqual(['q1', 'q2', 'q4']);
+  });
+
+  it('should let question jumps take precedence over page jumps', () => {
+    const withJump = questions.map(q => (q.id === 'q4'
+      ? { ...q, conditional: { jumps: [{ when: when('rating', 5), goTo: 'comments' }] } }
+      : q));
+
+    expect(branchingService.resolvePath(withJump, { q1: 'engineer', q2: 'free', q4: 5 }, pages))
+      .toEqual(['q1', 'q2', 'q4', 'q5']);
+  });
+
+  it('should only report problems when pages are misconfigured', () => {
+    expect(branchingService.validateLogic(questions, pages)).toEqual([]);
+
+    const problems = branchingService.validateLogic(questions, [
+      { key: 'about', conditional: { showIf: when('plan', 'pro') } },
+      { key: 'team', conditional: { jumps: [{ when: when('team_size', 1), goTo: 'nowhere' }] } },
+      { key: 'product', conditional: { jumps: [{ when: when('rating', 1), goTo: 'empty' }] } },
+      { key: 'wrapup' },
+      { key: 'empty' },
+      { key: 'wrapup' },
+    ]);
+
+    expect(problems).toEqual([
+      'Page key "wrapup" is used more than once',
+      'Page "about" depends on question "plan", which is not on an earlier page',
+      'Page "team" jumps to missing page "nowhere"',
+      'Page "product" jumps to page "empty", which has no questions',
+    ]);
+  });
+
+  it('should not require answers to questions on skipped pages', () => {
+    const required = questions.map(q => ({ ...q, required: true }));
+    const { valid, errors } = answerValidationService.validateResponse(required, [
+      { questionId: 'q1', answer: 'engineer' },
+      { questionId: 'q2', answer: 'free' },
+      { questionId: 'q4', answer: 4 },
+    ], pages);
+
+    expect(valid).toBe(true);
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('SurveysService.updatePages', () => {
+  const ROWS = [
+    { id: 'q1', key: 'role', type: 'text', meta: { options: [], page: 'old' }, position: 0 },
+    { id: 'q2', key: 'plan', type: 'text', meta: { options: [] }, position: 1 },
+    { id: 'q3', key: 'notes', type: 'text', meta: { options: [] }, position: 2 },
+  ];
+
+  const mockSurvey = () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({ id: 'survey-1' });
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: ROWS });
+  };
+
+  it('should store the page definitions and move questions onto their pages', async () => {
+    mockSurvey();
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(surveysService, 'getPreview').mockResolvedValue({ pages: [], questions: [] });
+
+    await surveysService.updatePages('survey-1', 'user-1', [
+      { key: 'first', title: 'Intro', questionIds: ['q3'] },
+      { key: 'second', questionIds: ['q1'] },
+    ]);
+
+    expect(surveysService.getById).toHaveBeenCalledWith('survey-1', 'user-1', 'editor');
+    expect(JSON.parse(client.query.mock.calls[0][1][0])).toEqual([{ key: 'first', title: 'Intro' }, { key: 'second' }]);
+    expect(client.query.mock.calls.slice(1).map(([, params]) => [params[2], JSON.parse(params[0]).page, params[1]]))
+      .toEqual([['q3', 'first', 0], ['q1', 'second', 1], ['q2', undefined, 2]]);
+  });
+
+  it('should reject questions from other surveys or on several pages', async () => {
+    mockSurvey();
+
+    await expect(surveysService.updatePages('survey-1', 'user-1', [{ key: 'a', questionIds: ['q9'] }]))
+      .rejects.toThrow('Question q9 is not part of this survey');
+    await expect(surveysService.updatePages('survey-1', 'user-1', [
+      { key: 'a', questionIds: ['q1'] },
+      { key: 'b', questionIds: ['q1'] },
+    ])).rejects.toThrow('Question q1 is on more than one page');
+  });
+
+  it('should reject invalid page branching before saving', async () => {
+    mockSurvey();
+    const transaction = jest.spyOn(db, 'transaction');
+
+    await expect(surveysService.updatePages('survey-1', 'user-1', [
+      { key: 'a', questionIds: ['q1'], conditional: { jumps: [{ when: when('role', 'x'), goTo: 'missing' }] } },
+    ])).rejects.toThrow('Invalid branching logic');
+    expect(transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+// ============================================
+// FILE: backend/tests/publicApi.unit.test.js
+// Unit tests for x-api-key auth and the tenant-scoped /api/v1 services
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { apiKeyRequired } from '../src/middleware/apiKeyAuth.js';
+import publicApiService from '../src/modules/publicApi/publicApi.service.js';
+import responsesService from '../src/modules/responses/responses.service.js';
+import exportsService from '../src/modules/exports/exports.service.js';
+
+const keyContext = {
+  keyId: 'key-1',
+  rateLimitPerMinute: 60,
+  scopes: ['surveys:read', 'responses:read', 'exports:create'],
+  tenantId: 'tenant-1',
+  tenantName: 'Acme',
+  tenantSlug: 'acme',
+  keyName: 'backend',
+};
+
+const runMiddleware = async (headers) => {
+  const req = { get: (name) => headers[name.toLowerCase()] };
+  const next = jest.fn();
+  await apiKeyRequired(req, {}, next);
+  return { req, next };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('apiKeyRequired', () => {
+  it('should reject requests without an x-api-key header', async () => {
+    const { next } = await runMiddleware({});
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  it('should attach the key context for a valid key', async () => {
+    jest.spyOn(apiKeyService, 'verifyApiKey').mockResolvedValue(keyContext);
+
+    const { req, next } = await runMiddleware({ 'x-api-key': 'msk_valid' });
+
+    expect(req.apiKey).toEqual(keyContext);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should pass verification errors on', async () => {
+    const error = Object.assign(new Error('API key has been revoked'), { statusCode: 401 });
+    jest.spyOn(apiKeyService, 'verifyApiKey').mockRejectedValue(error);
+
+    const { next } = await runMiddleware({ 'x-api-key': 'msk_revoked' });
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
+
+describe('PublicApiService tenant scoping', () => {
+  it('should 404 for surveys outside the key tenant', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(
+      publicApiService.listResponses('tenant-1', 'survey-of-other-tenant')
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(query.mock.calls[0][1]).toEqual(['survey-of-other-tenant', 'tenant-1']);
+  });
+
+  it('should record the requesting key on export jobs', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 'survey-1', tenant_id: 'tenant-1', microsurvey_id: 'ms-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'job-1' }] });
+    const schedule = jest.spyOn(exportsService, 'scheduleExport').mockResolvedValue('job-1');
+
+    await publicApiService.requestExport(keyContext, 'survey-1', { format: 'csv' });
+
+    expect(query.mock.calls[0][1]).toEqual(['survey-1', 'tenant-1']);
+    expect(query.mock.calls[1][1]).toEqual(
+      expect.arrayContaining(['survey-1', 'tenant-1', 'csv', null, 'key-1'])
+    );
+    expect(schedule).toHaveBeenCalledWith('job-1');
+  });
+});
+
+describe('ResponsesService.list', () => {
+  const rows = [
+    { id: '3f1b5c8e-0000-4000-8000-000000000003', created_at: new Date() },
+    { id: '3f1b5c8e-0000-4000-8000-000000000002', created_at: new Date() },
+    { id: '3f1b5c8e-0000-4000-8000-000000000001', created_at: new Date() },
+  ];
+
+  it('should return a cursor when more rows exist', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows });
+
+    const page = await responsesService.list('survey-1', { limit: 2 });
+
+    expect(page.responses).toHaveLength(2);
+    expect(Buffer.from(page.nextCursor, 'base64url').toString()).toBe(rows[1].id);
+  });
+
+  it('should continue after the cursor row', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: rows.slice(2) });
+    const cursor = Buffer.from(rows[1].id).toString('base64url');
+
+    const page = await responsesService.list('survey-1', { limit: 2, cursor });
+
+    expect(query.mock.calls[0][1]).toEqual(['survey-1', rows[1].id, 3]);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('should reject malformed cursors', async () => {
+    await expect(
+      responsesService.list('survey-1', { cursor: 'not-a-cursor' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,89 @@
+// ============================================
+// FILE: backend/tests/publish.unit.test.js
+// Unit tests for the transactional publish pipeline
+// ============================================
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import snapshotsService from '../src/modules/surveys/snapshots.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+
+const survey = { id: 'survey-1', tenant_id: 'tenant-1', microsurvey_id: 'ms-1', status: 'draft' };
+
+const snapshot = {
+  id: 'snapshot-1',
+  version: 3,
+  snapshot: { title: 'Feedback', description: '', questions: [{ id: 'q1', key: 'q1', type: 'text' }] },
+};
+
+// Runs the callback like db.transaction; commitError simulates a failing COMMIT
+const fakeTransaction = (commitError = null) => async (callback) => {
+  const client = {
+    query: jest.fn().mockResolvedValue({ rows: [{ ...survey, status: 'published', published_snapshot_id: snapshot.id }] }),
+  };
+  const result = await callback(client);
+  if (commitError) throw commitError;
+  return result;
+};
+
+describe('SurveysService.publishSnapshot', () => {
+  beforeEach(() => {
+    jest.spyOn(surveysService, 'getPreview').mockResolvedValue({
+      questions: [{ id: 'q1', key: 'q1', type: 'text', conditional: null }],
+    });
+    jest.spyOn(snapshotsService, 'createSnapshot').mockResolvedValue(snapshot);
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pin the new snapshot and push it to Micro-Survey', async () => {
+    jest.spyOn(db, 'transaction').mockImplementation(fakeTransaction());
+    const updateSurvey = jest.spyOn(microSurveyClient, 'updateSurvey').mockResolvedValue({});
+
+    const published = await surveysService.publishSnapshot(survey, 'user-1');
+
+    expect(published.published_snapshot_id).toBe('snapshot-1');
+    expect(published.published_snapshot_version).toBe(3);
+    expect(updateSurvey).toHaveBeenCalledWith('ms-1', expect.objectContaining({
+      status: 'published',
+      snapshotVersion: 3,
+    }));
+    expect(webhookEndpointsService.dispatch).toHaveBeenCalledWith(
+      survey.tenant_id,
+      'survey.published',
+      expect.objectContaining({ surveyId: 'survey-1', version: 3 })
+    );
+  });
+
+  it('should roll back locally when Micro-Survey rejects the publish', async () => {
+    jest.spyOn(db, 'transaction').mockImplementation(fakeTransaction());
+    const updateSurvey = jest.spyOn(microSurveyClient, 'updateSurvey').mockRejectedValue(new Error('timeout'));
+
+    await expect(surveysService.publishSnapshot(survey, 'user-1')).rejects.toMatchObject({
+      statusCode: 500,
+      message: 'Failed to publish survey: timeout',
+    });
+    // Remote never accepted the publish, so nothing to revert there
+    expect(updateSurvey).toHaveBeenCalledTimes(1);
+  });
+
+  it('should revert Micro-Survey when the local commit fails', async () => {
+    jest.spyOn(db, 'transaction').mockImplementation(fakeTransaction(new Error('commit failed')));
+    const updateSurvey = jest.spyOn(microSurveyClient, 'updateSurvey').mockResolvedValue({});
+
+    await expect(surveysService.publishSnapshot(survey, 'user-1')).rejects.toThrow('commit failed');
+    expect(updateSurvey).toHaveBeenLastCalledWith('ms-1', { status: 'draft' });
+  });
+
+  it('should refuse to publish a survey without questions', async () => {
+    surveysService.getPreview.mockResolvedValue({ questions: [] });
+
+    await expect(surveysService.publishSnapshot(survey, 'user-1')).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
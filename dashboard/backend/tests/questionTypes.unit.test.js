@@ -0,0 +1,218 @@
+// ============================================
+// FILE: backend/tests/questionTypes.unit.test.js
+// Unit tests for checkbox, dropdown, ranking, matrix, date, email and number questions
+// ============================================
+import { describe, it, expect } from '@jest/globals';
+import answerValidationService from '../src/services/answerValidationService.js';
+import quizScoringService from '../src/services/quizScoringService.js';
+import questionsService from '../src/modules/questions/questions.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import { createSurveySchema } from '../src/modules/surveys/surveys.validators.js';
+
+const questions = [
+  { id: 'q1', key: 'tools', type: 'checkbox', options: ['Slack', 'Email', 'Phone'], validation: { maxSelections: 2 } },
+  { id: 'q2', key: 'country', type: 'dropdown', options: ['France', 'Spain'] },
+  { id: 'q3', key: 'priorities', type: 'ranking', options: ['Price', 'Speed', 'Support'] },
+  { id: 'q4', key: 'grid', type: 'matrix', options: ['Bad', 'Good'], rows: ['Speed', 'Support'], required: true },
+  { id: 'q5', key: 'birthday', type: 'date', validation: { minDate: '1900-01-01', maxDate: '2026-12-31' } },
+  { id: 'q6', key: 'contact', type: 'email' },
+  { id: 'q7', key: 'seats', type: 'number', validation: { min: 1, max: 500, integer: true } },
+];
+
+// Every other answer is sent alongside a complete answer to the required matrix
+const validate = (questionId, answer) => {
+  const answers = questionId === 'q4'
+    ? [{ questionId, answer }]
+    : [{ questionId: 'q4', answer: { Speed: 'Good', Support: 'Good' } }, { questionId, answer }];
+  const { errors } = answerValidationService.validateResponse(questions, answers);
+  return errors[0]?.code || null;
+};
+
+describe('Answer validation for the additional question types', () => {
+  it('should accept well-formed answers of every type', () => {
+    const { valid, answers } = answerValidationService.validateResponse(questions, [
+      { questionId: 'q1', answer: ['Slack', 'Phone'] },
+      { questionId: 'q2', answer: 'Spain' },
+      { questionId: 'q3', answer: ['Speed', 'Price', 'Support'] },
+      { questionId: 'q4', answer: { Speed: 'Bad', Support: 'Good' } },
+      { questionId: 'q5', answer: '1990-02-28' },
+      { questionId: 'q6', answer: 'jo@example.com' },
+      { questionId: 'q7', answer: 12 },
+    ]);
+
+    expect(valid).toBe(true);
+    expect(answers).toHaveLength(7);
+  });
+
+  it('should check selections of checkbox and dropdown questions', () => {
+    expect(validate('q1', 'Slack')).toBe('invalid_type');
+    expect(validate('q1', ['Slack', 'Email', 'Phone'])).toBe('too_many_selections');
+    expect(validate('q2', ['France'])).toBe('invalid_type');
+    expect(validate('q2', 'Italy')).toBe('invalid_option');
+  });
+
+  it('should require rankings to order every option exactly once', () => {
+    expect(validate('q3', ['Speed', 'Price'])).toBe('incomplete_ranking');
+    expect(validate('q3', ['Speed', 'Speed', 'Price'])).toBe('incomplete_ranking');
+    expect(validate('q3', ['Speed', 'Price', 'Cost'])).toBe('invalid_option');
+  });
+
+  it('should check matrix rows and columns and require every row', () => {
+    expect(validate('q4', { Speed: 'Good' })).toBe('incomplete_matrix');
+    expect(validate('q4', { Speed: 'Good', Price: 'Bad' })).toBe('unknown_row');
+    expect(validate('q4', { Speed: 'Great', Support: 'Bad' })).toBe('invalid_option');
+    expect(validate('q4', {})).toBe('required');
+  });
+
+  it('should check dates, emails and numbers', () => {
+    expect(validate('q5', '2026-02-30')).toBe('invalid_date');
+    expect(validate('q5', '1899-12-31')).toBe('date_too_early');
+    expect(validate('q6', 'not-an-email')).toBe('invalid_email');
+    expect(validate('q7', '12')).toBe('invalid_type');
+    expect(validate('q7', 2.5)).toBe('not_integer');
+    expect(validate('q7', 501)).toBe('too_large');
+  });
+
+  it('should reject invalid rules for the new types', () => {
+    expect(answerValidationService.validateRules('number', { min: 10, max: 1 })).toEqual(['min cannot exceed max']);
+    expect(answerValidationService.validateRules('date', { minDate: '2026-13-01' })).toEqual([
+      'minDate must be a date in YYYY-MM-DD format',
+    ]);
+    expect(answerValidationService.validateRules('email', { minLength: 3 })).toEqual([
+      'Rule "minLength" is not supported for email questions',
+    ]);
+  });
+});
+
+describe('Question definitions for the additional types', () => {
+  it('should require columns and rows for matrix questions', () => {
+    expect(() => questionsService.validateQuestion({ questionType: 'matrix', options: ['Bad', 'Good'] }))
+      .toThrow('Matrix questions must have at least 1 row');
+    expect(() => questionsService.validateQuestion({ questionType: 'ranking', options: ['Only'] }))
+      .toThrow('ranking questions must have at least 2 options');
+    expect(questionsService.validateQuestion({ questionType: 'matrix', options: ['Bad', 'Good'], rows: ['Speed'] }))
+      .toBe(true);
+  });
+
+  it('should give options and matrix rows ids that survive rewording', () => {
+    const created = questionsService.withIds('multiple_choice', ['Red', { text: 'Blue', pinned: true }]);
+    expect(created).toEqual([
+      { id: expect.any(String), text: 'Red' },
+      { id: expect.any(String), text: 'Blue', pinned: true },
+    ]);
+    expect(created[0].id).not.toBe(created[1].id);
+
+    const edited = questionsService.withIds('multiple_choice', [
+      { id: created[0].id, text: 'Crimson' },
+      { text: 'Blue' },
+      { text: 'Green' },
+    ], created);
+    expect(edited[0]).toEqual({ id: created[0].id, text: 'Crimson' });
+    expect(edited[1].id).toBe(created[1].id);
+    expect([created[0].id, created[1].id]).not.toContain(edited[2].id);
+
+    // Options saved before ids existed keep their text as id
+    expect(questionsService.withIds('matrix', ['Speed'], ['Speed'])).toEqual([{ id: 'Speed', text: 'Speed' }]);
+    expect(questionsService.withIds('rating', [{ min: 1, max: 5 }])).toEqual([{ min: 1, max: 5 }]);
+  });
+
+  it('should only accept rows on matrix questions in survey payloads', () => {
+    const survey = (question) => createSurveySchema.validate({
+      tenantId: '00000000-0000-4000-8000-000000000001',
+      title: 'Product feedback',
+      surveyType: 'feedback',
+      questions: [{ questionText: 'How are we doing?', ...question }],
+    });
+
+    expect(survey({ questionType: 'matrix', options: ['Bad', 'Good'], rows: ['Speed'] }).error).toBeUndefined();
+    expect(survey({ questionType: 'matrix', options: ['Bad', 'Good'] }).error).toBeDefined();
+    expect(survey({ questionType: 'email', rows: ['Speed'] }).error).toBeDefined();
+  });
+
+  it('should score checkbox quiz questions as multi-select', () => {
+    const result = quizScoringService.scoreResponse([
+      { id: 'q1', type: 'checkbox', options: [{ text: 'A', correct: true }, { text: 'B', correct: true }, { text: 'C' }] },
+    ], [{ questionId: 'q1', answer: ['A', 'B'] }]);
+
+    expect(result).toEqual(expect.objectContaining({ score: 2, maxScore: 2 }));
+    expect(result.questions[0].correct).toBe(true);
+  });
+});
+
+describe('AnalyticsService per-type aggregation', () => {
+  const responsesFor = (questionId, values) => values.map(answer => ({ answers: [{ questionId, answer }] }));
+
+  it('should count each checkbox selection', () => {
+    const stats = analyticsService.aggregateQuestionResponses(
+      questions[0],
+      responsesFor('q1', [['Slack', 'Email'], ['Slack'], ['Phone']])
+    );
+
+    expect(stats.optionBreakdown.map(o => [o.option, o.count])).toEqual([['Slack', 2], ['Email', 1], ['Phone', 1]]);
+  });
+
+  it('should average ranking positions, best first', () => {
+    const stats = analyticsService.aggregateQuestionResponses(questions[2], responsesFor('q3', [
+      ['Speed', 'Price', 'Support'],
+      ['Speed', 'Support', 'Price'],
+    ]));
+
+    expect(stats.ranking).toEqual([
+      { optionId: 'Speed', option: 'Speed', averageRank: 1, firstChoice: 2 },
+      { optionId: 'Price', option: 'Price', averageRank: 2.5, firstChoice: 0 },
+      { optionId: 'Support', option: 'Support', averageRank: 2.5, firstChoice: 0 },
+    ]);
+  });
+
+  it('should break matrix answers down per row', () => {
+    const stats = analyticsService.aggregateQuestionResponses(questions[3], responsesFor('q4', [
+      { Speed: 'Good', Support: 'Bad' },
+      { Speed: 'Good', Support: 'Good' },
+    ]));
+
+    expect(stats.matrix[0]).toEqual({
+      rowId: 'Speed',
+      row: 'Speed',
+      total: 2,
+      columns: [
+        { columnId: 'Bad', column: 'Bad', count: 0, percentage: '0.00' },
+        { columnId: 'Good', column: 'Good', count: 2, percentage: '100.00' },
+      ],
+    });
+  });
+
+  it('should count answers by option id and label them with the current text', () => {
+    const question = {
+      id: 'q8',
+      type: 'multiple_choice',
+      options: [{ id: 'opt-a', text: 'Very happy' }, { id: 'opt-b', text: 'Unhappy' }],
+    };
+    const stats = analyticsService.aggregateQuestionResponses(question, responsesFor('q8', ['opt-a', 'opt-a', 'opt-b']));
+
+    expect(stats.optionBreakdown).toEqual([
+      { optionId: 'opt-a', option: 'Very happy', count: 2, percentage: '66.67' },
+      { optionId: 'opt-b', option: 'Unhappy', count: 1, percentage: '33.33' },
+    ]);
+
+    const matrix = analyticsService.aggregateQuestionResponses(
+      { id: 'q9', type: 'matrix', rows: [{ id: 'row-1', text: 'Speed' }], options: [{ id: 'col-1', text: 'Good' }] },
+      responsesFor('q9', [{ 'row-1': 'col-1' }])
+    );
+
+    expect(matrix.matrix[0]).toMatchObject({ rowId: 'row-1', row: 'Speed', total: 1 });
+    expect(matrix.matrix[0].columns[0]).toMatchObject({ columnId: 'col-1', column: 'Good', count: 1 });
+  });
+
+  it('should summarize dates, email domains and numbers', () => {
+    expect(analyticsService.aggregateQuestionResponses(questions[4], responsesFor('q5', ['2026-03-02', '2026-01-15', '2026-03-20'])))
+      .toEqual({
+        earliest: '2026-01-15',
+        latest: '2026-03-20',
+        byMonth: [{ month: '2026-01', count: 1 }, { month: '2026-03', count: 2 }],
+      });
+    expect(analyticsService.aggregateQuestionResponses(questions[5], responsesFor('q6', ['a@Acme.com', 'b@acme.com', 'c@mail.org'])))
+      .toEqual({ totalCount: 3, topDomains: [{ domain: 'acme.com', count: 2 }, { domain: 'mail.org', count: 1 }] });
+    expect(analyticsService.aggregateQuestionResponses(questions[6], responsesFor('q7', [10, 2, 7, 5])))
+      .toEqual({ min: 2, max: 10, average: 6, median: 6 });
+  });
+});
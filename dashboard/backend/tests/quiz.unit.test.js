@@ -0,0 +1,201 @@
+// ============================================
+// FILE: backend/tests/quiz.unit.test.js
+// Unit tests for quiz scoring, submission results and difficulty analytics
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import quizScoringService from '../src/services/quizScoringService.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+
+const questions = [
+  {
+    id: 'q1',
+    key: 'capital',
+    type: 'multiple_choice',
+    options: [{ text: 'Paris', correct: true }, { text: 'Lyon', correct: false }],
+  },
+  {
+    id: 'q2',
+    key: 'primes',
+    type: 'multiple_choice',
+    validation: { maxSelections: 3 },
+    options: [
+      { text: '2', correct: true, points: 2 },
+      { text: '3', correct: true, points: 2 },
+      { text: '4', correct: false, points: -1 },
+    ],
+  },
+  {
+    id: 'q3',
+    key: 'bonus',
+    type: 'yes_no',
+    options: [{ text: 'yes', correct: true }, { text: 'no' }],
+    conditional: {
+      showIf: { conditions: [{ question: 'capital', operator: 'equals', value: 'Paris' }] },
+    },
+  },
+  { id: 'q4', key: 'comments', type: 'text' },
+];
+
+const QUIZ_CONFIG = { passThreshold: 60, passMessage: 'Well done!', failMessage: 'Try again.' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QuizScoringService.scoreResponse', () => {
+  it('should sum option points and report per-question correctness', () => {
+    const result = quizScoringService.scoreResponse(questions, [
+      { questionId: 'q1', answer: 'Paris' },
+      { questionId: 'q2', answer: ['2', '4'] },
+      { questionId: 'q3', answer: 'yes' },
+      { questionId: 'q4', answer: 'Fun' },
+    ], QUIZ_CONFIG);
+
+    expect(result).toEqual({
+      score: 3,
+      maxScore: 6,
+      percentage: 50,
+      passed: false,
+      message: 'Try again.',
+      questions: [
+        { questionId: 'q1', points: 1, maxPoints: 1, correct: true },
+        { questionId: 'q2', points: 1, maxPoints: 4, correct: false },
+        { questionId: 'q3', points: 1, maxPoints: 1, correct: true },
+      ],
+    });
+  });
+
+  it('should only count questions on the respondent\'s path', () => {
+    const result = quizScoringService.scoreResponse(questions, [
+      { questionId: 'q1', answer: 'Lyon' },
+      { questionId: 'q2', answer: ['2', '3'] },
+    ], QUIZ_CONFIG);
+
+    expect(result.questions.map(q => q.questionId)).toEqual(['q1', 'q2']);
+    expect(result).toEqual(expect.objectContaining({ score: 4, maxScore: 5, percentage: 80, passed: true }));
+    expect(result.message).toBe('Well done!');
+  });
+
+  it('should score unanswered questions as wrong and omit pass/fail without a threshold', () => {
+    const result = quizScoringService.scoreResponse(questions, [{ questionId: 'q1', answer: 'Paris' }]);
+
+    expect(result.questions[1]).toEqual({ questionId: 'q2', points: 0, maxPoints: 4, correct: false });
+    expect(result.passed).toBeNull();
+    expect(result.message).toBeNull();
+  });
+});
+
+describe('QuizScoringService option rules', () => {
+  it('should reject scoring on unsupported question types', () => {
+    expect(quizScoringService.validateOptions('multiple_choice', questions[0].options)).toEqual([]);
+    expect(quizScoringService.validateOptions('rating', [{ text: '5', correct: true }])).toEqual([
+      'Correct answers and points are not supported for rating questions',
+    ]);
+    expect(quizScoringService.validateOptions('yes_no', [{ text: 'Yes', correct: true }])).toEqual([
+      'Scored yes_no questions must use the options "yes" and "no"',
+    ]);
+  });
+
+  it('should hide answer keys from respondents', () => {
+    const [redacted] = quizScoringService.redactQuestions([
+      { id: 'q1', options: ['Plain', { text: 'Paris', imageUrl: '', correct: true, points: 3 }] },
+    ]);
+
+    expect(redacted.options).toEqual(['Plain', { text: 'Paris', imageUrl: '' }]);
+  });
+});
+
+describe('EmbedService.submitResponse for quizzes', () => {
+  const SURVEY = {
+    id: 'survey-1',
+    tenant_id: 'tenant-1',
+    survey_key: 'survey_key_1',
+    published_snapshot_id: 'snapshot-1',
+    snapshot_version: 3,
+    snapshot: { surveyType: 'quiz', config: { quiz: QUIZ_CONFIG }, questions },
+  };
+
+  it('should store the score and return the result for the thank-you screen', async () => {
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [SURVEY] });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'response-1' }] }).mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({});
+    jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: 'q1', answer: 'Lyon' }, { questionId: 'q2', answer: ['2', '3'] }],
+    });
+
+    expect(outcome).toEqual({
+      responseId: 'response-1',
+      duplicate: false,
+      result: { score: 4, maxScore: 5, percentage: 80, passed: true, message: 'Well done!' },
+    });
+    const params = client.query.mock.calls[0][1];
+    expect(params.slice(9, 12)).toEqual([4, 5, true]);
+    expect(JSON.parse(params[3]).quiz.questions).toHaveLength(2);
+  });
+
+  it('should return the stored result for repeated submissions', async () => {
+    const stored = { score: 1, maxScore: 5, percentage: 20, passed: false, message: 'Try again.', questions: [] };
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [SURVEY] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-1', quiz: stored }] });
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: 'q1', answer: 'Lyon' }],
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(outcome.duplicate).toBe(true);
+    expect(outcome.result).toEqual({ score: 1, maxScore: 5, percentage: 20, passed: false, message: 'Try again.' });
+  });
+});
+
+describe('AnalyticsService quiz difficulty', () => {
+  it('should report percent correct per question in published order', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ questions: [{ id: 'q1', text: 'Capital?' }, { id: 'q2', text: 'Primes?' }] }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { question_id: 'q2', attempts: '4', correct: '1', average_points: '1.75', max_points: '4' },
+          { question_id: 'old', attempts: '2', correct: '2', average_points: '1', max_points: '1' },
+          { question_id: 'q1', attempts: '4', correct: '3', average_points: '0.75', max_points: '1' },
+        ],
+      });
+
+    const difficulty = await analyticsService.getQuestionDifficulty('survey-1');
+
+    expect(difficulty.map(q => q.questionId)).toEqual(['q1', 'q2', 'old']);
+    expect(difficulty[1]).toEqual({
+      questionId: 'q2',
+      questionText: 'Primes?',
+      attempts: 4,
+      correct: 1,
+      percentCorrect: 25,
+      averagePoints: 1.75,
+      maxPoints: 4,
+    });
+  });
+
+  it('should summarize scores only for quiz surveys', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ responses: '8', average_score: '3.25', average_percentage: '65.04', passed: '5', graded: '8' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(analyticsService.getQuizStats('survey-1')).resolves.toEqual({
+      responses: 8,
+      averageScore: 3.3,
+      averagePercentage: 65,
+      passRate: 62.5,
+    });
+    await expect(analyticsService.getQuizStats('survey-2')).resolves.toBeNull();
+  });
+});
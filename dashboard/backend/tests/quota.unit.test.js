@@ -0,0 +1,290 @@
+// ============================================
+// FILE: backend/tests/quota.unit.test.js
+// Unit tests for plan quota limits, enforcement and usage periods
+// ============================================
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import { config } from '../src/config/index.js';
+import quotaService, { UNLIMITED } from '../src/modules/billing/quota.service.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+
+const subscription = {
+  id: 'sub-1',
+  surveys_used: 2,
+  responses_used: 99,
+  usage_reset_at: new Date('2026-10-01T00:00:00Z'),
+  metadata: {},
+  plan_slug: 'starter',
+  surveys_limit: 10,
+  responses_limit: 100,
+};
+
+// Answers queries by SQL fragment and records every call
+const fakeClient = (responses = {}) => {
+  const calls = [];
+  return {
+    calls,
+    query: jest.fn(async (sql, params) => {
+      calls.push({ sql, params });
+      const match = Object.keys(responses).find((fragment) => sql.includes(fragment));
+      return match ? responses[match] : { rows: [] };
+    }),
+  };
+};
+
+const enforcement = { ...config.billing.quotaEnforcement };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.assign(config.billing.quotaEnforcement, enforcement);
+});
+
+describe('QuotaService.resolveLimit', () => {
+  it('should prefer custom quotas over the plan limit', () => {
+    expect(quotaService.resolveLimit(100, { responsesLimit: 5000 }, 'response')).toBe(5000);
+    expect(quotaService.resolveLimit(10, { responsesLimit: 5000 }, 'survey')).toBe(10);
+  });
+
+  it('should treat -1 as unlimited', () => {
+    expect(quotaService.resolveLimit(-1, null, 'survey')).toBe(UNLIMITED);
+    expect(quotaService.resolveLimit(10, { surveysLimit: -1 }, 'survey')).toBe(UNLIMITED);
+  });
+});
+
+describe('QuotaService.consume', () => {
+  it('should increment usage and log it in the same transaction', async () => {
+    const client = fakeClient({
+      'FROM tenants t': { rows: [subscription] },
+      'SET responses_used': { rows: [{ used: 100 }] },
+    });
+    const dispatch = jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue(1);
+
+    const result = await quotaService.consume('tenant-1', 'response', { resourceId: 'resp-1', client });
+
+    expect(result).toEqual({ used: 100, limit: 100, exceeded: false, crossed: true });
+    // The caller's transaction is still open, so nothing is sent yet
+    expect(dispatch).not.toHaveBeenCalled();
+    const increment = client.calls.find(({ sql }) => sql.includes('SET responses_used'));
+    expect(increment.params).toEqual(['sub-1', 1, true, 100]);
+    const log = client.calls.find(({ sql }) => sql.includes('INSERT INTO usage_logs'));
+    expect(log.params.slice(1, 5)).toEqual(['sub-1', 'response', 'resp-1', 1]);
+    // Reaching the limit in block mode is when further responses start failing
+    await quotaService.notifyIfCrossed('tenant-1', 'response', result);
+    expect(dispatch).toHaveBeenCalledWith('tenant-1', 'quota.exceeded', {
+      resource: 'response',
+      used: 100,
+      limit: 100,
+      enforcement: 'block',
+    });
+  });
+
+  it('should block once the limit is reached', async () => {
+    const client = fakeClient({
+      'FROM tenants t': { rows: [{ ...subscription, responses_used: 100 }] },
+    });
+
+    await expect(
+      quotaService.consume('tenant-1', 'response', { client })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(client.calls.some(({ sql }) => sql.includes('INSERT INTO usage_logs'))).toBe(false);
+  });
+
+  it('should allow and flag usage past the limit in warn mode', async () => {
+    config.billing.quotaEnforcement.response = 'warn';
+    const client = fakeClient({
+      'FROM tenants t': { rows: [{ ...subscription, responses_used: 100 }] },
+      'SET responses_used': { rows: [{ used: 101 }] },
+    });
+
+    const result = await quotaService.consume('tenant-1', 'response', { client });
+
+    expect(result.exceeded).toBe(true);
+    expect(result.crossed).toBe(true);
+    expect(client.calls.find(({ sql }) => sql.includes('SET responses_used')).params[2]).toBe(false);
+    expect(quotaService.warnings('response', result)).toEqual([{
+      resource: 'response',
+      used: 101,
+      limit: 100,
+      message: "Your plan's responses limit (100) has been exceeded (101 used)",
+    }]);
+  });
+
+  it('should only notify when usage first crosses the limit', async () => {
+    config.billing.quotaEnforcement.response = 'warn';
+    const client = fakeClient({
+      'FROM tenants t': { rows: [subscription] },
+      'SET responses_used': { rows: [{ used: 102 }] },
+    });
+    const dispatch = jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue(1);
+
+    const result = await quotaService.consume('tenant-1', 'response', { client });
+    await quotaService.notifyIfCrossed('tenant-1', 'response', result);
+
+    expect(result.crossed).toBe(false);
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('should count this month\'s rows for tenants without a subscription', async () => {
+    const client = fakeClient({
+      'FROM plans WHERE slug': { rows: [{ surveys_limit: 3, responses_limit: 100 }] },
+      'AS surveys_used': { rows: [{ surveys_used: '4', responses_used: '0', period_start: new Date() }] },
+    });
+
+    await expect(
+      quotaService.consume('tenant-1', 'survey', { client })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(client.calls.some(({ sql }) => sql.includes('FOR UPDATE'))).toBe(true);
+  });
+});
+
+describe('QuotaService.getUsage', () => {
+  it('should start a new period when usage_reset_at is a month old', async () => {
+    const resetAt = new Date('2026-11-01T00:00:00Z');
+    const client = fakeClient({
+      'FROM tenants t': { rows: [subscription] },
+      'SET surveys_used = 0': { rows: [{ surveys_used: 0, responses_used: 0, usage_reset_at: resetAt }] },
+    });
+
+    const usage = await quotaService.getUsage('tenant-1', client);
+
+    expect(usage.periodStart).toBe(resetAt);
+    expect(usage.quotas).toEqual({
+      survey: { used: 0, limit: 10, exceeded: false },
+      response: { used: 0, limit: 100, exceeded: false },
+    });
+  });
+
+  it('should flag quotas that warn mode let past the limit', async () => {
+    const client = fakeClient({
+      'FROM tenants t': { rows: [{ ...subscription, responses_used: 140, metadata: { customQuotas: { surveysLimit: -1 } } }] },
+    });
+
+    const usage = await quotaService.getUsage('tenant-1', client);
+
+    expect(usage.quotas.response).toEqual({ used: 140, limit: 100, exceeded: true });
+    expect(usage.quotas.survey.exceeded).toBe(false);
+  });
+});
+
+describe('QuotaService.assertAvailable', () => {
+  it('should ignore unlimited quotas', async () => {
+    jest.spyOn(quotaService, 'getUsage').mockResolvedValue({
+      quotas: { survey: { used: 500, limit: UNLIMITED } },
+    });
+
+    await expect(quotaService.assertAvailable('tenant-1', 'survey')).resolves.toBeUndefined();
+  });
+});
+
+describe('Quota warnings in create and submit responses', () => {
+  const exceeded = { used: 11, limit: 10, exceeded: true };
+
+  it('should return warn-mode warnings with a created survey', async () => {
+    jest.spyOn(quotaService, 'assertAvailable').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'createSurvey').mockResolvedValue({ id: 'ms-1' });
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'survey-1', microsurvey_id: 'ms-1' }] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue(exceeded);
+
+    const { survey, warnings } = await surveysService.createInTenant('tenant-1', { title: 'Pulse', surveyType: 'poll' });
+
+    expect(survey.id).toBe('survey-1');
+    expect(warnings).toEqual([expect.objectContaining({ resource: 'survey', used: 11, limit: 10 })]);
+  });
+
+  it('should send quota.exceeded once the survey is committed', async () => {
+    jest.spyOn(quotaService, 'assertAvailable').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'createSurvey').mockResolvedValue({ id: 'ms-1' });
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'survey-1' }] }) };
+    let committed = false;
+    jest.spyOn(db, 'transaction').mockImplementation(async (fn) => {
+      const result = await fn(client);
+      committed = true;
+      return result;
+    });
+    jest.spyOn(quotaService, 'consume').mockResolvedValue({ ...exceeded, crossed: true });
+    const dispatch = jest.spyOn(webhookEndpointsService, 'dispatch').mockImplementation(async () => {
+      expect(committed).toBe(true);
+      return 1;
+    });
+
+    await surveysService.createInTenant('tenant-1', { title: 'Pulse', surveyType: 'poll' });
+
+    expect(dispatch).toHaveBeenCalledWith('tenant-1', 'quota.exceeded', expect.objectContaining({ resource: 'survey' }));
+  });
+
+  it('should return the copy and its warnings from duplicate', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({
+      id: 'survey-1', tenant_id: 'tenant-1', title: 'Pulse', survey_type: 'poll', pages: [],
+    });
+    const warnings = quotaService.warnings('survey', exceeded);
+    jest.spyOn(surveysService, 'create').mockResolvedValue({ survey: { id: 'survey-2' }, warnings });
+
+    const result = await surveysService.duplicate('survey-1', 'user-1', { includeQuestions: false });
+
+    expect(result).toEqual({ survey: { id: 'survey-2' }, warnings });
+  });
+
+  it('should return warn-mode warnings with a recorded response', async () => {
+    const survey = {
+      id: 'survey-1',
+      tenant_id: 'tenant-1',
+      survey_key: 'survey_key_1',
+      published_snapshot_id: 'snapshot-1',
+      snapshot_version: 1,
+      snapshot: { questions: [{ id: 'q1', type: 'text' }] },
+    };
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [survey] });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'response-1' }] }).mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue({ used: 101, limit: 100, exceeded: true });
+    jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({});
+    jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    const outcome = await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: 'q1', answer: 'Fine' }],
+    });
+
+    expect(outcome.responseId).toBe('response-1');
+    expect(outcome.warnings).toEqual([expect.objectContaining({ resource: 'response', used: 101, limit: 100 })]);
+  });
+});
+
+describe('SurveysService.createInTenant quota ordering', () => {
+  const data = { title: 'Pulse', surveyType: 'poll' };
+
+  beforeEach(() => {
+    jest.spyOn(quotaService, 'assertAvailable').mockResolvedValue();
+  });
+
+  it('should not create the Micro-Survey survey when the quota rejects it', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'survey-1' }] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockRejectedValue(quotaService.limitError('survey', 10));
+    const createSurvey = jest.spyOn(microSurveyClient, 'createSurvey');
+
+    await expect(surveysService.createInTenant('tenant-1', data)).rejects.toMatchObject({ statusCode: 403 });
+    expect(createSurvey).not.toHaveBeenCalled();
+  });
+
+  it('should archive the Micro-Survey survey when the commit fails', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'survey-1' }] }) };
+    jest.spyOn(db, 'transaction').mockImplementation(async (fn) => {
+      await fn(client);
+      throw new Error('commit failed');
+    });
+    jest.spyOn(quotaService, 'consume').mockResolvedValue({ used: 10, limit: 10, exceeded: false, crossed: true });
+    jest.spyOn(microSurveyClient, 'createSurvey').mockResolvedValue({ id: 'ms-1' });
+    const updateSurvey = jest.spyOn(microSurveyClient, 'updateSurvey').mockResolvedValue({});
+    const dispatch = jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue(1);
+
+    await expect(surveysService.createInTenant('tenant-1', data)).rejects.toThrow('commit failed');
+    expect(updateSurvey).toHaveBeenCalledWith('ms-1', { status: 'archived' });
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+});
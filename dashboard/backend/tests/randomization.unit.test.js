@@ -0,0 +1,187 @@
+// ============================================
+// FILE: backend/tests/randomization.unit.test.js
+// Unit tests for per-session question/option shuffling and order-bias analytics
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import randomizationService from '../src/services/randomizationService.js';
+import questionsService from '../src/modules/questions/questions.service.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+
+const when = (question, value) => ({ conditions: [{ question, operator: 'equals', value }] });
+
+const questions = [
+  { id: 'q1', key: 'intro', type: 'text', pinned: true },
+  { id: 'q2', key: 'speed', type: 'rating' },
+  { id: 'q3', key: 'price', type: 'rating' },
+  { id: 'q4', key: 'support', type: 'rating' },
+  { id: 'q5', key: 'design', type: 'rating' },
+  { id: 'q6', key: 'docs', type: 'rating' },
+  {
+    id: 'q7',
+    key: 'tools',
+    type: 'checkbox',
+    shuffleOptions: true,
+    options: ['Slack', 'Jira', 'Linear', 'Notion', 'GitHub', { text: 'None of the above', pinned: true }],
+  },
+];
+
+const ids = (list) => list.map(q => q.id);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RandomizationService.present', () => {
+  it('should give a session the same order every time', () => {
+    const first = randomizationService.present(questions, { sessionId: 'sess-1', shuffleQuestions: true });
+    const again = randomizationService.present(questions, { sessionId: 'sess-1', shuffleQuestions: true });
+
+    expect(again).toEqual(first);
+    expect(first.order.questions).toEqual(ids(first.questions));
+    expect([...first.order.questions].sort()).toEqual(ids(questions));
+
+    const orders = new Set(['a', 'b', 'c', 'd', 'e', 'f'].map(sessionId =>
+      randomizationService.present(questions, { sessionId, shuffleQuestions: true }).order.questions.join()
+    ));
+    expect(orders.size).toBeGreaterThan(1);
+  });
+
+  it('should keep pinned questions and options in place', () => {
+    for (const sessionId of ['a', 'b', 'c', 'd', 'e']) {
+      const { questions: presented, order } = randomizationService.present(questions, { sessionId, shuffleQuestions: true });
+
+      expect(presented[0].id).toBe('q1');
+      expect(presented.indexOf(presented.find(q => q.id === 'q7'))).toBeGreaterThan(0);
+      expect(order.options.q7[5]).toBe('None of the above');
+      expect(order.options.q7.slice(0, 5).sort()).toEqual(['GitHub', 'Jira', 'Linear', 'Notion', 'Slack']);
+    }
+  });
+
+  it('should leave the order alone without a session or any shuffling', () => {
+    expect(randomizationService.present(questions, { shuffleQuestions: true }))
+      .toEqual({ questions, order: null });
+
+    const plain = questions.map(({ shuffleOptions, ...q }) => q);
+    expect(randomizationService.present(plain, { sessionId: 'sess-1' })).toEqual({ questions: plain, order: null });
+
+    const { order } = randomizationService.present(questions, { sessionId: 'sess-1' });
+    expect(order).toEqual({ options: { q7: expect.any(Array) } });
+  });
+
+  it('should anchor branching questions and shuffle within pages', () => {
+    const branching = [
+      { id: 'q1', key: 'role', type: 'text', page: 'one' },
+      { id: 'q2', key: 'a', type: 'text', page: 'one' },
+      { id: 'q3', key: 'b', type: 'text', page: 'one' },
+      { id: 'q4', key: 'team', type: 'text', page: 'one', conditional: { showIf: when('role', 'manager') } },
+      { id: 'q5', key: 'c', type: 'text', page: 'two' },
+      { id: 'q6', key: 'd', type: 'text', page: 'two' },
+      { id: 'q7', key: 'e', type: 'text', page: 'two' },
+    ];
+    const pages = [{ key: 'one' }, { key: 'two' }];
+
+    for (const sessionId of ['a', 'b', 'c', 'd', 'e']) {
+      const { questions: presented } = randomizationService.present(branching, { sessionId, shuffleQuestions: true, pages });
+
+      expect(presented[0].id).toBe('q1');
+      expect(presented[3].id).toBe('q4');
+      expect(ids(presented.slice(0, 4)).sort()).toEqual(['q1', 'q2', 'q3', 'q4']);
+      expect(ids(presented.slice(4)).sort()).toEqual(['q5', 'q6', 'q7']);
+    }
+  });
+});
+
+describe('QuestionsService.validateQuestion shuffling', () => {
+  it('should only allow option shuffling on choice questions', () => {
+    expect(() => questionsService.validateQuestion({ questionType: 'text', shuffleOptions: true }))
+      .toThrow('Option shuffling is not supported for text questions');
+    expect(questionsService.validateQuestion({ questionType: 'ranking', options: ['A', 'B'], shuffleOptions: true }))
+      .toBe(true);
+  });
+});
+
+describe('EmbedService.submitResponse presented order', () => {
+  it('should record the order the session was shown', async () => {
+    const survey = {
+      id: 'survey-1',
+      tenant_id: 'tenant-1',
+      survey_key: 'survey_key_1',
+      published_snapshot_id: 'snapshot-1',
+      snapshot_version: 2,
+      snapshot: { config: { shuffleQuestions: true }, questions },
+    };
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [survey] })
+      .mockResolvedValueOnce({ rows: [] });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'response-1' }] }).mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({});
+    jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: 'q7', answer: ['Linear'] }],
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    const stored = JSON.parse(client.query.mock.calls[0][1][3]);
+    expect(stored.presentedOrder).toEqual(
+      randomizationService.present(questions, { sessionId: 'sess-1', shuffleQuestions: true }).order
+    );
+  });
+});
+
+describe('AnalyticsService.getOrderBias', () => {
+  it('should report selection and answer rates per display position', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({
+        rows: [{ questions: [{ id: 'q7', text: 'Tools?', type: 'checkbox' }, { id: 'q8', text: 'Rank', type: 'ranking' }] }],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          {
+            presented_order: { questions: ['q7', 'q8'], options: { q7: ['Slack', 'Jira'], q8: ['A', 'B'] } },
+            answers: [{ questionId: 'q7', answer: ['Slack'] }, { questionId: 'q8', answer: ['B', 'A'] }],
+          },
+          {
+            presented_order: { questions: ['q8', 'q7'], options: { q7: ['Jira', 'Slack'] } },
+            answers: [{ questionId: 'q7', answer: ['Jira', 'Slack'] }],
+          },
+        ],
+      });
+
+    const bias = await analyticsService.getOrderBias('survey-1');
+
+    expect(bias.responses).toBe(2);
+    expect(bias.questions).toEqual([
+      { position: 1, shown: 2, answered: 1, answerRate: 50 },
+      { position: 2, shown: 2, answered: 2, answerRate: 100 },
+    ]);
+    expect(bias.options).toEqual([
+      {
+        questionId: 'q7',
+        questionText: 'Tools?',
+        questionType: 'checkbox',
+        positions: [
+          { position: 1, shown: 2, selected: 2, selectionRate: 100 },
+          { position: 2, shown: 2, selected: 1, selectionRate: 50 },
+        ],
+      },
+      {
+        questionId: 'q8',
+        questionText: 'Rank',
+        questionType: 'ranking',
+        positions: [
+          { position: 1, shown: 1, selected: 0, selectionRate: 0 },
+          { position: 2, shown: 1, selected: 1, selectionRate: 100 },
+        ],
+      },
+    ]);
+  });
+});
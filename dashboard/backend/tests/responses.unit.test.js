@@ -0,0 +1,149 @@
+// ============================================
+// FILE: backend/tests/responses.unit.test.js
+// Unit tests for the response browser filters and detail view
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import responsesService from '../src/modules/responses/responses.service.js';
+import { listResponsesQuerySchema } from '../src/modules/surveys/surveys.validators.js';
+
+const SURVEY_ID = '11111111-1111-4111-8111-111111111111';
+const RESPONSE_ID = '22222222-2222-4222-8222-222222222222';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ResponsesService.searchText', () => {
+  it('should index free-text answers but not option ids', () => {
+    const optionId = '44444444-4444-4444-8444-444444444444';
+    const questions = [
+      { id: 'q1', type: 'multiple_choice', options: [{ id: optionId, text: 'Slow' }] },
+      { id: 'q2', type: 'text' },
+      { id: 'q3', type: 'email' },
+      { id: 'q4', type: 'yes_no' },
+    ];
+
+    const text = responsesService.searchText(questions, [
+      { questionId: 'q1', answer: optionId },
+      { questionId: 'q2', answer: 'Checkout keeps timing out' },
+      { questionId: 'q3', answer: 'ana@example.com' },
+      { questionId: 'q4', answer: 'yes' },
+    ]);
+
+    // A search for the option id finds no token of it in the index
+    expect(text).toBe('Checkout keeps timing out ana@example.com');
+    expect(text).not.toContain(optionId.split('-')[0]);
+  });
+});
+
+describe('ResponsesService.list', () => {
+  it('should add a numbered condition per filter', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await responsesService.list(SURVEY_ID, {
+      limit: 10,
+      startDate: '2026-01-01',
+      country: 'DE',
+      snapshotVersion: 3,
+      q: 'slow checkout',
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('created_at >= $2');
+    expect(sql).toContain('country_code = $3');
+    expect(sql).toContain('snapshot_version = $4');
+    expect(sql).toContain("answers_tsv @@ websearch_to_tsquery('simple', $5)");
+    expect(sql).toContain('LIMIT $6');
+    expect(params).toEqual([SURVEY_ID, '2026-01-01', 'DE', 3, 'slow checkout', 11]);
+  });
+
+  it('should match an answer as text, multi-select member and number', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await responsesService.list(SURVEY_ID, { questionId: 'q1', answer: '5' });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("response_data -> 'answers' @> $2::jsonb OR");
+    expect(params.slice(1, 4).map((param) => JSON.parse(param))).toEqual([
+      [{ questionId: 'q1', answer: '5' }],
+      [{ questionId: 'q1', answer: ['5'] }],
+      [{ questionId: 'q1', answer: 5 }],
+    ]);
+  });
+
+  it('should return a cursor only when another page exists', async () => {
+    const rows = [
+      { id: RESPONSE_ID, created_at: new Date() },
+      { id: '33333333-3333-4333-8333-333333333333', created_at: new Date() },
+    ];
+    jest.spyOn(db, 'query').mockResolvedValue({ rows });
+
+    const page = await responsesService.list(SURVEY_ID, { limit: 1 });
+
+    expect(page.responses).toHaveLength(1);
+    expect(Buffer.from(page.nextCursor, 'base64url').toString()).toBe(RESPONSE_ID);
+  });
+
+  it('should reject a malformed cursor', async () => {
+    await expect(responsesService.list(SURVEY_ID, { cursor: 'bm9wZQ' })).rejects.toThrow('Invalid cursor');
+  });
+});
+
+describe('ResponsesService.get', () => {
+  it('should label answers with the snapshot questions', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [{
+        id: RESPONSE_ID,
+        response_data: { answers: [{ questionId: 'q1', answer: 'Yes' }, { questionId: 'gone', answer: 2 }] },
+        questions: [{ id: 'q1', text: 'Did it work?', type: 'yes_no' }],
+      }],
+    });
+
+    const response = await responsesService.get(SURVEY_ID, RESPONSE_ID);
+
+    expect(response.questions).toBeUndefined();
+    expect(response.answers).toEqual([
+      { questionId: 'q1', question: 'Did it work?', type: 'yes_no', answer: 'Yes' },
+      { questionId: 'gone', question: null, type: null, answer: 2 },
+    ]);
+  });
+
+  it('should show option ids as the text of the version the respondent saw', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({
+      rows: [{
+        id: 'snapshot-1',
+        questions: [{ id: 'q1', text: 'Colours?', type: 'checkbox', options: [{ id: 'opt-r', text: 'Red' }, { id: 'opt-b', text: 'Blue' }] }],
+      }],
+    });
+
+    const [labelled, unpublished] = await responsesService.labelResponses([
+      { id: RESPONSE_ID, snapshot_id: 'snapshot-1', response_data: { answers: [{ questionId: 'q1', answer: ['opt-b', 'Other'] }] } },
+      { id: 'draft-response', snapshot_id: null, response_data: { answers: [] } },
+    ]);
+
+    expect(query.mock.calls[0][1]).toEqual([['snapshot-1']]);
+    expect(labelled.answers).toEqual([{ questionId: 'q1', question: 'Colours?', type: 'checkbox', answer: ['Blue', 'Other'] }]);
+    expect(unpublished.answers).toEqual([]);
+  });
+
+  it('should 404 for a response outside the survey', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(responsesService.get(SURVEY_ID, RESPONSE_ID)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(responsesService.get(SURVEY_ID, 'not-a-uuid')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('listResponsesQuerySchema', () => {
+  it('should require a question for an answer filter', () => {
+    expect(listResponsesQuerySchema.validate({ answer: 'Yes' }).error).toBeDefined();
+    expect(listResponsesQuerySchema.validate({ questionId: 'q1' }).error).toBeDefined();
+    expect(listResponsesQuerySchema.validate({ questionId: 'q1', answer: 'Yes' }).error).toBeUndefined();
+  });
+
+  it('should reject an end date before the start date', () => {
+    const { error } = listResponsesQuerySchema.validate({ startDate: '2026-02-01', endDate: '2026-01-01' });
+    expect(error).toBeDefined();
+  });
+});
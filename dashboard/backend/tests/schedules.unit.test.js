@@ -0,0 +1,183 @@
+// ============================================
+// FILE: backend/tests/schedules.unit.test.js
+// Unit tests for scheduled exports and digests
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import schedulesService, { nextRunAt, assertValidSchedule } from '../src/modules/schedules/schedules.service.js';
+import exportsService from '../src/modules/exports/exports.service.js';
+import emailService from '../src/modules/auth/email.utils.js';
+
+const SCHEDULE = {
+  id: 'schedule-1',
+  survey_id: 'survey-1',
+  tenant_id: 'tenant-1',
+  survey_title: 'NPS Q3',
+  name: 'Weekly export',
+  kind: 'export',
+  format: 'xlsx',
+  incremental: true,
+  is_active: true,
+  recipients: ['team@example.com'],
+  created_by: 'user-1',
+};
+
+const RUN = {
+  id: 'run-1',
+  schedule_id: 'schedule-1',
+  window_end: new Date('2026-03-09T08:00:00Z'),
+  export_job_id: null,
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('schedule timing', () => {
+  it('should evaluate cron expressions in the schedule time zone', () => {
+    const next = nextRunAt('0 8 * * *', 'Europe/Berlin', new Date('2026-01-15T00:00:00Z'));
+
+    expect(next.toISOString()).toBe('2026-01-15T07:00:00.000Z');
+  });
+
+  it('should reject invalid, too frequent and unknown-zone schedules', () => {
+    expect(() => assertValidSchedule('not a cron')).toThrow('Invalid cron expression');
+    expect(() => assertValidSchedule('*/5 * * * *')).toThrow('at most once an hour');
+    expect(() => assertValidSchedule('0 8 * * 1', 'Mars/Olympus')).toThrow('Unknown time zone');
+    expect(() => assertValidSchedule('0 8 1 * *', 'America/New_York')).not.toThrow();
+  });
+});
+
+describe('SchedulesService.enqueueDue', () => {
+  it('should advance due schedules and queue one run each', async () => {
+    const now = new Date('2026-03-09T08:00:30Z');
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'schedule-1', cron_expression: '0 8 * * 1', timezone: 'UTC' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [RUN] }),
+    };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    const schedule = jest.spyOn(schedulesService, 'scheduleRun').mockResolvedValue('run-1');
+
+    await expect(schedulesService.enqueueDue(now)).resolves.toBe(1);
+
+    expect(client.query.mock.calls[1][1]).toEqual(['schedule-1', new Date('2026-03-16T08:00:00Z')]);
+    expect(client.query.mock.calls[2][1]).toEqual(['schedule-1', 'schedule', now]);
+    expect(schedule).toHaveBeenCalledWith('run-1');
+  });
+});
+
+describe('SchedulesService.executeRun', () => {
+  it('should export only responses since the last successful run', async () => {
+    const lastWindowEnd = new Date('2026-03-02T08:00:00Z');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [RUN] })
+      .mockResolvedValueOnce({ rows: [SCHEDULE] })
+      .mockResolvedValueOnce({ rows: [{ window_end: lastWindowEnd }] })
+      .mockResolvedValue({ rows: [] });
+    const insertJob = jest.spyOn(exportsService, 'insertJob').mockResolvedValue({ id: 'export-1' });
+    jest.spyOn(exportsService, 'process').mockResolvedValue({ rowCount: 12 });
+    const email = jest.spyOn(emailService, 'sendScheduledExport').mockResolvedValue({ success: true });
+
+    const outcome = await schedulesService.executeRun('run-1');
+
+    expect(outcome).toEqual({ responseCount: 12, exportJobId: 'export-1' });
+    expect(insertJob.mock.calls[0][1]).toEqual({
+      format: 'xlsx',
+      dateRange: { after: lastWindowEnd, endDate: RUN.window_end },
+      includeMetadata: true,
+    });
+    expect(email).toHaveBeenCalledWith(['team@example.com'], expect.objectContaining({
+      responseCount: 12,
+      downloadUrl: expect.stringContaining('/api/exports/export-1/download'),
+    }));
+    const succeeded = query.mock.calls.find(([sql]) => sql.includes("SET status = 'succeeded'"));
+    expect(succeeded[1]).toEqual(['run-1', lastWindowEnd, 12]);
+  });
+
+  it('should reuse the export job of an earlier attempt', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ ...RUN, export_job_id: 'export-1' }] })
+      .mockResolvedValueOnce({ rows: [{ ...SCHEDULE, incremental: false }] })
+      .mockResolvedValue({ rows: [] });
+    const insertJob = jest.spyOn(exportsService, 'insertJob');
+    const process = jest.spyOn(exportsService, 'process').mockResolvedValue({ rowCount: 3 });
+    jest.spyOn(emailService, 'sendScheduledExport').mockResolvedValue({ success: true });
+
+    await schedulesService.executeRun('run-1', { isFinalAttempt: false });
+
+    expect(insertJob).not.toHaveBeenCalled();
+    expect(process).toHaveBeenCalledWith('export-1', { isFinalAttempt: false });
+  });
+
+  it('should fail the run, pause the schedule and notify its owner', async () => {
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [RUN] })
+      .mockResolvedValueOnce({ rows: [{ ...SCHEDULE, kind: 'digest', incremental: false }] })
+      .mockRejectedValueOnce(new Error('statement timeout'))
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ is_active: false, consecutive_failures: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ email: 'owner@example.com' }] });
+    const notify = jest.spyOn(emailService, 'sendScheduleFailure').mockResolvedValue({ success: true });
+
+    await expect(schedulesService.executeRun('run-1')).rejects.toThrow('statement timeout');
+
+    expect(query.mock.calls[3][1]).toEqual(['run-1', 'statement timeout']);
+    expect(notify).toHaveBeenCalledWith(['owner@example.com'], expect.objectContaining({
+      scheduleName: 'Weekly export',
+      error: 'statement timeout',
+      paused: true,
+    }));
+  });
+
+  it('should skip runs that already finished', async () => {
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(schedulesService.executeRun('run-1')).resolves.toEqual({ skipped: true });
+  });
+});
+
+describe('SchedulesService.buildDigest', () => {
+  it('should summarize answers per published question', async () => {
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ new_responses: '5', total_responses: '40' }] })
+      .mockResolvedValueOnce({
+        rows: [{
+          questions: [
+            { id: 'q1', text: 'How likely are you to recommend us?', type: 'rating' },
+            { id: 'q2', text: 'Which plan?', type: 'multiple_choice' },
+            { id: 'q3', text: 'Anything else?', type: 'text' },
+          ],
+        }],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { question_id: 'q1', answered: '5', average: '8.40' },
+          { question_id: 'q2', answered: '4', average: null },
+          { question_id: 'q3', answered: '2', average: null },
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { question_id: 'q2', choice: 'Pro', count: '3' },
+          { question_id: 'q3', choice: 'Great', count: '1' },
+          { question_id: 'q2', choice: 'Free', count: '1' },
+        ],
+      });
+
+    const digest = await schedulesService.buildDigest('survey-1', null, RUN.window_end);
+
+    expect(digest.newResponses).toBe(5);
+    expect(digest.totalResponses).toBe(40);
+    expect(digest.questions).toEqual([
+      expect.objectContaining({ questionId: 'q1', answered: 5, average: 8.4, topAnswers: [] }),
+      expect.objectContaining({
+        questionId: 'q2',
+        average: null,
+        topAnswers: [{ answer: 'Pro', count: 3 }, { answer: 'Free', count: 1 }],
+      }),
+      expect.objectContaining({ questionId: 'q3', answered: 2, topAnswers: [] }),
+    ]);
+  });
+});
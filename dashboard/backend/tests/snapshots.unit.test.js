@@ -0,0 +1,68 @@
+// ============================================
+// FILE: backend/tests/snapshots.unit.test.js
+// Unit tests for snapshot diffing
+// ============================================
+import { describe, it, expect } from '@jest/globals';
+import snapshotsService from '../src/modules/surveys/snapshots.service.js';
+
+const base = {
+  title: 'Customer feedback',
+  description: 'Quarterly check-in',
+  config: { theme: 'light', showProgressBar: true },
+  questions: [
+    { id: 'q1', key: 'color', text: 'Favourite color?', type: 'multiple_choice', options: ['Red', 'Blue'], required: true, position: 0 },
+    { id: 'q2', key: 'score', text: 'How likely are you to recommend us?', type: 'rating', options: [{ min: 1, max: 5 }], required: false, position: 1 },
+  ],
+};
+
+describe('SnapshotsService.diffSnapshots', () => {
+  it('should report no changes for identical snapshots', () => {
+    const copy = JSON.parse(JSON.stringify(base));
+    copy.config = { showProgressBar: true, theme: 'light' };
+
+    const diff = snapshotsService.diffSnapshots(base, copy);
+
+    expect(diff.hasChanges).toBe(false);
+    expect(diff.questions).toEqual({ added: [], removed: [], changed: [] });
+  });
+
+  it('should report added, removed and changed questions', () => {
+    const next = {
+      ...base,
+      questions: [
+        { ...base.questions[0], options: ['Red', 'Blue', 'Green'], position: 1 },
+        { id: 'q3', key: 'comment', text: 'Anything else?', type: 'text', options: [], required: false, position: 0 },
+      ],
+    };
+
+    const diff = snapshotsService.diffSnapshots(base, next);
+
+    expect(diff.questions.added.map(q => q.id)).toEqual(['q3']);
+    expect(diff.questions.removed.map(q => q.id)).toEqual(['q2']);
+    expect(diff.questions.changed).toEqual([
+      {
+        id: 'q1',
+        key: 'color',
+        changes: {
+          options: { from: ['Red', 'Blue'], to: ['Red', 'Blue', 'Green'] },
+          position: { from: 0, to: 1 },
+        },
+      },
+    ]);
+  });
+
+  it('should report survey and config changes', () => {
+    const diff = snapshotsService.diffSnapshots(base, {
+      ...base,
+      title: 'Customer feedback v2',
+      config: { theme: 'dark', showProgressBar: true, allowBack: false },
+    });
+
+    expect(diff.survey).toEqual({ title: { from: 'Customer feedback', to: 'Customer feedback v2' } });
+    expect(diff.config).toEqual({
+      allowBack: { from: null, to: false },
+      theme: { from: 'light', to: 'dark' },
+    });
+    expect(diff.hasChanges).toBe(true);
+  });
+});
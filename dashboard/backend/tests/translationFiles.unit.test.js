@@ -0,0 +1,198 @@
+// ============================================
+// FILE: backend/tests/translationFiles.unit.test.js
+// Unit tests for XLIFF / JSON translation export and import
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import translationsService from '../src/modules/translations/translations.service.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import { importTranslationSchema } from '../src/modules/translations/translations.validation.js';
+import { toXliff, parseXliff } from '../src/utils/xliff.js';
+
+const Q1 = '11111111-1111-4111-8111-111111111111';
+const Q2 = '22222222-2222-4222-8222-222222222222';
+
+const survey = {
+  id: 'survey-1',
+  title: 'Feedback',
+  description: '',
+  config: { thankYouMessage: 'Thanks!' },
+  default_locale: 'en',
+  translations: {
+    fr: {
+      title: 'Avis',
+      questions: { [Q1]: { options: { 'Free & open': 'Gratuite' } } },
+    },
+  },
+};
+
+const questions = [
+  { id: Q1, text: 'Which plan are you on?', type: 'multiple_choice', options: ['Free & open', { text: 'Pro' }] },
+  { id: Q2, text: 'Rate us', type: 'matrix', rows: ['Speed'], options: ['Good', 'Bad'] },
+];
+
+function mockSurvey() {
+  jest.spyOn(surveysService, 'getById').mockResolvedValue(survey);
+  jest.spyOn(surveysService, 'getPreview').mockResolvedValue({ questions, pages: [{ key: 'intro', title: 'Welcome' }] });
+  return jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('XLIFF documents', () => {
+  it('should round-trip escaped text, CDATA and empty targets', () => {
+    const xml = toXliff({ original: 'survey/1', sourceLanguage: 'en', targetLanguage: 'fr' }, [
+      { id: 'a', source: 'Tom & "Jerry" <3', target: 'Tom & Jerry' },
+      { id: 'b', source: 'Untranslated' },
+    ]);
+    const withCdata = xml.replace('<source>Untranslated</source>', '<source>Untranslated</source><target><![CDATA[<Non> traduit]]></target>');
+
+    expect(parseXliff(withCdata)).toEqual({
+      sourceLanguage: 'en',
+      targetLanguage: 'fr',
+      units: [
+        { id: 'a', source: 'Tom & "Jerry" <3', target: 'Tom & Jerry' },
+        { id: 'b', source: 'Untranslated', target: '<Non> traduit' },
+      ],
+    });
+  });
+
+  it('should reject other versions, DTDs and inline markup', () => {
+    expect(() => parseXliff('<xliff version="2.0"></xliff>')).toThrow('XLIFF version 2.0 is not supported; use 1.2');
+    expect(() => parseXliff('<!DOCTYPE x [<!ENTITY e "boom">]><xliff version="1.2">'))
+      .toThrow('DOCTYPE declarations are not allowed');
+    expect(() => parseXliff(
+      '<xliff version="1.2"><file><body><trans-unit id="a"><source>Hi <g id="1">there</g></source></trans-unit></body></file></xliff>'
+    )).toThrow('trans-unit "a": inline markup is not supported');
+  });
+});
+
+describe('TranslationsService.export', () => {
+  it('should export every draft string with its translation as XLIFF', async () => {
+    mockSurvey();
+
+    const file = await translationsService.export('survey-1', 'fr', 'user-1', 'xliff');
+    const { targetLanguage, units } = parseXliff(file.content);
+
+    expect(file.filename).toBe('survey-survey-1-fr.xlf');
+    expect(targetLanguage).toBe('fr');
+    expect(units.map(u => u.id)).toEqual([
+      'survey.title',
+      'survey.thankYouMessage',
+      'pages.intro.title',
+      `questions.${Q1}.text`,
+      `questions.${Q1}.options.Free & open`,
+      `questions.${Q1}.options.Pro`,
+      `questions.${Q2}.text`,
+      `questions.${Q2}.options.Good`,
+      `questions.${Q2}.options.Bad`,
+      `questions.${Q2}.rows.Speed`,
+    ]);
+    expect(units[0]).toEqual({ id: 'survey.title', source: 'Feedback', target: 'Avis' });
+    expect(units[1].target).toBeUndefined();
+  });
+
+  it('should export flat JSON of translations, or of source strings for the default locale', async () => {
+    mockSurvey();
+
+    const translated = JSON.parse((await translationsService.export('survey-1', 'fr', 'user-1', 'json')).content);
+    const source = JSON.parse((await translationsService.export('survey-1', 'en', 'user-1', 'json')).content);
+
+    expect(translated).toEqual({ 'survey.title': 'Avis', [`questions.${Q1}.options.Free & open`]: 'Gratuite' });
+    expect(Object.keys(source)).toHaveLength(10);
+    expect(source[`questions.${Q2}.rows.Speed`]).toBe('Speed');
+  });
+});
+
+describe('TranslationsService.import', () => {
+  it('should report missing, extra and stale XLIFF units and merge the rest', async () => {
+    const query = mockSurvey();
+    const xml = toXliff({ original: 'survey/1', sourceLanguage: 'en', targetLanguage: 'fr' }, [
+      { id: `questions.${Q1}.text`, source: 'Which plan are you on?', target: 'Quelle formule ?' },
+      { id: `questions.${Q2}.text`, source: 'Rate us please', target: 'Notez-nous' },
+      { id: `questions.${Q2}.rows.Speed`, source: 'Speed', target: '' },
+      { id: 'questions.33333333-3333-4333-8333-333333333333.text', source: 'Gone', target: 'Parti' },
+    ]);
+
+    const { report, translation } = await translationsService.import('survey-1', 'fr-fr', 'user-1', {
+      format: 'xliff',
+      content: xml.replace('target-language="fr"', 'target-language="fr-FR"'),
+    });
+
+    expect(report.imported).toBe(1);
+    expect(report.stale).toEqual([`questions.${Q2}.text`]);
+    expect(report.extra).toEqual(['questions.33333333-3333-4333-8333-333333333333.text']);
+    expect(report.missing).toContain(`questions.${Q2}.rows.Speed`);
+    expect(report.missing).not.toContain(`questions.${Q1}.text`);
+    expect(translation.questions[Q1]).toEqual({ text: 'Quelle formule ?' });
+    expect(query.mock.calls[0][1][0]).toEqual(['fr-FR']);
+  });
+
+  it('should merge JSON into the existing translation and only save outside dry runs', async () => {
+    const query = mockSurvey();
+
+    const { report, translation } = await translationsService.import('survey-1', 'fr', 'user-1', {
+      format: 'json',
+      content: { [`questions.${Q2}.options.Good`]: 'Bien', 'survey.subtitle': 'x' },
+      dryRun: true,
+    });
+
+    expect(report.imported).toBe(1);
+    expect(report.extra).toEqual(['survey.subtitle']);
+    expect(translation.questions).toEqual({
+      [Q1]: { options: { 'Free & open': 'Gratuite' } },
+      [Q2]: { options: { Good: 'Bien' } },
+    });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('should key options and rows by id, so reworded ones keep their key and go stale', async () => {
+    mockSurvey();
+    surveysService.getPreview.mockResolvedValue({
+      questions: [{
+        id: Q2,
+        text: 'Rate us',
+        type: 'matrix',
+        rows: [{ id: 'row-speed', text: 'Loading speed' }],
+        options: [{ id: 'col-good', text: 'Great' }],
+      }],
+      pages: [],
+    });
+
+    const exported = parseXliff((await translationsService.export('survey-1', 'en', 'user-1', 'xliff')).content);
+    expect(exported.units.slice(-2)).toEqual([
+      expect.objectContaining({ id: `questions.${Q2}.options.col-good`, source: 'Great' }),
+      expect.objectContaining({ id: `questions.${Q2}.rows.row-speed`, source: 'Loading speed' }),
+    ]);
+
+    // Translated before the row was renamed from "Speed"
+    const xml = toXliff({ original: 'survey/1', sourceLanguage: 'en', targetLanguage: 'fr' }, [
+      { id: `questions.${Q2}.options.col-good`, source: 'Great', target: 'Super' },
+      { id: `questions.${Q2}.rows.row-speed`, source: 'Speed', target: 'Vitesse' },
+    ]);
+    const { report, translation } = await translationsService.import('survey-1', 'fr', 'user-1', {
+      format: 'xliff',
+      content: xml,
+      dryRun: true,
+    });
+
+    expect(report.stale).toEqual([`questions.${Q2}.rows.row-speed`]);
+    expect(report.extra).toEqual([]);
+    expect(translation.questions[Q2]).toEqual({ options: { 'col-good': 'Super' } });
+  });
+
+  it('should reject files for another language or with non-string values', async () => {
+    mockSurvey();
+    const xml = toXliff({ original: 'survey/1', sourceLanguage: 'en', targetLanguage: 'de' }, []);
+
+    await expect(translationsService.import('survey-1', 'fr', 'user-1', { format: 'xliff', content: xml }))
+      .rejects.toThrow('File translates into de, not fr');
+    await expect(translationsService.import('survey-1', 'fr', 'user-1', { format: 'json', content: { 'survey.title': 3 } }))
+      .rejects.toThrow('Value of "survey.title" must be a string');
+    await expect(translationsService.import('survey-1', 'en', 'user-1', { format: 'json', content: {} }))
+      .rejects.toThrow("en is the survey's default locale");
+    expect(importTranslationSchema.validate({ format: 'xliff', content: {} }).error).toBeDefined();
+  });
+});
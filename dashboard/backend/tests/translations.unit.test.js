@@ -0,0 +1,207 @@
+// ============================================
+// FILE: backend/tests/translations.unit.test.js
+// Unit tests for survey translations: negotiation, localized serving,
+// response locale and language-independent answers
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import translationService from '../src/services/translationService.js';
+import translationsService from '../src/modules/translations/translations.service.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+import { normalizeLocale, parseAcceptLanguage, negotiateLocale } from '../src/utils/locales.js';
+
+const Q1 = '11111111-1111-4111-8111-111111111111';
+const Q2 = '22222222-2222-4222-8222-222222222222';
+
+const snapshot = {
+  title: 'Feedback',
+  surveyType: 'feedback',
+  config: {},
+  locale: 'en',
+  translations: {
+    fr: {
+      title: 'Avis',
+      thankYouMessage: 'Merci !',
+      questions: {
+        [Q1]: { text: 'Quelle formule utilisez-vous ?', options: { Free: 'Gratuite', Pro: 'Pro' } },
+        [Q2]: { rows: { Speed: 'Vitesse' }, options: { Good: 'Bien', Bad: 'Mal' } },
+      },
+    },
+    de: {
+      questions: { [Q1]: { options: { Free: 'Kostenlos' } } },
+    },
+  },
+  questions: [
+    { id: Q1, key: 'plan', text: 'Which plan are you on?', type: 'multiple_choice', options: ['Free', { text: 'Pro', imageUrl: 'pro.png' }] },
+    { id: Q2, key: 'rate', text: 'Rate us', type: 'matrix', rows: ['Speed', 'Price'], options: ['Good', 'Bad'] },
+  ],
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Locale negotiation', () => {
+  it('should normalize tags and order Accept-Language by quality', () => {
+    expect(normalizeLocale('pt-br')).toBe('pt-BR');
+    expect(normalizeLocale('not a locale')).toBeNull();
+    expect(parseAcceptLanguage('en;q=0.5, fr-CH, de;q=0, fr;q=0.9, *;q=0.1')).toEqual(['fr-CH', 'fr', 'en']);
+  });
+
+  it('should prefer exact matches, then the same language, then the default', () => {
+    expect(negotiateLocale(['fr-CA'], ['en', 'fr', 'fr-CA'])).toBe('fr-CA');
+    expect(negotiateLocale(['fr-CH', 'de'], ['en', 'de', 'fr'])).toBe('fr');
+    expect(negotiateLocale(['pt'], ['en', 'pt-BR'])).toBe('pt-BR');
+    expect(negotiateLocale(['ja', 'bogus!'], ['de', 'fr'], 'de')).toBe('de');
+    expect(translationService.negotiate(snapshot, [undefined, 'fr-BE'])).toBe('fr');
+    expect(translationService.negotiate({ questions: [] }, ['fr'])).toBe('en');
+  });
+});
+
+describe('TranslationService', () => {
+  it('should localize texts while keeping option and row ids', () => {
+    const shown = translationService.localize(
+      { title: snapshot.title, config: { theme: 'dark' }, questions: snapshot.questions },
+      snapshot.translations.fr
+    );
+
+    expect(shown.title).toBe('Avis');
+    expect(shown.config).toEqual({ theme: 'dark', thankYouMessage: 'Merci !' });
+    expect(shown.questions[0].text).toBe('Quelle formule utilisez-vous ?');
+    expect(shown.questions[0].options).toEqual([
+      { id: 'Free', text: 'Gratuite' },
+      { id: 'Pro', text: 'Pro', imageUrl: 'pro.png' },
+    ]);
+    expect(shown.questions[1].rows).toEqual(['Speed', 'Price']);
+    expect(shown.questions[1].rowLabels).toEqual(['Vitesse', 'Price']);
+    expect(translationService.localize(snapshot, null)).toBe(snapshot);
+  });
+
+  it('should map translated labels back to option ids in any language', () => {
+    const answers = [
+      { questionId: Q1, answer: 'Kostenlos' },
+      { questionId: Q2, answer: { Vitesse: 'Bien', Price: 'Bad' } },
+    ];
+
+    expect(translationService.canonicalizeAnswers(snapshot.questions, answers, Object.values(snapshot.translations)))
+      .toEqual([
+        { questionId: Q1, answer: 'Free' },
+        { questionId: Q2, answer: { Speed: 'Good', Price: 'Bad' } },
+      ]);
+    expect(translationService.canonicalizeAnswers(snapshot.questions, answers, [snapshot.translations.fr])[0].answer)
+      .toBe('Kostenlos');
+  });
+
+  it('should key options and rows by id so rewording keeps their answers', () => {
+    const questions = [{
+      id: Q2,
+      type: 'matrix',
+      rows: [{ id: 'row-speed', text: 'Loading speed' }],
+      options: [{ id: 'col-good', text: 'Great' }, { id: 'col-bad', text: 'Poor' }],
+    }];
+    const fr = { questions: { [Q2]: { rows: { 'row-speed': 'Vitesse' }, options: { 'col-good': 'Bien' } } } };
+
+    const shown = translationService.localize({ questions }, fr).questions[0];
+    expect(shown.options[0]).toEqual({ id: 'col-good', text: 'Bien' });
+    expect(shown.rowLabels).toEqual(['Vitesse']);
+
+    expect(translationService.canonicalizeAnswers(questions, [
+      { questionId: Q2, answer: { Vitesse: 'Bien' } },
+      { questionId: Q2, answer: { 'Loading speed': 'Poor' } },
+      { questionId: Q2, answer: { 'row-speed': 'col-good' } },
+    ], [fr]).map(a => a.answer)).toEqual([
+      { 'row-speed': 'col-good' },
+      { 'row-speed': 'col-bad' },
+      { 'row-speed': 'col-good' },
+    ]);
+  });
+});
+
+describe('TranslationsService', () => {
+  it('should reject the default locale and texts outside the draft', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({ id: 'survey-1', default_locale: 'en', translations: {} });
+    jest.spyOn(surveysService, 'getPreview').mockResolvedValue({ questions: snapshot.questions, pages: [] });
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(translationsService.save('survey-1', 'EN', 'user-1', {}))
+      .rejects.toThrow("en is the survey's default locale; edit the survey texts instead");
+    await expect(translationsService.save('survey-1', 'fr', 'user-1', {
+      questions: { [Q1]: { options: { Enterprise: 'Entreprise' } } },
+    })).rejects.toThrow(`"Enterprise" is not an option of question ${Q1}`);
+    await expect(translationsService.save('survey-1', 'fr', 'user-1', {
+      questions: { [Q2]: { rows: { Support: 'Assistance' } } },
+    })).rejects.toThrow(`"Support" is not a row of question ${Q2}`);
+    expect(query).not.toHaveBeenCalled();
+
+    const saved = await translationsService.save('survey-1', 'pt-br', 'user-1', snapshot.translations.de);
+    expect(saved.locale).toBe('pt-BR');
+    expect(query.mock.calls[0][1][0]).toEqual(['pt-BR']);
+  });
+});
+
+describe('EmbedService.submitResponse translations', () => {
+  it('should store option ids and the negotiated locale', async () => {
+    const survey = {
+      id: 'survey-1',
+      tenant_id: 'tenant-1',
+      survey_key: 'survey_key_1',
+      published_snapshot_id: 'snapshot-1',
+      snapshot_version: 1,
+      snapshot,
+      variants: [],
+    };
+    jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [survey] }).mockResolvedValue({ rows: [] });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'response-1' }] }).mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({});
+    jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: Q1, answer: 'Gratuite' }, { questionId: Q2, answer: { Speed: 'Bien' } }],
+      metadata: {},
+    }, { acceptLanguage: 'fr-FR,fr;q=0.9' });
+
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toContain('locale');
+    expect(params[13]).toBe('fr');
+    expect(JSON.parse(params[3]).answers).toEqual([
+      { questionId: Q1, answer: 'Free' },
+      { questionId: Q2, answer: { Speed: 'Good' } },
+    ]);
+    expect(JSON.parse(params[3]).metadata.locale).toBe('fr');
+  });
+});
+
+describe('AnalyticsService.getQuestionAnalytics translations', () => {
+  it('should merge answers across languages and break responses down by locale', async () => {
+    jest.spyOn(analyticsService, 'verifySurveyAccess').mockResolvedValue();
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ microsurvey_id: 'ms-1', snapshot }] })
+      .mockResolvedValueOnce({ rows: [{ locale: 'en', count: '3' }, { locale: 'fr', count: '1' }] });
+    jest.spyOn(microSurveyClient, 'getResults').mockResolvedValue({
+      responses: [
+        { answers: [{ questionId: Q1, answer: 'Free' }] },
+        { answers: [{ questionId: Q1, answer: 'Gratuite' }] },
+        { answers: [{ questionId: Q1, answer: 'Kostenlos' }] },
+        { answers: [{ questionId: Q1, answer: 'Pro' }] },
+      ],
+    });
+
+    const analytics = await analyticsService.getQuestionAnalytics('survey-1', 'user-1');
+    const plan = analytics.questions[0];
+
+    expect(plan.totalResponses).toBe(4);
+    expect(plan.optionBreakdown.map(({ option, count }) => [option, count])).toEqual([['Free', 3], ['Pro', 1]]);
+    expect(analytics.locales).toEqual([
+      { locale: 'en', count: 3, percentage: 75 },
+      { locale: 'fr', count: 1, percentage: 25 },
+    ]);
+  });
+});
@@ -0,0 +1,224 @@
+// ============================================
+// FILE: backend/tests/variants.unit.test.js
+// Unit tests for A/B variants: assignment, overrides, storage and comparison
+// ============================================
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import db from '../src/config/db.js';
+import variantsService from '../src/modules/variants/variants.service.js';
+import surveysService from '../src/modules/surveys/surveys.service.js';
+import embedService from '../src/modules/embed/embed.service.js';
+import analyticsService from '../src/modules/analytics/analytics.service.js';
+import microSurveyClient from '../src/services/microSurveyClient.js';
+import quotaService from '../src/modules/billing/quota.service.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+import { createVariantSchema } from '../src/modules/variants/variants.validation.js';
+import { chiSquarePValue, chiSquareTest } from '../src/utils/statistics.js';
+
+const Q1 = '11111111-1111-4111-8111-111111111111';
+const Q2 = '22222222-2222-4222-8222-222222222222';
+const Q3 = '33333333-3333-4333-8333-333333333333';
+
+const when = (question, value) => ({ conditions: [{ question, operator: 'equals', value }] });
+
+const snapshot = {
+  title: 'Feedback',
+  config: { theme: 'light' },
+  questions: [
+    { id: Q1, key: 'plan', text: 'Which plan are you on?', type: 'multiple_choice', options: ['Free', 'Pro'] },
+    { id: Q2, key: 'speed', text: 'How fast is the app?', type: 'rating' },
+    { id: Q3, key: 'upgrade', text: 'Why not upgrade?', type: 'text', conditional: { showIf: when('plan', 'Free') } },
+  ],
+};
+
+const A = { id: 'variant-a', key: 'A', weight: 1, overrides: {} };
+const B = {
+  id: 'variant-b',
+  key: 'B',
+  weight: 1,
+  overrides: { theme: 'dark', questions: { [Q2]: { text: 'How quick does the app feel?' } }, questionOrder: [Q2, Q1] },
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Chi-square test', () => {
+  it('should match chi-square table values', () => {
+    expect(chiSquarePValue(3.841, 1)).toBeCloseTo(0.05, 3);
+    expect(chiSquarePValue(9.488, 4)).toBeCloseTo(0.05, 3);
+    expect(chiSquarePValue(0.5, 3)).toBeCloseTo(0.9189, 4);
+  });
+
+  it('should test a contingency table and skip tables without two groups', () => {
+    expect(chiSquareTest([[30, 70], [45, 55]])).toEqual({
+      statistic: 4.8,
+      degreesOfFreedom: 1,
+      pValue: 0.0285,
+      significant: true,
+      lowCounts: false,
+    });
+    expect(chiSquareTest([[30, 70], [0, 0]])).toBeNull();
+  });
+});
+
+describe('VariantsService serving', () => {
+  it('should pick by weight and keep the pick for a session', () => {
+    const sessions = Array.from({ length: 400 }, (_, i) => `sess-${i}`);
+    const picks = sessions.map(sessionId => variantsService.pick([A, { ...B, weight: 3 }], sessionId).key);
+    const share = picks.filter(key => key === 'B').length / picks.length;
+
+    expect(share).toBeGreaterThan(0.65);
+    expect(share).toBeLessThan(0.85);
+    expect(variantsService.pick([A, B], 'sess-7')).toBe(variantsService.pick([A, B], 'sess-7'));
+    expect(sessions.every(sessionId => variantsService.pick([{ ...A, weight: 0 }, B], sessionId) === B)).toBe(true);
+    expect(variantsService.pick([{ ...A, weight: 0 }], 'sess-1')).toBeNull();
+  });
+
+  it('should apply wording, theme and question order', () => {
+    const shown = variantsService.apply(snapshot, B);
+
+    expect(shown.config).toEqual({ theme: 'dark' });
+    expect(shown.title).toBe('Feedback');
+    expect(shown.questions.map(q => q.id)).toEqual([Q2, Q1, Q3]);
+    expect(shown.questions[0].text).toBe('How quick does the app feel?');
+    expect(variantsService.apply(snapshot, null)).toBe(snapshot);
+  });
+
+  it('should keep the published order when the variant order would break branching', () => {
+    const shown = variantsService.apply(snapshot, { ...B, overrides: { questionOrder: [Q3, Q1] } });
+
+    expect(shown.questions.map(q => q.id)).toEqual([Q1, Q2, Q3]);
+  });
+
+  it('should only assign sessions, keeping earlier assignments', async () => {
+    const survey = { id: 'survey-1', tenant_id: 'tenant-1', variants: [A, B] };
+    const query = jest.spyOn(db, 'query').mockResolvedValueOnce({ rows: [{ variant_id: 'variant-b' }] });
+
+    await expect(variantsService.assign(survey, null)).resolves.toBeNull();
+    await expect(variantsService.assign(survey, 'sess-1')).resolves.toBe(B);
+    expect(query).toHaveBeenCalledTimes(1);
+
+    query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+    const assigned = await variantsService.assign(survey, 'sess-2');
+
+    expect(assigned).toBe(variantsService.pick([A, B], 'sess-2'));
+    expect(query.mock.calls[2][0]).toContain("'survey_view'");
+    expect(query.mock.calls[2][1].slice(1)).toEqual(['survey-1', 'tenant-1', 'sess-2', assigned.id]);
+  });
+});
+
+describe('VariantsService management', () => {
+  it('should reject overrides for questions outside the survey and orders that break branching', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({ id: 'survey-1' });
+    jest.spyOn(surveysService, 'getPreview').mockResolvedValue({ questions: snapshot.questions, pages: [] });
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    const other = '44444444-4444-4444-8444-444444444444';
+    await expect(variantsService.create('survey-1', 'user-1', {
+      key: 'B', name: 'B', weight: 1, overrides: { questions: { [other]: { text: 'Something else?' } } },
+    })).rejects.toThrow(`Question ${other} is not part of this survey`);
+
+    await expect(variantsService.create('survey-1', 'user-1', {
+      key: 'B', name: 'B', weight: 1, overrides: { questionOrder: [Q3, Q1] },
+    })).rejects.toThrow('Invalid branching logic');
+  });
+
+  it('should reject duplicate keys and deleting variants with responses', async () => {
+    jest.spyOn(surveysService, 'getById').mockResolvedValue({ id: 'survey-1' });
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 'variant-a' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'variant-a', key: 'A' }] })
+      .mockResolvedValueOnce({ rows: [{ count: '3' }] });
+
+    await expect(variantsService.create('survey-1', 'user-1', { key: 'A', name: 'Control', weight: 1, overrides: {} }))
+      .rejects.toThrow('Variant key "A" is already used by this survey');
+    await expect(variantsService.delete('survey-1', 'variant-a', 'user-1'))
+      .rejects.toThrow('Variant has responses; set its weight to 0 to stop assigning it');
+  });
+
+  it('should validate the request body', () => {
+    const { value, error } = createVariantSchema.validate({ key: 'B', name: 'Shorter wording' });
+
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ key: 'B', name: 'Shorter wording', weight: 1, overrides: {} });
+    expect(createVariantSchema.validate({ key: 'B C', name: 'x' }).error).toBeDefined();
+    expect(createVariantSchema.validate({ key: 'B', name: 'x', overrides: { questionOrder: [Q1, Q1] } }).error)
+      .toBeDefined();
+  });
+});
+
+describe('EmbedService.submitResponse variants', () => {
+  it('should store the session variant on the response and the submit event', async () => {
+    const survey = {
+      id: 'survey-1',
+      tenant_id: 'tenant-1',
+      survey_key: 'survey_key_1',
+      published_snapshot_id: 'snapshot-1',
+      snapshot_version: 1,
+      snapshot,
+      variants: [A, B],
+    };
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [survey] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ variant_id: 'variant-b' }] });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'response-1' }] }).mockResolvedValue({ rows: [] }) };
+    jest.spyOn(db, 'transaction').mockImplementation((fn) => fn(client));
+    jest.spyOn(quotaService, 'consume').mockResolvedValue();
+    jest.spyOn(microSurveyClient, 'submitResponse').mockResolvedValue({});
+    jest.spyOn(analyticsService, 'invalidateCache').mockResolvedValue();
+    jest.spyOn(webhookEndpointsService, 'dispatch').mockResolvedValue();
+
+    await embedService.submitResponse('survey_key_1', {
+      answers: [{ questionId: Q2, answer: 4 }, { questionId: Q1, answer: 'Pro' }],
+      metadata: { sessionId: 'sess-1' },
+    });
+
+    expect(client.query.mock.calls[0][0]).toContain('variant_id');
+    expect(client.query.mock.calls[0][1][12]).toBe('variant-b');
+    expect(client.query.mock.calls[1][1][4]).toBe('variant-b');
+  });
+});
+
+describe('AnalyticsService.getVariantComparison', () => {
+  it('should compare completion rates and answer distributions', async () => {
+    jest.spyOn(analyticsService, 'verifySurveyAccess').mockResolvedValue();
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'variant-a', key: 'A', name: 'Control', weight: 1, views: '100', completions: '30' },
+          { id: 'variant-b', key: 'B', name: 'Shorter', weight: 1, views: '100', completions: '45' },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ questions: snapshot.questions }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { variant_id: 'variant-a', question_id: Q1, answer: 'Pro', count: '10' },
+          { variant_id: 'variant-a', question_id: Q1, answer: 'Free', count: '20' },
+          { variant_id: 'variant-b', question_id: Q1, answer: 'Pro', count: '15' },
+          { variant_id: 'variant-b', question_id: Q1, answer: 'Free', count: '30' },
+          { variant_id: 'variant-b', question_id: Q2, answer: 5, count: '2' },
+          { variant_id: 'variant-b', question_id: Q3, answer: 'Too pricey', count: '1' },
+        ],
+      });
+
+    const comparison = await analyticsService.getVariantComparison('survey-1', 'user-1');
+
+    expect(comparison.variants.map(v => [v.key, v.completionRate])).toEqual([['A', 30], ['B', 45]]);
+    expect(comparison.completionTest).toEqual(expect.objectContaining({ pValue: 0.0285, significant: true }));
+    expect(comparison.questions.map(q => q.questionId)).toEqual([Q1, Q2]);
+
+    const plan = comparison.questions[0];
+    expect(plan.variants[0]).toEqual({
+      variantId: 'variant-a',
+      key: 'A',
+      respondents: 30,
+      distribution: [
+        { answer: 'Free', label: 'Free', count: 20, percentage: 66.7 },
+        { answer: 'Pro', label: 'Pro', count: 10, percentage: 33.3 },
+      ],
+    });
+    expect(plan.test).toEqual(expect.objectContaining({ pValue: 1, significant: false }));
+    expect(comparison.questions[1].test).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+// ============================================
+// FILE: backend/tests/webhookEndpoints.unit.test.js
+// Unit tests for outgoing webhook signing, dispatch and delivery
+// ============================================
+import crypto from 'crypto';
+import dns from 'dns';
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import axios from 'axios';
+import db from '../src/config/db.js';
+import webhookEndpointsService from '../src/modules/webhooks/webhookEndpoints.service.js';
+import membersService from '../src/modules/tenants/members.service.js';
+import { isPublicAddress } from '../src/utils/outboundUrl.js';
+
+const delivery = {
+  id: 'delivery-1',
+  event_type: 'response.created',
+  event_id: 'event-1',
+  payload: { id: 'event-1', type: 'response.created', data: { responseId: 'r1' } },
+  status: 'pending',
+  url: 'https://example.com/hook',
+  secret: 'whsec_test',
+  is_active: true,
+};
+
+function mockDns(...addresses) {
+  return jest.spyOn(dns.promises, 'lookup').mockResolvedValue(
+    addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+  );
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WebhookEndpointsService.sign', () => {
+  it('should HMAC the timestamp and body with the endpoint secret', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    expect(webhookEndpointsService.sign('whsec_test', 1700000000, '{"a":1}')).toBe(
+      `t=1700000000,v1=${expected}`
+    );
+  });
+});
+
+describe('WebhookEndpointsService.deliver', () => {
+  it('should send a signed request and mark the delivery succeeded', async () => {
+    mockDns('93.184.216.34');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: 'ok' });
+
+    await webhookEndpointsService.deliver('delivery-1');
+
+    const [url, body, options] = post.mock.calls[0];
+    expect(url).toBe('https://example.com/hook');
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(options.headers['X-Webhook-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(query.mock.calls[1][1][0]).toBe('succeeded');
+  });
+
+  it('should record a retry and throw so the job is retried', async () => {
+    mockDns('93.184.216.34');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 503, data: 'unavailable' });
+
+    await expect(webhookEndpointsService.deliver('delivery-1')).rejects.toThrow(
+      'Endpoint responded with HTTP 503'
+    );
+    expect(query.mock.calls[1][1].slice(0, 3)).toEqual(['retrying', 503, 'unavailable']);
+  });
+
+  it('should mark the delivery failed on the last attempt', async () => {
+    mockDns('93.184.216.34');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(
+      webhookEndpointsService.deliver('delivery-1', { isFinalAttempt: true })
+    ).rejects.toThrow('connect ECONNREFUSED');
+    expect(query.mock.calls[1][1][0]).toBe('failed');
+  });
+
+  it('should pin the connection to the checked address', async () => {
+    mockDns('93.184.216.34');
+    jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: 'x'.repeat(5000) });
+
+    await webhookEndpointsService.deliver('delivery-1');
+
+    const { httpsAgent } = post.mock.calls[0][2];
+    const lookedUp = await new Promise((resolve, reject) => {
+      httpsAgent.options.lookup('example.com', { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+    });
+    expect(lookedUp).toEqual([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  it('should fail without sending when the host now resolves to an internal address', async () => {
+    mockDns('169.254.169.254');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    const post = jest.spyOn(axios, 'post');
+
+    await expect(webhookEndpointsService.deliver('delivery-1')).resolves.toEqual({ skipped: true });
+    expect(post).not.toHaveBeenCalled();
+    expect(query.mock.calls[1][1][0]).toBe('failed');
+    expect(query.mock.calls[1][1][3]).toContain('non-public address (169.254.169.254)');
+  });
+
+  it('should store only the start of the response body', async () => {
+    mockDns('93.184.216.34');
+    const query = jest.spyOn(db, 'query')
+      .mockResolvedValueOnce({ rows: [delivery] })
+      .mockResolvedValueOnce({ rows: [] });
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 500, data: 'secret '.repeat(1000) });
+
+    await expect(webhookEndpointsService.deliver('delivery-1')).rejects.toThrow('HTTP 500');
+    expect(query.mock.calls[1][1][2].length).toBeLessThanOrEqual(200);
+  });
+});
+
+describe('Webhook URL checks', () => {
+  it('should tell public addresses from internal ones', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+      expect([address, isPublicAddress(address)]).toEqual([address, false]);
+    }
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+    expect(isPublicAddress('::ffff:93.184.216.34')).toBe(true);
+  });
+
+  it('should reject plain HTTP, internal hosts and unresolvable hosts', async () => {
+    await expect(webhookEndpointsService.assertDeliverableUrl('http://example.com/hook'))
+      .rejects.toThrow('Webhook URLs must use HTTPS');
+
+    mockDns('93.184.216.34', '10.0.0.5');
+    await expect(webhookEndpointsService.assertDeliverableUrl('https://rebind.example.com/hook'))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('non-public address (10.0.0.5)') });
+
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+    await expect(webhookEndpointsService.assertDeliverableUrl('https://nowhere.invalid/hook'))
+      .rejects.toThrow('Webhook URL host could not be resolved: nowhere.invalid');
+  });
+});
+
+describe('WebhookEndpointsService.dispatch', () => {
+  it('should never throw when the event cannot be queued', async () => {
+    jest.spyOn(db, 'query').mockRejectedValue(new Error('db down'));
+
+    await expect(
+      webhookEndpointsService.dispatch('tenant-1', 'survey.published', {})
+    ).resolves.toBe(0);
+  });
+
+  it('should skip tenants without subscribed endpoints', async () => {
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(
+      webhookEndpointsService.dispatch('tenant-1', 'survey.published', {})
+    ).resolves.toBe(0);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WebhookEndpointsService.createEndpoint', () => {
+  it('should refuse endpoints on internal addresses', async () => {
+    jest.spyOn(membersService, 'requireRole').mockResolvedValue('owner');
+    const query = jest.spyOn(db, 'query').mockResolvedValue({ rows: [{ features: ['Webhooks'] }] });
+
+    await expect(
+      webhookEndpointsService.createEndpoint('tenant-1', 'user-1', {
+        url: 'https://169.254.169.254/latest/meta-data',
+        events: ['response.created'],
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should require a plan that includes webhooks', async () => {
+    jest.spyOn(membersService, 'requireRole').mockResolvedValue('owner');
+    jest.spyOn(db, 'query').mockResolvedValue({ rows: [{ features: ['3 surveys'] }] });
+
+    await expect(
+      webhookEndpointsService.createEndpoint('tenant-1', 'user-1', {
+        url: 'https://example.com/hook',
+        events: ['response.created'],
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
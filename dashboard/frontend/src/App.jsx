@@ -18,6 +18,16 @@ import QuestionBuilderPage from "./pages/QuestionBuilder";
 import QuestionListPage from "./pages/QuestionList";
 import AnalyticsPage from "./pages/Analytics";
 import OrganizationsPage from "./pages/Organizations";
+import AcceptInvitationPage from "./pages/AcceptInvitation";
+import WebhooksPage from "./pages/Webhooks";
+import BillingPage from "./pages/Billing";
+import AdminBillingPage from "./pages/AdminBilling";
+import SurveyResponsesPage from "./pages/SurveyResponses";
+import SurveySchedulesPage from "./pages/SurveySchedules";
+import SurveyPagesPage from "./pages/SurveyPages";
+import SurveyAvailabilityPage from "./pages/SurveyAvailability";
+import SurveyVariantsPage from "./pages/SurveyVariants";
+import SurveyTranslationsPage from "./pages/SurveyTranslations";
 import { NotFound } from "./pages/errors/NotFound";
 import { Unauthorized } from "./pages/errors/Unauthorized";
 
@@ -58,15 +68,30 @@ export default function App() {
               <Route index element={<Navigate to="/dashboard" replace />} />
               <Route path="dashboard" element={<DashboardPage />} />
               <Route path="organizations" element={<OrganizationsPage />} />
+              <Route path="invitations/accept" element={<AcceptInvitationPage />} />
               <Route path="questions" element={<QuestionListPage />} />
               <Route path="questions/new" element={<QuestionBuilderPage />} />
               <Route path="questions/:id/edit" element={<QuestionBuilderPage />} />
               <Route path="analytics" element={<PlaceholderPage title="Analytics" />} />
               <Route path="analytics/:questionId" element={<AnalyticsPage />} />
               <Route path="surveys" element={<PlaceholderPage title="Surveys" />} />
+              <Route path="surveys/:id/responses" element={<SurveyResponsesPage />} />
+              <Route path="surveys/:id/schedules" element={<SurveySchedulesPage />} />
+              <Route path="surveys/:id/pages" element={<SurveyPagesPage />} />
+              <Route path="surveys/:id/availability" element={<SurveyAvailabilityPage />} />
+              <Route path="surveys/:id/variants" element={<SurveyVariantsPage />} />
+              <Route path="surveys/:id/translations" element={<SurveyTranslationsPage />} />
               <Route path="api-keys" element={<PlaceholderPage title="API Keys" />} />
-              <Route path="billing" element={<PlaceholderPage title="Billing" />} />
-              <Route path="webhooks" element={<PlaceholderPage title="Webhooks" />} />
+              <Route path="billing" element={<BillingPage />} />
+              <Route path="webhooks" element={<WebhooksPage />} />
+              <Route
+                path="admin/billing"
+                element={
+                  <ProtectedRoute requireAdmin>
+                    <AdminBillingPage />
+                  </ProtectedRoute>
+                }
+              />
               <Route path="settings" element={<PlaceholderPage title="Settings" />} />
               <Route path="settings/profile" element={<PlaceholderPage title="Profile Settings" />} />
             </Route>
@@ -4,7 +4,7 @@ import { Navigate, useLocation } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import { PageLoader } from "./ui/LoadingSpinner";
 
-export default function ProtectedRoute({ children, requireAuth = true }) {
+export default function ProtectedRoute({ children, requireAuth = true, requireAdmin = false }) {
   const { user, loading, isAuthenticated } = useContext(AuthContext);
   const location = useLocation();
 
@@ -18,6 +18,11 @@ export default function ProtectedRoute({ children, requireAuth = true }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Platform admin pages
+  if (requireAdmin && user?.role !== "admin") {
+    return <Navigate to="/unauthorized" replace />;
+  }
+
   // Render children if authenticated or auth not required
   return children;
 }
@@ -2,11 +2,13 @@
 // FILE: frontend/src/components/layout/Sidebar.jsx (NEW)
 // Complete sidebar navigation component
 // ============================================
-import React from 'react';
+import React, { useContext } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { AuthContext } from '../../context/AuthContext';
 
 export default function Sidebar({ isOpen, isMobileOpen, onClose }) {
   const location = useLocation();
+  const { user } = useContext(AuthContext);
 
   const navigation = [
     {
@@ -51,6 +53,12 @@ export default function Sidebar({ isOpen, isMobileOpen, onClose }) {
       href: '/webhooks',
       active: location.pathname.startsWith('/webhooks'),
     },
+    {
+      name: 'Billing',
+      icon: '💳',
+      href: '/billing',
+      active: location.pathname.startsWith('/billing'),
+    },
     {
       name: 'Settings',
       icon: '⚙️',
@@ -59,6 +67,15 @@ export default function Sidebar({ isOpen, isMobileOpen, onClose }) {
     },
   ];
 
+  if (user?.role === 'admin') {
+    navigation.push({
+      name: 'Admin Billing',
+      icon: '🛡️',
+      href: '/admin/billing',
+      active: location.pathname.startsWith('/admin'),
+    });
+  }
+
   return (
     <>
       {/* Desktop sidebar */}
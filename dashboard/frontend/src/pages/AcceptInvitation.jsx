@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import api from "../services/api";
+
+export default function AcceptInvitationPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [membership, setMembership] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!token) {
+      setError("Invitation link is missing its token");
+      setLoading(false);
+      return;
+    }
+
+    acceptInvitation();
+  }, [token]);
+
+  async function acceptInvitation() {
+    try {
+      const response = await api.acceptInvitation(token);
+      setMembership(response.data.membership);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="max-w-lg mx-auto bg-white p-8 rounded shadow text-center">
+      <h1 className="text-2xl font-bold mb-4">Team Invitation</h1>
+
+      {loading && <p className="text-gray-600">Accepting invitation...</p>}
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      {membership && (
+        <p className="text-gray-700 mb-4">
+          You joined <span className="font-semibold">{membership.tenantName}</span> as{" "}
+          <span className="font-semibold">{membership.role}</span>.
+        </p>
+      )}
+
+      {!loading && (
+        <Link to="/dashboard" className="text-blue-600 hover:underline">
+          Go to dashboard
+        </Link>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from "react";
+import api from "../services/api";
+
+const PERIOD_OPTIONS = [6, 12, 24];
+
+function formatMoney(value) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" }).format(value || 0);
+}
+
+function formatMonth(value) {
+  return new Date(value).toLocaleDateString(undefined, { year: "numeric", month: "short" });
+}
+
+// Darker cells for better retention
+function retentionColor(percent) {
+  if (percent >= 90) return "bg-green-600 text-white";
+  if (percent >= 75) return "bg-green-400 text-white";
+  if (percent >= 50) return "bg-green-200";
+  if (percent >= 25) return "bg-yellow-100";
+  return "bg-red-100";
+}
+
+function MetricCard({ label, value, hint }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <p className="text-sm font-medium text-gray-500 uppercase">{label}</p>
+      <p className="text-2xl font-bold mt-1">{value}</p>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+export default function AdminBillingPage() {
+  const [months, setMonths] = useState(12);
+  const [analytics, setAnalytics] = useState(null);
+  const [nrr, setNrr] = useState(null);
+  const [cohorts, setCohorts] = useState([]);
+  const [revenueByPlan, setRevenueByPlan] = useState([]);
+  const [failedPayments, setFailedPayments] = useState([]);
+  const [exportStatus, setExportStatus] = useState("");
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    loadOverview();
+  }, []);
+
+  useEffect(() => {
+    loadTrends();
+  }, [months]);
+
+  async function loadOverview() {
+    try {
+      const [analyticsResponse, failedResponse] = await Promise.all([
+        api.getAdminRevenueAnalytics(),
+        api.getAdminFailedPayments(),
+      ]);
+      setAnalytics(analyticsResponse.data);
+      setFailedPayments(failedResponse.data.failed || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function loadTrends() {
+    try {
+      const [nrrResponse, cohortsResponse, revenueResponse] = await Promise.all([
+        api.getAdminNetRevenueRetention(months),
+        api.getAdminCohortRetention(months),
+        api.getAdminRevenueByPlan(months),
+      ]);
+      setNrr(nrrResponse.data);
+      setCohorts(cohortsResponse.data.cohorts || []);
+      setRevenueByPlan(revenueResponse.data.revenue || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleExport() {
+    setExporting(true);
+
+    try {
+      const blob = await api.downloadCustomersCSV(exportStatus ? { status: exportStatus } : {});
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `customers-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  // Pivot revenue rows into one row per month with a column per plan
+  const planNames = [...new Set(revenueByPlan.map((row) => row.planName))];
+  const revenueMonths = [...new Set(revenueByPlan.map((row) => row.month))];
+  const revenueCell = (month, planName) =>
+    revenueByPlan.find((row) => row.month === month && row.planName === planName)?.revenue || 0;
+  const longestCohort = Math.max(0, ...cohorts.map((cohort) => cohort.retention.length));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Admin Billing</h1>
+        <div className="flex items-center space-x-2">
+          <select
+            value={months}
+            onChange={(e) => setMonths(parseInt(e.target.value, 10))}
+            className="border rounded px-3 py-2"
+          >
+            {PERIOD_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                Last {option} months
+              </option>
+            ))}
+          </select>
+          <select
+            value={exportStatus}
+            onChange={(e) => setExportStatus(e.target.value)}
+            className="border rounded px-3 py-2"
+          >
+            <option value="">All statuses</option>
+            <option value="active">Active</option>
+            <option value="on_trial">On trial</option>
+            <option value="past_due">Past due</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="expired">Expired</option>
+          </select>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {exporting ? "Exporting..." : "Export customers (CSV)"}
+          </button>
+        </div>
+      </div>
+
+      {analytics && (
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-8">
+          <MetricCard label="MRR" value={formatMoney(analytics.mrr)} />
+          <MetricCard label="ARR" value={formatMoney(analytics.arr)} />
+          <MetricCard label="Active subscriptions" value={analytics.activeSubscriptions} />
+          <MetricCard label="Churn (30 days)" value={`${analytics.churnRate}%`} />
+          <MetricCard
+            label="Net revenue retention"
+            value={nrr?.nrr !== null && nrr?.nrr !== undefined ? `${nrr.nrr}%` : "—"}
+            hint={nrr ? `${nrr.customers} customers paying ${months} months ago` : undefined}
+          />
+        </div>
+      )}
+
+      {nrr && nrr.startingMrr > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <h2 className="text-xl font-bold mb-4">Net Revenue Retention</h2>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Starting MRR</p>
+              <p className="font-medium">{formatMoney(nrr.startingMrr)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Expansion</p>
+              <p className="font-medium text-green-700">+{formatMoney(nrr.expansion)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Contraction</p>
+              <p className="font-medium text-yellow-700">-{formatMoney(nrr.contraction)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Churned</p>
+              <p className="font-medium text-red-700">-{formatMoney(nrr.churned)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Retained MRR</p>
+              <p className="font-medium">{formatMoney(nrr.retainedMrr)}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <h2 className="text-xl font-bold mb-4">Cohort Retention</h2>
+      <div className="bg-white rounded-lg shadow overflow-x-auto mb-8">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cohort</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+              {Array.from({ length: longestCohort }, (_, offset) => (
+                <th key={offset} className="px-2 py-3 text-center text-xs font-medium text-gray-500 uppercase">
+                  M{offset}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {cohorts.map((cohort) => (
+              <tr key={cohort.cohort}>
+                <td className="px-4 py-2 whitespace-nowrap">{formatMonth(cohort.cohort)}</td>
+                <td className="px-4 py-2">{cohort.size}</td>
+                {cohort.retention.map((percent, offset) => (
+                  <td key={offset} className={`px-2 py-2 text-center ${retentionColor(percent)}`}>
+                    {Math.round(percent)}%
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {cohorts.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No subscriptions in this period.</div>
+        )}
+      </div>
+
+      <h2 className="text-xl font-bold mb-4">Revenue by Plan</h2>
+      <div className="bg-white rounded-lg shadow overflow-x-auto mb-8">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Month</th>
+              {planNames.map((planName) => (
+                <th key={planName} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                  {planName}
+                </th>
+              ))}
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {revenueMonths.map((month) => (
+              <tr key={month}>
+                <td className="px-4 py-2 whitespace-nowrap">{formatMonth(month)}</td>
+                {planNames.map((planName) => (
+                  <td key={planName} className="px-4 py-2 text-right">
+                    {formatMoney(revenueCell(month, planName))}
+                  </td>
+                ))}
+                <td className="px-4 py-2 text-right font-medium">
+                  {formatMoney(planNames.reduce((sum, planName) => sum + revenueCell(month, planName), 0))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {revenueMonths.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No paid invoices in this period.</div>
+        )}
+      </div>
+
+      <h2 className="text-xl font-bold mb-4">Failed Payments</h2>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Plan</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Subscription</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period end</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {failedPayments.map((payment) => (
+              <tr key={payment.subscription_id}>
+                <td className="px-6 py-4">
+                  <div className="text-sm">{payment.full_name}</div>
+                  <div className="text-xs text-gray-500">{payment.email}</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{payment.plan_name}</td>
+                <td className="px-6 py-4 font-mono text-sm">{payment.ls_subscription_id}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {payment.current_period_end
+                    ? new Date(payment.current_period_end).toLocaleDateString()
+                    : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {failedPayments.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No failed payments.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,396 @@
+import React, { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import api from "../services/api";
+
+const QUOTA_LABELS = {
+  survey: "Surveys",
+  response: "Responses",
+};
+
+const INVOICE_STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-700",
+  paid: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  refunded: "bg-yellow-100 text-yellow-800",
+};
+
+function formatPrice(cents, currency = "USD") {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(cents / 100);
+}
+
+function UsageMeter({ label, used, limit }) {
+  const unlimited = limit < 0;
+  const percent = unlimited || limit === 0 ? 0 : Math.min((used / limit) * 100, 100);
+  const barColor = percent >= 100 ? "bg-red-500" : percent >= 80 ? "bg-yellow-500" : "bg-blue-600";
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-gray-700">{label}</span>
+        <span className="text-gray-600">
+          {used.toLocaleString()} / {unlimited ? "Unlimited" : limit.toLocaleString()}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded h-2">
+        <div className={`${barColor} h-2 rounded`} style={{ width: `${unlimited ? 0 : percent}%` }} />
+      </div>
+    </div>
+  );
+}
+
+export default function BillingPage() {
+  const [searchParams] = useSearchParams();
+  const [tenants, setTenants] = useState([]);
+  const [tenantId, setTenantId] = useState("");
+  const [overview, setOverview] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [billingCycle, setBillingCycle] = useState("monthly");
+  const [invoices, setInvoices] = useState([]);
+  const [invoicePage, setInvoicePage] = useState(1);
+  const [invoicePages, setInvoicePages] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadTenants();
+    loadPlans();
+  }, []);
+
+  useEffect(() => {
+    if (tenantId) {
+      loadOverview();
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    if (tenantId) {
+      loadInvoices();
+    }
+  }, [tenantId, invoicePage]);
+
+  async function loadTenants() {
+    try {
+      const response = await api.getTenants(1, 100);
+      const list = response.data || [];
+      setTenants(list);
+      if (list.length > 0) {
+        setTenantId(list[0].id);
+      }
+    } catch (error) {
+      alert("Failed to load tenants");
+    }
+  }
+
+  async function loadPlans() {
+    try {
+      const response = await api.getBillingPlans();
+      setPlans(response.data.plans || []);
+    } catch (error) {
+      setPlans([]);
+    }
+  }
+
+  async function loadOverview() {
+    try {
+      const response = await api.getBillingOverview(tenantId);
+      setOverview(response.data);
+    } catch (error) {
+      setOverview(null);
+      alert(error.message);
+    }
+  }
+
+  async function loadInvoices() {
+    try {
+      const response = await api.getInvoices(tenantId, invoicePage);
+      setInvoices(response.data || []);
+      setInvoicePages(response.pagination?.pages || 1);
+    } catch (error) {
+      // Only tenant admins can see invoices
+      setInvoices([]);
+    }
+  }
+
+  async function handleCheckout(planId) {
+    setLoading(true);
+
+    try {
+      const response = await api.createCheckout(tenantId, planId, billingCycle);
+      window.location.href = response.data.url;
+    } catch (error) {
+      alert(error.message);
+      setLoading(false);
+    }
+  }
+
+  async function openPortal(link) {
+    setLoading(true);
+
+    try {
+      const response = await api.getBillingPortal(tenantId);
+      window.location.href = response.data[link];
+    } catch (error) {
+      alert(error.message);
+      setLoading(false);
+    }
+  }
+
+  const currentPlan = overview?.plan;
+  const subscription = overview?.subscription;
+  const quotas = overview?.usage?.quotas || {};
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Billing</h1>
+        <select
+          value={tenantId}
+          onChange={(e) => {
+            setTenantId(e.target.value);
+            setInvoicePage(1);
+          }}
+          className="border rounded px-3 py-2"
+        >
+          {tenants.map((tenant) => (
+            <option key={tenant.id} value={tenant.id}>
+              {tenant.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {searchParams.get("checkout") === "success" && (
+        <div className="bg-green-50 border border-green-200 p-4 rounded mb-6">
+          Thanks! Your subscription will appear here as soon as the payment is confirmed.
+        </div>
+      )}
+
+      {overview?.overQuota && (
+        <div className="bg-yellow-50 border border-yellow-200 p-4 rounded mb-6">
+          You are over your plan's limits for{" "}
+          {Object.entries(quotas)
+            .filter(([, quota]) => quota.exceeded)
+            .map(([resource]) => (QUOTA_LABELS[resource] || resource).toLowerCase())
+            .join(" and ")}
+          . Upgrade your plan to stay within them.
+        </div>
+      )}
+
+      {overview && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-sm font-medium text-gray-500 uppercase mb-2">Current plan</h2>
+            <p className="text-2xl font-bold mb-1">{currentPlan?.name || "Free"}</p>
+            {subscription ? (
+              <div className="text-sm text-gray-600 space-y-1">
+                <p>
+                  Status: <span className="font-medium">{subscription.status}</span>, billed{" "}
+                  {subscription.billing_cycle}
+                </p>
+                {subscription.cancelled_at && subscription.ends_at ? (
+                  <p>Ends on {new Date(subscription.ends_at).toLocaleDateString()}</p>
+                ) : (
+                  subscription.renews_at && (
+                    <p>Renews on {new Date(subscription.renews_at).toLocaleDateString()}</p>
+                  )
+                )}
+                {subscription.card_last4 && (
+                  <p>
+                    Paying with {subscription.card_brand} ending in {subscription.card_last4}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">No paid subscription.</p>
+            )}
+
+            {overview.manageable && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                <button
+                  onClick={() => openPortal("upgradeUrl")}
+                  disabled={loading}
+                  className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Change plan
+                </button>
+                <button
+                  onClick={() => openPortal("updatePaymentMethodUrl")}
+                  disabled={loading}
+                  className="bg-gray-200 text-gray-700 px-4 py-2 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Update payment method
+                </button>
+                <button
+                  onClick={() => openPortal("cancelUrl")}
+                  disabled={loading}
+                  className="text-red-600 px-4 py-2 rounded hover:bg-red-50 disabled:opacity-50"
+                >
+                  Cancel subscription
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-sm font-medium text-gray-500 uppercase mb-4">
+              Usage this period
+              {overview.usage?.periodStart && (
+                <span className="normal-case font-normal">
+                  {" "}
+                  (since {new Date(overview.usage.periodStart).toLocaleDateString()})
+                </span>
+              )}
+            </h2>
+            {Object.entries(quotas).map(([resource, quota]) => (
+              <UsageMeter
+                key={resource}
+                label={QUOTA_LABELS[resource] || resource}
+                used={quota.used}
+                limit={quota.limit}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Plans</h2>
+        <div className="inline-flex rounded border overflow-hidden">
+          {["monthly", "yearly"].map((cycle) => (
+            <button
+              key={cycle}
+              onClick={() => setBillingCycle(cycle)}
+              className={`px-4 py-2 text-sm capitalize ${
+                billingCycle === cycle ? "bg-blue-600 text-white" : "bg-white text-gray-700"
+              }`}
+            >
+              {cycle}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+        {plans.map((plan) => {
+          const isCurrent = currentPlan?.id === plan.id;
+          const price = billingCycle === "yearly" ? plan.yearly_price_cents : plan.monthly_price_cents;
+          const available = billingCycle === "yearly" ? plan.yearly_available : plan.monthly_available;
+
+          return (
+            <div
+              key={plan.id}
+              className={`bg-white p-6 rounded-lg shadow flex flex-col ${
+                isCurrent ? "ring-2 ring-blue-600" : plan.is_featured ? "ring-1 ring-purple-300" : ""
+              }`}
+            >
+              <h3 className="text-lg font-bold">{plan.name}</h3>
+              <p className="text-sm text-gray-500 mb-3">{plan.description}</p>
+              <p className="text-2xl font-bold mb-4">
+                {formatPrice(price, plan.currency)}
+                <span className="text-sm font-normal text-gray-500">
+                  /{billingCycle === "yearly" ? "year" : "month"}
+                </span>
+              </p>
+              <ul className="text-sm text-gray-600 space-y-1 mb-4 flex-1">
+                {(plan.features || []).map((feature) => (
+                  <li key={feature}>✓ {feature}</li>
+                ))}
+              </ul>
+              {isCurrent ? (
+                <span className="text-center text-sm font-medium text-blue-600 py-2">Current plan</span>
+              ) : overview?.manageable ? (
+                <button
+                  onClick={() => openPortal("upgradeUrl")}
+                  disabled={loading}
+                  className="bg-gray-200 text-gray-700 px-4 py-2 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Switch plan
+                </button>
+              ) : (
+                price > 0 && (
+                  <button
+                    onClick={() => handleCheckout(plan.id)}
+                    disabled={loading || !available}
+                    className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {available ? "Subscribe" : "Unavailable"}
+                  </button>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <h2 className="text-xl font-bold mb-4">Invoices</h2>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Plan</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Invoice</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {invoices.map((invoice) => (
+              <tr key={invoice.id}>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {new Date(invoice.invoice_date).toLocaleDateString()}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{invoice.plan_name}</td>
+                <td className="px-6 py-4 text-sm">{formatPrice(invoice.amount_cents, invoice.currency)}</td>
+                <td className="px-6 py-4">
+                  <span className={`px-2 py-1 rounded text-xs ${INVOICE_STATUS_STYLES[invoice.status]}`}>
+                    {invoice.status}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  {invoice.ls_invoice_url ? (
+                    <a
+                      href={invoice.ls_invoice_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Download
+                    </a>
+                  ) : (
+                    <span className="text-gray-400">—</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {invoices.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No invoices yet.</div>
+        )}
+      </div>
+
+      {invoicePages > 1 && (
+        <div className="flex justify-end items-center space-x-2 mt-4">
+          <button
+            onClick={() => setInvoicePage(invoicePage - 1)}
+            disabled={invoicePage <= 1}
+            className="bg-gray-200 text-gray-700 px-3 py-1 rounded hover:bg-gray-300 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {invoicePage} of {invoicePages}
+          </span>
+          <button
+            onClick={() => setInvoicePage(invoicePage + 1)}
+            disabled={invoicePage >= invoicePages}
+            className="bg-gray-200 text-gray-700 px-3 py-1 rounded hover:bg-gray-300 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,13 @@ import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import api from "../services/api";
 
+// Types answered by picking from (or ordering) the option list
+const OPTION_TYPES = ["multiple_choice", "checkbox", "dropdown", "ranking", "matrix"];
+// Types that can carry quiz answer keys
+const SCORABLE_TYPES = ["multiple_choice", "checkbox", "dropdown"];
+// Types whose options can be shuffled per respondent
+const CHOICE_TYPES = ["multiple_choice", "checkbox", "dropdown", "ranking"];
+
 export default function QuestionBuilderPage() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -17,6 +24,12 @@ export default function QuestionBuilderPage() {
     ratingMin: 1,
     ratingMax: 5,
     ratingLabel: "stars",
+    matrixRows: [{ text: "" }],
+    numberMin: "",
+    numberMax: "",
+    numberInteger: false,
+    shuffleOptions: false,
+    pinned: false,
     isActive: true,
   });
   const [loading, setLoading] = useState(false);
@@ -57,6 +70,12 @@ export default function QuestionBuilderPage() {
         ratingMin: question.rating_min || 1,
         ratingMax: question.rating_max || 5,
         ratingLabel: question.rating_label || "stars",
+        matrixRows: (question.rows || []).map(row => (typeof row === 'string' ? { text: row } : row)),
+        numberMin: question.validation?.min ?? "",
+        numberMax: question.validation?.max ?? "",
+        numberInteger: !!question.validation?.integer,
+        shuffleOptions: !!question.shuffleOptions,
+        pinned: !!question.pinned,
         isActive: question.is_active,
       });
     } catch (err) {
@@ -84,6 +103,24 @@ export default function QuestionBuilderPage() {
     }
   }
 
+  // Matrix rows keep their id when renamed, so their answers stay attached
+  function updateMatrixRow(index, text) {
+    setFormData({
+      ...formData,
+      matrixRows: formData.matrixRows.map((row, i) => (i === index ? { ...row, text } : row)),
+    });
+  }
+
+  function addMatrixRow() {
+    setFormData({ ...formData, matrixRows: [...formData.matrixRows, { text: "" }] });
+  }
+
+  function removeMatrixRow(index) {
+    if (formData.matrixRows.length > 1) {
+      setFormData({ ...formData, matrixRows: formData.matrixRows.filter((_, i) => i !== index) });
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     setError("");
@@ -93,14 +130,46 @@ export default function QuestionBuilderPage() {
       const submitData = { ...formData };
       
       // For API compatibility, convert options format if needed
-      if (formData.questionType === 'text') {
+      if (!OPTION_TYPES.includes(formData.questionType) && formData.questionType !== 'rating') {
         submitData.options = [];
+      } else if (SCORABLE_TYPES.includes(formData.questionType)) {
+        // Scoring fields are only sent once the question is used as a quiz question
+        const scored = formData.options.some(opt => opt.correct || (opt.points ?? "") !== "");
+        submitData.options = formData.options.map(({ correct, points, ...opt }) =>
+          scored
+            ? { ...opt, correct: !!correct, ...((points ?? "") !== "" ? { points: Number(points) } : {}) }
+            : opt
+        );
       } else if (formData.questionType === 'rating') {
         submitData.options = [{
           min: formData.ratingMin,
           max: formData.ratingMax,
           label: formData.ratingLabel
         }];
+      } else {
+        submitData.options = formData.options.map(({ id, text, pinned }) => ({
+          ...(id ? { id } : {}),
+          text,
+          ...(pinned ? { pinned: true } : {}),
+        }));
+      }
+
+      if (!CHOICE_TYPES.includes(formData.questionType)) {
+        submitData.shuffleOptions = false;
+      }
+
+      if (formData.questionType === 'matrix') {
+        submitData.rows = formData.matrixRows
+          .filter(row => row.text.trim())
+          .map(({ id, text }) => ({ ...(id ? { id } : {}), text: text.trim() }));
+      }
+
+      if (formData.questionType === 'number') {
+        submitData.validation = {
+          ...(formData.numberMin !== "" ? { min: Number(formData.numberMin) } : {}),
+          ...(formData.numberMax !== "" ? { max: Number(formData.numberMax) } : {}),
+          ...(formData.numberInteger ? { integer: true } : {}),
+        };
       }
 
       if (id) {
@@ -120,8 +189,37 @@ export default function QuestionBuilderPage() {
     multiple_choice: "📋",
     text: "✍️",
     rating: "⭐",
+    nps: "📈",
+    checkbox: "☑️",
+    dropdown: "🔽",
+    ranking: "🔢",
+    matrix: "▦",
+    date: "📅",
+    email: "✉️",
+    number: "#️⃣",
   };
 
+  const matrixRows = formData.matrixRows.map(row => row.text.trim()).filter(Boolean);
+
+  const npsScale = (
+    <div>
+      <div className="flex gap-1">
+        {Array.from({ length: 11 }, (_, i) => (
+          <span
+            key={i}
+            className="flex-1 border-2 border-gray-200 bg-white rounded text-center py-2 text-sm font-medium"
+          >
+            {i}
+          </span>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>Not at all likely</span>
+        <span>Extremely likely</span>
+      </div>
+    </div>
+  );
+
   return (
     <div className="max-w-4xl mx-auto">
       <div className="mb-8">
@@ -205,11 +303,19 @@ export default function QuestionBuilderPage() {
               <label className="block text-sm font-semibold text-gray-700 mb-2">
                 Question Type *
               </label>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 {Object.entries({
                   multiple_choice: "Multiple Choice",
                   text: "Text Response",
                   rating: "Rating Scale",
+                  nps: "Net Promoter Score",
+                  checkbox: "Checkboxes",
+                  dropdown: "Dropdown",
+                  ranking: "Ranking",
+                  matrix: "Matrix",
+                  date: "Date",
+                  email: "Email",
+                  number: "Number",
                 }).map(([value, label]) => (
                   <button
                     key={value}
@@ -227,6 +333,14 @@ export default function QuestionBuilderPage() {
                       {value === "multiple_choice" && "Users select from options"}
                       {value === "text" && "Users type their answer"}
                       {value === "rating" && "Users rate on a scale"}
+                      {value === "nps" && "Likelihood to recommend, 0–10"}
+                      {value === "checkbox" && "Users select any number of options"}
+                      {value === "dropdown" && "Users pick one option from a list"}
+                      {value === "ranking" && "Users put options in order"}
+                      {value === "matrix" && "Users rate several rows on the same scale"}
+                      {value === "date" && "Users pick a date"}
+                      {value === "email" && "Users enter an email address"}
+                      {value === "number" && "Users enter a number"}
                     </div>
                   </button>
                 ))}
@@ -268,11 +382,54 @@ export default function QuestionBuilderPage() {
               </p>
             </div>
 
-            {/* Multiple Choice Options */}
-            {formData.questionType === "multiple_choice" && (
+            {/* Matrix Rows */}
+            {formData.questionType === "matrix" && (
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Rows *
+                </label>
+                <div className="space-y-2">
+                  {formData.matrixRows.map((row, index) => (
+                    <div key={row.id || index} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={row.text}
+                        onChange={(e) => updateMatrixRow(index, e.target.value)}
+                        className="flex-1 border-2 border-gray-200 rounded-lg px-4 py-2 focus:border-blue-500 focus:outline-none"
+                        placeholder={`Row ${index + 1}, e.g. Speed`}
+                        required
+                      />
+                      {formData.matrixRows.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeMatrixRow(index)}
+                          className="text-red-600 hover:text-red-800 p-2"
+                          title="Remove row"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={addMatrixRow}
+                  className="mt-2 text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  + Add Row
+                </button>
+                <p className="text-sm text-gray-500 mt-1">
+                  Each row is answered using the columns below.
+                </p>
+              </div>
+            )}
+
+            {/* Answer Options (matrix columns) */}
+            {OPTION_TYPES.includes(formData.questionType) && (
               <div>
                 <label className="block text-sm font-semibold text-gray-700 mb-3">
-                  Answer Options *
+                  {formData.questionType === "matrix" ? "Columns *" : "Answer Options *"}
                 </label>
                 <div className="space-y-3">
                   {formData.options.map((option, index) => (
@@ -290,6 +447,7 @@ export default function QuestionBuilderPage() {
                             placeholder={`Option ${index + 1}`}
                             required
                           />
+                          {["multiple_choice", "checkbox"].includes(formData.questionType) && (
                           <div>
                             <label className="block text-xs font-medium text-gray-600 mb-1">
                               Image URL (optional)
@@ -302,7 +460,41 @@ export default function QuestionBuilderPage() {
                               placeholder="https://example.com/image.jpg"
                             />
                           </div>
-                          {option.imageUrl && (
+                          )}
+                          {SCORABLE_TYPES.includes(formData.questionType) && (
+                          <div className="flex items-center gap-4">
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={!!option.correct}
+                                onChange={(e) => updateOption(index, "correct", e.target.checked)}
+                                className="mr-2"
+                              />
+                              Correct answer (quizzes)
+                            </label>
+                            <input
+                              type="number"
+                              min="-100"
+                              max="100"
+                              value={option.points ?? ""}
+                              onChange={(e) => updateOption(index, "points", e.target.value)}
+                              className="w-24 border-2 border-gray-200 rounded-lg px-2 py-1 text-sm focus:border-blue-500 focus:outline-none"
+                              placeholder="Points"
+                            />
+                          </div>
+                          )}
+                          {formData.shuffleOptions && CHOICE_TYPES.includes(formData.questionType) && (
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={!!option.pinned}
+                                onChange={(e) => updateOption(index, "pinned", e.target.checked)}
+                                className="mr-2"
+                              />
+                              Keep in place when shuffled (e.g. "None of the above")
+                            </label>
+                          )}
+                          {option.imageUrl && ["multiple_choice", "checkbox"].includes(formData.questionType) && (
                             <div className="mt-2">
                               <img
                                 src={option.imageUrl}
@@ -336,6 +528,17 @@ export default function QuestionBuilderPage() {
                 >
                   + Add Another Option
                 </button>
+                {CHOICE_TYPES.includes(formData.questionType) && (
+                  <label className="mt-4 flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.shuffleOptions}
+                      onChange={(e) => setFormData({ ...formData, shuffleOptions: e.target.checked })}
+                      className="mr-2"
+                    />
+                    Shuffle options for each respondent
+                  </label>
+                )}
               </div>
             )}
 
@@ -416,6 +619,67 @@ export default function QuestionBuilderPage() {
               </div>
             )}
 
+            {/* NPS Info */}
+            {formData.questionType === "nps" && (
+              <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-4 space-y-3">
+                <p className="text-sm text-blue-900">
+                  Users pick a score from 0 to 10. Scores of 9–10 count as promoters, 7–8 as
+                  passives and 0–6 as detractors.
+                </p>
+                {npsScale}
+              </div>
+            )}
+
+            {/* Number Limits */}
+            {formData.questionType === "number" && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Minimum (optional)
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={formData.numberMin}
+                    onChange={(e) => setFormData({ ...formData, numberMin: e.target.value })}
+                    className="w-full border-2 border-gray-200 rounded-lg px-4 py-2 focus:border-blue-500 focus:outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Maximum (optional)
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={formData.numberMax}
+                    onChange={(e) => setFormData({ ...formData, numberMax: e.target.value })}
+                    className="w-full border-2 border-gray-200 rounded-lg px-4 py-2 focus:border-blue-500 focus:outline-none"
+                  />
+                </div>
+                <label className="flex items-center text-sm text-gray-700 col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={formData.numberInteger}
+                    onChange={(e) => setFormData({ ...formData, numberInteger: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Whole numbers only
+                </label>
+              </div>
+            )}
+
+            {/* Date / Email Info */}
+            {(formData.questionType === "date" || formData.questionType === "email") && (
+              <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-4">
+                <p className="text-sm text-blue-900">
+                  {formData.questionType === "date"
+                    ? "📅 Users pick a date from a calendar."
+                    : "✉️ Users enter an email address, which is checked before it is accepted."}
+                </p>
+              </div>
+            )}
+
             {/* Text Response Info */}
             {formData.questionType === "text" && (
               <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-4">
@@ -492,6 +756,71 @@ export default function QuestionBuilderPage() {
                     disabled
                   />
                 )}
+
+                {formData.questionType === "nps" && npsScale}
+
+                {formData.questionType === "checkbox" && (
+                  <div className="space-y-2">
+                    {formData.options.map((option, index) => (
+                      <div key={index} className="flex items-center gap-3 p-3 border-2 border-gray-200 rounded-lg">
+                        <input type="checkbox" disabled />
+                        <span>{option.text}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {formData.questionType === "dropdown" && (
+                  <select className="w-full border-2 border-gray-200 rounded-lg px-4 py-2" disabled>
+                    <option>Select an option…</option>
+                  </select>
+                )}
+
+                {formData.questionType === "ranking" && (
+                  <ol className="space-y-2">
+                    {formData.options.map((option, index) => (
+                      <li key={index} className="flex items-center gap-3 p-3 border-2 border-gray-200 rounded-lg">
+                        <span className="font-semibold text-blue-600">{index + 1}</span>
+                        <span className="flex-1">{option.text}</span>
+                        <span className="text-gray-400">↑ ↓</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
+                {formData.questionType === "matrix" && (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {formData.options.map((option, index) => (
+                          <th key={index} className="p-2 font-medium text-gray-700">{option.text}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {matrixRows.map((row, rowIndex) => (
+                        <tr key={rowIndex} className="border-t border-gray-200">
+                          <th className="p-2 text-left font-medium text-gray-700">{row}</th>
+                          {formData.options.map((_, index) => (
+                            <td key={index} className="p-2 text-center">
+                              <input type="radio" disabled />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {["date", "email", "number"].includes(formData.questionType) && (
+                  <input
+                    type={formData.questionType}
+                    className="w-full border-2 border-gray-200 rounded-lg px-4 py-2"
+                    placeholder={formData.questionType === "email" ? "name@example.com" : ""}
+                    disabled
+                  />
+                )}
               </div>
             </div>
 
@@ -514,6 +843,25 @@ export default function QuestionBuilderPage() {
               </label>
             </div>
 
+            <div className="bg-white rounded-lg p-4 border-2 border-gray-200">
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.pinned}
+                  onChange={(e) =>
+                    setFormData({ ...formData, pinned: e.target.checked })
+                  }
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                />
+                <span className="ml-3">
+                  <span className="font-semibold text-gray-900">Pin position</span>
+                  <span className="block text-sm text-gray-500">
+                    Keep this question in place when the survey shuffles question order
+                  </span>
+                </span>
+              </label>
+            </div>
+
             <div className="flex justify-between pt-4">
               <button
                 type="button"
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+const STATUS_STYLES = {
+  draft: "bg-gray-100 text-gray-700",
+  scheduled: "bg-yellow-100 text-yellow-800",
+  published: "bg-green-100 text-green-700",
+  closed: "bg-red-100 text-red-700",
+  archived: "bg-gray-100 text-gray-500",
+};
+
+const CLOSED_REASONS = {
+  closes_at: "its closing time passed",
+  max_responses: "it reached its response limit",
+};
+
+// "2026-10-26T09:00" for a datetime-local input, in the survey's time zone
+function toWallClock(value, timeZone) {
+  if (!value) return "";
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(new Date(value))
+      .map(({ type, value: part }) => [type, part])
+  );
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function formFromSurvey(survey) {
+  const timezone = survey.timezone || "UTC";
+  return {
+    timezone,
+    opensAt: toWallClock(survey.opens_at, timezone),
+    closesAt: toWallClock(survey.closes_at, timezone),
+    maxResponses: survey.max_responses ? String(survey.max_responses) : "",
+  };
+}
+
+export default function SurveyAvailabilityPage() {
+  const { id: surveyId } = useParams();
+  const [survey, setSurvey] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSurvey();
+  }, [surveyId]);
+
+  function applySurvey(next) {
+    setSurvey(next);
+    setForm(formFromSurvey(next));
+  }
+
+  async function loadSurvey() {
+    try {
+      const response = await api.getSurvey(surveyId);
+      applySurvey(response.data.survey);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      // Times are sent without an offset and read in the chosen time zone
+      const response = await api.updateSurveyAvailability(surveyId, {
+        timezone: form.timezone,
+        opensAt: form.opensAt || null,
+        closesAt: form.closesAt || null,
+        maxResponses: form.maxResponses ? Number(form.maxResponses) : null,
+      });
+      applySurvey({ ...survey, ...response.data.survey });
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!survey || !form) {
+    return <div className="text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Availability</h1>
+          <Link to={`/surveys/${surveyId}/responses`} className="text-sm text-blue-600 hover:text-blue-800">
+            Back to responses
+          </Link>
+        </div>
+        <span className={`px-3 py-1 rounded text-sm ${STATUS_STYLES[survey.status] || STATUS_STYLES.draft}`}>
+          {survey.status}
+        </span>
+      </div>
+
+      {survey.status === "closed" && (
+        <div className="bg-red-50 text-red-700 p-4 rounded mb-6 text-sm">
+          This survey stopped accepting responses because {CLOSED_REASONS[survey.closed_reason] || "it was closed"}.
+          Move the closing time or raise the limit to reopen it.
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow space-y-4">
+        <div>
+          <label className="block text-sm font-medium mb-1">Time zone</label>
+          <input
+            value={form.timezone}
+            onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+            placeholder="Europe/Paris"
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Opens at</label>
+            <input
+              type="datetime-local"
+              value={form.opensAt}
+              onChange={(e) => setForm({ ...form, opensAt: e.target.value })}
+              className="w-full border rounded px-3 py-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty to open as soon as the survey is published.</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Closes at</label>
+            <input
+              type="datetime-local"
+              value={form.closesAt}
+              onChange={(e) => setForm({ ...form, closesAt: e.target.value })}
+              className="w-full border rounded px-3 py-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">Leave empty to keep the survey open.</p>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Response limit</label>
+          <input
+            type="number"
+            min="1"
+            value={form.maxResponses}
+            onChange={(e) => setForm({ ...form, maxResponses: e.target.value })}
+            placeholder="No limit"
+            className="w-full border rounded px-3 py-2"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {survey.response_count} response{Number(survey.response_count) === 1 ? "" : "s"} so far.
+          </p>
+        </div>
+
+        <p className="text-sm text-gray-500">
+          Owners are emailed when a published survey opens or closes on its own.
+        </p>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save availability"}
+        </button>
+      </form>
+    </div>
+  );
+}
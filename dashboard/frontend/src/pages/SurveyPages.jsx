@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+// Pages from the preview, each with its question ids. Questions without a
+// known page are shown on the first page, as the widget does.
+function buildLayout(preview) {
+  const pages = preview.pages || [];
+  if (pages.length === 0) return [];
+
+  const keys = pages.map((page) => page.key);
+  return pages.map((page, index) => ({
+    ...page,
+    title: page.title || "",
+    description: page.description || "",
+    questionIds: preview.questions
+      .filter((q) => (keys.includes(q.page) ? q.page === page.key : index === 0))
+      .map((q) => q.id),
+  }));
+}
+
+function nextPageKey(pages) {
+  let n = pages.length + 1;
+  while (pages.some((page) => page.key === `page_${n}`)) n++;
+  return `page_${n}`;
+}
+
+export default function SurveyPagesPage() {
+  const { id: surveyId } = useParams();
+  const [questions, setQuestions] = useState([]);
+  const [pages, setPages] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  useEffect(() => {
+    loadPreview();
+  }, [surveyId]);
+
+  function applyPreview(preview) {
+    setQuestions(preview.questions || []);
+    setPages(buildLayout(preview));
+    setDirty(false);
+  }
+
+  async function loadPreview() {
+    try {
+      const response = await api.getSurveyPreview(surveyId);
+      applyPreview(response.data.preview);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  function changePages(next) {
+    setPages(next);
+    setDirty(true);
+  }
+
+  function updatePage(index, field, value) {
+    changePages(pages.map((page, i) => (i === index ? { ...page, [field]: value } : page)));
+  }
+
+  function addPage() {
+    const page = { key: nextPageKey(pages), title: "", description: "", questionIds: [] };
+    // The first page takes every question, so grouping starts from one page
+    changePages(pages.length === 0 ? [{ ...page, questionIds: questions.map((q) => q.id) }] : [...pages, page]);
+  }
+
+  function removePage(index) {
+    if (pages.length === 1) {
+      if (!confirm("Remove all pages? Each question will be shown on its own screen again.")) return;
+      changePages([]);
+      return;
+    }
+
+    // Questions of a removed page move to the page before it (or the next one)
+    const target = index === 0 ? 1 : index - 1;
+    changePages(
+      pages
+        .map((page, i) =>
+          i === target ? { ...page, questionIds: [...page.questionIds, ...pages[index].questionIds] } : page
+        )
+        .filter((_, i) => i !== index)
+    );
+  }
+
+  function moveQuestion(questionId, toKey) {
+    changePages(
+      pages.map((page) => {
+        const questionIds = page.questionIds.filter((id) => id !== questionId);
+        return page.key === toKey ? { ...page, questionIds: [...questionIds, questionId] } : { ...page, questionIds };
+      })
+    );
+  }
+
+  function reorderQuestion(pageIndex, from, offset) {
+    const ids = [...pages[pageIndex].questionIds];
+    const to = from + offset;
+    if (to < 0 || to >= ids.length) return;
+
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    updatePage(pageIndex, "questionIds", ids);
+  }
+
+  async function handleSave() {
+    setSaving(true);
+
+    try {
+      const response = await api.updateSurveyPages(
+        surveyId,
+        pages.map(({ key, title, description, conditional, questionIds }) => ({
+          key,
+          title,
+          description,
+          ...(conditional ? { conditional } : {}),
+          questionIds,
+        }))
+      );
+      applyPreview(response.data.preview);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const questionsById = Object.fromEntries(questions.map((q) => [q.id, q]));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Pages</h1>
+          <Link to={`/surveys/${surveyId}/responses`} className="text-sm text-blue-600 hover:text-blue-800">
+            Back to responses
+          </Link>
+        </div>
+        <div className="space-x-2">
+          <button onClick={addPage} className="px-4 py-2 border rounded hover:bg-gray-50">
+            {pages.length === 0 ? "Group into pages" : "Add page"}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !dirty}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save layout"}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-6">
+        Changes to the layout go live the next time the survey is published.
+      </p>
+
+      {pages.length === 0 && (
+        <div className="bg-white p-6 rounded-lg shadow text-gray-600">
+          This survey has no pages, so respondents see one question per screen.
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {pages.map((page, pageIndex) => (
+          <div key={page.key} className="bg-white p-6 rounded-lg shadow">
+            <div className="flex justify-between items-start mb-4">
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-semibold text-gray-500">Page {pageIndex + 1}</span>
+                <span className="text-xs font-mono text-gray-400">{page.key}</span>
+                {(page.conditional?.showIf || page.conditional?.jumps?.length > 0) && (
+                  <span className="px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-700">Branching rules</span>
+                )}
+              </div>
+              <button onClick={() => removePage(pageIndex)} className="text-red-600 hover:text-red-800 text-sm">
+                Remove page
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 gap-3 mb-4">
+              <input
+                value={page.title}
+                onChange={(e) => updatePage(pageIndex, "title", e.target.value)}
+                placeholder="Page title (optional)"
+                className="border rounded px-3 py-2"
+              />
+              <textarea
+                value={page.description}
+                onChange={(e) => updatePage(pageIndex, "description", e.target.value)}
+                placeholder="Description shown above the questions (optional)"
+                rows={2}
+                className="border rounded px-3 py-2"
+              />
+            </div>
+
+            {page.questionIds.length === 0 ? (
+              <p className="text-sm text-gray-400">No questions on this page yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border rounded">
+                {page.questionIds.map((questionId, index) => (
+                  <li key={questionId} className="flex items-center justify-between px-4 py-2">
+                    <div>
+                      <span className="text-sm">{questionsById[questionId]?.text}</span>
+                      <span className="ml-2 text-xs text-gray-400">{questionsById[questionId]?.type}</span>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => reorderQuestion(pageIndex, index, -1)}
+                        disabled={index === 0}
+                        className="px-2 py-1 border rounded text-sm disabled:opacity-40"
+                        aria-label="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => reorderQuestion(pageIndex, index, 1)}
+                        disabled={index === page.questionIds.length - 1}
+                        className="px-2 py-1 border rounded text-sm disabled:opacity-40"
+                        aria-label="Move down"
+                      >
+                        ↓
+                      </button>
+                      <select
+                        value={page.key}
+                        onChange={(e) => moveQuestion(questionId, e.target.value)}
+                        className="border rounded px-2 py-1 text-sm"
+                      >
+                        {pages.map((target, targetIndex) => (
+                          <option key={target.key} value={target.key}>
+                            Page {targetIndex + 1}
+                            {target.title ? `: ${target.title}` : ""}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
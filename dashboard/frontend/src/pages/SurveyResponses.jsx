@@ -0,0 +1,394 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+const EMPTY_FILTERS = {
+  q: "",
+  startDate: "",
+  endDate: "",
+  country: "",
+  sessionId: "",
+  snapshotVersion: "",
+  questionId: "",
+  answer: "",
+};
+
+function formatAnswer(answer) {
+  if (Array.isArray(answer)) return answer.join(", ");
+  if (answer === null || answer === undefined) return "—";
+  // Matrix answers: { row: column }
+  if (typeof answer === "object") {
+    return Object.entries(answer).map(([row, column]) => `${row}: ${column}`).join(", ");
+  }
+  return String(answer);
+}
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+
+const EXPORT_STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-700",
+  processing: "bg-blue-100 text-blue-700",
+  completed: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+// Short single-line summary of a response for the table; answers come labelled
+function summarize(response) {
+  const answers = response.answers || response.response_data?.answers || [];
+  return answers.map((entry) => formatAnswer(entry.answer)).join(" · ");
+}
+
+function ResponseDetail({ response, onClose }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-xl font-bold">Response</h2>
+          <p className="text-xs text-gray-500 font-mono">{response.id}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          Close
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-6">
+        <div>
+          <p className="text-gray-500">Submitted</p>
+          <p className="font-medium">{new Date(response.created_at).toLocaleString()}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Country</p>
+          <p className="font-medium">{response.country_code || "—"}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Version</p>
+          <p className="font-medium">{response.snapshot_version ? `v${response.snapshot_version}` : "—"}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Session</p>
+          <p className="font-medium font-mono truncate">{response.session_id || "—"}</p>
+        </div>
+      </div>
+
+      <dl className="divide-y divide-gray-200">
+        {response.answers.map((entry) => (
+          <div key={entry.questionId} className="py-3">
+            <dt className="text-sm text-gray-500">{entry.question || entry.questionId}</dt>
+            <dd className="mt-1">{formatAnswer(entry.answer)}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {response.user_agent && (
+        <p className="text-xs text-gray-400 mt-4 break-all">{response.user_agent}</p>
+      )}
+    </div>
+  );
+}
+
+export default function SurveyResponsesPage() {
+  const { id: surveyId } = useParams();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [responses, setResponses] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [exportJobs, setExportJobs] = useState([]);
+  const [exportFormat, setExportFormat] = useState("csv");
+
+  useEffect(() => {
+    loadResponses();
+  }, [surveyId, appliedFilters]);
+
+  useEffect(() => {
+    loadExports();
+  }, [surveyId]);
+
+  async function loadResponses(cursor) {
+    setLoading(true);
+
+    try {
+      const response = await api.getSurveyResponses(surveyId, {
+        ...appliedFilters,
+        // Date inputs give whole days; include all of the last one
+        endDate: appliedFilters.endDate && `${appliedFilters.endDate}T23:59:59.999Z`,
+        ...(cursor ? { cursor } : {}),
+      });
+      const page = response.data.responses || [];
+      setResponses((current) => (cursor ? [...current, ...page] : page));
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function openResponse(responseId) {
+    try {
+      const response = await api.getSurveyResponse(surveyId, responseId);
+      setSelected(response.data.response);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function loadExports() {
+    try {
+      const response = await api.getSurveyExports(surveyId);
+      setExportJobs(response.data.exports || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleExport() {
+    const { startDate, endDate } = appliedFilters;
+    const dateRange = {
+      ...(startDate ? { startDate } : {}),
+      ...(endDate ? { endDate: `${endDate}T23:59:59.999Z` } : {}),
+    };
+
+    try {
+      await api.requestSurveyExport(surveyId, {
+        format: exportFormat,
+        ...(startDate || endDate ? { dateRange } : {}),
+      });
+      loadExports();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  function handleChange(e) {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    setSelected(null);
+    setAppliedFilters(filters);
+  }
+
+  function handleReset() {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Responses</h1>
+        <div className="flex items-center space-x-2">
+          <Link to={`/surveys/${surveyId}/pages`} className="px-4 py-2 border rounded hover:bg-gray-50">
+            Pages
+          </Link>
+          <Link to={`/surveys/${surveyId}/availability`} className="px-4 py-2 border rounded hover:bg-gray-50">
+            Availability
+          </Link>
+          <Link to={`/surveys/${surveyId}/variants`} className="px-4 py-2 border rounded hover:bg-gray-50">
+            Variants
+          </Link>
+          <Link to={`/surveys/${surveyId}/translations`} className="px-4 py-2 border rounded hover:bg-gray-50">
+            Translations
+          </Link>
+          <Link to={`/surveys/${surveyId}/schedules`} className="px-4 py-2 border rounded hover:bg-gray-50">
+            Schedules
+          </Link>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="border rounded px-3 py-2"
+          >
+            {EXPORT_FORMATS.map((format) => (
+              <option key={format} value={format}>
+                {format.toUpperCase()}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleExport} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+            Export
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg shadow mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            name="q"
+            value={filters.q}
+            onChange={handleChange}
+            placeholder="Search text answers"
+            className="border rounded px-3 py-2 md:col-span-2"
+          />
+          <input
+            type="date"
+            name="startDate"
+            value={filters.startDate}
+            onChange={handleChange}
+            className="border rounded px-3 py-2"
+          />
+          <input
+            type="date"
+            name="endDate"
+            value={filters.endDate}
+            onChange={handleChange}
+            className="border rounded px-3 py-2"
+          />
+          <input
+            name="country"
+            value={filters.country}
+            onChange={handleChange}
+            placeholder="Country (e.g. US)"
+            maxLength={2}
+            className="border rounded px-3 py-2"
+          />
+          <input
+            name="sessionId"
+            value={filters.sessionId}
+            onChange={handleChange}
+            placeholder="Session ID"
+            className="border rounded px-3 py-2"
+          />
+          <input
+            type="number"
+            min="1"
+            name="snapshotVersion"
+            value={filters.snapshotVersion}
+            onChange={handleChange}
+            placeholder="Version"
+            className="border rounded px-3 py-2"
+          />
+          <div />
+          <input
+            name="questionId"
+            value={filters.questionId}
+            onChange={handleChange}
+            placeholder="Question ID"
+            className="border rounded px-3 py-2"
+          />
+          <input
+            name="answer"
+            value={filters.answer}
+            onChange={handleChange}
+            placeholder="Answer equals"
+            disabled={!filters.questionId}
+            className="border rounded px-3 py-2 disabled:bg-gray-100"
+          />
+          <div className="flex space-x-2 md:col-span-2 md:justify-end">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 border rounded hover:bg-gray-50"
+            >
+              Reset
+            </button>
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+              Apply filters
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {selected && <ResponseDetail response={selected} onClose={() => setSelected(null)} />}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Answers</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {responses.map((response) => (
+              <tr
+                key={response.id}
+                onClick={() => openResponse(response.id)}
+                className={`cursor-pointer hover:bg-gray-50 ${selected?.id === response.id ? "bg-blue-50" : ""}`}
+              >
+                <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                  {new Date(response.created_at).toLocaleString()}
+                </td>
+                <td className="px-6 py-4 text-sm max-w-md truncate">{summarize(response)}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">{response.country_code || "—"}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {response.snapshot_version ? `v${response.snapshot_version}` : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {!loading && responses.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No responses match these filters.</div>
+        )}
+      </div>
+
+      {nextCursor && (
+        <div className="text-center mt-4">
+          <button
+            onClick={() => loadResponses(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            {loading ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+
+      <div className="flex justify-between items-center mt-8 mb-4">
+        <h2 className="text-xl font-bold">Exports</h2>
+        <button onClick={loadExports} className="text-blue-600 hover:text-blue-800 text-sm">
+          Refresh
+        </button>
+      </div>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Format</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rows</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">File</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {exportJobs.map((job) => (
+              <tr key={job.id}>
+                <td className="px-6 py-4 text-sm text-gray-500">{new Date(job.created_at).toLocaleString()}</td>
+                <td className="px-6 py-4 text-sm uppercase">{job.export_type}</td>
+                <td className="px-6 py-4">
+                  <span
+                    className={`px-2 py-1 rounded text-xs font-medium ${EXPORT_STATUS_STYLES[job.status] || ""}`}
+                    title={job.error_message || undefined}
+                  >
+                    {job.status}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{job.row_count ?? "—"}</td>
+                <td className="px-6 py-4 text-right text-sm">
+                  {job.download_url ? (
+                    <a href={job.download_url} className="text-blue-600 hover:text-blue-800">
+                      Download
+                    </a>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {exportJobs.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No exports yet.</div>
+        )}
+      </div>
+    </div>
+  );
+}
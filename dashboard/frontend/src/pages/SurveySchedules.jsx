@@ -0,0 +1,364 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+const FREQUENCIES = {
+  daily: { label: "Daily at 08:00", cron: "0 8 * * *" },
+  weekly: { label: "Mondays at 08:00", cron: "0 8 * * 1" },
+  monthly: { label: "1st of the month at 08:00", cron: "0 8 1 * *" },
+  custom: { label: "Custom cron expression", cron: "" },
+};
+
+const EMPTY_FORM = {
+  name: "",
+  kind: "export",
+  frequency: "weekly",
+  cronExpression: "",
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+  recipients: "",
+  format: "csv",
+  incremental: true,
+};
+
+const RUN_STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-700",
+  running: "bg-blue-100 text-blue-700",
+  succeeded: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function RunHistory({ surveyId, schedule, onClose }) {
+  const [runs, setRuns] = useState([]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [schedule.id]);
+
+  async function loadRuns() {
+    try {
+      const response = await api.getSurveyScheduleRuns(surveyId, schedule.id);
+      setRuns(response.data || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Run history: {schedule.name}</h2>
+        <div className="space-x-4">
+          <button onClick={loadRuns} className="text-blue-600 hover:text-blue-800 text-sm">
+            Refresh
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <table className="w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Trigger</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Window</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Responses</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {runs.map((run) => (
+            <tr key={run.id}>
+              <td className="px-4 py-3 text-sm text-gray-500">{formatDate(run.started_at || run.created_at)}</td>
+              <td className="px-4 py-3 text-sm">{run.triggered_by}</td>
+              <td className="px-4 py-3">
+                <span
+                  className={`px-2 py-1 rounded text-xs font-medium ${RUN_STATUS_STYLES[run.status] || ""}`}
+                  title={run.error_message || undefined}
+                >
+                  {run.status}
+                </span>
+                {run.attempts > 1 && (
+                  <span className="ml-2 text-xs text-gray-500">{run.attempts} attempts</span>
+                )}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-600">
+                {run.window_start ? `${formatDate(run.window_start)} – ` : "Up to "}
+                {formatDate(run.window_end)}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-600">{run.response_count ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {runs.length === 0 && <div className="text-center py-8 text-gray-500">No runs yet.</div>}
+    </div>
+  );
+}
+
+export default function SurveySchedulesPage() {
+  const { id: surveyId } = useParams();
+  const [schedules, setSchedules] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [surveyId]);
+
+  async function loadSchedules() {
+    try {
+      const response = await api.getSurveySchedules(surveyId);
+      setSchedules(response.data.schedules || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  function handleChange(e) {
+    const { name, type, value, checked } = e.target;
+    setForm({ ...form, [name]: type === "checkbox" ? checked : value });
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await api.createSurveySchedule(surveyId, {
+        name: form.name,
+        kind: form.kind,
+        cronExpression: form.frequency === "custom" ? form.cronExpression : FREQUENCIES[form.frequency].cron,
+        timezone: form.timezone,
+        recipients: form.recipients.split(/[\s,;]+/).filter(Boolean),
+        format: form.format,
+        incremental: form.incremental,
+      });
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      loadSchedules();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleToggle(schedule) {
+    try {
+      await api.updateSurveySchedule(surveyId, schedule.id, { isActive: !schedule.is_active });
+      loadSchedules();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleRun(schedule) {
+    try {
+      await api.runSurveySchedule(surveyId, schedule.id);
+      setHistoryFor(schedule);
+      loadSchedules();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleDelete(schedule) {
+    if (!confirm(`Delete "${schedule.name}" and its run history?`)) return;
+
+    try {
+      await api.deleteSurveySchedule(surveyId, schedule.id);
+      if (historyFor?.id === schedule.id) {
+        setHistoryFor(null);
+      }
+      loadSchedules();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Schedules</h1>
+          <Link to={`/surveys/${surveyId}/responses`} className="text-sm text-blue-600 hover:text-blue-800">
+            Back to responses
+          </Link>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+        >
+          {showForm ? "Cancel" : "New schedule"}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg shadow mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="Name (e.g. Weekly export for sales)"
+              required
+              className="border rounded px-3 py-2"
+            />
+            <select name="kind" value={form.kind} onChange={handleChange} className="border rounded px-3 py-2">
+              <option value="export">Export file</option>
+              <option value="digest">Summary digest</option>
+            </select>
+            <select
+              name="frequency"
+              value={form.frequency}
+              onChange={handleChange}
+              className="border rounded px-3 py-2"
+            >
+              {Object.entries(FREQUENCIES).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {form.frequency === "custom" ? (
+              <input
+                name="cronExpression"
+                value={form.cronExpression}
+                onChange={handleChange}
+                placeholder="Cron expression (e.g. 30 9 * * 1-5)"
+                required
+                className="border rounded px-3 py-2 font-mono"
+              />
+            ) : (
+              <div />
+            )}
+            <input
+              name="timezone"
+              value={form.timezone}
+              onChange={handleChange}
+              placeholder="Time zone (e.g. Europe/Berlin)"
+              required
+              className="border rounded px-3 py-2"
+            />
+            {form.kind === "export" ? (
+              <select name="format" value={form.format} onChange={handleChange} className="border rounded px-3 py-2">
+                <option value="csv">CSV</option>
+                <option value="xlsx">XLSX</option>
+                <option value="json">JSON</option>
+              </select>
+            ) : (
+              <div />
+            )}
+          </div>
+
+          <textarea
+            name="recipients"
+            value={form.recipients}
+            onChange={handleChange}
+            placeholder="Recipient emails, separated by commas"
+            required
+            rows={2}
+            className="w-full border rounded px-3 py-2"
+          />
+
+          <label className="flex items-center space-x-2 text-sm">
+            <input type="checkbox" name="incremental" checked={form.incremental} onChange={handleChange} />
+            <span>Only include responses received since the previous run</span>
+          </label>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? "Saving..." : "Create schedule"}
+          </button>
+        </form>
+      )}
+
+      {historyFor && (
+        <RunHistory surveyId={surveyId} schedule={historyFor} onClose={() => setHistoryFor(null)} />
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next run</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last run</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {schedules.map((schedule) => (
+              <tr key={schedule.id}>
+                <td className="px-6 py-4">
+                  <p className="font-medium">{schedule.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {schedule.kind === "export" ? `${schedule.format.toUpperCase()} export` : "Digest"}
+                    {" · "}
+                    {schedule.recipients.length} recipient{schedule.recipients.length === 1 ? "" : "s"}
+                  </p>
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  <span className="font-mono">{schedule.cron_expression}</span>
+                  <span className="text-gray-500"> ({schedule.timezone})</span>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {schedule.is_active ? (
+                    formatDate(schedule.next_run_at)
+                  ) : (
+                    <span className="px-2 py-1 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                      Paused
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {schedule.last_run_status ? (
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${RUN_STATUS_STYLES[schedule.last_run_status] || ""}`}
+                      title={schedule.last_run_error || undefined}
+                    >
+                      {schedule.last_run_status}
+                    </span>
+                  ) : (
+                    "—"
+                  )}
+                </td>
+                <td className="px-6 py-4 text-right text-sm space-x-3 whitespace-nowrap">
+                  <button onClick={() => handleRun(schedule)} className="text-blue-600 hover:text-blue-800">
+                    Run now
+                  </button>
+                  <button onClick={() => setHistoryFor(schedule)} className="text-blue-600 hover:text-blue-800">
+                    History
+                  </button>
+                  <button onClick={() => handleToggle(schedule)} className="text-gray-600 hover:text-gray-800">
+                    {schedule.is_active ? "Pause" : "Resume"}
+                  </button>
+                  <button onClick={() => handleDelete(schedule)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {schedules.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No schedules yet.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,462 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+const TRANSLATED_OPTION_TYPES = ["multiple_choice", "checkbox", "dropdown", "ranking", "matrix"];
+
+const optionText = (opt) => (typeof opt === "string" ? opt : opt.text);
+
+// Translations are keyed by option and row id; options saved before ids existed use their text
+const optionId = (opt) => (typeof opt === "string" ? opt : opt.id ?? opt.text);
+
+const REPORT_SECTIONS = [
+  ["missing", "Not translated in the file"],
+  ["stale", "Translated from outdated text (skipped)"],
+  ["extra", "Not part of the survey (skipped)"],
+];
+
+// Drops empty fields so untranslated texts fall back to the default language
+function pruneTranslation(translation) {
+  const texts = (entries) => Object.fromEntries(entries.filter(([, value]) => value && value.trim() !== ""));
+
+  const pages = Object.entries(translation.pages || {})
+    .map(([key, page]) => [key, texts(Object.entries(page))])
+    .filter(([, page]) => Object.keys(page).length > 0);
+
+  const questions = Object.entries(translation.questions || {})
+    .map(([questionId, question]) => {
+      const options = texts(Object.entries(question.options || {}));
+      const rows = texts(Object.entries(question.rows || {}));
+      return [
+        questionId,
+        {
+          ...(question.text?.trim() ? { text: question.text } : {}),
+          ...(Object.keys(options).length > 0 ? { options } : {}),
+          ...(Object.keys(rows).length > 0 ? { rows } : {}),
+        },
+      ];
+    })
+    .filter(([, question]) => Object.keys(question).length > 0);
+
+  return {
+    ...texts(
+      ["title", "description", "thankYouMessage", "passMessage", "failMessage"].map((field) => [
+        field,
+        translation[field],
+      ])
+    ),
+    pages: Object.fromEntries(pages),
+    questions: Object.fromEntries(questions),
+  };
+}
+
+export default function SurveyTranslationsPage() {
+  const { id: surveyId } = useParams();
+  const [preview, setPreview] = useState(null);
+  const [defaultLocale, setDefaultLocale] = useState("en");
+  const [translations, setTranslations] = useState({});
+  const [locale, setLocale] = useState(null);
+  const [form, setForm] = useState({});
+  const [newLocale, setNewLocale] = useState("");
+  const [pendingImport, setPendingImport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadTranslations();
+    loadPreview();
+  }, [surveyId]);
+
+  async function loadTranslations() {
+    try {
+      const response = await api.getSurveyTranslations(surveyId);
+      setDefaultLocale(response.data.defaultLocale);
+      setTranslations(response.data.translations || {});
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function loadPreview() {
+    try {
+      const response = await api.getSurveyPreview(surveyId);
+      setPreview(response.data.preview);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  function openLocale(tag) {
+    setLocale(tag);
+    setForm(translations[tag] || {});
+    setPendingImport(null);
+  }
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const tag = newLocale.trim();
+    if (!tag) return;
+    setNewLocale("");
+    openLocale(tag);
+  }
+
+  function setQuestion(questionId, changes) {
+    const questions = form.questions || {};
+    setForm({ ...form, questions: { ...questions, [questionId]: { ...questions[questionId], ...changes } } });
+  }
+
+  function setPage(key, changes) {
+    const pages = form.pages || {};
+    setForm({ ...form, pages: { ...pages, [key]: { ...pages[key], ...changes } } });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await api.saveSurveyTranslation(surveyId, locale, pruneTranslation(form));
+      setLocale(response.data.locale);
+      loadTranslations();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDelete(tag) {
+    if (!confirm(`Delete the ${tag} translation?`)) return;
+
+    try {
+      await api.deleteSurveyTranslation(surveyId, tag);
+      if (locale === tag) setLocale(null);
+      loadTranslations();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleExport(tag, format) {
+    try {
+      const blob = await api.downloadSurveyTranslation(surveyId, tag, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `survey-${surveyId}-${tag}.${format === "json" ? "json" : "xlf"}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  // Checks the file first; the report is shown before anything is saved
+  async function handleImportFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const data = { format: file.name.toLowerCase().endsWith(".json") ? "json" : "xliff", content: await file.text() };
+
+    try {
+      const response = await api.importSurveyTranslation(surveyId, locale, { ...data, dryRun: true });
+      setPendingImport({ ...data, fileName: file.name, report: response.data.report });
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleApplyImport() {
+    setLoading(true);
+
+    try {
+      const response = await api.importSurveyTranslation(surveyId, locale, {
+        format: pendingImport.format,
+        content: pendingImport.content,
+      });
+      setLocale(response.data.locale);
+      setForm(response.data.translation);
+      setPendingImport(null);
+      loadTranslations();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDefaultLocale(e) {
+    e.preventDefault();
+
+    try {
+      await api.updateSurvey(surveyId, { defaultLocale });
+      loadTranslations();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  const survey = preview?.survey || {};
+  const questions = preview?.questions || [];
+  const pages = preview?.pages || [];
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Translations</h1>
+          <Link to={`/surveys/${surveyId}/responses`} className="text-sm text-blue-600 hover:text-blue-800">
+            Back to responses
+          </Link>
+        </div>
+        <form onSubmit={handleAdd} className="flex items-center space-x-2">
+          <input
+            value={newLocale}
+            onChange={(e) => setNewLocale(e.target.value)}
+            placeholder="Language (e.g. fr or pt-BR)"
+            className="border rounded px-3 py-2"
+          />
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+            Add language
+          </button>
+        </form>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-6">
+        Respondents see the language set on the embed code (data-locale), else the closest match to their browser
+        languages. Empty fields show the default-language text. Answers are recorded against the default-language
+        options, so results combine all languages. Translations go live with the next publish.
+      </p>
+
+      <div className="bg-white p-6 rounded-lg shadow mb-6">
+        <form onSubmit={handleDefaultLocale} className="flex items-center space-x-2 mb-4 text-sm">
+          <label htmlFor="default-locale" className="font-semibold">
+            Default language
+          </label>
+          <input
+            id="default-locale"
+            value={defaultLocale}
+            onChange={(e) => setDefaultLocale(e.target.value)}
+            className="border rounded px-3 py-1 w-32"
+          />
+          <button type="submit" className="px-3 py-1 border rounded hover:bg-gray-50">
+            Change
+          </button>
+          <button
+            type="button"
+            onClick={() => handleExport(defaultLocale, "json")}
+            className="px-3 py-1 border rounded hover:bg-gray-50"
+            title="Source strings for translators"
+          >
+            Export source JSON
+          </button>
+        </form>
+
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(translations).map((tag) => (
+            <span
+              key={tag}
+              className={`inline-flex items-center gap-2 px-3 py-1 rounded border text-sm ${
+                locale === tag ? "bg-blue-50 border-blue-300" : ""
+              }`}
+            >
+              <button onClick={() => openLocale(tag)} className="font-mono">
+                {tag}
+              </button>
+              <button onClick={() => handleDelete(tag)} className="text-red-600 hover:text-red-800" title="Delete">
+                ×
+              </button>
+            </span>
+          ))}
+          {Object.keys(translations).length === 0 && (
+            <span className="text-sm text-gray-500">No translations yet.</span>
+          )}
+        </div>
+      </div>
+
+      {locale && (
+        <form onSubmit={handleSave} className="bg-white p-6 rounded-lg shadow space-y-6">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-bold font-mono">{locale}</h2>
+            <div className="flex items-center space-x-2 text-sm">
+              <button
+                type="button"
+                onClick={() => handleExport(locale, "xliff")}
+                className="px-3 py-1 border rounded hover:bg-gray-50"
+              >
+                Export XLIFF
+              </button>
+              <button
+                type="button"
+                onClick={() => handleExport(locale, "json")}
+                className="px-3 py-1 border rounded hover:bg-gray-50"
+              >
+                Export JSON
+              </button>
+              <label className="px-3 py-1 border rounded hover:bg-gray-50 cursor-pointer">
+                Import file
+                <input type="file" accept=".xlf,.xliff,.json" onChange={handleImportFile} className="hidden" />
+              </label>
+            </div>
+          </div>
+
+          {pendingImport && (
+            <div className="border rounded p-4 bg-gray-50 text-sm space-y-2">
+              <p className="font-semibold">
+                {pendingImport.fileName}: {pendingImport.report.imported} strings to import
+              </p>
+              {REPORT_SECTIONS.filter(([key]) => pendingImport.report[key].length > 0).map(([key, label]) => (
+                <details key={key}>
+                  <summary className="cursor-pointer">
+                    {label} ({pendingImport.report[key].length})
+                  </summary>
+                  <ul className="mt-1 pl-4 font-mono text-xs text-gray-600 break-all">
+                    {pendingImport.report[key].map((entry) => (
+                      <li key={entry}>{entry}</li>
+                    ))}
+                  </ul>
+                </details>
+              ))}
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  onClick={handleApplyImport}
+                  disabled={loading || pendingImport.report.imported === 0}
+                  className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Apply import
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setPendingImport(null)}
+                  className="px-3 py-1 border rounded hover:bg-white"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              value={form.title || ""}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder={survey.title}
+              className="border rounded px-3 py-2"
+            />
+            <input
+              value={form.thankYouMessage || ""}
+              onChange={(e) => setForm({ ...form, thankYouMessage: e.target.value })}
+              placeholder={survey.config?.thankYouMessage || "Your response has been recorded."}
+              className="border rounded px-3 py-2"
+            />
+            <textarea
+              value={form.description || ""}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder={survey.description || "Description"}
+              rows="2"
+              className="border rounded px-3 py-2 md:col-span-2"
+            />
+            {survey.type === "quiz" && (
+              <>
+                <input
+                  value={form.passMessage || ""}
+                  onChange={(e) => setForm({ ...form, passMessage: e.target.value })}
+                  placeholder={survey.config?.quiz?.passMessage || "Pass message"}
+                  className="border rounded px-3 py-2"
+                />
+                <input
+                  value={form.failMessage || ""}
+                  onChange={(e) => setForm({ ...form, failMessage: e.target.value })}
+                  placeholder={survey.config?.quiz?.failMessage || "Fail message"}
+                  className="border rounded px-3 py-2"
+                />
+              </>
+            )}
+          </div>
+
+          {pages.length > 0 && (
+            <div>
+              <h3 className="font-semibold mb-2">Pages</h3>
+              <div className="space-y-2">
+                {pages.map((page) => (
+                  <div key={page.key} className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    <input
+                      value={form.pages?.[page.key]?.title || ""}
+                      onChange={(e) => setPage(page.key, { title: e.target.value })}
+                      placeholder={page.title || page.key}
+                      className="border rounded px-3 py-2 text-sm"
+                    />
+                    <input
+                      value={form.pages?.[page.key]?.description || ""}
+                      onChange={(e) => setPage(page.key, { description: e.target.value })}
+                      placeholder={page.description || "Page description"}
+                      className="border rounded px-3 py-2 text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h3 className="font-semibold mb-2">Questions</h3>
+            <div className="space-y-4">
+              {questions.map((q) => {
+                const translated = form.questions?.[q.id] || {};
+                return (
+                  <div key={q.id} className="border rounded p-4 space-y-2">
+                    <input
+                      value={translated.text || ""}
+                      onChange={(e) => setQuestion(q.id, { text: e.target.value })}
+                      placeholder={q.text}
+                      className="w-full border rounded px-3 py-2 text-sm"
+                    />
+                    {TRANSLATED_OPTION_TYPES.includes(q.type) && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 pl-4">
+                        {(q.options || []).map((opt) => (
+                          <input
+                            key={optionId(opt)}
+                            value={translated.options?.[optionId(opt)] || ""}
+                            onChange={(e) =>
+                              setQuestion(q.id, { options: { ...translated.options, [optionId(opt)]: e.target.value } })
+                            }
+                            placeholder={optionText(opt)}
+                            className="border rounded px-3 py-1 text-sm"
+                          />
+                        ))}
+                      </div>
+                    )}
+                    {q.rows && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 pl-4">
+                        {q.rows.map((row) => (
+                          <input
+                            key={optionId(row)}
+                            value={translated.rows?.[optionId(row)] || ""}
+                            onChange={(e) =>
+                              setQuestion(q.id, { rows: { ...translated.rows, [optionId(row)]: e.target.value } })
+                            }
+                            placeholder={`Row: ${optionText(row)}`}
+                            className="border rounded px-3 py-1 text-sm"
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? "Saving..." : "Save translation"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
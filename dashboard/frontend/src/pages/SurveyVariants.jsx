@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../services/api";
+
+const EMPTY_FORM = {
+  key: "",
+  name: "",
+  weight: "1",
+  title: "",
+  theme: "",
+  wording: {},
+  customOrder: false,
+  questionOrder: [],
+};
+
+function formFromVariant(variant, questions) {
+  const overrides = variant.overrides || {};
+  return {
+    key: variant.key,
+    name: variant.name,
+    weight: String(variant.weight),
+    title: overrides.title || "",
+    theme: overrides.theme || "",
+    wording: Object.fromEntries(
+      Object.entries(overrides.questions || {}).map(([questionId, { text }]) => [questionId, text])
+    ),
+    customOrder: (overrides.questionOrder || []).length > 0,
+    questionOrder: (overrides.questionOrder || []).length > 0
+      ? overrides.questionOrder
+      : questions.map((q) => q.id),
+  };
+}
+
+function TestResult({ test }) {
+  if (!test) {
+    return <span className="text-xs text-gray-500">Not enough data for a test</span>;
+  }
+
+  return (
+    <span className="text-xs">
+      <span
+        className={`px-2 py-1 rounded font-medium ${
+          test.significant ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-700"
+        }`}
+      >
+        {test.significant ? "Significant" : "Not significant"}
+      </span>
+      <span className="ml-2 text-gray-500">
+        p = {test.pValue} (χ² = {test.statistic}, df = {test.degreesOfFreedom})
+        {test.lowCounts && " · small sample, treat with caution"}
+      </span>
+    </span>
+  );
+}
+
+export default function SurveyVariantsPage() {
+  const { id: surveyId } = useParams();
+  const [variants, setVariants] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadVariants();
+    loadQuestions();
+  }, [surveyId]);
+
+  async function loadVariants() {
+    try {
+      const [variantsResponse, comparisonResponse] = await Promise.all([
+        api.getSurveyVariants(surveyId),
+        api.getSurveyVariantComparison(surveyId),
+      ]);
+      setVariants(variantsResponse.data.variants || []);
+      setComparison(comparisonResponse.data);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function loadQuestions() {
+    try {
+      const response = await api.getSurveyPreview(surveyId);
+      setQuestions(response.data.preview.questions || []);
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  function openForm(variant) {
+    setEditing(variant || "new");
+    setForm(variant ? formFromVariant(variant, questions) : { ...EMPTY_FORM, questionOrder: questions.map((q) => q.id) });
+  }
+
+  function moveQuestion(index, offset) {
+    const next = [...form.questionOrder];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setForm({ ...form, questionOrder: next });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setLoading(true);
+
+    const wording = Object.entries(form.wording).filter(([, text]) => text.trim() !== "");
+    const data = {
+      key: form.key,
+      name: form.name,
+      weight: Number(form.weight),
+      overrides: {
+        ...(form.title ? { title: form.title } : {}),
+        ...(form.theme ? { theme: form.theme } : {}),
+        ...(wording.length > 0
+          ? { questions: Object.fromEntries(wording.map(([questionId, text]) => [questionId, { text }])) }
+          : {}),
+        ...(form.customOrder ? { questionOrder: form.questionOrder } : {}),
+      },
+    };
+
+    try {
+      if (editing === "new") {
+        await api.createSurveyVariant(surveyId, data);
+      } else {
+        await api.updateSurveyVariant(surveyId, editing.id, data);
+      }
+      setEditing(null);
+      loadVariants();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleToggle(variant) {
+    try {
+      await api.updateSurveyVariant(surveyId, variant.id, { weight: variant.weight > 0 ? 0 : 1 });
+      loadVariants();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleDelete(variant) {
+    if (!confirm(`Delete variant "${variant.name}"?`)) return;
+
+    try {
+      await api.deleteSurveyVariant(surveyId, variant.id);
+      loadVariants();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  const questionsById = Object.fromEntries(questions.map((q) => [q.id, q]));
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">A/B variants</h1>
+          <Link to={`/surveys/${surveyId}/responses`} className="text-sm text-blue-600 hover:text-blue-800">
+            Back to responses
+          </Link>
+        </div>
+        <button
+          onClick={() => (editing ? setEditing(null) : openForm(null))}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+        >
+          {editing ? "Cancel" : "New variant"}
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-6">
+        Each visitor session is assigned one variant by weight and keeps it. Leave a variant without changes to
+        use it as the control. Answer options are the same in every variant so their results can be compared.
+      </p>
+
+      {editing && (
+        <form onSubmit={handleSave} className="bg-white p-6 rounded-lg shadow mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              value={form.key}
+              onChange={(e) => setForm({ ...form, key: e.target.value })}
+              placeholder="Key (e.g. B)"
+              pattern="[A-Za-z0-9_-]+"
+              required
+              className="border rounded px-3 py-2"
+            />
+            <input
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name (e.g. Shorter wording)"
+              required
+              className="border rounded px-3 py-2"
+            />
+            <input
+              type="number"
+              min="0"
+              max="1000"
+              value={form.weight}
+              onChange={(e) => setForm({ ...form, weight: e.target.value })}
+              title="Relative share of new sessions"
+              required
+              className="border rounded px-3 py-2"
+            />
+            <input
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder="Survey title (leave empty to keep)"
+              className="border rounded px-3 py-2 md:col-span-2"
+            />
+            <select
+              value={form.theme}
+              onChange={(e) => setForm({ ...form, theme: e.target.value })}
+              className="border rounded px-3 py-2"
+            >
+              <option value="">Survey theme</option>
+              <option value="light">Light</option>
+              <option value="dark">Dark</option>
+              <option value="auto">Follow visitor setting</option>
+            </select>
+          </div>
+
+          <div>
+            <h3 className="font-semibold mb-2">Question wording</h3>
+            <div className="space-y-2">
+              {questions.map((q) => (
+                <input
+                  key={q.id}
+                  value={form.wording[q.id] || ""}
+                  onChange={(e) => setForm({ ...form, wording: { ...form.wording, [q.id]: e.target.value } })}
+                  placeholder={q.text}
+                  className="w-full border rounded px-3 py-2 text-sm"
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-semibold mb-2">
+              <input
+                type="checkbox"
+                checked={form.customOrder}
+                onChange={(e) => setForm({ ...form, customOrder: e.target.checked })}
+              />
+              <span>Change question order</span>
+            </label>
+            {form.customOrder && (
+              <ol className="space-y-1">
+                {form.questionOrder.map((questionId, index) => (
+                  <li key={questionId} className="flex items-center gap-2 border rounded px-3 py-2 text-sm">
+                    <span className="w-6 text-gray-500">{index + 1}.</span>
+                    <span className="flex-1">{questionsById[questionId]?.text || questionId}</span>
+                    <button
+                      type="button"
+                      disabled={index === 0}
+                      onClick={() => moveQuestion(index, -1)}
+                      className="px-2 border rounded disabled:opacity-40"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      disabled={index === form.questionOrder.length - 1}
+                      onClick={() => moveQuestion(index, 1)}
+                      className="px-2 border rounded disabled:opacity-40"
+                    >
+                      ↓
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              Questions stay on their page, and the order must keep branching rules valid.
+            </p>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {loading ? "Saving..." : editing === "new" ? "Create variant" : "Save variant"}
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Traffic</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Sessions</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Responses</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {variants.map((variant) => (
+              <tr key={variant.id}>
+                <td className="px-6 py-4">
+                  <p className="font-medium">{variant.name}</p>
+                  <p className="text-xs text-gray-500 font-mono">{variant.key}</p>
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {variant.weight > 0 ? (
+                    `${Math.round((variant.weight / totalWeight) * 100)}%`
+                  ) : (
+                    <span className="px-2 py-1 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                      Paused
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{variant.views}</td>
+                <td className="px-6 py-4 text-sm text-gray-600">{variant.responses}</td>
+                <td className="px-6 py-4 text-right text-sm space-x-3 whitespace-nowrap">
+                  <button onClick={() => openForm(variant)} className="text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                  <button onClick={() => handleToggle(variant)} className="text-gray-600 hover:text-gray-800">
+                    {variant.weight > 0 ? "Pause" : "Resume"}
+                  </button>
+                  <button onClick={() => handleDelete(variant)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {variants.length === 0 && (
+          <div className="text-center py-12 text-gray-500">No variants yet. Add two or more to start a test.</div>
+        )}
+      </div>
+
+      {comparison && comparison.variants.length > 1 && (
+        <div className="space-y-6">
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold">Completion rate</h2>
+              <TestResult test={comparison.completionTest} />
+            </div>
+            <div className="space-y-2">
+              {comparison.variants.map((variant) => (
+                <div key={variant.id} className="flex items-center gap-4 text-sm">
+                  <span className="w-32 font-medium">{variant.name}</span>
+                  <div className="flex-1 h-3 bg-gray-100 rounded">
+                    <div className="h-3 bg-blue-500 rounded" style={{ width: `${variant.completionRate}%` }} />
+                  </div>
+                  <span className="w-40 text-right text-gray-600">
+                    {variant.completionRate}% ({variant.completions}/{variant.views})
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {comparison.questions.map((question) => (
+            <div key={question.questionId} className="bg-white p-6 rounded-lg shadow">
+              <div className="flex justify-between items-start mb-4 gap-4">
+                <h3 className="font-semibold">{question.questionText}</h3>
+                {question.questionType === "checkbox" ? (
+                  <span className="text-xs text-gray-500">No test for multiple-answer questions</span>
+                ) : (
+                  <TestResult test={question.test} />
+                )}
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr>
+                    <th className="py-1 text-left text-gray-500 font-medium">Answer</th>
+                    {question.variants.map((variant) => (
+                      <th key={variant.variantId} className="py-1 text-right text-gray-500 font-medium">
+                        {variant.key} ({variant.respondents})
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {(question.variants[0]?.distribution || []).map((entry, index) => (
+                    <tr key={entry.answer}>
+                      <td className="py-1">{entry.label ?? entry.answer}</td>
+                      {question.variants.map((variant) => (
+                        <td key={variant.variantId} className="py-1 text-right text-gray-600">
+                          {variant.distribution[index].percentage}%
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from "react";
+import api from "../services/api";
+
+const STATUS_STYLES = {
+  pending: "bg-gray-100 text-gray-700",
+  retrying: "bg-yellow-100 text-yellow-800",
+  succeeded: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+export default function WebhooksPage() {
+  const [tenants, setTenants] = useState([]);
+  const [tenantId, setTenantId] = useState("");
+  const [endpoints, setEndpoints] = useState([]);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [endpointFilter, setEndpointFilter] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [url, setUrl] = useState("");
+  const [description, setDescription] = useState("");
+  const [events, setEvents] = useState([]);
+  const [newSecret, setNewSecret] = useState("");
+  const [expandedDelivery, setExpandedDelivery] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadTenants();
+  }, []);
+
+  useEffect(() => {
+    if (tenantId) {
+      loadEndpoints();
+    }
+  }, [tenantId]);
+
+  useEffect(() => {
+    if (tenantId) {
+      loadDeliveries();
+    }
+  }, [tenantId, endpointFilter]);
+
+  async function loadTenants() {
+    try {
+      const response = await api.getTenants(1, 100);
+      const list = response.data || [];
+      setTenants(list);
+      if (list.length > 0) {
+        setTenantId(list[0].id);
+      }
+    } catch (error) {
+      alert("Failed to load tenants");
+    }
+  }
+
+  async function loadEndpoints() {
+    try {
+      const response = await api.getWebhookEndpoints(tenantId);
+      setEndpoints(response.data.endpoints || []);
+      setEventTypes(response.data.events || []);
+    } catch (error) {
+      setEndpoints([]);
+      alert(error.message);
+    }
+  }
+
+  async function loadDeliveries() {
+    try {
+      const filters = endpointFilter ? { endpointId: endpointFilter } : {};
+      const response = await api.getWebhookDeliveries(tenantId, filters);
+      setDeliveries(response.data || []);
+    } catch (error) {
+      setDeliveries([]);
+    }
+  }
+
+  function toggleEvent(event) {
+    setEvents((current) =>
+      current.includes(event) ? current.filter((e) => e !== event) : [...current, event]
+    );
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await api.createWebhookEndpoint(tenantId, { url, description, events });
+      setNewSecret(response.data.endpoint.secret);
+      setShowForm(false);
+      setUrl("");
+      setDescription("");
+      setEvents([]);
+      loadEndpoints();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleToggle(endpoint) {
+    try {
+      await api.updateWebhookEndpoint(tenantId, endpoint.id, { isActive: !endpoint.is_active });
+      loadEndpoints();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleDelete(id) {
+    if (!confirm("Delete this webhook endpoint and its delivery log?")) return;
+
+    try {
+      await api.deleteWebhookEndpoint(tenantId, id);
+      if (endpointFilter === id) {
+        setEndpointFilter("");
+      }
+      loadEndpoints();
+      loadDeliveries();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  async function handleRedeliver(deliveryId) {
+    try {
+      await api.redeliverWebhook(tenantId, deliveryId);
+      loadDeliveries();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Webhooks</h1>
+        <div className="flex items-center space-x-2">
+          <select
+            value={tenantId}
+            onChange={(e) => {
+              setTenantId(e.target.value);
+              setEndpointFilter("");
+            }}
+            className="border rounded px-3 py-2"
+          >
+            {tenants.map((tenant) => (
+              <option key={tenant.id} value={tenant.id}>
+                {tenant.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowForm(!showForm)}
+            disabled={!tenantId}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            + Add Endpoint
+          </button>
+        </div>
+      </div>
+
+      {newSecret && (
+        <div className="bg-yellow-50 border border-yellow-200 p-4 rounded mb-6">
+          <p className="font-medium mb-2">
+            Signing secret (shown once, store it securely):
+          </p>
+          <code className="block bg-white border rounded px-3 py-2 break-all">{newSecret}</code>
+          <p className="text-sm text-gray-600 mt-2">
+            Each delivery carries an <code>X-Webhook-Signature: t=&lt;timestamp&gt;,v1=&lt;hmac&gt;</code>{" "}
+            header: the HMAC-SHA256 of <code>timestamp.body</code> with this secret.
+          </p>
+          <button
+            onClick={() => setNewSecret("")}
+            className="mt-2 text-sm text-blue-600 hover:underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <div className="bg-white p-6 rounded-lg shadow mb-6">
+          <h2 className="text-xl font-bold mb-4">Add Endpoint</h2>
+          <form onSubmit={handleCreate}>
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">URL</label>
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                className="w-full border rounded px-3 py-2"
+                placeholder="https://example.com/webhooks/surveys"
+                required
+              />
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Description (optional)</label>
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                className="w-full border rounded px-3 py-2"
+              />
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-gray-700 mb-2">Events</label>
+              {eventTypes.map((event) => (
+                <label key={event} className="flex items-center space-x-2 mb-1">
+                  <input
+                    type="checkbox"
+                    checked={events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  <span className="font-mono text-sm">{event}</span>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={loading || events.length === 0}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                {loading ? "Creating..." : "Create"}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">URL</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Events</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last delivery</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {endpoints.map((endpoint) => (
+              <tr key={endpoint.id} className={endpoint.is_active ? "" : "opacity-50"}>
+                <td className="px-6 py-4">
+                  <div className="font-mono text-sm break-all">{endpoint.url}</div>
+                  {endpoint.description && (
+                    <div className="text-sm text-gray-500">{endpoint.description}</div>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">{endpoint.events.join(", ")}</td>
+                <td className="px-6 py-4">
+                  {endpoint.last_delivery_status ? (
+                    <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[endpoint.last_delivery_status]}`}>
+                      {endpoint.last_delivery_status}
+                    </span>
+                  ) : (
+                    <span className="text-gray-400 text-sm">None yet</span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-right space-x-3 whitespace-nowrap">
+                  <button
+                    onClick={() => setEndpointFilter(endpoint.id)}
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    Deliveries
+                  </button>
+                  <button
+                    onClick={() => handleToggle(endpoint)}
+                    className="text-gray-600 hover:text-gray-800"
+                  >
+                    {endpoint.is_active ? "Disable" : "Enable"}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(endpoint.id)}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {endpoints.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            No webhook endpoints yet.
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Delivery Log</h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={endpointFilter}
+            onChange={(e) => setEndpointFilter(e.target.value)}
+            className="border rounded px-3 py-2"
+          >
+            <option value="">All endpoints</option>
+            {endpoints.map((endpoint) => (
+              <option key={endpoint.id} value={endpoint.id}>
+                {endpoint.url}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={loadDeliveries}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded hover:bg-gray-300"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Response</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attempts</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {deliveries.map((delivery) => (
+              <React.Fragment key={delivery.id}>
+                <tr>
+                  <td className="px-6 py-4">
+                    <div className="font-mono text-sm">{delivery.event_type}</div>
+                    <div className="text-xs text-gray-500 break-all">{delivery.endpoint_url}</div>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {delivery.response_status || delivery.error_message || "—"}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{delivery.attempts}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {new Date(delivery.created_at).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 text-right space-x-3 whitespace-nowrap">
+                    <button
+                      onClick={() =>
+                        setExpandedDelivery(expandedDelivery === delivery.id ? null : delivery.id)
+                      }
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      {expandedDelivery === delivery.id ? "Hide" : "Details"}
+                    </button>
+                    <button
+                      onClick={() => handleRedeliver(delivery.id)}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Redeliver
+                    </button>
+                  </td>
+                </tr>
+                {expandedDelivery === delivery.id && (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-4 bg-gray-50">
+                      <p className="text-xs font-medium text-gray-500 uppercase mb-1">Payload</p>
+                      <pre className="text-xs bg-white border rounded p-3 overflow-x-auto mb-3">
+                        {JSON.stringify(delivery.payload, null, 2)}
+                      </pre>
+                      {delivery.response_body && (
+                        <>
+                          <p className="text-xs font-medium text-gray-500 uppercase mb-1">Response body</p>
+                          <pre className="text-xs bg-white border rounded p-3 overflow-x-auto">
+                            {delivery.response_body}
+                          </pre>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+
+        {deliveries.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            No deliveries yet.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
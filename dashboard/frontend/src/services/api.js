@@ -147,9 +147,38 @@ class ApiService {
     return this.request("GET", `/tenants?page=${page}&limit=${limit}`);
   }
 
+  // ===================== Team Members =====================
+  async getTenantMembers(tenantId) {
+    return this.request("GET", `/tenants/${tenantId}/members`);
+  }
+
+  async updateTenantMember(tenantId, memberId, role) {
+    return this.request("PATCH", `/tenants/${tenantId}/members/${memberId}`, { role });
+  }
+
+  async removeTenantMember(tenantId, memberId) {
+    return this.request("DELETE", `/tenants/${tenantId}/members/${memberId}`);
+  }
+
+  async getTenantInvitations(tenantId) {
+    return this.request("GET", `/tenants/${tenantId}/invitations`);
+  }
+
+  async inviteTenantMember(tenantId, email, role) {
+    return this.request("POST", `/tenants/${tenantId}/invitations`, { email, role });
+  }
+
+  async revokeTenantInvitation(tenantId, invitationId) {
+    return this.request("DELETE", `/tenants/${tenantId}/invitations/${invitationId}`);
+  }
+
+  async acceptInvitation(token) {
+    return this.request("POST", "/tenants/invitations/accept", { token });
+  }
+
   // ===================== API Keys =====================
-  async createApiKey(tenantId, name) {
-    return this.request("POST", `/tenants/${tenantId}/keys`, { name });
+  async createApiKey(tenantId, name, options = {}) {
+    return this.request("POST", `/tenants/${tenantId}/keys`, { name, ...options });
   }
 
   async listApiKeys(tenantId) {
@@ -160,6 +189,92 @@ class ApiService {
     return this.request("DELETE", `/tenants/${tenantId}/keys/${keyId}`);
   }
 
+  async rotateApiKey(tenantId, keyId, overlapMinutes) {
+    return this.request("POST", `/tenants/${tenantId}/keys/${keyId}/rotate`, { overlapMinutes });
+  }
+
+  // ===================== Webhooks =====================
+  async getWebhookEndpoints(tenantId) {
+    return this.request("GET", `/webhooks/tenants/${tenantId}/endpoints`);
+  }
+
+  async createWebhookEndpoint(tenantId, data) {
+    return this.request("POST", `/webhooks/tenants/${tenantId}/endpoints`, data);
+  }
+
+  async updateWebhookEndpoint(tenantId, endpointId, data) {
+    return this.request("PUT", `/webhooks/tenants/${tenantId}/endpoints/${endpointId}`, data);
+  }
+
+  async deleteWebhookEndpoint(tenantId, endpointId) {
+    return this.request("DELETE", `/webhooks/tenants/${tenantId}/endpoints/${endpointId}`);
+  }
+
+  async getWebhookDeliveries(tenantId, filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    return this.request("GET", `/webhooks/tenants/${tenantId}/deliveries?${params}`);
+  }
+
+  async redeliverWebhook(tenantId, deliveryId) {
+    return this.request("POST", `/webhooks/tenants/${tenantId}/deliveries/${deliveryId}/redeliver`);
+  }
+
+  // ===================== Billing =====================
+  async getBillingPlans() {
+    return this.request("GET", "/billing/plans");
+  }
+
+  async getBillingOverview(tenantId) {
+    return this.request("GET", `/billing/tenants/${tenantId}`);
+  }
+
+  async getInvoices(tenantId, page = 1, limit = 20) {
+    return this.request("GET", `/billing/tenants/${tenantId}/invoices?page=${page}&limit=${limit}`);
+  }
+
+  async createCheckout(tenantId, planId, billingCycle) {
+    return this.request("POST", `/billing/tenants/${tenantId}/checkout`, { planId, billingCycle });
+  }
+
+  async getBillingPortal(tenantId) {
+    return this.request("GET", `/billing/tenants/${tenantId}/portal`);
+  }
+
+  // ===================== Admin Billing =====================
+  async getAdminRevenueAnalytics() {
+    return this.request("GET", "/admin/billing/analytics");
+  }
+
+  async getAdminCohortRetention(months = 12) {
+    return this.request("GET", `/admin/billing/analytics/cohorts?months=${months}`);
+  }
+
+  async getAdminNetRevenueRetention(months = 12) {
+    return this.request("GET", `/admin/billing/analytics/nrr?months=${months}`);
+  }
+
+  async getAdminRevenueByPlan(months = 12) {
+    return this.request("GET", `/admin/billing/analytics/revenue-by-plan?months=${months}`);
+  }
+
+  async getAdminFailedPayments() {
+    return this.request("GET", "/admin/billing/failed-payments");
+  }
+
+  async downloadCustomersCSV(filters = {}) {
+    const params = new URLSearchParams(filters).toString();
+    const response = await fetch(`${this.baseUrl}/admin/billing/exports/customers?${params}`, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    });
+
+    if (!response.ok) {
+      const json = await response.json().catch(() => ({}));
+      throw new Error(json.message || "Export failed");
+    }
+
+    return response.blob();
+  }
+
   // ===================== Surveys =====================
   async createSurvey(data) {
     return this.request("POST", "/surveys", data);
@@ -170,10 +285,18 @@ class ApiService {
     return this.request("GET", `/surveys?${params}`);
   }
 
+  async getSurvey(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}`);
+  }
+
   async publishSurvey(surveyId) {
     return this.request("POST", `/surveys/${surveyId}/publish`);
   }
 
+  async updateSurveyAvailability(surveyId, data) {
+    return this.request("PUT", `/surveys/${surveyId}/availability`, data);
+  }
+
   async getSurveyResults(surveyId, filters = {}) {
     const params = new URLSearchParams(filters).toString();
     return this.request(
@@ -182,9 +305,132 @@ class ApiService {
     );
   }
 
+  async getSurveyResponses(surveyId, filters = {}) {
+    // Drop empty filters so they aren't sent as blank strings
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value !== "" && value != null)
+    ).toString();
+    return this.request("GET", `/surveys/${surveyId}/responses?${params}`);
+  }
+
+  async getSurveyResponse(surveyId, responseId) {
+    return this.request("GET", `/surveys/${surveyId}/responses/${responseId}`);
+  }
+
+  async requestSurveyExport(surveyId, data) {
+    return this.request("POST", `/surveys/${surveyId}/export`, data);
+  }
+
+  async getSurveyExports(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/exports`);
+  }
+
+  async getSurveyPreview(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/preview`);
+  }
+
+  async updateSurveyPages(surveyId, pages) {
+    return this.request("PUT", `/surveys/${surveyId}/pages`, { pages });
+  }
+
+  async getSurveySchedules(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/schedules`);
+  }
+
+  async createSurveySchedule(surveyId, data) {
+    return this.request("POST", `/surveys/${surveyId}/schedules`, data);
+  }
+
+  async updateSurveySchedule(surveyId, scheduleId, data) {
+    return this.request("PUT", `/surveys/${surveyId}/schedules/${scheduleId}`, data);
+  }
+
+  async deleteSurveySchedule(surveyId, scheduleId) {
+    return this.request("DELETE", `/surveys/${surveyId}/schedules/${scheduleId}`);
+  }
+
+  async runSurveySchedule(surveyId, scheduleId) {
+    return this.request("POST", `/surveys/${surveyId}/schedules/${scheduleId}/run`);
+  }
+
+  async getSurveyScheduleRuns(surveyId, scheduleId, page = 1, limit = 20) {
+    return this.request(
+      "GET",
+      `/surveys/${surveyId}/schedules/${scheduleId}/runs?page=${page}&limit=${limit}`
+    );
+  }
+
+  async getSurveyVariants(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/variants`);
+  }
+
+  async createSurveyVariant(surveyId, data) {
+    return this.request("POST", `/surveys/${surveyId}/variants`, data);
+  }
+
+  async updateSurveyVariant(surveyId, variantId, data) {
+    return this.request("PUT", `/surveys/${surveyId}/variants/${variantId}`, data);
+  }
+
+  async deleteSurveyVariant(surveyId, variantId) {
+    return this.request("DELETE", `/surveys/${surveyId}/variants/${variantId}`);
+  }
+
+  async getSurveyVariantComparison(surveyId) {
+    return this.request("GET", `/analytics/surveys/${surveyId}/variants`);
+  }
+
+  async updateSurvey(surveyId, data) {
+    return this.request("PUT", `/surveys/${surveyId}`, data);
+  }
+
+  async getSurveyTranslations(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/translations`);
+  }
+
+  async saveSurveyTranslation(surveyId, locale, data) {
+    return this.request("PUT", `/surveys/${surveyId}/translations/${encodeURIComponent(locale)}`, data);
+  }
+
+  async deleteSurveyTranslation(surveyId, locale) {
+    return this.request("DELETE", `/surveys/${surveyId}/translations/${encodeURIComponent(locale)}`);
+  }
+
+  async downloadSurveyTranslation(surveyId, locale, format) {
+    const response = await fetch(
+      `${this.baseUrl}/surveys/${surveyId}/translations/${encodeURIComponent(locale)}/export?format=${format}`,
+      { headers: this.token ? { Authorization: `Bearer ${this.token}` } : {} }
+    );
+
+    if (!response.ok) {
+      const json = await response.json().catch(() => ({}));
+      throw new Error(json.message || "Export failed");
+    }
+
+    return response.blob();
+  }
+
+  async importSurveyTranslation(surveyId, locale, data) {
+    return this.request("POST", `/surveys/${surveyId}/translations/${encodeURIComponent(locale)}/import`, data);
+  }
+
   async getEmbedCode(surveyId) {
     return this.request("GET", `/surveys/${surveyId}/embed`);
   }
+
+  async getSurveySnapshots(surveyId) {
+    return this.request("GET", `/surveys/${surveyId}/snapshots`);
+  }
+
+  async diffSurveySnapshots(surveyId, fromId, toId) {
+    return this.request("GET", `/surveys/${surveyId}/snapshots/${fromId}/diff/${toId}`);
+  }
+
+  async restoreSurveySnapshot(surveyId, snapshotId, republish = false) {
+    return this.request("POST", `/surveys/${surveyId}/snapshots/${snapshotId}/restore`, {
+      republish,
+    });
+  }
 }
 
 export default new ApiService();
@@ -7,6 +7,8 @@
 
   const API_BASE = document.currentScript.getAttribute('data-api-url') || 'http://localhost:5000/api';
   const SURVEY_KEY = document.currentScript.getAttribute('data-survey-key');
+  // Without it the survey follows the browser's languages
+  const LOCALE = document.currentScript.getAttribute('data-locale');
   
   if (!SURVEY_KEY) {
     console.error('[MicroSurvey] Missing data-survey-key attribute');
@@ -15,8 +17,10 @@
 
   // Widget state
   let surveyData = null;
-  let currentQuestionIndex = 0;
+  let currentPageIndex = 0;
+  let history = [];
   let answers = {};
+  let dragIndex = null;
   let containerId = `microsurvey-${SURVEY_KEY}`;
 
   // Callbacks
@@ -24,19 +28,36 @@
     onOpen: window.microSurveyOnOpen || function() {},
     onSubmit: window.microSurveyOnSubmit || function() {},
     onComplete: window.microSurveyOnComplete || function() {},
+    onClosed: window.microSurveyOnClosed || function() {},
   };
 
   // Fetch survey data
   async function loadSurvey() {
     try {
-      const response = await fetch(`${API_BASE}/embed/${SURVEY_KEY}`);
+      // The session id keeps shuffled questions and options in the same order across reloads
+      const localeParam = LOCALE ? `&locale=${encodeURIComponent(LOCALE)}` : '';
+      const response = await fetch(
+        `${API_BASE}/embed/${SURVEY_KEY}?sessionId=${encodeURIComponent(getSessionId())}${localeParam}`
+      );
       const data = await response.json();
       
       if (!data.success) {
         throw new Error(data.message || 'Failed to load survey');
       }
       
-      surveyData = data.data;
+      surveyData = data.data.survey;
+
+      const container = document.getElementById(containerId);
+      if (container && surveyData.locale) {
+        container.setAttribute('lang', surveyData.locale);
+      }
+
+      if (surveyData.availability && surveyData.availability.state !== 'open') {
+        renderClosed(surveyData.availability);
+        return;
+      }
+
+      currentPageIndex = Math.max(getNextPageIndex(-1), 0);
       render();
       callbacks.onOpen(surveyData);
     } catch (error) {
@@ -52,26 +73,36 @@
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          answers: Object.keys(answers).map(questionId => ({
+          answers: Object.keys(answers).filter(isOnPath).map(questionId => ({
             questionId,
             answer: answers[questionId],
           })),
           metadata: {
             sessionId: getSessionId(),
             completedAt: new Date().toISOString(),
+            ...(surveyData.locale ? { locale: surveyData.locale } : {}),
           },
         }),
       });
 
       const data = await response.json();
+
+      // The survey closed (time window or response limit) while it was being filled in
+      if (response.status === 403 && data.details && data.details.state) {
+        renderClosed(data.details);
+        return;
+      }
       
       if (!data.success) {
         throw new Error(data.message || 'Failed to submit response');
       }
 
+      // Quiz surveys return the score computed by the server
+      const result = data.data && data.data.result;
+
       callbacks.onSubmit(answers);
-      renderThankYou();
-      callbacks.onComplete(answers);
+      renderThankYou(result);
+      callbacks.onComplete(answers, result);
     } catch (error) {
       console.error('[MicroSurvey] Submit error:', error);
       renderError('Failed to submit response. Please try again.');
@@ -101,12 +132,12 @@
       return;
     }
 
-    const question = surveyData.questions[currentQuestionIndex];
-    const isLastQuestion = currentQuestionIndex === surveyData.questions.length - 1;
-    const progress = ((currentQuestionIndex + 1) / surveyData.questions.length) * 100;
+    const page = getPages()[currentPageIndex];
+    const isLastPage = getNextPageIndex(currentPageIndex) === -1;
+    const progress = ((currentPageIndex + 1) / getPages().length) * 100;
 
     container.innerHTML = `
-      <div class="ms-widget">
+      <div class="ms-widget${themeClass()}">
         <div class="ms-header">
           <h3 class="ms-title">${escapeHtml(surveyData.title)}</h3>
           ${surveyData.config?.showProgressBar !== false ? `
@@ -117,27 +148,32 @@
         </div>
         
         <div class="ms-body">
-          <div class="ms-question">
-            <h4 class="ms-question-text">
-              ${escapeHtml(question.text)}
-              ${question.required ? '<span class="ms-required">*</span>' : ''}
-            </h4>
-            
-            <div class="ms-answer">
-              ${renderQuestion(question)}
+          ${page.title ? `<h4 class="ms-page-title">${escapeHtml(page.title)}</h4>` : ''}
+          ${page.description ? `<p class="ms-page-description">${escapeHtml(page.description)}</p>` : ''}
+
+          ${visibleQuestions(currentPageIndex).map(question => `
+            <div class="ms-question" data-question-id="${question.id}">
+              <h4 class="ms-question-text">
+                ${escapeHtml(question.text)}
+                ${question.required ? '<span class="ms-required">*</span>' : ''}
+              </h4>
+
+              <div class="ms-answer">
+                ${renderQuestion(question)}
+              </div>
             </div>
-          </div>
+          `).join('')}
         </div>
         
         <div class="ms-footer">
-          ${currentQuestionIndex > 0 && surveyData.config?.allowBack !== false ? `
+          ${history.length > 0 && surveyData.config?.allowBack !== false ? `
             <button class="ms-btn ms-btn-secondary" onclick="window.microSurveyPrev()">
               ← Previous
             </button>
           ` : ''}
           
-          <button class="ms-btn ms-btn-primary" onclick="window.microSurveyNext()">
-            ${isLastQuestion ? 'Submit' : 'Next →'}
+          <button class="ms-btn ms-btn-primary ms-btn-next" onclick="window.microSurveyNext()">
+            ${isLastPage ? 'Submit' : 'Next →'}
           </button>
         </div>
       </div>
@@ -151,10 +187,10 @@
       case 'multiple_choice':
         return question.options.map((opt, idx) => {
           const option = typeof opt === 'string' ? { text: opt, imageUrl: '' } : opt;
-          const checked = answers[question.id] === option.text ? 'checked' : '';
+          const checked = answers[question.id] === optionValue(option) ? 'checked' : '';
           return `
             <label class="ms-option ${option.imageUrl ? 'ms-option-with-image' : ''}">
-              <input type="radio" name="q_${question.id}" value="${escapeHtml(option.text)}" ${checked} 
+              <input type="radio" name="q_${question.id}" value="${escapeHtml(optionValue(option))}" ${checked} 
                 onchange="window.microSurveyAnswer('${question.id}', this.value)">
               ${option.imageUrl ? `<img src="${escapeHtml(option.imageUrl)}" alt="" class="ms-option-image">` : ''}
               <span>${escapeHtml(option.text)}</span>
@@ -183,6 +219,126 @@
           `;
         }).join('');
 
+      case 'nps':
+        return `
+          <div class="ms-nps">
+            ${Array.from({ length: 11 }, (_, value) => `
+              <button class="ms-nps-btn ${answers[question.id] === value ? 'ms-selected' : ''}"
+                onclick="window.microSurveyAnswer('${question.id}', ${value})">
+                ${value}
+              </button>
+            `).join('')}
+          </div>
+          <div class="ms-nps-labels">
+            <span>Not at all likely</span>
+            <span>Extremely likely</span>
+          </div>
+        `;
+
+      case 'checkbox':
+        return question.options.map(opt => {
+          const option = typeof opt === 'string' ? { text: opt, imageUrl: '' } : opt;
+          const checked = (answers[question.id] || []).indexOf(optionValue(option)) !== -1 ? 'checked' : '';
+          return `
+            <label class="ms-option ${option.imageUrl ? 'ms-option-with-image' : ''}">
+              <input type="checkbox" value="${escapeAttr(optionValue(option))}" ${checked}
+                onchange="window.microSurveyToggle('${question.id}', this.value, this.checked)">
+              ${option.imageUrl ? `<img src="${escapeAttr(option.imageUrl)}" alt="" class="ms-option-image">` : ''}
+              <span>${escapeHtml(option.text)}</span>
+            </label>
+          `;
+        }).join('');
+
+      case 'dropdown':
+        return `
+          <select class="ms-input" onchange="window.microSurveyAnswer('${question.id}', this.value)">
+            <option value="">Select an option…</option>
+            ${question.options.map(opt => {
+              const selected = answers[question.id] === optionValue(opt) ? 'selected' : '';
+              return `<option value="${escapeAttr(optionValue(opt))}" ${selected}>${escapeHtml(optionLabel(opt))}</option>`;
+            }).join('')}
+          </select>
+        `;
+
+      case 'ranking':
+        // The list always shows a complete order, so displaying it records one
+        if (!answers[question.id]) {
+          answers[question.id] = question.options.map(optionValue);
+        }
+        return `
+          <p class="ms-hint">Drag items, or use the arrows (Alt + ↑/↓), to put them in order.</p>
+          <ol class="ms-ranking">
+            ${answers[question.id].map((value, idx, list) => `
+              <li class="ms-ranking-item" tabindex="0" draggable="true" data-index="${idx}"
+                onkeydown="window.microSurveyRankKey(event, '${question.id}', ${idx})"
+                ondragstart="window.microSurveyDragStart(${idx})"
+                ondragover="event.preventDefault()"
+                ondrop="window.microSurveyDrop(event, '${question.id}', ${idx})">
+                <span class="ms-ranking-position">${idx + 1}</span>
+                <span class="ms-ranking-text">${escapeHtml(labelOf(question, value))}</span>
+                <button type="button" class="ms-ranking-btn" aria-label="Move up" ${idx === 0 ? 'disabled' : ''}
+                  onclick="window.microSurveyMove('${question.id}', ${idx}, -1)">↑</button>
+                <button type="button" class="ms-ranking-btn" aria-label="Move down" ${idx === list.length - 1 ? 'disabled' : ''}
+                  onclick="window.microSurveyMove('${question.id}', ${idx}, 1)">↓</button>
+              </li>
+            `).join('')}
+          </ol>
+        `;
+
+      case 'matrix':
+        const columns = question.options;
+        // Rows are answered by id; translated surveys send their labels alongside
+        const rowLabels = question.rowLabels || (question.rows || []).map(optionLabel);
+        return `
+          <table class="ms-matrix">
+            <thead>
+              <tr><th></th>${columns.map(column => `<th scope="col">${escapeHtml(optionLabel(column))}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${(question.rows || []).map((row, rowIdx) => `
+                <tr>
+                  <th scope="row">${escapeHtml(rowLabels[rowIdx])}</th>
+                  ${columns.map(column => `
+                    <td>
+                      <input type="radio" name="q_${question.id}_${rowIdx}" value="${escapeAttr(optionValue(column))}"
+                        aria-label="${escapeAttr(`${rowLabels[rowIdx]}: ${optionLabel(column)}`)}"
+                        ${(answers[question.id] || {})[optionValue(row)] === optionValue(column) ? 'checked' : ''}
+                        onchange="window.microSurveyMatrix('${question.id}', ${rowIdx}, this.value)">
+                    </td>
+                  `).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `;
+
+      case 'date':
+        return `
+          <input type="date" class="ms-input"
+            value="${escapeAttr(answers[question.id] || '')}"
+            ${question.validation?.minDate ? `min="${escapeAttr(question.validation.minDate)}"` : ''}
+            ${question.validation?.maxDate ? `max="${escapeAttr(question.validation.maxDate)}"` : ''}
+            onchange="window.microSurveyAnswer('${question.id}', this.value)">
+        `;
+
+      case 'email':
+        return `
+          <input type="email" class="ms-input" autocomplete="email" maxlength="254"
+            placeholder="name@example.com"
+            value="${escapeAttr(answers[question.id] || '')}"
+            onchange="window.microSurveyAnswer('${question.id}', this.value.trim())">
+        `;
+
+      case 'number':
+        const rules = question.validation || {};
+        return `
+          <input type="number" class="ms-input" step="${rules.integer ? 1 : 'any'}"
+            value="${answers[question.id] !== undefined ? escapeAttr(answers[question.id]) : ''}"
+            ${rules.min !== undefined ? `min="${rules.min}"` : ''}
+            ${rules.max !== undefined ? `max="${rules.max}"` : ''}
+            onchange="window.microSurveyAnswer('${question.id}', this.value === '' ? '' : Number(this.value))">
+        `;
+
       case 'text':
         return `
           <textarea class="ms-textarea" rows="4" 
@@ -209,26 +365,72 @@
     }
   }
 
-  function renderThankYou() {
+  function renderThankYou(result) {
     const container = document.getElementById(containerId);
+
+    if (result) {
+      const outcome = result.passed === null ? '' : `
+        <p class="ms-quiz-outcome ${result.passed ? 'ms-quiz-passed' : 'ms-quiz-failed'}">
+          ${result.passed ? 'Passed' : 'Not passed'}
+        </p>
+      `;
+
+      container.innerHTML = `
+        <div class="ms-widget${themeClass()} ms-thank-you">
+          <h3>Your score</h3>
+          <div class="ms-quiz-score">${result.score} / ${result.maxScore}</div>
+          <p class="ms-quiz-percentage">${result.percentage}%</p>
+          ${outcome}
+          ${result.message ? `<p>${escapeHtml(result.message)}</p>` : ''}
+        </div>
+      `;
+      return;
+    }
+
     container.innerHTML = `
-      <div class="ms-widget ms-thank-you">
+      <div class="ms-widget${themeClass()} ms-thank-you">
         <div class="ms-thank-you-icon">✓</div>
         <h3>Thank you!</h3>
-        <p>Your response has been recorded.</p>
+        <p>${escapeHtml(surveyData.config?.thankYouMessage || 'Your response has been recorded.')}</p>
+      </div>
+    `;
+  }
+
+  // Scheduled or closed surveys; availability is { state, reason, opensAt, closesAt }
+  function renderClosed(availability) {
+    const container = document.getElementById(containerId);
+    const message = availability.state === 'scheduled' && availability.opensAt
+      ? `This survey opens on ${new Date(availability.opensAt).toLocaleString()}.`
+      : 'This survey is closed and no longer accepting responses.';
+
+    container.innerHTML = `
+      <div class="ms-widget${themeClass()} ms-closed">
+        <h3>${escapeHtml(surveyData ? surveyData.title : '')}</h3>
+        <p>${escapeHtml(message)}</p>
       </div>
     `;
+
+    injectStyles();
+    callbacks.onClosed(availability);
   }
 
   function renderError(message) {
     const container = document.getElementById(containerId);
     container.innerHTML = `
-      <div class="ms-widget">
+      <div class="ms-widget${themeClass()}">
         <div class="ms-error">⚠️ ${escapeHtml(message)}</div>
       </div>
     `;
   }
 
+  // config.theme: light (default), dark, or auto to follow the visitor's color scheme
+  function themeClass() {
+    const theme = surveyData && surveyData.config && surveyData.config.theme;
+    const dark = theme === 'dark' ||
+      (theme === 'auto' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    return dark ? ' ms-theme-dark' : '';
+  }
+
   function injectStyles() {
     if (document.getElementById('microsurvey-styles')) return;
 
@@ -240,16 +442,35 @@
       .ms-title { margin: 0 0 16px 0; font-size: 24px; font-weight: 600; color: #1a1a1a; }
       .ms-progress { height: 4px; background: #e5e7eb; border-radius: 2px; overflow: hidden; }
       .ms-progress-bar { height: 100%; background: #3b82f6; transition: width 0.3s; }
+      .ms-page-title { margin: 0 0 4px 0; font-size: 20px; font-weight: 600; color: #1a1a1a; }
+      .ms-page-description { margin: 0 0 20px 0; color: #6b7280; }
+      .ms-question + .ms-question { margin-top: 24px; }
       .ms-question-text { font-size: 18px; font-weight: 500; margin: 0 0 16px 0; color: #374151; }
       .ms-required { color: #ef4444; }
       .ms-option { display: flex; align-items: center; padding: 12px; margin: 8px 0; border: 2px solid #e5e7eb; border-radius: 8px; cursor: pointer; transition: all 0.2s; }
       .ms-option:hover { border-color: #3b82f6; background: #eff6ff; }
       .ms-option input { margin-right: 12px; }
       .ms-option-image { width: 60px; height: 60px; object-fit: cover; border-radius: 6px; margin-right: 12px; }
+      .ms-input { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-family: inherit; font-size: 14px; box-sizing: border-box; background: #fff; }
+      .ms-hint { margin: 0 0 8px 0; font-size: 13px; color: #6b7280; }
+      .ms-ranking { list-style: none; margin: 0; padding: 0; }
+      .ms-ranking-item { display: flex; align-items: center; gap: 8px; padding: 10px 12px; margin: 6px 0; border: 2px solid #e5e7eb; border-radius: 8px; background: #fff; cursor: grab; }
+      .ms-ranking-item:focus { outline: none; border-color: #3b82f6; }
+      .ms-ranking-position { width: 24px; font-weight: 600; color: #3b82f6; }
+      .ms-ranking-text { flex: 1; }
+      .ms-ranking-btn { padding: 4px 8px; border: 1px solid #e5e7eb; background: #fff; border-radius: 6px; cursor: pointer; }
+      .ms-ranking-btn:disabled { opacity: 0.4; cursor: default; }
+      .ms-matrix { width: 100%; border-collapse: collapse; font-size: 14px; }
+      .ms-matrix th, .ms-matrix td { padding: 8px; text-align: center; border-bottom: 1px solid #e5e7eb; }
+      .ms-matrix th[scope="row"] { text-align: left; font-weight: 500; color: #374151; }
       .ms-textarea { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-family: inherit; font-size: 14px; resize: vertical; }
       .ms-rating-btn { padding: 12px 16px; margin: 4px; border: 2px solid #e5e7eb; background: #fff; border-radius: 8px; cursor: pointer; font-size: 20px; transition: all 0.2s; }
       .ms-rating-btn:hover { border-color: #3b82f6; transform: scale(1.1); }
       .ms-rating-selected { border-color: #3b82f6; background: #eff6ff; }
+      .ms-nps { display: flex; gap: 4px; }
+      .ms-nps-btn { flex: 1; min-width: 0; padding: 10px 0; border: 2px solid #e5e7eb; background: #fff; border-radius: 6px; font-size: 15px; font-weight: 500; cursor: pointer; transition: all 0.2s; }
+      .ms-nps-btn:hover { border-color: #3b82f6; }
+      .ms-nps-labels { display: flex; justify-content: space-between; margin-top: 8px; font-size: 12px; color: #6b7280; }
       .ms-yesno { display: flex; gap: 12px; }
       .ms-yesno-btn { flex: 1; padding: 16px; border: 2px solid #e5e7eb; background: #fff; border-radius: 8px; font-size: 16px; font-weight: 500; cursor: pointer; transition: all 0.2s; }
       .ms-yesno-btn:hover { border-color: #3b82f6; }
@@ -261,43 +482,316 @@
       .ms-btn-secondary { background: #f3f4f6; color: #374151; }
       .ms-btn-secondary:hover { background: #e5e7eb; }
       .ms-thank-you { text-align: center; padding: 40px 24px; }
+      .ms-closed { text-align: center; padding: 40px 24px; color: #374151; }
       .ms-thank-you-icon { font-size: 64px; color: #10b981; margin-bottom: 16px; }
+      .ms-quiz-score { font-size: 48px; font-weight: 700; color: #1a1a1a; margin: 8px 0; }
+      .ms-quiz-percentage { color: #6b7280; margin: 0 0 16px 0; }
+      .ms-quiz-outcome { display: inline-block; padding: 4px 12px; border-radius: 9999px; font-weight: 600; }
+      .ms-quiz-passed { background: #d1fae5; color: #065f46; }
+      .ms-quiz-failed { background: #fee2e2; color: #991b1b; }
       .ms-error { color: #ef4444; padding: 16px; background: #fef2f2; border-radius: 8px; text-align: center; }
+      .ms-theme-dark { background: #1f2937; color: #e5e7eb; }
+      .ms-theme-dark .ms-title, .ms-theme-dark .ms-page-title, .ms-theme-dark .ms-quiz-score { color: #f9fafb; }
+      .ms-theme-dark .ms-question-text, .ms-theme-dark .ms-matrix th[scope="row"], .ms-theme-dark.ms-closed { color: #e5e7eb; }
+      .ms-theme-dark .ms-option, .ms-theme-dark .ms-input, .ms-theme-dark .ms-textarea, .ms-theme-dark .ms-ranking-item { border-color: #4b5563; background: #111827; color: #e5e7eb; }
+      .ms-theme-dark .ms-rating-btn, .ms-theme-dark .ms-nps-btn, .ms-theme-dark .ms-yesno-btn, .ms-theme-dark .ms-ranking-btn { border-color: #4b5563; background: #111827; color: #e5e7eb; }
+      .ms-theme-dark .ms-option:hover, .ms-theme-dark .ms-selected, .ms-theme-dark .ms-rating-selected { border-color: #3b82f6; background: #1e3a8a; color: #fff; }
+      .ms-theme-dark .ms-btn-secondary { background: #374151; color: #e5e7eb; }
     `;
     document.head.appendChild(style);
   }
 
+  // Branching logic (mirrors backend/src/services/branchingService.js)
+  function resolvePath() {
+    const questions = surveyData.questions;
+    const indexByKey = {};
+    questions.forEach((q, idx) => {
+      if (q.key) indexByKey[q.key] = idx;
+    });
+
+    // Page rules; pages without a key are the implicit one-question pages
+    const pageByKey = {};
+    const pageRanges = {};
+    getPages().forEach(page => {
+      if (page.key) pageByKey[page.key] = page;
+    });
+    questions.forEach((q, idx) => {
+      if (!pageByKey[q.page]) return;
+      if (pageRanges[q.page]) pageRanges[q.page].last = idx;
+      else pageRanges[q.page] = { first: idx, last: idx };
+    });
+
+    const pathAnswers = {};
+    const path = [];
+    const matches = group => evaluateGroup(group, indexByKey, pathAnswers);
+    let enteredPage = null;
+    let i = 0;
+
+    while (i < questions.length) {
+      const question = questions[i];
+      const conditional = question.conditional || {};
+      const page = pageByKey[question.page];
+
+      if (page && page.key !== enteredPage) {
+        enteredPage = page.key;
+
+        if (page.conditional && page.conditional.showIf && !matches(page.conditional.showIf)) {
+          i = pageRanges[page.key].last + 1;
+          continue;
+        }
+      }
+
+      let next = i + 1;
+      let jumped = false;
+
+      if (!conditional.showIf || matches(conditional.showIf)) {
+        path.push(question.id);
+        if (answers[question.id] !== undefined) {
+          pathAnswers[question.id] = answers[question.id];
+        }
+
+        const jump = (conditional.jumps || []).find(j => matches(j.when));
+
+        if (jump && jump.goTo === 'end') {
+          break;
+        } else if (jump) {
+          const target = indexByKey[jump.goTo];
+          next = target !== undefined && target > i ? target : i + 1;
+          jumped = true;
+        }
+      }
+
+      if (page && !jumped && i === pageRanges[page.key].last) {
+        const pageJump = ((page.conditional && page.conditional.jumps) || []).find(j => matches(j.when));
+
+        if (pageJump && pageJump.goTo === 'end') {
+          break;
+        } else if (pageJump) {
+          const target = pageRanges[pageJump.goTo] && pageRanges[pageJump.goTo].first;
+          next = target !== undefined && target > i ? target : next;
+        }
+      }
+
+      i = next;
+    }
+
+    return path;
+  }
+
+  function evaluateGroup(group, indexByKey, pathAnswers) {
+    const conditions = (group && group.conditions) || [];
+    const check = condition => {
+      const idx = indexByKey[condition.question];
+      const answer = idx === undefined ? undefined : pathAnswers[surveyData.questions[idx].id];
+      return evaluateCondition(condition, answer);
+    };
+
+    return group && group.logic === 'any' ? conditions.some(check) : conditions.every(check);
+  }
+
+  function evaluateCondition(condition, answer) {
+    const answered = isAnswered(answer);
+
+    if (condition.operator === 'answered') return answered;
+    if (condition.operator === 'not_answered') return !answered;
+    if (!answered) return false;
+
+    const normalize = v => String(v).trim().toLowerCase();
+    const values = Array.isArray(answer) ? answer : [answer];
+    const value = condition.value;
+
+    switch (condition.operator) {
+      case 'equals':
+        return values.length === 1 && normalize(values[0]) === normalize(value);
+      case 'not_equals':
+        return !(values.length === 1 && normalize(values[0]) === normalize(value));
+      case 'contains':
+        return Array.isArray(answer)
+          ? values.some(v => normalize(v) === normalize(value))
+          : normalize(answer).includes(normalize(value));
+      case 'greater_than':
+        return Number(answer) > Number(value);
+      case 'less_than':
+        return Number(answer) < Number(value);
+      case 'nps_segment':
+        return npsSegment(answer) === normalize(value);
+      default:
+        return false;
+    }
+  }
+
+  function isAnswered(answer) {
+    return !(
+      answer === undefined ||
+      answer === null ||
+      (typeof answer === 'string' && answer.trim() === '') ||
+      (Array.isArray(answer) && answer.length === 0) ||
+      (typeof answer === 'object' && Object.keys(answer).length === 0)
+    );
+  }
+
+  // Mirrors backend/src/utils/nps.js
+  function npsSegment(score) {
+    if (typeof score !== 'number' || score % 1 !== 0 || score < 0 || score > 10) return null;
+    if (score >= 9) return 'promoter';
+    if (score >= 7) return 'passive';
+    return 'detractor';
+  }
+
+  // Surveys without pages (or from older snapshots) show one question per page
+  function getPages() {
+    return surveyData.pages || surveyData.questions.map(q => ({ questionIds: [q.id] }));
+  }
+
+  function visibleQuestions(pageIndex) {
+    const path = resolvePath();
+    const ids = getPages()[pageIndex].questionIds;
+    return surveyData.questions.filter(q => ids.indexOf(q.id) !== -1 && path.indexOf(q.id) !== -1);
+  }
+
+  // Next page with at least one question on the respondent's path, or -1
+  function getNextPageIndex(fromIndex) {
+    const pages = getPages();
+    for (let i = fromIndex + 1; i < pages.length; i++) {
+      if (visibleQuestions(i).length > 0) return i;
+    }
+    return -1;
+  }
+
+  function isOnPath(questionId) {
+    return resolvePath().indexOf(questionId) !== -1;
+  }
+
   // Utility functions
+  // Options and matrix rows submit their id; the text is the label shown
+  function optionValue(opt) {
+    if (typeof opt === 'string') return opt;
+    return opt.id !== undefined ? opt.id : opt.text;
+  }
+
+  function optionLabel(opt) {
+    return typeof opt === 'string' ? opt : opt.text;
+  }
+
+  function labelOf(question, value) {
+    const option = (question.options || []).find(opt => optionValue(opt) === value);
+    return option ? optionLabel(option) : value;
+  }
+
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
   }
 
+  function escapeAttr(text) {
+    return escapeHtml(String(text)).replace(/"/g, '&quot;');
+  }
+
+  function moveRankedItem(questionId, from, to) {
+    const list = answers[questionId].slice();
+    if (to < 0 || to >= list.length || to === from) return;
+
+    list.splice(to, 0, list.splice(from, 1)[0]);
+    window.microSurveyAnswer(questionId, list);
+    render();
+
+    const moved = document.querySelector(
+      `#${containerId} [data-question-id="${questionId}"] .ms-ranking-item[data-index="${to}"]`
+    );
+    if (moved) moved.focus();
+  }
+
   // Global functions
   window.microSurveyAnswer = function(questionId, value) {
+    const shownBefore = visibleQuestions(currentPageIndex).map(q => q.id).join();
     answers[questionId] = value;
+
+    // Show or hide questions on this page that depend on the answer
+    if (visibleQuestions(currentPageIndex).map(q => q.id).join() !== shownBefore) {
+      render();
+      return;
+    }
+
+    // The answer may trigger a jump to the end, so refresh the button label
+    const nextButton = document.querySelector(`#${containerId} .ms-btn-next`);
+    if (nextButton) {
+      nextButton.textContent = getNextPageIndex(currentPageIndex) === -1 ? 'Submit' : 'Next →';
+    }
+  };
+
+  window.microSurveyToggle = function(questionId, value, checked) {
+    const selected = (answers[questionId] || []).filter(v => v !== value);
+    window.microSurveyAnswer(questionId, checked ? selected.concat(value) : selected);
+  };
+
+  window.microSurveyMatrix = function(questionId, rowIndex, value) {
+    const question = surveyData.questions.find(q => q.id === questionId);
+    const row = optionValue(question.rows[rowIndex]);
+    window.microSurveyAnswer(questionId, Object.assign({}, answers[questionId], { [row]: value }));
+  };
+
+  window.microSurveyMove = function(questionId, index, offset) {
+    moveRankedItem(questionId, index, index + offset);
   };
 
+  window.microSurveyRankKey = function(event, questionId, index) {
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+
+    event.preventDefault();
+    moveRankedItem(questionId, index, index + (event.key === 'ArrowUp' ? -1 : 1));
+  };
+
+  window.microSurveyDragStart = function(index) {
+    dragIndex = index;
+  };
+
+  window.microSurveyDrop = function(event, questionId, index) {
+    event.preventDefault();
+    if (dragIndex !== null) moveRankedItem(questionId, dragIndex, index);
+    dragIndex = null;
+  };
+
+  // Page-level validation: every visible question on the page is checked before moving on
   window.microSurveyNext = function() {
-    const question = surveyData.questions[currentQuestionIndex];
-    
-    if (question.required && !answers[question.id]) {
-      alert('Please answer this question before continuing.');
+    // Native date, email and number inputs know their own format and range
+    const invalidInput = Array.from(document.querySelectorAll(`#${containerId} .ms-answer input`))
+      .find(input => !input.checkValidity());
+    if (invalidInput) {
+      invalidInput.reportValidity();
       return;
     }
 
-    if (currentQuestionIndex === surveyData.questions.length - 1) {
+    for (const question of visibleQuestions(currentPageIndex)) {
+      // 0 is a valid NPS score, so check for a missing answer rather than a falsy one
+      const answer = answers[question.id];
+      const incompleteMatrix = question.type === 'matrix' && isAnswered(answer)
+        && (question.rows || []).some(row => answer[optionValue(row)] === undefined);
+
+      if (question.required && (!isAnswered(answer) || incompleteMatrix)) {
+        const element = document.querySelector(`#${containerId} [data-question-id="${question.id}"]`);
+        if (element) element.scrollIntoView({ block: 'center' });
+        alert(incompleteMatrix
+          ? `Please answer every row of "${question.text}" before continuing.`
+          : `Please answer "${question.text}" before continuing.`);
+        return;
+      }
+    }
+
+    const nextIndex = getNextPageIndex(currentPageIndex);
+
+    if (nextIndex === -1) {
       submitSurvey();
     } else {
-      currentQuestionIndex++;
+      history.push(currentPageIndex);
+      currentPageIndex = nextIndex;
       render();
     }
   };
 
   window.microSurveyPrev = function() {
-    if (currentQuestionIndex > 0) {
-      currentQuestionIndex--;
+    if (history.length > 0) {
+      currentPageIndex = history.pop();
       render();
     }
   };